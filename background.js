@@ -1,21 +1,774 @@
 if (typeof browser === "undefined") globalThis.browser = chrome;
+// Firefox loads bytes.js from the manifest's background scripts; Chrome's
+// service worker has to import it
+if (typeof importScripts === "function") importScripts("bytes.js");
 
-// In-memory cache: key = "owner/repo:ref" → { tree: Map<commitSha, blobSha>, ts: number }
-const treeCache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+// --- Persistent cache (IndexedDB) ---
+// MV3 service workers are stopped whenever they go idle, so anything kept in
+// memory is lost within seconds. Stores:
+// Keys start with the repository's repoKey(), "owner/repo" on github.com.
+//   trees:      "owner/repo:ref" → { tipSha, tree } (notes tree at a ref tip)
+//               "owner/repo#treeSha" → { tree } (fanout subtree)
+//               where tree is a listing, see buildTreeLookup()
+//   blobs:      "owner/repo#blobSha" → { content, size, usedAt } (content
+//               is a byte string)
+//   http:       "credential URL" → { etag, lastModified, body, size, usedAt }
+//               (conditional requests, see "HTTP validators" below)
+//   notesIndex: see "Notes index" below
+// Git objects are immutable, so subtrees and blobs never go stale. A notes
+// tree is reused for as long as the ref still points at the same commit.
+// Blobs and HTTP responses can be large, so those two stores have a size
+// budget: their "lru" index orders records by last use, and the least
+// recently used are evicted beyond it (see evictStore).
+const DB_NAME = "git-notes-viewer";
+const DB_VERSION = 7;
+const TREE_STORE = "trees";
+const BLOB_STORE = "blobs";
+const HTTP_STORE = "http";
+const INDEX_STORE = "notesIndex";
+// The content script's conditional-request entries in storage.local, and
+// the index it evicts them by
+const CONTENT_HTTP_CACHE_PREFIX = "httpCache:";
+const CONTENT_HTTP_CACHE_INDEX = "httpCacheIndex";
 
-function isCacheValid(entry) {
-  return entry && Date.now() - entry.ts < CACHE_TTL;
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = (event) => {
+        const db = req.result;
+        if (event.oldVersion < 1) {
+          db.createObjectStore(INDEX_STORE, { keyPath: "key" });
+        }
+        if (event.oldVersion < 2) {
+          db.createObjectStore(TREE_STORE, { keyPath: "key" });
+          db.createObjectStore(BLOB_STORE, { keyPath: "key" });
+        }
+        if (event.oldVersion < 3) {
+          db.createObjectStore(HTTP_STORE, { keyPath: "key" });
+        }
+        if (event.oldVersion >= 2 && event.oldVersion < 4) {
+          // Cached trees were plain Maps before listings recorded truncation
+          req.transaction.objectStore(TREE_STORE).clear();
+        }
+        if (event.oldVersion >= 1 && event.oldVersion < 5) {
+          // Note bodies and indexed contents were decoded as Latin-1 before
+          // notes were kept as bytes and decoded with decodeNoteBytes
+          req.transaction.objectStore(INDEX_STORE).clear();
+          if (event.oldVersion >= 3) req.transaction.objectStore(HTTP_STORE).clear();
+        }
+        if (event.oldVersion < 6) {
+          // Responses were keyed by URL alone, whichever token fetched them
+          const http = req.transaction.objectStore(HTTP_STORE);
+          if (event.oldVersion >= 3) http.clear();
+          http.createIndex("lru", ["usedAt", "size"]);
+        }
+        if (event.oldVersion < 7) {
+          // Blobs had no size or last use to evict them by
+          const blobs = req.transaction.objectStore(BLOB_STORE);
+          if (event.oldVersion >= 2) blobs.clear();
+          blobs.createIndex("lru", ["usedAt", "size"]);
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Let a later call retry if opening failed
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+async function idbRequest(storeName, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const req = fn(db.transaction(storeName, mode).objectStore(storeName));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// The cache is an optimisation: a failing IndexedDB (e.g. private browsing)
+// must not break note fetching, so reads miss and writes are dropped
+async function cacheGet(storeName, key) {
+  try {
+    return await idbRequest(storeName, "readonly", (store) => store.get(key));
+  } catch {
+    return undefined;
+  }
+}
+
+async function cachePut(storeName, record) {
+  try {
+    await idbRequest(storeName, "readwrite", (store) => store.put(record));
+  } catch {
+    // ignore
+  }
+}
+
+async function cacheDelete(storeName, key) {
+  try {
+    await idbRequest(storeName, "readwrite", (store) => store.delete(key));
+  } catch {
+    // ignore
+  }
+}
+
+// Rewriting a record on every hit would cost more than it saves
+const CACHE_TOUCH_INTERVAL = 60 * 60 * 1000;
+
+// Walk a store's "lru" index from the most recently used record, keeping
+// records while they fit in `maxBytes` and are no older than `maxAge`. Only
+// index keys are read, not the records.
+async function evictStore(storeName, maxBytes, maxAge = Infinity) {
+  try {
+    const db = await openDb();
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, "readwrite");
+      const store = tx.objectStore(storeName);
+      const now = Date.now();
+      let total = 0;
+      const req = store.index("lru").openKeyCursor(null, "prev");
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        const [usedAt, size] = cursor.key;
+        if (now - usedAt > maxAge || total + size > maxBytes) {
+          store.delete(cursor.primaryKey);
+        } else {
+          total += size;
+        }
+        cursor.continue();
+      };
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  } catch {
+    // ignore, like the other cache writes
+  }
+}
+
+async function clearCache() {
+  for (const storeName of [TREE_STORE, BLOB_STORE, HTTP_STORE, INDEX_STORE]) {
+    await idbRequest(storeName, "readwrite", (store) => store.clear());
+  }
+  const stored = await browser.storage.local.get(null);
+  const httpKeys = Object.keys(stored).filter(
+    (key) => key.startsWith(CONTENT_HTTP_CACHE_PREFIX) || key === CONTENT_HTTP_CACHE_INDEX
+  );
+  if (httpKeys.length > 0) await browser.storage.local.remove(httpKeys);
+}
+
+// --- HTTP validators ---
+// Responses to conditional requests are kept under the credential that
+// fetched them: a response is only replayed to a request made with the same
+// token. Entries last HTTP_CACHE_MAX_AGE since their last use, and the least
+// recently used go once the store holds more than HTTP_STORE_MAX_BYTES.
+const HTTP_STORE_MAX_BYTES = 32 * 1024 * 1024;
+const HTTP_CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+const credentialFingerprints = new Map();
+
+// A short SHA-256 of the token, so keys don't hold the token itself
+async function credentialFingerprint(token) {
+  if (!token) return "anonymous";
+  if (!credentialFingerprints.has(token)) {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(token));
+    const hex = [...new Uint8Array(digest, 0, 8)]
+      .map((byte) => byte.toString(16).padStart(2, "0"))
+      .join("");
+    credentialFingerprints.set(token, hex);
+  }
+  return credentialFingerprints.get(token);
+}
+
+async function httpCacheKey(url, token, accept = "") {
+  return `${await credentialFingerprint(token)} ${accept} ${url}`;
+}
+
+async function httpCacheGet(key) {
+  const record = await cacheGet(HTTP_STORE, key);
+  if (!record || Date.now() - record.usedAt > HTTP_CACHE_MAX_AGE) return undefined;
+  return record;
+}
+
+// Mark a revalidated record as used
+async function httpCacheTouch(record) {
+  if (Date.now() - record.usedAt > CACHE_TOUCH_INTERVAL) {
+    await cachePut(HTTP_STORE, { ...record, usedAt: Date.now() });
+  }
+}
+
+// `size` is the length of the body as received, in bytes
+async function httpCachePut(key, { etag, lastModified, body, size }) {
+  await cachePut(HTTP_STORE, { key, etag, lastModified, body, size, usedAt: Date.now() });
+  await evictStore(HTTP_STORE, HTTP_STORE_MAX_BYTES, HTTP_CACHE_MAX_AGE);
+}
+
+// --- Credentials ---
+// Tokens are kept apart from the rest of the settings, in one record:
+//   { githubToken, oauthToken, named: { [name]: token },
+//     hosts: { [origin]: token } }
+// Where it is kept depends on credentialMode (storage.local):
+//   "plain"     storage.local "credentials" (the default)
+//   "encrypted" storage.local "encryptedCredentials", AES-GCM under a key
+//               derived from a passphrase with PBKDF2, and unlocked once per
+//               browser session into storage.session
+//   "session"   storage.session only; never written to disk
+// Content scripts can't read storage.session, and only this worker reads
+// credentials at all: content scripts ask it to make authenticated requests.
+const CREDENTIAL_MODES = ["plain", "encrypted", "session"];
+const PBKDF2_ITERATIONS = 600000;
+const EMPTY_CREDENTIALS = { githubToken: null, oauthToken: null, named: {}, hosts: {} };
+
+// Before credentials were kept apart, tokens were stored in plain text next
+// to the settings they belong to (githubToken, oauthToken and a `token` on
+// each named token and host profile). Move those over once.
+const legacyMigration = migrateLegacyCredentials().catch(() => {});
+
+async function migrateLegacyCredentials() {
+  const { githubToken, oauthToken, namedTokens, hostProfiles, credentials } =
+    await browser.storage.local.get([
+      "githubToken",
+      "oauthToken",
+      "namedTokens",
+      "hostProfiles",
+      "credentials",
+    ]);
+  const legacyNamed = (namedTokens || []).filter((entry) => entry.token);
+  const legacyHosts = (hostProfiles || []).filter((profile) => profile.token);
+  if (!githubToken && !oauthToken && legacyNamed.length === 0 && legacyHosts.length === 0) {
+    return;
+  }
+
+  const merged = { ...EMPTY_CREDENTIALS, ...credentials };
+  if (githubToken) merged.githubToken = githubToken;
+  if (oauthToken) merged.oauthToken = oauthToken;
+  merged.named = { ...merged.named };
+  for (const entry of legacyNamed) merged.named[entry.name] = entry.token;
+  merged.hosts = { ...merged.hosts };
+  for (const profile of legacyHosts) merged.hosts[profile.origin] = profile.token;
+
+  await browser.storage.local.set({
+    credentials: merged,
+    namedTokens: (namedTokens || []).map(({ token, ...entry }) => entry),
+    hostProfiles: (hostProfiles || []).map(({ token, ...profile }) => profile),
+  });
+  await browser.storage.local.remove(["githubToken", "oauthToken"]);
+}
+
+async function getCredentialMode() {
+  const { credentialMode } = await browser.storage.local.get("credentialMode");
+  return CREDENTIAL_MODES.includes(credentialMode) ? credentialMode : "plain";
+}
+
+// The stored credentials, or null while encrypted credentials are locked
+async function getCredentials() {
+  await legacyMigration;
+  const mode = await getCredentialMode();
+  if (mode === "plain") {
+    const { credentials } = await browser.storage.local.get("credentials");
+    return { ...EMPTY_CREDENTIALS, ...credentials };
+  }
+  const { credentials } = await browser.storage.session.get("credentials");
+  if (credentials) return { ...EMPTY_CREDENTIALS, ...credentials };
+  if (mode === "session") return { ...EMPTY_CREDENTIALS };
+  const { encryptedCredentials } = await browser.storage.local.get("encryptedCredentials");
+  return encryptedCredentials ? null : { ...EMPTY_CREDENTIALS };
+}
+
+// Apply `update` (credentials → credentials) and store the result
+async function updateCredentials(update) {
+  const current = await getCredentials();
+  if (!current) {
+    throw { status: 0, message: "Tokens are locked. Unlock them in the extension settings." };
+  }
+  const next = update(current);
+  await storeCredentials(await getCredentialMode(), next);
+  return next;
+}
+
+async function storeCredentials(mode, credentials) {
+  if (mode === "plain") {
+    await browser.storage.local.set({ credentials });
+    return;
+  }
+  await browser.storage.session.set({ credentials });
+  if (mode === "encrypted") {
+    const { credentialKey } = await browser.storage.session.get("credentialKey");
+    const key = await crypto.subtle.importKey(
+      "raw",
+      fromBase64(credentialKey.key),
+      "AES-GCM",
+      true,
+      ["encrypt", "decrypt"]
+    );
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv },
+      key,
+      new TextEncoder().encode(JSON.stringify(credentials))
+    );
+    await browser.storage.local.set({
+      encryptedCredentials: {
+        salt: credentialKey.salt,
+        iterations: credentialKey.iterations,
+        iv: toBase64(iv),
+        data: toBase64(data),
+      },
+    });
+  }
+}
+
+async function deriveCredentialKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    true,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// The derived key is kept in storage.session for the rest of the browser
+// session, so settings can be changed without asking for the passphrase again
+async function rememberCredentialKey(key, salt, iterations) {
+  const raw = await crypto.subtle.exportKey("raw", key);
+  await browser.storage.session.set({
+    credentialKey: { key: toBase64(raw), salt: toBase64(salt), iterations },
+  });
+}
+
+// Switch to another credentialMode, moving the current credentials over.
+// "encrypted" needs the new passphrase.
+async function setCredentialMode(mode, passphrase) {
+  if (!CREDENTIAL_MODES.includes(mode)) {
+    throw { status: 0, message: `Unknown storage mode: ${mode}` };
+  }
+  const credentials = await getCredentials();
+  if (!credentials) {
+    throw { status: 0, message: "Unlock your tokens before changing how they are stored" };
+  }
+
+  if (mode === "encrypted") {
+    if (!passphrase) throw { status: 0, message: "Enter a passphrase" };
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveCredentialKey(passphrase, salt, PBKDF2_ITERATIONS);
+    await rememberCredentialKey(key, salt, PBKDF2_ITERATIONS);
+  } else {
+    await browser.storage.session.remove("credentialKey");
+  }
+
+  await storeCredentials(mode, credentials);
+  await browser.storage.local.set({ credentialMode: mode });
+  // Drop the copies the other modes kept
+  if (mode !== "plain") await browser.storage.local.remove("credentials");
+  if (mode !== "encrypted") await browser.storage.local.remove("encryptedCredentials");
+  if (mode === "plain") await browser.storage.session.remove("credentials");
+}
+
+async function unlockCredentials(passphrase) {
+  const { encryptedCredentials: stored } = await browser.storage.local.get(
+    "encryptedCredentials"
+  );
+  if (!stored) return;
+  const salt = fromBase64(stored.salt);
+  const key = await deriveCredentialKey(passphrase, salt, stored.iterations);
+  let credentials;
+  try {
+    const plain = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: fromBase64(stored.iv) },
+      key,
+      fromBase64(stored.data)
+    );
+    credentials = JSON.parse(new TextDecoder().decode(plain));
+  } catch {
+    throw { status: 0, message: "Wrong passphrase" };
+  }
+  await rememberCredentialKey(key, salt, stored.iterations);
+  await browser.storage.session.set({ credentials });
+  scheduleOAuthRefresh(credentials.oauthToken);
+}
+
+async function lockCredentials() {
+  await browser.storage.session.remove(["credentials", "credentialKey"]);
+}
+
+// Set (or with a null token, remove) one token. kind is "github" (the PAT),
+// "named" (id = token name) or "host" (id = web origin).
+async function setToken(kind, id, token) {
+  await updateCredentials((credentials) => {
+    if (kind === "github") return { ...credentials, githubToken: token || null };
+    const field = kind === "named" ? "named" : "hosts";
+    const tokens = { ...credentials[field] };
+    if (token) tokens[id] = token;
+    else delete tokens[id];
+    return { ...credentials, [field]: tokens };
+  });
+}
+
+function toBase64(buffer) {
+  let binary = "";
+  for (const byte of new Uint8Array(buffer)) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+}
+
+// --- Host profiles ---
+// github.com is built in; GitHub Enterprise Server instances are configured
+// on the options page and stored as
+//   hostProfiles: [{ origin, apiBase, rawBase }]
+// e.g. { origin: "https://ghe.example.com",
+//        apiBase: "https://ghe.example.com/api/v3",
+//        rawBase: "https://ghe.example.com/raw" }
+// with their tokens under credentials.hosts.
+const GITHUB_HOST = {
+  origin: "https://github.com",
+  apiBase: "https://api.github.com",
+  rawBase: "https://raw.githubusercontent.com",
+};
+const HOST_SCRIPT_PREFIX = "ghes:";
+
+async function getHostProfiles() {
+  const { hostProfiles } = await browser.storage.local.get("hostProfiles");
+  return Array.isArray(hostProfiles) ? hostProfiles : [];
 }
 
-async function githubApi(path, token) {
-  const res = await fetch(`https://api.github.com${path}`, {
+// The profile (with its token) for the web origin a request came from.
+// Messages without an origin are for github.com, where the token is picked
+// by repository owner from the named tokens before falling back to the
+// signed-in OAuth token and then the PAT.
+// While credentials are locked every host is used anonymously.
+async function resolveHost(origin, owner) {
+  const credentials = (await getCredentials()) || EMPTY_CREDENTIALS;
+  if (origin && origin !== GITHUB_HOST.origin) {
+    const profile = (await getHostProfiles()).find((p) => p.origin === origin);
+    if (profile) {
+      // Never send a token in cleartext, e.g. to a profile saved as http://
+      // before the options page required https
+      const secure = [profile.apiBase, profile.rawBase].every((base) => /^https:\/\//.test(base));
+      return { ...profile, token: (secure && credentials.hosts[profile.origin]) || null };
+    }
+  }
+  const { namedTokens } = await browser.storage.local.get("namedTokens");
+  const token = owner ? tokenForOwner(namedTokens || [], credentials.named, owner) : null;
+  if (token) return { ...GITHUB_HOST, token };
+  const oauthToken = await getOAuthToken(credentials);
+  return { ...GITHUB_HOST, token: oauthToken || credentials.githubToken || null };
+}
+
+// Owner patterns are GitHub logins with optional `*` wildcards ("acme-*");
+// logins are case-insensitive
+function ownerMatches(pattern, owner) {
+  const escaped = pattern
+    .trim()
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}$`, "i").test(owner);
+}
+
+// namedTokens: [{ name, owners: ["acme-*", "my-user"] }], tokens: { [name]:
+// token }. The first entry with a token whose patterns match wins.
+function tokenForOwner(namedTokens, tokens, owner) {
+  const match = namedTokens.find(
+    (entry) =>
+      tokens[entry.name] &&
+      (entry.owners || []).some((pattern) => ownerMatches(pattern, owner))
+  );
+  return match ? tokens[match.name] : null;
+}
+
+// Cache and index key prefix for a repository. github.com keeps the bare
+// "owner/repo" so caches from before host profiles stay valid.
+function repoKey(host, owner, repo) {
+  if (host.origin === GITHUB_HOST.origin) return `${owner}/${repo}`;
+  return `${new URL(host.origin).host}/${owner}/${repo}`;
+}
+
+// Content scripts for github.com come from the manifest. Enterprise hosts are
+// registered at runtime, once the user has granted access to the host.
+async function registerHostContentScripts() {
+  if (!browser.scripting || !browser.scripting.registerContentScripts) return;
+
+  const registered = await browser.scripting.getRegisteredContentScripts();
+  const stale = registered
+    .map((script) => script.id)
+    .filter((id) => id.startsWith(HOST_SCRIPT_PREFIX));
+  if (stale.length > 0) {
+    await browser.scripting.unregisterContentScripts({ ids: stale });
+  }
+
+  const scripts = [];
+  for (const profile of await getHostProfiles()) {
+    const granted = await browser.permissions
+      .contains({ origins: [`${profile.origin}/*`] })
+      .catch(() => false);
+    if (!granted) continue;
+    scripts.push({
+      id: `${HOST_SCRIPT_PREFIX}${profile.origin}`,
+      matches: [
+        `${profile.origin}/*/*/commit/*`,
+        `${profile.origin}/*/*/commits`,
+        `${profile.origin}/*/*/commits/*`,
+        `${profile.origin}/*/*/pull/*`,
+      ],
+      js: ["lib/purify.min.js", "lib/marked.min.js", "lib/js-yaml.min.js", "lib/highlight.min.js", "bytes.js", "content.js"],
+      css: ["content.css"],
+      runAt: "document_idle",
+    });
+  }
+  if (scripts.length > 0) {
+    await browser.scripting.registerContentScripts(scripts);
+  }
+}
+
+browser.runtime.onInstalled.addListener(() => {
+  registerHostContentScripts().catch(() => {});
+});
+browser.runtime.onStartup.addListener(() => {
+  registerHostContentScripts().catch(() => {});
+});
+browser.permissions.onAdded.addListener(() => {
+  registerHostContentScripts().catch(() => {});
+});
+browser.permissions.onRemoved.addListener(() => {
+  registerHostContentScripts().catch(() => {});
+});
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.hostProfiles) {
+    registerHostContentScripts().catch(() => {});
+  }
+});
+
+// --- OAuth device flow sign-in (github.com) ---
+// The options page starts the flow, shows the user code and then asks for a
+// poll every `interval` seconds; each poll is a single request so the flow
+// survives the service worker being stopped in between. The result is stored
+// in the credentials as
+//   oauthToken: { accessToken, scopes, expiresAt, refreshToken,
+//                 refreshTokenExpiresAt }
+// (times in ms; the expiry fields are null for tokens that don't expire) and
+// takes the place of the PAT. Expiring tokens are refreshed shortly before
+// they run out.
+// The flow runs against the extension's GitHub App (device flow enabled),
+// whose user tokens expire after 8 hours and come with a refresh token. A fork
+// or a self-built copy can use its own app by setting `oauthClientId` on the
+// options page. `scope` only matters to such an override being an OAuth app;
+// GitHub Apps ignore it and use their own permissions.
+const OAUTH_CLIENT_ID = "";
+const OAUTH_SCOPE = "repo";
+const OAUTH_REFRESH_MARGIN = 5 * 60 * 1000; // refresh 5 minutes early
+const OAUTH_REFRESH_ALARM = "oauth-refresh";
+
+async function getOAuthClientId() {
+  const { oauthClientId } = await browser.storage.local.get("oauthClientId");
+  const override = typeof oauthClientId === "string" ? oauthClientId.trim() : "";
+  return override || OAUTH_CLIENT_ID;
+}
+
+async function oauthRequest(path, params) {
+  const clientId = await getOAuthClientId();
+  if (!clientId) {
+    throw { status: 0, message: "Sign-in needs the client ID of a GitHub App with device flow enabled" };
+  }
+  const res = await fetch(`${GITHUB_HOST.origin}${path}`, {
+    method: "POST",
     headers: {
-      Accept: "application/vnd.github+json",
-      Authorization: `Bearer ${token}`,
-      "X-GitHub-Api-Version": "2022-11-28",
+      Accept: "application/json",
+      "Content-Type": "application/x-www-form-urlencoded",
     },
+    body: new URLSearchParams({ client_id: clientId, ...params }),
+  });
+  if (!res.ok) {
+    throw { status: res.status, message: `GitHub sign-in error: ${res.status}` };
+  }
+  return res.json();
+}
+
+// Returns { deviceCode, userCode, verificationUri, interval, expiresAt }
+async function startDeviceFlow() {
+  const data = await oauthRequest("/login/device/code", { scope: OAUTH_SCOPE });
+  if (data.error) {
+    throw { status: 400, message: data.error_description || data.error };
+  }
+  return {
+    deviceCode: data.device_code,
+    userCode: data.user_code,
+    verificationUri: data.verification_uri,
+    interval: data.interval,
+    expiresAt: Date.now() + data.expires_in * 1000,
+  };
+}
+
+// One poll of the token endpoint. Returns { status: "pending" | "done" |
+// "expired" | "denied", interval? }
+async function pollDeviceFlow(deviceCode) {
+  const data = await oauthRequest("/login/oauth/access_token", {
+    device_code: deviceCode,
+    grant_type: "urn:ietf:params:oauth:grant-type:device_code",
+  });
+  if (data.access_token) {
+    await storeOAuthToken(data);
+    return { status: "done" };
+  }
+  switch (data.error) {
+    case "authorization_pending":
+      return { status: "pending" };
+    case "slow_down":
+      return { status: "pending", interval: data.interval };
+    case "expired_token":
+      return { status: "expired" };
+    case "access_denied":
+      return { status: "denied" };
+    default:
+      throw { status: 400, message: data.error_description || data.error };
+  }
+}
+
+async function storeOAuthToken(data) {
+  const now = Date.now();
+  const oauthToken = {
+    accessToken: data.access_token,
+    scopes: data.scope ? data.scope.split(",").filter(Boolean) : [],
+    expiresAt: data.expires_in ? now + data.expires_in * 1000 : null,
+    refreshToken: data.refresh_token || null,
+    refreshTokenExpiresAt: data.refresh_token_expires_in
+      ? now + data.refresh_token_expires_in * 1000
+      : null,
+  };
+  await updateCredentials((credentials) => ({ ...credentials, oauthToken }));
+  scheduleOAuthRefresh(oauthToken);
+  return oauthToken;
+}
+
+function scheduleOAuthRefresh(oauthToken) {
+  if (!browser.alarms) return;
+  browser.alarms.clear(OAUTH_REFRESH_ALARM);
+  if (oauthToken && oauthToken.expiresAt && oauthToken.refreshToken) {
+    browser.alarms.create(OAUTH_REFRESH_ALARM, {
+      when: Math.max(Date.now(), oauthToken.expiresAt - OAUTH_REFRESH_MARGIN),
+    });
+  }
+}
+
+function oauthTokenDue(oauthToken) {
+  return !!oauthToken.expiresAt && Date.now() >= oauthToken.expiresAt - OAUTH_REFRESH_MARGIN;
+}
+
+// The signed-in access token, refreshed first if it's about to expire.
+// Returns null when not signed in or the session can't be renewed.
+async function getOAuthToken(credentials) {
+  const { oauthToken } = credentials;
+  if (!oauthToken) return null;
+  if (!oauthTokenDue(oauthToken)) return oauthToken.accessToken;
+  const refreshed = await refreshOAuthToken().catch(() => null);
+  if (refreshed) return refreshed.accessToken;
+  // Still usable for the last few minutes even if the refresh failed
+  return Date.now() < oauthToken.expiresAt ? oauthToken.accessToken : null;
+}
+
+// Refresh tokens are single-use, and parallel requests (one per note ref)
+// all find the token due at once, so they share one refresh
+let oauthRefresh = null;
+
+function refreshOAuthToken() {
+  if (!oauthRefresh) {
+    oauthRefresh = runOAuthRefresh().finally(() => {
+      oauthRefresh = null;
+    });
+  }
+  return oauthRefresh;
+}
+
+async function runOAuthRefresh() {
+  // Read the token again: a caller holding older credentials may be asking
+  // after another refresh already replaced it
+  const credentials = await getCredentials();
+  const oauthToken = credentials && credentials.oauthToken;
+  if (!oauthToken) return null;
+  if (!oauthTokenDue(oauthToken)) return oauthToken;
+  if (
+    !oauthToken.refreshToken ||
+    (oauthToken.refreshTokenExpiresAt && Date.now() >= oauthToken.refreshTokenExpiresAt)
+  ) {
+    return null;
+  }
+  const data = await oauthRequest("/login/oauth/access_token", {
+    grant_type: "refresh_token",
+    refresh_token: oauthToken.refreshToken,
+  });
+  if (!data.access_token) {
+    throw { status: 401, message: data.error_description || "Sign-in expired" };
+  }
+  return storeOAuthToken(data);
+}
+
+async function signOut() {
+  await updateCredentials((credentials) => ({ ...credentials, oauthToken: null }));
+  scheduleOAuthRefresh(null);
+}
+
+if (browser.alarms) {
+  browser.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name !== OAUTH_REFRESH_ALARM) return;
+    await refreshOAuthToken().catch(() => {});
   });
+}
+
+// GET requests are conditional by default: the ETag / Last-Modified of the
+// last response is sent back, and a 304 (which doesn't count against the rate
+// limit) is answered from the stored body. Callers that cache immutable
+// objects themselves pass `conditional: false`. With `withHeaders` the result
+// is { data, headers }.
+async function githubApi(
+  path,
+  host,
+  { method = "GET", body, conditional = method === "GET", withHeaders = false } = {}
+) {
+  const url = `${host.apiBase}${path}`;
+  const headers = {
+    Accept: "application/vnd.github+json",
+    "X-GitHub-Api-Version": "2022-11-28",
+  };
+  // Anonymous requests work for public repos (at a lower rate limit)
+  if (host.token) headers.Authorization = `Bearer ${host.token}`;
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+
+  const cacheKey = conditional ? await httpCacheKey(url, host.token) : null;
+  const validated = conditional ? await httpCacheGet(cacheKey) : undefined;
+  if (validated && validated.etag) {
+    headers["If-None-Match"] = validated.etag;
+  } else if (validated && validated.lastModified) {
+    headers["If-Modified-Since"] = validated.lastModified;
+  }
+
+  const res = await fetch(url, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+    // Validators are managed here; keep the HTTP cache from answering first
+    cache: "no-store",
+  });
+
+  if (res.status === 304 && validated) {
+    await httpCacheTouch(validated);
+    return validated.body;
+  }
 
   if (res.status === 401) {
     throw { status: 401, message: "Invalid or expired token" };
@@ -35,148 +788,1005 @@ async function githubApi(path, token) {
   if (res.status === 404) {
     throw { status: 404, message: "Not found" };
   }
+  if (res.status === 409 || res.status === 422) {
+    // Validation failures on writes, e.g. "Update is not a fast forward"
+    const data = await res.json().catch(() => ({}));
+    throw {
+      status: res.status,
+      message: data.message || `GitHub API error: ${res.status}`,
+    };
+  }
   if (!res.ok) {
     throw { status: res.status, message: `GitHub API error: ${res.status}` };
   }
 
-  return res.json();
+  const text = await res.text();
+  const data = JSON.parse(text);
+  if (conditional) {
+    const etag = res.headers.get("etag");
+    const lastModified = res.headers.get("last-modified");
+    if (etag || lastModified) {
+      await httpCachePut(cacheKey, { etag, lastModified, body: data, size: text.length });
+    }
+  }
+  return withHeaders ? { data, headers: res.headers } : data;
 }
 
-// Fetch the notes tree for a given repo and ref, with caching
-async function fetchNotesTree(owner, repo, noteRef, token) {
-  const cacheKey = `${owner}/${repo}:${noteRef}`;
-  const cached = treeCache.get(cacheKey);
-  if (isCacheValid(cached)) {
-    return cached.tree;
-  }
+// Fetch the notes tree for a given repo and ref, with caching. The ref tip is
+// always looked up; the cached tree is used while the tip hasn't moved.
+async function fetchNotesTree(owner, repo, noteRef, host) {
+  const cacheKey = `${repoKey(host, owner, repo)}:${noteRef}`;
 
   // 1. Get the notes ref
-  const encodedRef = noteRef.replace(/\//g, "%2F");
-  const refData = await githubApi(
-    `/repos/${owner}/${repo}/git/ref/${encodedRef}`,
-    token
-  );
-  const commitSha = refData.object.sha;
+  const commitSha = await fetchRefTip(owner, repo, noteRef, host);
+  const cached = await cacheGet(TREE_STORE, cacheKey);
+  if (cached && cached.tipSha === commitSha) {
+    return cached.tree;
+  }
 
   // 2. Get the commit to find the tree
   const commitData = await githubApi(
     `/repos/${owner}/${repo}/git/commits/${commitSha}`,
-    token
+    host
   );
   const treeSha = commitData.tree.sha;
 
-  // 3. Get the tree entries
+  // 3. Get the tree entries (cached below, keyed by the tip)
   const treeData = await githubApi(
     `/repos/${owner}/${repo}/git/trees/${treeSha}`,
-    token
+    host,
+    { conditional: false }
   );
 
-  // Build the lookup: commit SHA → { blobSha } or { subtreeSha, prefix }
-  const tree = new Map();
+  const tree = buildTreeLookup(treeData);
+  await cachePut(TREE_STORE, { key: cacheKey, tipSha: commitSha, tree });
+  return tree;
+}
+
+// Resolve a notes ref to the SHA of the notes commit at its tip
+async function fetchRefTip(owner, repo, noteRef, host) {
+  const encodedRef = noteRef.replace(/\//g, "%2F");
+  const refData = await githubApi(
+    `/repos/${owner}/${repo}/git/ref/${encodedRef}`,
+    host
+  );
+  return refData.object.sha;
+}
+
+// Build the listing of one tree: { paths, truncated }, where `paths` maps
+// each name to { type: "blob" | "tree", sha }. A blob name is the rest of a
+// commit SHA and a tree name the next 2 chars of it (fanout), at any depth.
+// `truncated` is set when GitHub didn't list every entry of a huge tree, so
+// a missing name may still exist.
+function buildTreeLookup(treeData) {
+  const paths = new Map();
   for (const entry of treeData.tree) {
-    if (entry.type === "blob") {
-      // Direct mapping: entry.path is the full commit SHA
-      tree.set(entry.path, { type: "blob", sha: entry.sha });
-    } else if (entry.type === "tree") {
-      // Fanout: entry.path is first 2 chars of commit SHA
-      tree.set(entry.path, { type: "tree", sha: entry.sha });
+    if (entry.type === "blob" || entry.type === "tree") {
+      paths.set(entry.path, { type: entry.type, sha: entry.sha });
     }
   }
+  return { paths, truncated: !!treeData.truncated };
+}
+
+// Fetch a fanout subtree. Tree objects are immutable, so the cache key is
+// the subtree SHA itself.
+async function fetchSubtree(owner, repo, subtreeSha, host) {
+  const cacheKey = `${repoKey(host, owner, repo)}#${subtreeSha}`;
+  const cached = await cacheGet(TREE_STORE, cacheKey);
+  if (cached) {
+    return cached.tree;
+  }
 
-  treeCache.set(cacheKey, { tree, ts: Date.now() });
+  const subtreeData = await githubApi(
+    `/repos/${owner}/${repo}/git/trees/${subtreeSha}`,
+    host,
+    { conditional: false }
+  );
+  const tree = buildTreeLookup(subtreeData);
+  await cachePut(TREE_STORE, { key: cacheKey, tree });
   return tree;
 }
 
-// Resolve a commit SHA to its note blob SHA, handling fanout
-async function resolveNoteBlob(owner, repo, noteRef, commitSha, token) {
-  const tree = await fetchNotesTree(owner, repo, noteRef, token);
+// One path in a notes ref, looked up through the Contents API when the tree
+// that should list it was truncated. Returns { type: "blob", sha },
+// { type: "tree", listing } with the directory's entries, or null.
+// The Contents API lists at most 1000 entries of a directory.
+async function fetchNotesPath(owner, repo, noteRef, path, host) {
+  let data;
+  try {
+    data = await githubApi(
+      `/repos/${owner}/${repo}/contents/${path}?ref=${encodeURIComponent(noteRef)}`,
+      host
+    );
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+  if (!Array.isArray(data)) {
+    return data.type === "file" ? { type: "blob", sha: data.sha } : null;
+  }
+  const entries = data
+    .filter((e) => e.type === "file" || e.type === "dir")
+    .map((e) => ({ path: e.name, type: e.type === "dir" ? "tree" : "blob", sha: e.sha }));
+  return {
+    type: "tree",
+    listing: buildTreeLookup({ tree: entries, truncated: data.length >= 1000 }),
+  };
+}
 
-  // Try direct lookup first (no fanout)
-  const direct = tree.get(commitSha);
-  if (direct && direct.type === "blob") {
-    return direct.sha;
+// Paths a commit's note can have, from no fanout up to `levels` levels:
+// abcd..., ab/cd..., ab/cd/ef...
+function fanoutPaths(commitSha, levels = 1) {
+  const paths = [];
+  for (let level = 0; level <= levels && level * 2 < commitSha.length; level++) {
+    const dirs = commitSha.slice(0, level * 2).match(/../g) || [];
+    paths.push([...dirs, commitSha.slice(level * 2)].join("/"));
   }
+  return paths;
+}
+
+// Find a commit's note in a notes tree, following as many levels of fanout
+// (ab/cd/ef...) as the tree uses. Where a listing was truncated, the paths
+// it should have had are asked for directly, unless `known` (a Map from
+// lookupNotesPaths) already has them.
+// Returns { path, sha, levels } (levels of fanout above the note), or null.
+async function resolveNotePath(owner, repo, noteRef, tree, commitSha, host, known = null) {
+  const lookup = (path) =>
+    known && known.has(path)
+      ? known.get(path)
+      : fetchNotesPath(owner, repo, noteRef, path, host);
+  let listing = tree;
+  let dir = "";
+  for (let offset = 0; offset < commitSha.length; offset += 2) {
+    const name = commitSha.slice(offset);
+    const prefix = commitSha.slice(offset, offset + 2);
+    let blob = listing.paths.get(name);
+    let subtree = listing.paths.get(prefix);
+
+    if (listing.truncated && !blob && !subtree) {
+      const found = await lookup(dir + name);
+      if (found && found.type === "blob") blob = found;
+      if (!blob && name.length > 2) {
+        const sub = await lookup(dir + prefix);
+        if (sub && sub.type === "tree") {
+          listing = sub.listing || (await fetchSubtree(owner, repo, sub.sha, host));
+          dir += `${prefix}/`;
+          continue;
+        }
+      }
+    }
 
-  // Try fanout: first 2 chars → subtree, remaining 38 chars → blob
-  const prefix = commitSha.slice(0, 2);
-  const suffix = commitSha.slice(2);
-  const subtreeEntry = tree.get(prefix);
-  if (!subtreeEntry || subtreeEntry.type !== "tree") {
-    return null; // No note for this commit
+    if (blob && blob.type === "blob") {
+      return { path: dir + name, sha: blob.sha, levels: offset / 2 };
+    }
+    if (!subtree || subtree.type !== "tree") return null;
+    listing = await fetchSubtree(owner, repo, subtree.sha, host);
+    dir += `${prefix}/`;
   }
+  return null;
+}
 
-  // Fetch the subtree
-  const subtreeData = await githubApi(
-    `/repos/${owner}/${repo}/git/trees/${subtreeEntry.sha}`,
-    token
-  );
-  for (const entry of subtreeData.tree) {
-    if (entry.path === suffix && entry.type === "blob") {
-      return entry.sha;
+// Resolve a commit SHA to its note blob SHA
+async function resolveNoteBlob(owner, repo, noteRef, commitSha, host) {
+  const tree = await fetchNotesTree(owner, repo, noteRef, host);
+  const found = await resolveNotePath(owner, repo, noteRef, tree, commitSha, host);
+  return found ? found.sha : null;
+}
+
+// Look up a whole page of commit SHAs against one notes tree. Subtrees are
+// cached, so each is fetched once however many of the SHAs fall into it.
+// When GitHub truncated the root listing, the paths it left out are looked
+// up together in one GraphQL query where there is a token.
+// Returns the set of SHAs that have a note under this ref.
+async function findNotedCommits(owner, repo, noteRef, commitShas, host) {
+  const tree = await fetchNotesTree(owner, repo, noteRef, host);
+  let known = null;
+  if (tree.truncated && host.token) {
+    const missing = commitShas
+      .filter((sha) => !tree.paths.has(sha) && !tree.paths.has(sha.slice(0, 2)))
+      .flatMap((sha) => [sha, sha.slice(0, 2)]);
+    known = await lookupNotesPaths(owner, repo, noteRef, [...new Set(missing)], host);
+  }
+  const found = new Set();
+  for (const sha of commitShas) {
+    if (await resolveNotePath(owner, repo, noteRef, tree, sha, host, known)) {
+      found.add(sha);
     }
   }
+  return found;
+}
 
-  return null;
+// Paths per GraphQL query in lookupNotesPaths
+const PATH_LOOKUP_BATCH = 100;
+
+// Look `paths` up in a notes ref with GraphQL, an aliased
+// object(expression: "<ref>:<path>") each. Returns a Map from each path to
+// { type: "blob" | "tree", sha } or null, or null if a query failed.
+async function lookupNotesPaths(owner, repo, noteRef, paths, host) {
+  const known = new Map();
+  for (let start = 0; start < paths.length; start += PATH_LOOKUP_BATCH) {
+    const batch = paths.slice(start, start + PATH_LOOKUP_BATCH);
+    const fields = batch.map(
+      (path, i) =>
+        `p${i}: object(expression: ${JSON.stringify(`${noteRef}:${path}`)}) { __typename oid }`
+    );
+    const repository = await queryRepository(owner, repo, repositoryQuery(fields), host);
+    if (!repository) return null;
+    batch.forEach((path, i) => {
+      const object = repository[`p${i}`];
+      const type = object && { Blob: "blob", Tree: "tree" }[object.__typename];
+      known.set(path, type ? { type, sha: object.oid } : null);
+    });
+  }
+  return known;
+}
+
+
+// Cached blobs are kept to BLOB_STORE_MAX_BYTES. Trimming walks the whole
+// "lru" index, so it runs on the first write after the worker starts and then
+// once per BLOB_EVICT_STEP bytes written, rather than after every blob an
+// index build downloads.
+const BLOB_STORE_MAX_BYTES = 64 * 1024 * 1024;
+const BLOB_EVICT_STEP = 4 * 1024 * 1024;
+let blobBytesSinceEviction = Infinity;
+
+async function blobCachePut(key, content) {
+  await cachePut(BLOB_STORE, { key, content, size: content.length, usedAt: Date.now() });
+  blobBytesSinceEviction += content.length;
+  if (blobBytesSinceEviction >= BLOB_EVICT_STEP) {
+    blobBytesSinceEviction = 0;
+    await evictStore(BLOB_STORE, BLOB_STORE_MAX_BYTES);
+  }
 }
 
-// Fetch and decode a blob's content
-async function fetchBlobContent(owner, repo, blobSha, token) {
+// Fetch a blob's content as a byte string. Blobs are content-addressed, so
+// a cached copy is always current.
+async function fetchBlobContent(owner, repo, blobSha, host) {
+  const cacheKey = `${repoKey(host, owner, repo)}#${blobSha}`;
+  const cached = await cacheGet(BLOB_STORE, cacheKey);
+  if (cached) {
+    if (Date.now() - cached.usedAt > CACHE_TOUCH_INTERVAL) {
+      await cachePut(BLOB_STORE, { ...cached, usedAt: Date.now() });
+    }
+    return cached.content;
+  }
+
   const blobData = await githubApi(
     `/repos/${owner}/${repo}/git/blobs/${blobSha}`,
-    token
+    host,
+    { conditional: false }
   );
-  if (blobData.encoding === "base64") {
-    return atob(blobData.content.replace(/\n/g, ""));
+  const content = decodeApiContent(blobData);
+  await blobCachePut(cacheKey, content);
+  return content;
+}
+
+// Blob and Contents API responses carry the same { content, encoding } pair.
+// Returns the bytes as a byte string (see decodeNoteBytes).
+function decodeApiContent(data) {
+  if (data.encoding === "base64") {
+    return atob(data.content.replace(/\n/g, ""));
   }
-  return blobData.content;
+  return binaryStringFromBytes(new TextEncoder().encode(data.content));
 }
 
 // Main handler: fetch git note for a specific commit
-async function fetchGitNote(owner, repo, commitSha, noteRef, token) {
+async function fetchGitNote(owner, repo, commitSha, noteRef, host) {
   const blobSha = await resolveNoteBlob(
     owner,
     repo,
     noteRef,
     commitSha,
-    token
+    host
   );
   if (!blobSha) {
     return null;
   }
-  const content = await fetchBlobContent(owner, repo, blobSha, token);
+  const content = await fetchBlobContent(owner, repo, blobSha, host);
   return content;
 }
 
-// Get configured note refs, or default
-async function getNoteRefs() {
-  const { noteRefs } = await browser.storage.local.get("noteRefs");
-  if (noteRefs && noteRefs.length > 0) {
-    return noteRefs;
+// --- Authenticated lookups for content scripts ---
+// Content scripts never see a token. They make anonymous and same-origin
+// requests themselves and ask the worker for anything that needs a token.
+
+// GraphQL lives at /graphql on api.github.com but at /api/graphql next to
+// /api/v3 on GitHub Enterprise Server
+function graphqlEndpoint(apiBase) {
+  return /\/v3$/.test(apiBase)
+    ? apiBase.replace(/\/v3$/, "/graphql")
+    : `${apiBase}/graphql`;
+}
+
+// One query covers every ref: each ref gets an aliased
+// object(expression: "<ref>:<path>") for the direct and the fanout path, and
+// one for the ab/cd directory, which only exists if the ref uses deeper fanout.
+function buildNotesQuery(noteRefs, commitSha) {
+  const paths = fanoutPaths(commitSha, 1);
+  const deeperFanout = `${commitSha.slice(0, 2)}/${commitSha.slice(2, 4)}`;
+  const fields = noteRefs.flatMap((ref, i) => [
+    ...paths.map(
+      (path, j) =>
+        `n${i}_${j}: object(expression: ${JSON.stringify(`${ref}:${path}`)}) { ... on Blob { byteSize text isTruncated } }`
+    ),
+    `n${i}_${paths.length}: object(expression: ${JSON.stringify(`${ref}:${deeperFanout}`)}) { ... on Tree { oid } }`,
+  ]);
+  return repositoryQuery(fields);
+}
+
+// A query for `fields` of the repository named by $owner and $repo
+function repositoryQuery(fields) {
+  return `query($owner: String!, $repo: String!) {
+  repository(owner: $owner, name: $repo) {
+    ${fields.join("\n    ")}
+  }
+}`;
+}
+
+// POST a repositoryQuery for owner/repo. Returns the repository object, or
+// null if the query failed.
+async function queryRepository(owner, repo, query, host) {
+  let data;
+  try {
+    const res = await fetch(graphqlEndpoint(host.apiBase), {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${host.token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ query, variables: { owner, repo } }),
+    });
+    if (!res.ok) return null;
+    data = await res.json();
+  } catch {
+    return null;
+  }
+  return (data && data.data && data.data.repository) || null;
+}
+
+// Returns { [ref]: content | { size } | null } for the refs that have a
+// note, content as a UTF-8 byte string, where { size } marks a note over
+// LARGE_NOTE_SIZE that is only fetched when asked for, and null means "look
+// it up the slow way" (content too large for GraphQL or not UTF-8, or a ref
+// with more than one level of fanout), or null if the query failed
+async function fetchNotesViaGraphQL(owner, repo, noteRefs, commitSha, host) {
+  const repository = await queryRepository(
+    owner,
+    repo,
+    buildNotesQuery(noteRefs, commitSha),
+    host
+  );
+  if (!repository) return null;
+
+  const notes = {};
+  noteRefs.forEach((ref, i) => {
+    for (const blob of [repository[`n${i}_0`], repository[`n${i}_1`]]) {
+      if (!blob) continue;
+      // GitHub gives binary blobs no text; those show cheaply at any size
+      if (blob.byteSize > LARGE_NOTE_SIZE && blob.text !== null) {
+        notes[ref] = { size: blob.byteSize };
+        break;
+      }
+      // GraphQL replaces bytes that aren't UTF-8 with U+FFFD; the raw bytes
+      // are needed to decode those
+      notes[ref] =
+        blob.isTruncated || blob.text === null || blob.text.includes("\uFFFD")
+          ? null
+          : binaryStringFromBytes(new TextEncoder().encode(blob.text));
+      break;
+    }
+    if (!(ref in notes) && repository[`n${i}_2`]) {
+      notes[ref] = null;
+    }
+  });
+  return notes;
+}
+
+// GET `url` with the token as a byte string (see decodeNoteBytes), or null
+// if it isn't there. Conditional, like githubApi, with validators stored
+// per token, Accept header and URL.
+async function fetchAuthorizedBytes(url, host, accept) {
+  const key = await httpCacheKey(url, host.token, accept);
+  const validated = await httpCacheGet(key);
+  const headers = { Authorization: `Bearer ${host.token}` };
+  if (accept) headers.Accept = accept;
+  if (validated && validated.etag) {
+    headers["If-None-Match"] = validated.etag;
+  } else if (validated && validated.lastModified) {
+    headers["If-Modified-Since"] = validated.lastModified;
+  }
+
+  const res = await fetch(url, { headers, cache: "no-store" });
+  if (res.status === 304 && validated) {
+    await httpCacheTouch(validated);
+    return validated.body;
+  }
+  if (!res.ok) return null;
+
+  const body = binaryStringFromBytes(new Uint8Array(await res.arrayBuffer()));
+  const etag = res.headers.get("etag");
+  const lastModified = res.headers.get("last-modified");
+  if (etag || lastModified) {
+    await httpCachePut(key, { etag, lastModified, body, size: body.length });
   }
-  return ["refs/notes/commits"];
+  return body;
+}
+
+// The content script's token strategies for one note: raw content with the
+// token, then the Contents API (needed for fine-grained PATs, since the raw
+// host may not resolve notes/* refs)
+async function fetchNoteContentWithToken(owner, repo, noteRef, commitSha, host) {
+  const filePaths = [commitSha, `${commitSha.slice(0, 2)}/${commitSha.slice(2)}`];
+  const branchName = noteRef.replace(/^refs\//, "");
+
+  for (const filePath of filePaths) {
+    const url = `${host.rawBase}/${owner}/${repo}/${branchName}/${filePath}`;
+    const content = await fetchAuthorizedBytes(url, host).catch(() => null);
+    if (content !== null) return content;
+  }
+  for (const filePath of filePaths) {
+    const url = `${host.apiBase}/repos/${owner}/${repo}/contents/${filePath}?ref=${encodeURIComponent(noteRef)}`;
+    const content = await fetchAuthorizedBytes(
+      url,
+      host,
+      "application/vnd.github.raw+json"
+    ).catch(() => null);
+    if (content !== null) return content;
+  }
+  return null;
+}
+
+// --- Note history ---
+// Each notes commit that touched a note's path is one revision of it. Every
+// path from no fanout down to the note's current depth is followed, since
+// `git notes` moves notes into deeper fanout directories as the tree grows.
+const MAX_HISTORY = 50;
+
+// Returns { revisions: [{ commitSha, author: { name, email, login }, date,
+// message }], levels }, newest first. Contents are left to
+// fetchNoteRevision, with the same `levels`, as a revision is looked at.
+async function fetchNoteHistory(owner, repo, noteRef, commitSha, host) {
+  const tree = await fetchNotesTree(owner, repo, noteRef, host);
+  const current = await resolveNotePath(owner, repo, noteRef, tree, commitSha, host);
+  const levels = current ? Math.max(current.levels, 1) : 1;
+  const paths = fanoutPaths(commitSha, levels);
+  const revisions = new Map();
+
+  for (const path of paths) {
+    const commits = await githubApi(
+      `/repos/${owner}/${repo}/commits?sha=${encodeURIComponent(noteRef)}&path=${path}&per_page=${MAX_HISTORY}`,
+      host
+    );
+    for (const c of commits) {
+      if (revisions.has(c.sha)) continue;
+      revisions.set(c.sha, {
+        commitSha: c.sha,
+        author: {
+          name: c.commit.author.name,
+          email: c.commit.author.email,
+          login: c.author ? c.author.login : null,
+        },
+        date: c.commit.author.date,
+        message: c.commit.message,
+      });
+    }
+  }
+
+  const history = [...revisions.values()]
+    .sort((a, b) => Date.parse(b.date) - Date.parse(a.date))
+    .slice(0, MAX_HISTORY);
+  return { revisions: history, levels };
+}
+
+// The note's text as of one notes commit, or null where it was removed
+async function fetchNoteRevision(owner, repo, commitSha, levels, notesCommitSha, host) {
+  const paths = fanoutPaths(commitSha, levels);
+  const data = await fetchNoteAtRevision(owner, repo, notesCommitSha, paths, host);
+  return data === null ? null : decodeNoteBytes(data, await getFallbackEncoding()).content;
+}
+
+// Note bytes as of one notes commit, or null if it wasn't there
+async function fetchNoteAtRevision(owner, repo, notesCommitSha, paths, host) {
+  for (const path of paths) {
+    try {
+      const data = await githubApi(
+        `/repos/${owner}/${repo}/contents/${path}?ref=${notesCommitSha}`,
+        host
+      );
+      if (!Array.isArray(data)) return decodeApiContent(data);
+    } catch (err) {
+      if (err.status !== 404) throw err;
+    }
+  }
+  return null;
+}
+
+// --- Writing notes ---
+// Mirrors `git notes add` / `git notes remove`: write the blob, rewrite the
+// notes tree, commit on top of the current tip and fast-forward the ref.
+// Returns { commitSha } of the new notes commit.
+async function writeGitNote(owner, repo, noteRef, commitSha, content, host) {
+  const remove = content === null || content.trim() === "";
+
+  // 1. Current tip of the notes ref (it may not exist yet)
+  let parentSha = null;
+  let tree = buildTreeLookup({ tree: [] });
+  let baseTreeSha = null;
+  try {
+    parentSha = await fetchRefTip(owner, repo, noteRef, host);
+  } catch (err) {
+    if (err.status !== 404) throw err;
+  }
+  if (parentSha) {
+    const parentCommit = await githubApi(
+      `/repos/${owner}/${repo}/git/commits/${parentSha}`,
+      host
+    );
+    baseTreeSha = parentCommit.tree.sha;
+    const treeData = await githubApi(
+      `/repos/${owner}/${repo}/git/trees/${baseTreeSha}`,
+      host
+    );
+    tree = buildTreeLookup(treeData);
+  }
+
+  // 2. Where the note lives (or should live) in the notes tree
+  const path = await findNotePath(owner, repo, noteRef, tree, commitSha, host);
+  if (remove && !path.exists) {
+    throw { status: 404, message: `No note for this commit in ${noteRef}` };
+  }
+
+  // 3. New blob and tree. Nested paths let the API rewrite fanout subtrees.
+  let blobSha = null;
+  if (!remove) {
+    const blob = await githubApi(`/repos/${owner}/${repo}/git/blobs`, host, {
+      method: "POST",
+      body: {
+        content: content.endsWith("\n") ? content : `${content}\n`,
+        encoding: "utf-8",
+      },
+    });
+    blobSha = blob.sha;
+  }
+  const newTree = await githubApi(`/repos/${owner}/${repo}/git/trees`, host, {
+    method: "POST",
+    body: {
+      ...(baseTreeSha ? { base_tree: baseTreeSha } : {}),
+      tree: [{ path: path.path, mode: "100644", type: "blob", sha: blobSha }],
+    },
+  });
+
+  // 4. Notes commit on top of the tip we read in step 1
+  const verb = remove ? "removed by 'git notes remove'" : "added by 'git notes add'";
+  const newCommit = await githubApi(`/repos/${owner}/${repo}/git/commits`, host, {
+    method: "POST",
+    body: {
+      message: `Notes ${verb}`,
+      tree: newTree.sha,
+      parents: parentSha ? [parentSha] : [],
+    },
+  });
+
+  // 5. Fast-forward only: if the ref moved since step 1, GitHub rejects the
+  // update (or the create) with 422 and we report a conflict.
+  try {
+    if (parentSha) {
+      await githubApi(
+        `/repos/${owner}/${repo}/git/refs/${noteRef.replace(/^refs\//, "")}`,
+        host,
+        { method: "PATCH", body: { sha: newCommit.sha, force: false } }
+      );
+    } else {
+      await githubApi(`/repos/${owner}/${repo}/git/refs`, host, {
+        method: "POST",
+        body: { ref: noteRef, sha: newCommit.sha },
+      });
+    }
+  } catch (err) {
+    if (err.status === 422) {
+      throw {
+        status: 409,
+        conflict: true,
+        message: `${noteRef} was updated by someone else. Reload the page to see the latest notes, then try again.`,
+      };
+    }
+    throw err;
+  }
+
+  await cacheDelete(TREE_STORE, `${repoKey(host, owner, repo)}:${noteRef}`);
+  return { commitSha: newCommit.sha };
+}
+
+// Path of a commit's note in a notes tree. An existing note keeps its
+// location; a new one goes as deep as the fanout directories for its SHA
+// already go, one level further down if that level fans out too.
+// Returns { path, exists }
+async function findNotePath(owner, repo, noteRef, tree, commitSha, host) {
+  const found = await resolveNotePath(owner, repo, noteRef, tree, commitSha, host);
+  if (found) return { path: found.path, exists: true };
+
+  let listing = tree;
+  let offset = 0;
+  while (offset + 2 < commitSha.length) {
+    const subtree = listing.paths.get(commitSha.slice(offset, offset + 2));
+    if (!subtree || subtree.type !== "tree") break;
+    listing = await fetchSubtree(owner, repo, subtree.sha, host);
+    offset += 2;
+  }
+  const usesFanout = [...listing.paths.values()].some((e) => e.type === "tree");
+  const levels = offset / 2 + (usesFanout ? 1 : 0);
+  return { path: fanoutPaths(commitSha, levels)[levels], exists: false };
+}
+
+// Notes are keyed by the full 40-char SHA; commit URLs may be abbreviated
+async function resolveCommitSha(owner, repo, commitSha, host) {
+  if (commitSha.length === 40) return commitSha.toLowerCase();
+  const commit = await githubApi(
+    `/repos/${owner}/${repo}/commits/${commitSha}`,
+    host
+  );
+  return commit.sha;
+}
+
+// --- Notes index (repo-wide browser and search) ---
+// One record per repo and ref, stored in IndexedDB:
+// { key: "owner/repo:ref", tipSha, builtAt, truncated, notes: [{ commitSha,
+//   blobSha, content, subject, date }] }
+// `truncated` marks an index that may miss notes because GitHub didn't list
+// a huge notes tree in full.
+// Blobs are content-addressed, so a rebuild after the ref moves only
+// downloads blobs it hasn't seen; commit subjects and dates are filled in
+// lazily, a page of results at a time.
+const INDEX_FETCH_CONCURRENCY = 6;
+
+function loadNotesIndex(key) {
+  return idbRequest(INDEX_STORE, "readonly", (store) => store.get(key));
+}
+
+function saveNotesIndex(index) {
+  return idbRequest(INDEX_STORE, "readwrite", (store) => store.put(index));
+}
+
+// Every { commitSha, blobSha } in a notes ref, walking fanout subtrees to
+// any depth. Returns { notes, truncated }: `truncated` is set when GitHub
+// didn't list some tree in full, so notes may be missing.
+async function listAllNotes(owner, repo, noteRef, host) {
+  const notes = [];
+  let truncated = false;
+
+  async function walk(listing, prefix) {
+    if (listing.truncated) truncated = true;
+    for (const [name, entry] of listing.paths) {
+      const path = prefix + name;
+      if (entry.type === "blob" && /^[0-9a-f]+$/.test(name) && path.length === 40) {
+        notes.push({ commitSha: path, blobSha: entry.sha });
+      } else if (entry.type === "tree" && /^[0-9a-f]{2}$/.test(name) && path.length < 40) {
+        await walk(await fetchSubtree(owner, repo, entry.sha, host), path);
+      }
+    }
+  }
+
+  await walk(await fetchNotesTree(owner, repo, noteRef, host), "");
+  return { notes, truncated };
+}
+
+async function buildNotesIndex(owner, repo, noteRef, host, { force = false } = {}) {
+  const key = `${repoKey(host, owner, repo)}:${noteRef}`;
+  const previous = await loadNotesIndex(key);
+  const tipSha = await fetchRefTip(owner, repo, noteRef, host);
+  if (previous && previous.tipSha === tipSha && !force) {
+    return previous;
+  }
+
+  // Reuse downloaded content and commit metadata from the previous build
+  const known = new Map();
+  const commitInfo = new Map();
+  for (const note of previous ? previous.notes : []) {
+    known.set(note.blobSha, note.content);
+    if (note.subject !== null) commitInfo.set(note.commitSha, note);
+  }
+
+  const { notes: entries, truncated } = await listAllNotes(owner, repo, noteRef, host);
+  const fallbackEncoding = await getFallbackEncoding();
+  let done = 0;
+  const notes = await mapWithConcurrency(
+    entries,
+    INDEX_FETCH_CONCURRENCY,
+    async ({ commitSha, blobSha }) => {
+      const content = known.has(blobSha)
+        ? known.get(blobSha)
+        : decodeNoteBytes(
+            await fetchBlobContent(owner, repo, blobSha, host),
+            fallbackEncoding
+          ).content;
+      const info = commitInfo.get(commitSha);
+      done++;
+      if (done % 25 === 0 || done === entries.length) {
+        reportIndexProgress(key, done, entries.length);
+      }
+      return {
+        commitSha,
+        blobSha,
+        content,
+        subject: info ? info.subject : null,
+        date: info ? info.date : null,
+      };
+    }
+  );
+
+  const index = { key, tipSha, builtAt: Date.now(), notes, truncated };
+  await saveNotesIndex(index);
+  return index;
+}
+
+function reportIndexProgress(key, done, total) {
+  // The notes page listens for these; nobody may be listening
+  browser.runtime
+    .sendMessage({ type: "INDEX_PROGRESS", key, done, total })
+    .catch(() => {});
+}
+
+// Case-insensitive search; every whitespace-separated term has to match the
+// note content, commit SHA or subject
+function searchNotesIndex(index, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return index.notes;
+  return index.notes.filter((note) => {
+    const haystack = `${note.commitSha}\n${note.subject || ""}\n${note.content}`.toLowerCase();
+    return terms.every((term) => haystack.includes(term));
+  });
+}
+
+// Short excerpt around the first matching term
+function noteSnippet(content, query, length = 200) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const lower = content.toLowerCase();
+  const positions = terms.map((t) => lower.indexOf(t)).filter((i) => i >= 0);
+  const start = positions.length > 0 ? Math.max(0, Math.min(...positions) - 60) : 0;
+  const snippet = content.slice(start, start + length).replace(/\s+/g, " ").trim();
+  return `${start > 0 ? "\u2026" : ""}${snippet}${start + length < content.length ? "\u2026" : ""}`;
+}
+
+async function fillCommitInfo(owner, repo, notes, host) {
+  const missing = notes.filter((note) => note.subject === null);
+  await mapWithConcurrency(missing, INDEX_FETCH_CONCURRENCY, async (note) => {
+    try {
+      const commit = await githubApi(
+        `/repos/${owner}/${repo}/commits/${note.commitSha}`,
+        host
+      );
+      note.subject = commit.commit.message.split("\n")[0];
+      note.date = commit.commit.committer.date;
+    } catch (err) {
+      // Notes can point at commits that were never pushed or are gone
+      if (err.status !== 404 && err.status !== 422) throw err;
+      note.subject = "";
+    }
+  });
+  return missing.length > 0;
+}
+
+// Note refs of a repo (same API as the content script's discoverNoteRefs)
+async function discoverNoteRefs(owner, repo, host) {
+  const refs = await githubApi(
+    `/repos/${owner}/${repo}/git/matching-refs/notes`,
+    host
+  );
+  return refs.map((r) => r.ref).filter((r) => r.startsWith("refs/notes/"));
+}
+
+// --- Note ref rules ---
+// Which refs are shown for a repo, and in what order, edited on the options
+// page and stored as
+//   noteRefRules: { global: { include: [pattern], exclude: [pattern] },
+//                   repos: { "owner/repo": { include, exclude } },
+//                   order: [pattern] }
+// Patterns are refs, optionally with `*` wildcards that also match "/"
+// (refs/notes/ci/*). A repo with its own entry uses it instead of the global
+// rules.
+//   include: refs without a wildcard are always checked, discovered or not.
+//            Wildcard entries limit the default and discovered refs to those
+//            matching one of them.
+//   exclude: matching refs are dropped, whatever include says.
+//   order:   refs are shown in the order of the first pattern they match;
+//            the rest follow as defaults, then discovered, then included refs.
+
+// Common note ref names to always try
+const DEFAULT_NOTE_REFS = [
+  "refs/notes/commits",
+  "refs/notes/claude-prompt-trail",
+];
+const EMPTY_REF_RULES = { include: [], exclude: [] };
+
+function refPatternMatches(pattern, ref) {
+  if (!pattern.includes("*")) return pattern === ref;
+  const escaped = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}$`).test(ref);
+}
+
+// Encoding for notes that aren't valid UTF-8 (see decodeNoteBytes)
+async function getFallbackEncoding() {
+  const { fallbackEncoding } = await browser.storage.local.get("fallbackEncoding");
+  return typeof fallbackEncoding === "string" ? fallbackEncoding : DEFAULT_FALLBACK_ENCODING;
+}
+
+async function getNoteRefRules() {
+  const { noteRefRules, noteRefs } = await browser.storage.local.get([
+    "noteRefRules",
+    "noteRefs",
+  ]);
+  if (noteRefRules) return noteRefRules;
+  // Before the rules existed, `noteRefs` was a plain list of extra refs
+  return {
+    global: { include: noteRefs || [], exclude: [] },
+    repos: {},
+    order: [],
+  };
+}
+
+function resolveNoteRefs(rules, repoKey, discovered) {
+  const scope = (rules.repos && rules.repos[repoKey]) || rules.global || EMPTY_REF_RULES;
+  const include = scope.include || [];
+  const exclude = scope.exclude || [];
+  const filters = include.filter((pattern) => pattern.includes("*"));
+  const extra = include.filter((pattern) => !pattern.includes("*"));
+
+  const candidates = [...new Set([...DEFAULT_NOTE_REFS, ...discovered])].filter(
+    (ref) => filters.length === 0 || filters.some((pattern) => refPatternMatches(pattern, ref))
+  );
+  const refs = [...new Set([...candidates, ...extra])].filter(
+    (ref) => !exclude.some((pattern) => refPatternMatches(pattern, ref))
+  );
+
+  const order = rules.order || [];
+  const rank = (ref) => {
+    const index = order.findIndex((pattern) => refPatternMatches(pattern, ref));
+    return index === -1 ? order.length : index;
+  };
+  // Array.prototype.sort is stable, so unranked refs keep their order
+  return refs.sort((a, b) => rank(a) - rank(b));
+}
+
+// Note refs to show for owner/repo, given the refs discovered in it
+async function getNoteRefs(owner, repo, discovered = []) {
+  return resolveNoteRefs(await getNoteRefRules(), `${owner}/${repo}`, discovered);
+}
+
+// Content scripts act for the page they run in, so an origin they name has
+// to be that page's. Extension pages (options, notes browser) may name any.
+function senderMayUseOrigin(message, sender) {
+  if (message.origin === undefined) return true;
+  if (sender.url && sender.url.startsWith(browser.runtime.getURL(""))) return true;
+  try {
+    return new URL(sender.url).origin === message.origin;
+  } catch {
+    return false;
+  }
+}
+
+// Answer with what `promise` resolves to, or an error response if it
+// rejects, so the sender is never left waiting
+function reply(promise, sendResponse) {
+  promise.then(sendResponse, (err) => sendResponse(toErrorResponse(err)));
+  return true; // async response
 }
 
 // Message handler
-browser.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!senderMayUseOrigin(message, sender)) {
+    sendResponse({ error: "forbidden", message: "Not allowed from this page" });
+    return false;
+  }
+
   if (message.type === "FETCH_GIT_NOTE") {
-    handleFetchGitNote(message).then(sendResponse);
-    return true; // async response
+    return reply(handleFetchGitNote(message), sendResponse);
+  }
+
+  if (message.type === "LOOKUP_NOTES") {
+    return reply(handleLookupNotes(message), sendResponse);
+  }
+
+  if (message.type === "WRITE_GIT_NOTE" || message.type === "DELETE_GIT_NOTE") {
+    return reply(
+      handleWriteGitNote({
+        ...message,
+        content: message.type === "DELETE_GIT_NOTE" ? null : message.content,
+      }),
+      sendResponse
+    );
+  }
+
+  if (message.type === "FETCH_NOTE_HISTORY") {
+    return reply(handleFetchNoteHistory(message), sendResponse);
+  }
+
+  if (message.type === "FETCH_NOTE_REVISION") {
+    return reply(handleFetchNoteRevision(message), sendResponse);
+  }
+
+  if (message.type === "LIST_NOTE_REFS") {
+    return reply(handleListNoteRefs(message), sendResponse);
+  }
+
+  if (message.type === "BUILD_NOTES_INDEX") {
+    return reply(handleBuildNotesIndex(message), sendResponse);
+  }
+
+  if (message.type === "QUERY_NOTES_INDEX") {
+    return reply(handleQueryNotesIndex(message), sendResponse);
   }
 
   if (message.type === "CHECK_AUTH") {
-    handleCheckAuth().then(sendResponse);
-    return true;
+    return reply(handleCheckAuth(message), sendResponse);
+  }
+
+  if (message.type === "GET_HOST_PROFILE") {
+    return reply(handleGetHostProfile(message), sendResponse);
+  }
+
+  if (message.type === "GET_REPO_PERMISSIONS") {
+    return reply(handleGetRepoPermissions(message), sendResponse);
+  }
+
+  if (message.type === "FETCH_NOTE_CONTENT") {
+    return reply(handleFetchNoteContent(message), sendResponse);
+  }
+
+  if (message.type === "FETCH_NOTES_BATCH") {
+    return reply(handleFetchNotesBatch(message), sendResponse);
+  }
+
+  if (message.type === "DISCOVER_NOTE_REFS") {
+    return reply(handleDiscoverNoteRefs(message), sendResponse);
+  }
+
+  if (message.type === "CREDENTIAL_STATUS") {
+    return reply(handleCredentialStatus(), sendResponse);
+  }
+
+  if (message.type === "SET_TOKEN") {
+    return reply(
+      setToken(message.kind, message.id, message.token).then(() => ({ ok: true })),
+      sendResponse
+    );
+  }
+
+  if (message.type === "SET_CREDENTIAL_MODE") {
+    return reply(
+      setCredentialMode(message.mode, message.passphrase).then(() => ({ ok: true })),
+      sendResponse
+    );
+  }
+
+  if (message.type === "UNLOCK_CREDENTIALS") {
+    return reply(unlockCredentials(message.passphrase).then(() => ({ ok: true })), sendResponse);
+  }
+
+  if (message.type === "LOCK_CREDENTIALS") {
+    return reply(lockCredentials().then(() => ({ ok: true })), sendResponse);
+  }
+
+  if (message.type === "DEVICE_FLOW_START") {
+    return reply(startDeviceFlow(), sendResponse);
+  }
+
+  if (message.type === "DEVICE_FLOW_POLL") {
+    return reply(pollDeviceFlow(message.deviceCode), sendResponse);
+  }
+
+  if (message.type === "SIGN_OUT") {
+    return reply(signOut().then(() => ({ ok: true })), sendResponse);
   }
 
   if (message.type === "CLEAR_CACHE") {
-    treeCache.clear();
-    sendResponse({ ok: true });
-    return false;
+    return reply(clearCache().then(() => ({ ok: true })), sendResponse);
   }
 
   if (message.type === "GET_NOTE_REFS") {
-    getNoteRefs().then(sendResponse);
-    return true;
+    return reply(getNoteRefs(message.owner, message.repo, message.discovered), sendResponse);
   }
 
   if (message.type === "OPEN_OPTIONS") {
@@ -185,53 +1795,349 @@ browser.runtime.onMessage.addListener((message, _sender, sendResponse) => {
   }
 });
 
-async function handleFetchGitNote({ owner, repo, commitSha }) {
-  const { githubToken } = await browser.storage.local.get("githubToken");
-  if (!githubToken) {
+// Endpoints for a content script, and whether a token would be used for
+// `owner` (never the token itself)
+async function handleGetHostProfile({ origin, owner }) {
+  const { token, ...host } = await resolveHost(origin, owner);
+  return { ...host, hasToken: !!token };
+}
+
+// Returns { push }: whether the token for `owner` can write to the repo,
+// so notes are only offered for editing where a write could succeed
+async function handleGetRepoPermissions({ origin, owner, repo }) {
+  const host = await resolveHost(origin, owner);
+  if (!host.token) return { push: false };
+  try {
+    const data = await githubApi(`/repos/${owner}/${repo}`, host);
+    return { push: !!(data.permissions && data.permissions.push) };
+  } catch (err) {
+    if (err.status === 404) return { push: false };
+    return toErrorResponse(err);
+  }
+}
+
+async function handleFetchNoteContent({ origin, owner, repo, noteRef, commitSha }) {
+  const host = await resolveHost(origin, owner);
+  if (!host.token) return { content: null };
+  const content = await fetchNoteContentWithToken(owner, repo, noteRef, commitSha, host);
+  return { content };
+}
+
+// Returns { notes: { [ref]: content | { size } | null } } (see fetchNotesViaGraphQL)
+async function handleFetchNotesBatch({ origin, owner, repo, noteRefs, commitSha }) {
+  const host = await resolveHost(origin, owner);
+  if (!host.token) {
     return { error: "no_token", message: "No GitHub token configured" };
   }
+  const notes = await fetchNotesViaGraphQL(owner, repo, noteRefs, commitSha, host);
+  if (!notes) return { error: "api_error", message: "GraphQL lookup failed" };
+  return { notes };
+}
 
-  const noteRefs = await getNoteRefs();
+async function handleDiscoverNoteRefs({ origin, owner, repo }) {
+  const host = await resolveHost(origin, owner);
+  try {
+    return { refs: await discoverNoteRefs(owner, repo, host) };
+  } catch (err) {
+    if (err.status === 404) return { refs: [] };
+    return toErrorResponse(err);
+  }
+}
+
+// What the options page needs to know about stored tokens, without the
+// tokens: { mode, locked, hasGithubToken, signedIn, signInAvailable,
+// named: [name], hosts: [origin] }
+async function handleCredentialStatus() {
+  const mode = await getCredentialMode();
+  const credentials = await getCredentials();
+  const signInAvailable = !!(await getOAuthClientId());
+  if (!credentials) {
+    return {
+      mode,
+      locked: true,
+      hasGithubToken: false,
+      signedIn: false,
+      signInAvailable,
+      named: [],
+      hosts: [],
+    };
+  }
+  return {
+    mode,
+    locked: false,
+    hasGithubToken: !!credentials.githubToken,
+    signedIn: !!credentials.oauthToken,
+    signInAvailable,
+    named: Object.keys(credentials.named),
+    hosts: Object.keys(credentials.hosts),
+  };
+}
+
+async function handleFetchGitNote({ owner, repo, commitSha, origin }) {
+  const host = await resolveHost(origin, owner);
+  if (!host.token) {
+    return { error: "no_token", message: "No GitHub token configured" };
+  }
+
+  const noteRefs = await getNoteRefs(owner, repo);
+  const fallbackEncoding = await getFallbackEncoding();
   const results = [];
 
   for (const ref of noteRefs) {
     try {
-      const content = await fetchGitNote(
-        owner,
-        repo,
-        commitSha,
-        ref,
-        githubToken
-      );
+      const content = await fetchGitNote(owner, repo, commitSha, ref, host);
       if (content !== null) {
-        results.push({ ref, content });
+        results.push({ ref, ...decodeNoteBytes(content, fallbackEncoding) });
       }
     } catch (err) {
       if (err.status === 404) {
         // No notes ref in this repo — skip silently
         continue;
       }
-      if (err.status === 401) {
-        return { error: "auth_error", message: err.message };
-      }
-      if (err.status === 403) {
-        return { error: "rate_limit", message: err.message };
-      }
-      return { error: "api_error", message: err.message };
+      return toErrorResponse(err);
     }
   }
 
   return { notes: results };
 }
 
-async function handleCheckAuth() {
-  const { githubToken } = await browser.storage.local.get("githubToken");
-  if (!githubToken) {
+// Find which of the given commits have notes, for commit list pages.
+// Returns { notes: { [commitSha]: [ref, ...] } }
+async function handleLookupNotes({ owner, repo, refs, shas, origin }) {
+  const host = await resolveHost(origin, owner);
+  const notes = {};
+
+  for (const ref of refs) {
+    try {
+      const found = await findNotedCommits(owner, repo, ref, shas, host);
+      for (const sha of found) {
+        if (!notes[sha]) notes[sha] = [];
+        notes[sha].push(ref);
+      }
+    } catch (err) {
+      if (err.status === 404) continue;
+      return toErrorResponse(err);
+    }
+  }
+
+  return { notes };
+}
+
+async function handleFetchNoteHistory({
+  owner,
+  repo,
+  ref,
+  commitSha,
+  origin,
+}) {
+  const host = await resolveHost(origin, owner);
+  try {
+    const fullSha = await resolveCommitSha(owner, repo, commitSha, host);
+    const { revisions, levels } = await fetchNoteHistory(owner, repo, ref, fullSha, host);
+    return { revisions, commitSha: fullSha, levels };
+  } catch (err) {
+    if (err.status === 404) return { revisions: [] };
+    return toErrorResponse(err);
+  }
+}
+
+// Returns { content } of one revision from FETCH_NOTE_HISTORY, given the
+// `commitSha` and `levels` it replied with
+async function handleFetchNoteRevision({
+  owner,
+  repo,
+  commitSha,
+  levels,
+  revision,
+  origin,
+}) {
+  if (!/^[0-9a-f]{40}$/.test(commitSha) || !/^[0-9a-f]{40}$/.test(revision)) {
+    return { error: "api_error", message: "Invalid revision" };
+  }
+  if (!Number.isInteger(levels) || levels < 1 || levels > 19) {
+    return { error: "api_error", message: "Invalid fanout depth" };
+  }
+  const host = await resolveHost(origin, owner);
+  try {
+    return { content: await fetchNoteRevision(owner, repo, commitSha, levels, revision, host) };
+  } catch (err) {
+    return toErrorResponse(err);
+  }
+}
+
+async function handleWriteGitNote({
+  owner,
+  repo,
+  ref,
+  commitSha,
+  content,
+  origin,
+}) {
+  const host = await resolveHost(origin, owner);
+  if (!host.token) {
+    return { error: "no_token", message: "No GitHub token configured" };
+  }
+  if (!/^refs\/notes\/./.test(ref)) {
+    return { error: "invalid_ref", message: "Note refs must start with refs/notes/" };
+  }
+
+  try {
+    const fullSha = await resolveCommitSha(owner, repo, commitSha, host);
+    const result = await writeGitNote(owner, repo, ref, fullSha, content, host);
+    return { ok: true, ...result };
+  } catch (err) {
+    if (err.conflict) {
+      return { error: "conflict", message: err.message };
+    }
+    if (err.status === 403 && err.message === "Forbidden") {
+      return {
+        error: "forbidden",
+        message: "Forbidden \u2014 the token needs Contents: Read and write permission",
+      };
+    }
+    return toErrorResponse(err);
+  }
+}
+
+async function handleListNoteRefs({ owner, repo, origin }) {
+  const host = await resolveHost(origin, owner);
+  try {
+    const discovered = await discoverNoteRefs(owner, repo, host);
+    return { refs: await getNoteRefs(owner, repo, discovered) };
+  } catch (err) {
+    if (err.status === 404) return { refs: await getNoteRefs(owner, repo) };
+    return toErrorResponse(err);
+  }
+}
+
+async function handleBuildNotesIndex({ owner, repo, ref, force, origin }) {
+  const host = await resolveHost(origin, owner);
+  try {
+    const index = await buildNotesIndex(owner, repo, ref, host, { force });
+    return {
+      count: index.notes.length,
+      builtAt: index.builtAt,
+      tipSha: index.tipSha,
+      truncated: !!index.truncated,
+    };
+  } catch (err) {
+    if (err.status === 404) {
+      return { error: "not_found", message: `${ref} not found in ${owner}/${repo}` };
+    }
+    return toErrorResponse(err);
+  }
+}
+
+// Returns { total, notes: [{ commitSha, subject, date, snippet }] } for one
+// page of the (optionally filtered) index
+async function handleQueryNotesIndex({
+  owner,
+  repo,
+  ref,
+  query = "",
+  offset = 0,
+  limit = 25,
+  origin,
+}) {
+  let host;
+  let index;
+  try {
+    host = await resolveHost(origin, owner);
+    index = await loadNotesIndex(`${repoKey(host, owner, repo)}:${ref}`);
+  } catch (err) {
+    // e.g. IndexedDB unavailable in a private window
+    return { error: "index_error", message: `Could not read the notes index: ${err.message}` };
+  }
+  if (!index) {
+    return { error: "no_index", message: "This ref hasn't been indexed yet" };
+  }
+
+  const matches = searchNotesIndex(index, query);
+  const pageNotes = matches.slice(offset, offset + limit);
+  try {
+    if (await fillCommitInfo(owner, repo, pageNotes, host)) {
+      await saveNotesIndex(index);
+    }
+  } catch {
+    // Show the page without subjects rather than failing the search
+  }
+
+  return {
+    total: matches.length,
+    builtAt: index.builtAt,
+    notes: pageNotes.map((note) => ({
+      commitSha: note.commitSha,
+      subject: note.subject,
+      date: note.date,
+      snippet: noteSnippet(note.content, query),
+    })),
+  };
+}
+
+function toErrorResponse(err) {
+  if (err.status === 401) {
+    return { error: "auth_error", message: err.message };
+  }
+  if (err.status === 403) {
+    return { error: "rate_limit", message: err.message };
+  }
+  return { error: "api_error", message: err.message };
+}
+
+// Checks the default token for `origin`, or the named token `tokenName`
+// (`locked` is set instead while encrypted tokens are locked).
+// `method` is "oauth" for a signed-in session and "pat" otherwise.
+// `expiresAt` (ms, null if the token doesn't expire) and `scopes` (null when
+// GitHub doesn't report them, as for fine-grained tokens) describe the token.
+// `reach` lists the owners whose repositories the token can see, e.g.
+// [{ owner: "acme", repos: ["api", "web"] }], from the first page of
+// /user/repos; `more` is set when there are further pages.
+async function handleCheckAuth({ origin, tokenName }) {
+  const credentials = await getCredentials();
+  if (!credentials) {
+    return { authenticated: false, locked: true };
+  }
+  const host = await resolveHost(origin);
+  if (tokenName) {
+    host.token = credentials.named[tokenName] || null;
+  }
+  if (!host.token) {
     return { authenticated: false };
   }
+  const { oauthToken } = credentials;
+  const isOAuth = !!oauthToken && oauthToken.accessToken === host.token;
   try {
-    const user = await githubApi("/user", githubToken);
-    return { authenticated: true, username: user.login };
+    const { data: user, headers } = await githubApi("/user", host, {
+      conditional: false,
+      withHeaders: true,
+    });
+    const scopeHeader = headers.get("x-oauth-scopes");
+    const expiryHeader = headers.get("github-authentication-token-expiration");
+    const repos = await githubApi("/user/repos?per_page=100&sort=full_name", host);
+    const byOwner = new Map();
+    for (const repo of repos) {
+      const owner = repo.owner.login;
+      if (!byOwner.has(owner)) byOwner.set(owner, []);
+      byOwner.get(owner).push(repo.name);
+    }
+    return {
+      authenticated: true,
+      username: user.login,
+      method: isOAuth ? "oauth" : "pat",
+      expiresAt: isOAuth
+        ? oauthToken.expiresAt
+        : expiryHeader
+          ? Date.parse(expiryHeader) || null
+          : null,
+      scopes:
+        scopeHeader !== null
+          ? scopeHeader.split(",").map((scope) => scope.trim()).filter(Boolean)
+          : isOAuth
+            ? oauthToken.scopes
+            : null,
+      reach: [...byOwner].map(([owner, names]) => ({ owner, repos: names })),
+      more: repos.length === 100,
+    };
   } catch (err) {
     return { authenticated: false, error: err.message };
   }
@@ -0,0 +1,181 @@
+// Note content as bytes, and the helpers the content script and the
+// background worker share (loaded ahead of both).
+//
+// Fetched notes travel as byte strings, one char per byte as atob returns
+// them, so they survive messaging and caching unchanged, and are decoded
+// once with decodeNoteBytes. A binary note's content stays a byte string.
+// Binary means a known file signature or, as git decides it, a NUL byte in
+// the first 8000 bytes. The checks work on byte strings and on Uint8Arrays
+// alike.
+
+const BINARY_SIGNATURES = [
+  { mime: "image/png", ext: "png", magic: [[0, "\x89PNG\r\n\x1a\n"]] },
+  { mime: "image/jpeg", ext: "jpg", magic: [[0, "\xff\xd8\xff"]] },
+  { mime: "image/gif", ext: "gif", magic: [[0, "GIF87a"]] },
+  { mime: "image/gif", ext: "gif", magic: [[0, "GIF89a"]] },
+  { mime: "image/webp", ext: "webp", magic: [[0, "RIFF"], [8, "WEBP"]] },
+  { mime: "application/pdf", ext: "pdf", magic: [[0, "%PDF-"]] },
+  { mime: "application/zip", ext: "zip", magic: [[0, "PK\x03\x04"]] },
+  { mime: "application/gzip", ext: "gz", magic: [[0, "\x1f\x8b"]] },
+  { mime: "application/x-7z-compressed", ext: "7z", magic: [[0, "7z\xbc\xaf\x27\x1c"]] },
+  { mime: "application/x-tar", ext: "tar", magic: [[257, "ustar"]] },
+  { mime: "application/wasm", ext: "wasm", magic: [[0, "\0asm"]] },
+  { mime: "application/x-executable", ext: "elf", magic: [[0, "\x7fELF"]] },
+];
+const BINARY_SNIFF_LENGTH = 8000;
+
+// Notes larger than this many bytes aren't rendered (or, where the size is
+// known up front, fetched) until asked for; see "Large notes" in content.js
+const LARGE_NOTE_SIZE = 512 * 1024;
+
+function byteAt(data, i) {
+  return typeof data === "string" ? data.charCodeAt(i) : data[i];
+}
+
+// The BINARY_SIGNATURES entry `data` starts with, or null
+function fileSignature(data) {
+  return (
+    BINARY_SIGNATURES.find(({ magic }) =>
+      magic.every(([offset, bytes]) =>
+        [...bytes].every((ch, i) => byteAt(data, offset + i) === ch.charCodeAt(0))
+      )
+    ) || null
+  );
+}
+
+function isBinaryData(data) {
+  if (fileSignature(data)) return true;
+  const end = Math.min(data.length, BINARY_SNIFF_LENGTH);
+  for (let i = 0; i < end; i++) {
+    if (byteAt(data, i) === 0) return true;
+  }
+  return false;
+}
+
+function binaryStringFromBytes(bytes) {
+  let out = "";
+  // In chunks: fromCharCode takes the bytes as arguments
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    out += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return out;
+}
+
+function bytesFromBinaryString(str) {
+  return Uint8Array.from(str, (ch) => ch.charCodeAt(0));
+}
+
+// --- Text decoding ---
+// Notes are UTF-8 unless a byte order mark says otherwise or the bytes look
+// like UTF-16 without one (which has to be checked before the NUL test for
+// binary). Bytes that aren't valid UTF-8 are decoded with the user's
+// fallback encoding, or as UTF-8 with U+FFFD where there is none, and the
+// result carries a warning for the note header.
+
+const DEFAULT_FALLBACK_ENCODING = "windows-1252";
+
+const BYTE_ORDER_MARKS = [
+  { encoding: "utf-8", bytes: [0xef, 0xbb, 0xbf] },
+  { encoding: "utf-16be", bytes: [0xfe, 0xff] },
+  { encoding: "utf-16le", bytes: [0xff, 0xfe] },
+];
+
+function byteOrderMark(bytes) {
+  const bom = BYTE_ORDER_MARKS.find((m) => m.bytes.every((b, i) => bytes[i] === b));
+  return bom ? bom.encoding : null;
+}
+
+// "utf-16le" / "utf-16be" when the NULs sit in every other byte, as they do
+// for mostly-ASCII UTF-16, else null
+function utf16Endianness(bytes) {
+  const end = Math.min(bytes.length, BINARY_SNIFF_LENGTH);
+  if (end < 2 || bytes.length % 2 !== 0) return null;
+  const nuls = [0, 0];
+  for (let i = 0; i < end; i++) {
+    if (bytes[i] === 0) nuls[i % 2]++;
+  }
+  const pairs = end / 2;
+  if (nuls[1] >= pairs * 0.4 && nuls[0] <= pairs * 0.05) return "utf-16le";
+  if (nuls[0] >= pairs * 0.4 && nuls[1] <= pairs * 0.05) return "utf-16be";
+  return null;
+}
+
+// Decoded text, or null if `bytes` aren't valid in `encoding` (a BOM
+// matching the encoding is dropped)
+function decodeStrict(bytes, encoding) {
+  try {
+    return new TextDecoder(encoding, { fatal: true }).decode(bytes);
+  } catch {
+    return null;
+  }
+}
+
+// Note bytes (a byte string or Uint8Array) as { content, encoding, warning }.
+// `encoding` is null for binary notes, whose content stays a byte string;
+// `warning` is null unless the text had to be decoded with a fallback.
+// `fallbackEncoding` is a TextDecoder label, or "" for none.
+function decodeNoteBytes(data, fallbackEncoding = DEFAULT_FALLBACK_ENCODING) {
+  const bytes = typeof data === "string" ? bytesFromBinaryString(data) : data;
+
+  const declared = byteOrderMark(bytes);
+  const utf16 = declared ? null : !fileSignature(bytes) && utf16Endianness(bytes);
+  const encoding = declared || utf16;
+  if (encoding) {
+    const content = decodeStrict(bytes, encoding);
+    if (content !== null) return { content, encoding, warning: null };
+    if (declared) {
+      return {
+        content: new TextDecoder(declared).decode(bytes),
+        encoding: declared,
+        warning: `Not valid ${declared.toUpperCase()} despite its byte order mark; invalid bytes are shown as \uFFFD`,
+      };
+    }
+  }
+
+  if (isBinaryData(bytes)) {
+    return {
+      content: typeof data === "string" ? data : binaryStringFromBytes(bytes),
+      encoding: null,
+      warning: null,
+    };
+  }
+
+  const content = decodeStrict(bytes, "utf-8");
+  if (content !== null) return { content, encoding: "utf-8", warning: null };
+
+  if (fallbackEncoding) {
+    try {
+      const decoder = new TextDecoder(fallbackEncoding);
+      return {
+        content: decoder.decode(bytes),
+        encoding: decoder.encoding,
+        warning: `Not valid UTF-8; decoded as ${decoder.encoding}`,
+      };
+    } catch {
+      // Unknown label — fall through to UTF-8
+    }
+  }
+  return {
+    content: new TextDecoder().decode(bytes),
+    encoding: "utf-8",
+    warning: "Not valid UTF-8; invalid bytes are shown as \uFFFD",
+  };
+}
+
+// --- Shared helpers ---
+
+// Run `fn` over `items` with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+}
@@ -2,6 +2,16 @@ if (typeof browser === "undefined") globalThis.browser = chrome;
 
 const CONTAINER_ID = "ghn-notes-container";
 const COMMIT_URL_RE = /^\/([^/]+)\/([^/]+)\/commit\/([0-9a-f]{5,40})$/i;
+// Single commit inside a pull request (/pull/123/commits/<sha>)
+const PR_COMMIT_URL_RE = /^\/([^/]+)\/([^/]+)\/pull\/(\d+)\/commits\/([0-9a-f]{5,40})$/i;
+// Pull request "Commits" tab
+const PR_COMMITS_URL_RE = /^\/([^/]+)\/([^/]+)\/pull\/(\d+)\/commits\/?$/;
+// Commit list (/commits, /commits/<branch>) and file history (/commits/<branch>/<path>)
+const COMMITS_LIST_URL_RE = /^\/([^/]+)\/([^/]+)\/commits(?:\/(.+?))?\/?$/;
+const COMMIT_ROW_SELECTORS = [
+  '[data-testid="commit-row-item"]',
+  "li.js-commits-list-item",
+];
 const COLLAPSE_HEIGHT = 800; // px — notes taller than this start collapsed
 
 let lastProcessedUrl = null;
@@ -9,8 +19,39 @@ let processGeneration = 0;
 
 function parseCommitUrl() {
   const match = location.pathname.match(COMMIT_URL_RE);
+  if (match) return { owner: match[1], repo: match[2], commitSha: match[3] };
+
+  const prMatch = location.pathname.match(PR_COMMIT_URL_RE);
+  if (prMatch) {
+    return {
+      owner: prMatch[1],
+      repo: prMatch[2],
+      pullNumber: Number(prMatch[3]),
+      commitSha: prMatch[4],
+    };
+  }
+  return null;
+}
+
+function parsePullCommitsUrl() {
+  const match = location.pathname.match(PR_COMMITS_URL_RE);
+  if (!match) return null;
+  return { owner: match[1], repo: match[2], pullNumber: Number(match[3]) };
+}
+
+// Extract the commit SHA from a commit link, either form
+function commitShaFromPath(pathname) {
+  const match = pathname.match(COMMIT_URL_RE);
+  if (match) return match[3];
+  const prMatch = pathname.match(PR_COMMIT_URL_RE);
+  if (prMatch) return prMatch[4];
+  return null;
+}
+
+function parseCommitsListUrl() {
+  const match = location.pathname.match(COMMITS_LIST_URL_RE);
   if (!match) return null;
-  return { owner: match[1], repo: match[2], commitSha: match[3] };
+  return { owner: match[1], repo: match[2], path: match[3] || null };
 }
 
 function removeExisting() {
@@ -18,16 +59,28 @@ function removeExisting() {
   if (el) el.remove();
 }
 
-function findInjectionPoint() {
-  const selectors = [
+const INJECTION_SELECTORS = {
+  commit: [
     "#diff-content-parent",
     "#diff-stats",
     ".js-diff-progressive-container",
     "#files",
     '[data-target="diff-layout.mainContainer"]',
     ".commit.full-commit",
-  ];
-  for (const sel of selectors) {
+  ],
+  // Commit view inside a pull request: above the files toolbar
+  pull: [
+    "#diff-content-parent",
+    "#files_bucket .pr-toolbar",
+    ".pr-toolbar",
+    "#files_bucket .js-diff-progressive-container",
+    "#files",
+    '[data-target="diff-layout.mainContainer"]',
+  ],
+};
+
+function findInjectionPoint(layout = "commit") {
+  for (const sel of INJECTION_SELECTORS[layout]) {
     const el = document.querySelector(sel);
     if (el) return { el, mode: sel === "#diff-content-parent" ? "prepend" : "before" };
   }
@@ -45,13 +98,13 @@ function injectContainer(injection) {
   return container;
 }
 
-function waitForInjectionPoint(timeout = 5000) {
+function waitForInjectionPoint(layout = "commit", timeout = 5000) {
   return new Promise((resolve) => {
-    const injection = findInjectionPoint();
+    const injection = findInjectionPoint(layout);
     if (injection) return resolve(injection);
 
     const obs = new MutationObserver(() => {
-      const injection = findInjectionPoint();
+      const injection = findInjectionPoint(layout);
       if (injection) {
         obs.disconnect();
         resolve(injection);
@@ -66,13 +119,299 @@ function waitForInjectionPoint(timeout = 5000) {
   });
 }
 
-// --- Note fetching (cookie-based, same-origin on github.com) ---
+// --- Commit list pages (incl. the pull request "Commits" tab) ---
+
+// Map each full commit SHA on the page to its row element
+function findCommitRows(root = document) {
+  const rows = new Map();
+  for (const row of root.querySelectorAll(COMMIT_ROW_SELECTORS.join(","))) {
+    const link = findCommitLink(row);
+    const sha = link && commitShaFromPath(link.pathname).toLowerCase();
+    if (sha && sha.length === 40 && !rows.has(sha)) rows.set(sha, row);
+  }
+  return rows;
+}
+
+function waitForCommitRows(timeout = 5000) {
+  return new Promise((resolve) => {
+    const rows = findCommitRows();
+    if (rows.size > 0) return resolve(rows);
+
+    const obs = new MutationObserver(() => {
+      const rows = findCommitRows();
+      if (rows.size > 0) {
+        obs.disconnect();
+        resolve(rows);
+      }
+    });
+    obs.observe(document.body, { childList: true, subtree: true });
+
+    setTimeout(() => {
+      obs.disconnect();
+      resolve(findCommitRows());
+    }, timeout);
+  });
+}
+
+// Badge each row whose commit has notes. `notes` maps commit SHA → ref names.
+function addNoteBadges(rows, notes) {
+  for (const [sha, row] of rows) {
+    const refs = notes[sha];
+    if (!refs || refs.length === 0) continue;
+    if (row.querySelector(".ghn-list-badge")) continue;
+
+    const link = findCommitLink(row);
+    const badge = document.createElement("a");
+    badge.className = "ghn-list-badge";
+    badge.href = link.pathname;
+    badge.title = `Git notes: ${refs.join(", ")}`;
+    badge.setAttribute("aria-label", badge.title);
+    badge.innerHTML = `${noteIcon()}${refs.length > 1 ? `<span class="ghn-list-badge-count">${refs.length}</span>` : ""}`;
+
+    const title = row.querySelector(
+      '[data-testid="listview-item-title-container"], .commit-title, p.mb-1'
+    );
+    if (title) {
+      title.appendChild(badge);
+    } else {
+      link.after(badge);
+    }
+  }
+}
+
+// Collapsible panel under each row whose commit has notes. Note content is
+// only fetched the first time a panel is opened.
+function addNotePanels(rows, notes, { owner, repo }) {
+  for (const [sha, row] of rows) {
+    const refs = notes[sha];
+    if (!refs || refs.length === 0) continue;
+    if (row.nextElementSibling?.classList.contains("ghn-row-notes")) continue;
+
+    // Keep list markup valid: a panel after an <li> is itself an <li>
+    const panel = document.createElement(row.tagName === "LI" ? "li" : "div");
+    panel.className = "ghn-row-notes";
+    panel.dataset.sha = sha;
+
+    const details = document.createElement("details");
+    const summary = document.createElement("summary");
+    summary.className = "ghn-header";
+    summary.innerHTML = `
+      <span class="ghn-icon">${noteIcon()}</span>
+      <span class="ghn-title">Git Notes</span>
+      <span class="ghn-ref">${escapeHtml(refs.join(", "))}</span>
+    `;
+    details.appendChild(summary);
+
+    const body = document.createElement("div");
+    body.className = "ghn-row-notes-body";
+    details.appendChild(body);
+
+    details.addEventListener("toggle", () => {
+      if (!details.open || panel.dataset.loaded) return;
+      panel.dataset.loaded = "true";
+      loadRowNotes(body, owner, repo, sha, refs);
+    });
+
+    panel.appendChild(details);
+    row.after(panel);
+  }
+}
+
+async function loadRowNotes(container, owner, repo, commitSha, refs) {
+  await loadRendererPins();
+  const slots = showNoteSlots(container, refs, { owner, repo, commitSha });
+  const { results, needsToken } = await fetchNotesForCommit(
+    owner, repo, refs, commitSha, slots.fill
+  );
+  slots.finish();
+  if (results.length > 0) return;
+  if (needsToken) {
+    showTokenNeeded(container);
+  } else {
+    showError(container, "Could not load notes for this commit");
+  }
+}
+
+function findCommitLink(row) {
+  for (const link of row.querySelectorAll('a[href*="/commit"]')) {
+    if (commitShaFromPath(link.pathname)) return link;
+  }
+  return null;
+}
+
+// --- Conditional requests ---
+// ETag / Last-Modified validators from earlier responses are kept per URL in
+// extension storage and sent back as If-None-Match / If-Modified-Since. A 304
+// is answered from the stored body and doesn't count against the rate limit.
+// Entries are keyed by who asked: same-origin requests carry the session
+// cookie, so a response is only replayed to the account that received it.
+// HTTP_CACHE_INDEX tracks { [key]: { size, usedAt } }; the least recently
+// used entries are evicted beyond HTTP_CACHE_MAX_TOTAL, and entries older
+// than HTTP_CACHE_MAX_AGE are dropped.
+// On a cross-origin host (raw.githubusercontent.com) the validators make the
+// request need a CORS preflight. If that fails, the request is made again
+// without them and that origin isn't sent them again until the page reloads.
+
+const HTTP_CACHE_PREFIX = "httpCache:";
+const HTTP_CACHE_INDEX = "httpCacheIndex";
+const HTTP_CACHE_MAX_BODY = 512 * 1024; // bytes — larger bodies aren't stored
+const HTTP_CACHE_MAX_TOTAL = 4 * 1024 * 1024; // bytes across all entries
+const HTTP_CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+// Rewriting the index on every hit would cost more than it saves
+const HTTP_CACHE_TOUCH_INTERVAL = 60 * 60 * 1000;
+
+// Origins whose CORS preflight turned down the validators
+const preflightRejected = new Set();
+
+// Index updates are read-modify-write; run them one at a time
+let httpCacheQueue = Promise.resolve();
+
+function updateHttpCache(fn) {
+  const run = httpCacheQueue.then(async () => {
+    let index = (await browser.storage.local.get(HTTP_CACHE_INDEX))[HTTP_CACHE_INDEX];
+    if (!index) {
+      // Entries written before the index existed aren't keyed by account
+      const stored = await browser.storage.local.get(null);
+      const stale = Object.keys(stored).filter((key) => key.startsWith(HTTP_CACHE_PREFIX));
+      if (stale.length > 0) await browser.storage.local.remove(stale);
+      index = {};
+    }
+    await fn(index);
+    await browser.storage.local.set({ [HTTP_CACHE_INDEX]: index });
+  });
+  // The cache is an optimisation: a failed update must not hold up the next
+  httpCacheQueue = run.catch(() => {});
+  return run;
+}
+
+// Remove least recently used entries from `index` until `budget` bytes are
+// free under HTTP_CACHE_MAX_TOTAL, along with any that have expired
+async function evictHttpCache(index, budget = 0) {
+  const now = Date.now();
+  let total = 0;
+  const evicted = [];
+  const keys = Object.keys(index).sort((a, b) => index[b].usedAt - index[a].usedAt);
+  for (const key of keys) {
+    const { size, usedAt } = index[key];
+    if (now - usedAt > HTTP_CACHE_MAX_AGE || total + size > HTTP_CACHE_MAX_TOTAL - budget) {
+      evicted.push(key);
+      delete index[key];
+    } else {
+      total += size;
+    }
+  }
+  if (evicted.length > 0) await browser.storage.local.remove(evicted);
+}
+
+async function storeHttpCacheEntry(key, entry) {
+  const size = entry.body.length;
+  await updateHttpCache(async (index) => {
+    delete index[key];
+    await evictHttpCache(index, size);
+    try {
+      await browser.storage.local.set({ [key]: entry });
+    } catch {
+      // Over quota despite the budget (other settings share storage):
+      // make room for twice the entry and try once more
+      await evictHttpCache(index, size * 2);
+      try {
+        await browser.storage.local.set({ [key]: entry });
+      } catch {
+        return; // keep going without the validator
+      }
+    }
+    index[key] = { size, usedAt: Date.now() };
+  });
+}
+
+function httpCacheCredential(absoluteUrl) {
+  if (new URL(absoluteUrl).host !== location.host) return "anonymous";
+  const login = document.querySelector('meta[name="user-login"]');
+  return (login && login.content) || "anonymous";
+}
+
+async function conditionalFetch(url, init = {}) {
+  const headers = new Headers(init.headers || {});
+  const absoluteUrl = new URL(url, location.origin).href;
+  // The same URL can be asked for as JSON or raw content
+  const key = `${HTTP_CACHE_PREFIX}${httpCacheCredential(absoluteUrl)} ${
+    headers.get("Accept") || ""
+  } ${absoluteUrl}`;
+
+  let stored = null;
+  let used = null;
+  try {
+    const items = await browser.storage.local.get([key, HTTP_CACHE_INDEX]);
+    used = items[HTTP_CACHE_INDEX] && items[HTTP_CACHE_INDEX][key];
+    if (used && Date.now() - used.usedAt <= HTTP_CACHE_MAX_AGE) stored = items[key] || null;
+  } catch {
+    // storage unavailable — plain request
+  }
+  const targetOrigin = new URL(absoluteUrl).origin;
+  if (preflightRejected.has(targetOrigin)) stored = null;
+  if (stored && stored.etag) {
+    headers.set("If-None-Match", stored.etag);
+  } else if (stored && stored.lastModified) {
+    headers.set("If-Modified-Since", stored.lastModified);
+  }
+
+  // no-store: the browser's own cache could hand back a stale note
+  let res;
+  try {
+    res = await fetch(url, { ...init, headers, cache: "no-store" });
+  } catch (err) {
+    if (!stored) throw err;
+    // A cross-origin preflight may reject the conditional headers
+    preflightRejected.add(targetOrigin);
+    return fetch(url, { ...init, cache: "no-store" });
+  }
+
+  if (res.status === 304 && stored) {
+    if (Date.now() - used.usedAt > HTTP_CACHE_TOUCH_INTERVAL) {
+      updateHttpCache((index) => {
+        if (index[key]) index[key].usedAt = Date.now();
+      }).catch(() => {});
+    }
+    return new Response(bytesFromBinaryString(stored.body), {
+      status: 200,
+      headers: { "Content-Type": stored.contentType || "text/plain" },
+    });
+  }
+
+  if (res.ok) {
+    const etag = res.headers.get("ETag");
+    const lastModified = res.headers.get("Last-Modified");
+    if (etag || lastModified) {
+      const bytes = new Uint8Array(await res.clone().arrayBuffer());
+      if (bytes.length <= HTTP_CACHE_MAX_BODY) {
+        const entry = {
+          etag,
+          lastModified,
+          body: binaryStringFromBytes(bytes),
+          contentType: res.headers.get("Content-Type"),
+        };
+        try {
+          await storeHttpCacheEntry(key, entry);
+        } catch {
+          // storage unavailable — keep going without the validator
+        }
+      }
+    }
+  }
+  return res;
+}
+
+// --- Note fetching (cookie-based, same-origin on the GitHub host) ---
 
-// Fetch the notes tree from GitHub's JSON endpoint (same-origin, session cookie included)
-async function fetchNotesTreeEntries(owner, repo, noteRef) {
+// Fetch one directory of a notes tree from GitHub's JSON endpoint
+// (same-origin, session cookie included), as { items, truncated }, or null.
+// GitHub leaves entries out of the listing of a very large directory;
+// `truncated` says a missing name may still exist.
+async function fetchNotesTreeEntries(owner, repo, noteRef, dir = "") {
   const branchName = noteRef.replace(/^refs\//, "");
+  const path = dir ? `${branchName}/${dir}` : branchName;
 
-  const res = await fetch(`/${owner}/${repo}/tree/${branchName}`, {
+  const res = await conditionalFetch(`/${owner}/${repo}/tree/${path}`, {
     headers: {
       Accept: "application/json",
       "X-Requested-With": "XMLHttpRequest",
@@ -83,26 +422,72 @@ async function fetchNotesTreeEntries(owner, repo, noteRef) {
   if (!res.ok) return null;
 
   const data = await res.json();
-  return data?.payload?.tree?.items || null;
+  const tree = data?.payload?.tree;
+  if (!tree || !tree.items) return null;
+  return {
+    items: tree.items,
+    truncated: !!tree.truncated || (tree.totalCount || 0) > tree.items.length,
+  };
+}
+
+// Endpoints for the host this page is on: github.com, or a GitHub Enterprise
+// Server instance configured on the options page. Tokens stay in the
+// background worker; `hasToken` says whether it would use one for `owner`.
+// ({ origin, apiBase, rawBase, hasToken })
+const GITHUB_HOST = {
+  origin: "https://github.com",
+  apiBase: "https://api.github.com",
+  rawBase: "https://raw.githubusercontent.com",
+};
+
+const _hostProfiles = new Map();
+
+async function getHostProfile(owner) {
+  if (!_hostProfiles.has(owner)) {
+    let profile = null;
+    try {
+      profile = await browser.runtime.sendMessage({
+        type: "GET_HOST_PROFILE",
+        origin: location.origin,
+        owner,
+      });
+    } catch {
+      // Extension context gone — anonymous github.com
+    }
+    _hostProfiles.set(
+      owner,
+      profile && profile.apiBase ? profile : { ...GITHUB_HOST, hasToken: false }
+    );
+  }
+  return _hostProfiles.get(owner);
+}
+
+// Whether a token is configured for repos of `owner`
+async function hasStoredToken(owner) {
+  return (await getHostProfile(owner)).hasToken;
 }
 
-// Get stored PAT (if configured) for private repo fallback
-let _cachedToken = undefined;
-async function getStoredToken() {
-  if (_cachedToken !== undefined) return _cachedToken;
+// Whether that token can write to the repo, as GitHub reports it. A
+// read-only token, or none, leaves the page as it would be without editing.
+async function canEditRepo(owner, repo) {
+  if (!(await hasStoredToken(owner))) return false;
   try {
-    const { githubToken } = await browser.storage.local.get("githubToken");
-    _cachedToken = githubToken || null;
+    const result = await browser.runtime.sendMessage({
+      type: "GET_REPO_PERMISSIONS",
+      origin: location.origin,
+      owner,
+      repo,
+    });
+    return !!(result && result.push);
   } catch {
-    _cachedToken = null;
+    return false; // Extension context gone
   }
-  return _cachedToken;
 }
 
-// Fetch note content for a specific commit SHA
+// Fetch the note for a specific commit SHA, as a byte string (see
+// decodeNoteBytes)
 async function fetchNoteContent(owner, repo, noteRef, commitSha) {
   const branchName = noteRef.replace(/^refs\//, "");
-  const cacheBust = `_=${Date.now()}`;
 
   // Build candidate paths: direct and fanout
   const paths = [
@@ -110,50 +495,36 @@ async function fetchNoteContent(owner, repo, noteRef, commitSha) {
     `${branchName}/${commitSha.slice(0, 2)}/${commitSha.slice(2)}`,
   ];
 
+  const host = await getHostProfile(owner);
+
   // Strategy 1: raw.githubusercontent.com without auth (works for public repos)
   for (const path of paths) {
     try {
-      const url = `https://raw.githubusercontent.com/${owner}/${repo}/${path}?${cacheBust}`;
-      const res = await fetch(url);
-      if (res.ok) return await res.text();
+      const url = `${host.rawBase}/${owner}/${repo}/${path}`;
+      const res = await conditionalFetch(url);
+      if (res.ok) return binaryStringFromBytes(new Uint8Array(await res.arrayBuffer()));
     } catch {
       continue;
     }
   }
 
-  // Strategy 2: raw.githubusercontent.com with PAT
-  const token = await getStoredToken();
-  if (token) {
-    for (const path of paths) {
-      try {
-        const url = `https://raw.githubusercontent.com/${owner}/${repo}/${path}?${cacheBust}`;
-        const res = await fetch(url, {
-          headers: { Authorization: `Bearer ${token}` },
-        });
-        if (res.ok) return await res.text();
-      } catch {
-        continue;
-      }
-    }
-  }
-
-  // Strategy 3: GitHub Contents API (needed for private repos with fine-grained PATs,
-  // since raw.githubusercontent.com may not resolve notes/* refs)
-  if (token) {
-    const filePaths = [commitSha, `${commitSha.slice(0, 2)}/${commitSha.slice(2)}`];
-    for (const filePath of filePaths) {
-      try {
-        const url = `https://api.github.com/repos/${owner}/${repo}/contents/${filePath}?ref=${encodeURIComponent(noteRef)}`;
-        const res = await fetch(url, {
-          headers: {
-            Accept: "application/vnd.github.raw+json",
-            Authorization: `Bearer ${token}`,
-          },
-        });
-        if (res.ok) return await res.text();
-      } catch {
-        continue;
-      }
+  // Strategies 2 and 3: raw content with the token, then the Contents API
+  // (needed for private repos with fine-grained PATs, since
+  // raw.githubusercontent.com may not resolve notes/* refs). Both run in the
+  // background worker, which holds the token.
+  if (host.hasToken) {
+    try {
+      const response = await browser.runtime.sendMessage({
+        type: "FETCH_NOTE_CONTENT",
+        origin: location.origin,
+        owner,
+        repo,
+        noteRef,
+        commitSha,
+      });
+      if (response && typeof response.content === "string") return response.content;
+    } catch {
+      // Extension context gone
     }
   }
 
@@ -161,76 +532,65 @@ async function fetchNoteContent(owner, repo, noteRef, commitSha) {
 }
 
 // Fetch git note, resolving the full commit SHA if needed.
-// Returns { content, needsToken } or null.
+// Returns { content, needsToken } or null, content as a byte string.
 async function fetchGitNote(owner, repo, noteRef, commitSha) {
   // Strategy 1: Try fetching the note content directly
   const directContent = await fetchNoteContent(owner, repo, noteRef, commitSha);
   if (directContent !== null) return { content: directContent };
 
-  // Strategy 2: Use the JSON tree endpoint to find the full SHA
-  const entries = await fetchNotesTreeEntries(owner, repo, noteRef);
-  if (!entries) return null;
-
-  const match = entries.find(
-    (e) => e.name === commitSha || e.name.startsWith(commitSha)
-  );
-
-  if (match && match.contentType === "file") {
-    const content = await fetchNoteContent(owner, repo, noteRef, match.name);
-    if (content !== null) return { content };
-    return { content: null, needsToken: true };
-  }
-
-  // Check fanout
-  const prefix = commitSha.slice(0, 2);
-  const fanoutDir = entries.find(
-    (e) => e.name === prefix && e.contentType === "directory"
-  );
-  if (fanoutDir) {
-    const branchName = noteRef.replace(/^refs\//, "");
-    const subRes = await fetch(`/${owner}/${repo}/tree/${branchName}/${prefix}`, {
-      headers: {
-        Accept: "application/json",
-        "X-Requested-With": "XMLHttpRequest",
-      },
-      credentials: "same-origin",
-    });
-    if (subRes.ok) {
-      const subData = await subRes.json();
-      const subEntries = subData?.payload?.tree?.items || [];
-      const suffix = commitSha.slice(2);
-      const subMatch = subEntries.find(
-        (e) => e.name === suffix || e.name.startsWith(suffix)
-      );
-      if (subMatch) {
-        const content = await fetchNoteContent(
-          owner, repo, noteRef, `${prefix}/${subMatch.name}`
-        );
-        if (content !== null) return { content };
-        return { content: null, needsToken: true };
-      }
+  // Strategy 2: Walk the JSON tree listings down to the note, through as
+  // many levels of fanout (ab/cd/ef...) as the ref uses
+  let dir = "";
+  let listing = await fetchNotesTreeEntries(owner, repo, noteRef);
+  for (let offset = 0; listing && offset + 2 <= commitSha.length; offset += 2) {
+    const rest = commitSha.slice(offset);
+    const prefix = commitSha.slice(offset, offset + 2);
+    const match = listing.items.find(
+      (e) => e.contentType === "file" && (e.name === rest || e.name.startsWith(rest))
+    );
+    if (match) {
+      const content = await fetchNoteContent(owner, repo, noteRef, dir + match.name);
+      if (content !== null) return { content };
+      return { content: null, needsToken: true };
     }
+
+    const fanoutDir = listing.items.some(
+      (e) => e.name === prefix && e.contentType === "directory"
+    );
+    // A truncated listing may have left the directory out
+    if (!fanoutDir && !listing.truncated) return null;
+    dir += `${prefix}/`;
+    listing = await fetchNotesTreeEntries(owner, repo, noteRef, dir.slice(0, -1));
   }
 
   return null;
 }
 
-// Common note ref names to always try
+// Common note ref names to always try (the background worker's list, used
+// here only if it can't be reached)
 const DEFAULT_NOTE_REFS = [
   "refs/notes/commits",
   "refs/notes/claude-prompt-trail",
 ];
 
-// Auto-discover note refs via GitHub API (works without auth for public repos)
+// Auto-discover note refs via GitHub API (works without auth for public repos;
+// with a token the background worker asks instead)
 async function discoverNoteRefs(owner, repo) {
   try {
-    const headers = { Accept: "application/vnd.github+json" };
-    const token = await getStoredToken();
-    if (token) headers.Authorization = `Bearer ${token}`;
+    const host = await getHostProfile(owner);
+    if (host.hasToken) {
+      const response = await browser.runtime.sendMessage({
+        type: "DISCOVER_NOTE_REFS",
+        origin: location.origin,
+        owner,
+        repo,
+      });
+      return (response && response.refs) || [];
+    }
 
-    const res = await fetch(
-      `https://api.github.com/repos/${owner}/${repo}/git/matching-refs/notes`,
-      { headers }
+    const res = await conditionalFetch(
+      `${host.apiBase}/repos/${owner}/${repo}/git/matching-refs/notes`,
+      { headers: { Accept: "application/vnd.github+json" } }
     );
     if (res.ok) {
       const data = await res.json();
@@ -242,217 +602,2493 @@ async function discoverNoteRefs(owner, repo) {
   return [];
 }
 
-// Get note refs: auto-discovered + defaults + user-configured
+// Get note refs: defaults + auto-discovered + user-configured, filtered and
+// ordered by the ref rules from the settings (applied by the background worker)
 async function getNoteRefs(owner, repo) {
-  const refs = new Set(DEFAULT_NOTE_REFS);
-
-  // Auto-discover from API
   const discovered = await discoverNoteRefs(owner, repo);
-  for (const r of discovered) refs.add(r);
+  try {
+    const refs = await browser.runtime.sendMessage({
+      type: "GET_NOTE_REFS",
+      owner,
+      repo,
+      discovered,
+    });
+    if (Array.isArray(refs)) return refs;
+  } catch {
+    // Extension context gone
+  }
+  return [...new Set([...DEFAULT_NOTE_REFS, ...discovered])];
+}
+
+const DEFAULT_FETCH_CONCURRENCY = 4;
 
-  // Add user-configured refs
+// How many refs to fetch at once, from the settings
+async function getFetchConcurrency() {
   try {
-    const { noteRefs } = await browser.storage.local.get("noteRefs");
-    if (noteRefs && noteRefs.length > 0) {
-      for (const r of noteRefs) refs.add(r);
+    const { fetchConcurrency } = await browser.storage.local.get("fetchConcurrency");
+    if (Number.isInteger(fetchConcurrency) && fetchConcurrency > 0) {
+      return fetchConcurrency;
     }
   } catch {
-    // storage might not be available
+    // Extension context gone
   }
-  return [...refs];
+  return DEFAULT_FETCH_CONCURRENCY;
 }
 
-// --- Format detection ---
+// Encoding for notes that aren't valid UTF-8 (set on the options page;
+// "" shows the invalid bytes as U+FFFD)
+async function getFallbackEncoding() {
+  try {
+    const { fallbackEncoding } = await browser.storage.local.get("fallbackEncoding");
+    if (typeof fallbackEncoding === "string") return fallbackEncoding;
+  } catch {
+    // Extension context gone
+  }
+  return DEFAULT_FALLBACK_ENCODING;
+}
 
-function detectFormat(content) {
-  const trimmed = content.trim();
+// Fetch the notes for one commit across the given refs.
+// With a token and a full SHA the background worker looks up every ref in a
+// single GraphQL request; otherwise, or if that fails, the refs are fetched
+// concurrently, a few at a time.
+// Notes are { ref, content, encoding, warning } (see decodeNoteBytes); a
+// large note that hasn't been fetched yet has a null `content`, its `size`,
+// and `load()`, which resolves to the rest (or null if that failed).
+// `onNote(ref, note)` is called as each ref settles (note null when the
+// ref has no note), in whatever order they finish.
+// Returns { results: [note], needsToken }, results in ref order.
+async function fetchNotesForCommit(owner, repo, noteRefs, commitSha, onNote = () => {}) {
+  const host = await getHostProfile(owner);
+  const concurrency = await getFetchConcurrency();
+  const fallbackEncoding = await getFallbackEncoding();
+  let needsToken = false;
 
-  if (/^[\[{]/.test(trimmed)) {
+  let lookup = async (ref) => {
     try {
-      JSON.parse(trimmed);
-      return "json";
+      const result = await fetchGitNote(owner, repo, ref, commitSha);
+      if (result && result.needsToken) needsToken = true;
+      return result ? result.content : null;
+    } catch {
+      return null;
+    }
+  };
+
+  if (host.hasToken && commitSha.length === 40) {
+    const batched = await browser.runtime
+      .sendMessage({
+        type: "FETCH_NOTES_BATCH",
+        origin: location.origin,
+        owner,
+        repo,
+        noteRefs,
+        commitSha: commitSha.toLowerCase(),
+      })
+      .catch(() => null);
+    if (batched && batched.notes) {
+      // Refs missing from the batch have no note; null means the note exists
+      // but its content was too large for GraphQL and has to be fetched, and
+      // { size } that it's a large note, fetched when asked for
+      const fetchRef = lookup;
+      lookup = async (ref) => {
+        if (!(ref in batched.notes)) return null;
+        const entry = batched.notes[ref];
+        if (entry === null) return fetchRef(ref);
+        if (typeof entry === "object") return { size: entry.size, load: () => fetchRef(ref) };
+        return entry;
+      };
+    }
+  }
+
+  const notes = await mapWithConcurrency(noteRefs, concurrency, async (ref) => {
+    const data = await lookup(ref);
+    let note = null;
+    if (typeof data === "string") {
+      note = { ref, ...decodeNoteBytes(data, fallbackEncoding) };
+    } else if (data) {
+      note = {
+        ref,
+        content: null,
+        encoding: null,
+        warning: null,
+        size: data.size,
+        load: async () => {
+          const bytes = await data.load();
+          return bytes === null ? null : decodeNoteBytes(bytes, fallbackEncoding);
+        },
+      };
+    }
+    onNote(ref, note);
+    return note;
+  });
+
+  return { results: notes.filter((note) => note !== null), needsToken };
+}
+
+// --- Renderers ---
+// Every note format is a renderer in a registry:
+//   { id, label, badge, language, refs, schemas, detect(content), render(content) }
+// `badge` is the header badge text, the id if not set. `language` is the
+// highlight.js language used to colour the raw view. With `autolink` set,
+// the rendered HTML gets GitHub references linked (see linkifyHtml).
+// Renderers with `binary` set handle binary notes (see isBinaryData), which
+// no other renderer is given; such notes have no raw view and no editor.
+// `refs` are ref name patterns (`*` matches anything), `schemas` patterns
+// for the note's schema marker, and `detect` sniffs the content; all three
+// are optional. `render` returns HTML that is safe to insert: anything taken
+// from the note has to be escaped or sanitized. An optional
+// `attach(body, content)` wires up behaviour once the HTML is in the page.
+// An optional generator `renderChunks(content)` renders a large note a
+// piece at a time (see renderLargeNote): the first HTML it yields is the
+// body, and each later one is appended to the body's .ghn-chunk-target
+// (or the body itself if there is none). A large note whose renderer has
+// none is shown as text.
+// A binary note gets the first binary renderer that claims it. Any other
+// note gets the first renderer that claims it, checking in turn:
+//   1. the renderer pinned to its ref in the settings
+//   2. renderers whose `schemas` match its schema marker
+//   3. renderers whose `refs` match its ref
+//   4. renderers whose `detect` accepts the content, in registration order
+// The plain-text renderer accepts anything, so it is registered last.
+const renderers = [];
+
+// Pins from the settings: [{ ref: pattern, renderer: id }], first match wins
+let rendererPins = [];
+
+function registerRenderer(renderer) {
+  // Keep the catch-all plain renderer last
+  const plain = renderers.findIndex((r) => r.id === "plain");
+  if (plain === -1 || renderer.id === "plain") {
+    renderers.push(renderer);
+  } else {
+    renderers.splice(plain, 0, renderer);
+  }
+}
+
+function findRenderer(id) {
+  return renderers.find((r) => r.id === id) || null;
+}
+
+async function loadRendererPins() {
+  try {
+    const { rendererPins: pins } = await browser.storage.local.get("rendererPins");
+    rendererPins = Array.isArray(pins) ? pins : [];
+  } catch {
+    // Extension context gone — keep the pins we have
+  }
+}
+
+function refPatternMatches(pattern, ref) {
+  if (!pattern.includes("*")) return pattern === ref;
+  const escaped = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}$`).test(ref);
+}
+
+// The format a note declares for itself: a top-level "$schema" in a JSON
+// note, or a first line <!-- schema: name -->
+function schemaMarker(content) {
+  const trimmed = content.trim();
+  const comment = trimmed.match(/^<!--\s*schema:\s*(\S+?)\s*-->/);
+  if (comment) return comment[1];
+  if (trimmed.startsWith("{")) {
+    try {
+      const data = JSON.parse(trimmed);
+      if (typeof data.$schema === "string") return data.$schema;
     } catch { /* not valid JSON */ }
   }
+  return null;
+}
+
+// `sample` is what `detect` gets to see (see largeNoteSample)
+function pickRenderer(content, ref = null, pins = rendererPins, sample = content) {
+  if (isBinaryData(content)) {
+    return renderers.find((r) => r.binary && r.detect(content));
+  }
+
+  if (ref) {
+    const pin = pins.find((p) => refPatternMatches(p.ref, ref));
+    const pinned = pin && findRenderer(pin.renderer);
+    if (pinned) return pinned;
+  }
 
-  if (
-    /^#{1,6}\s/m.test(trimmed) ||
-    /\*\*[^*]+\*\*/m.test(trimmed) ||
-    /^\|.+\|$/m.test(trimmed) ||
-    /^[-*]\s/m.test(trimmed) ||
-    /^\d+\.\s/m.test(trimmed) ||
-    /^```/m.test(trimmed) ||
-    /<!--.*-->/m.test(trimmed)
-  ) {
-    return "markdown";
+  const marker = schemaMarker(content);
+  if (marker) {
+    const bySchema = renderers.find((r) =>
+      (r.schemas || []).some((pattern) => refPatternMatches(pattern, marker))
+    );
+    if (bySchema) return bySchema;
   }
 
-  if (
-    /^[a-zA-Z_][a-zA-Z0-9_]*:\s/m.test(trimmed) &&
-    (trimmed.match(/^[a-zA-Z_][a-zA-Z0-9_]*:\s/gm) || []).length >= 2
-  ) {
-    return "yaml";
+  if (ref) {
+    const byRef = renderers.find((r) =>
+      (r.refs || []).some((pattern) => refPatternMatches(pattern, ref))
+    );
+    if (byRef) return byRef;
   }
 
-  return "plain";
+  return renderers.find((r) => r.detect && r.detect(sample)) || findRenderer("plain");
+}
+
+// Id of the renderer for a note
+function detectFormat(content, ref = null) {
+  return pickRenderer(content, ref).id;
 }
 
-// --- Rendering ---
+// `commit` ({ owner, repo, commitSha }) is the annotated commit that
+// references and relative links resolve against; the page's by default
+function renderContentToHtml(content, format, commit = parseCommitUrl()) {
+  const renderer = findRenderer(format) || findRenderer("plain");
+  const html = renderer.render(content);
+  return renderer.autolink && commit ? linkifyHtml(html, commit) : html;
+}
+
+// --- Built-in renderers ---
 // Rendered content is sanitized by DOMPurify and inserted directly into the
 // page. No iframe needed — DOMPurify with a strict allowlist is the industry
 // standard for safe HTML rendering (same approach GitHub uses for user markdown).
 
-function renderContentToHtml(content, format) {
-  switch (format) {
-    case "markdown":
-      if (typeof marked !== "undefined") {
-        const rawHtml = marked.parse(content, { breaks: true, gfm: true });
-        const cleanHtml =
-          typeof DOMPurify !== "undefined"
-            ? DOMPurify.sanitize(rawHtml, {
-                ALLOWED_TAGS: [
-                  "h1","h2","h3","h4","h5","h6","p","br","strong","em","del",
-                  "ul","ol","li","a","code","pre","blockquote","table","thead",
-                  "tbody","tr","th","td","img","hr","div","span","sup","sub",
-                ],
-                ALLOWED_ATTR: ["href","src","alt","title","class","id","align"],
-                ALLOW_DATA_ATTR: false,
-              })
-            : escapeHtml(rawHtml);
-        return cleanHtml;
-      }
-      return `<pre class="ghn-content">${escapeHtml(content)}</pre>`;
-
-    case "json":
-      try {
-        const formatted = JSON.stringify(JSON.parse(content.trim()), null, 2);
-        return `<pre class="ghn-content">${escapeHtml(formatted)}</pre>`;
-      } catch {
-        return `<pre class="ghn-content">${escapeHtml(content)}</pre>`;
-      }
+function renderPlain(content) {
+  return `<pre class="ghn-content">${escapeHtml(content)}</pre>`;
+}
 
-    case "yaml": {
-      const lines = escapeHtml(content).split("\n");
-      const highlighted = lines
-        .map((line) => {
-          const m = line.match(/^(\s*)([\w.-]+)(:)(\s.*)?$/);
-          if (m) {
-            return `${m[1]}<span class="ghn-yaml-key">${m[2]}</span>${m[3]}${m[4] || ""}`;
-          }
-          return line;
-        })
-        .join("\n");
-      return `<pre class="ghn-content">${highlighted}</pre>`;
+// Before the text renderers, so an SVG note is an image rather than markup
+registerRenderer({
+  id: "image",
+  label: "Image",
+  binary: true,
+  detect: (content) => !!imageMime(content),
+  render(content) {
+    const mime = imageMime(content);
+    let src;
+    if (mime === "image/svg+xml") {
+      // An <img> never runs an SVG's scripts; sanitize it all the same
+      if (typeof DOMPurify === "undefined") return renderPlain(content);
+      const svg = DOMPurify.sanitize(content, { USE_PROFILES: { svg: true, svgFilters: true } });
+      src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    } else {
+      src = `data:${mime};base64,${btoa(content)}`;
     }
+    return (
+      `<div class="ghn-image"><img src="${escapeAttr(src)}" alt="Image note" /></div>` +
+      binaryInfoHtml(content, mime)
+    );
+  },
+  attach: attachDownload,
+});
 
-    default:
-      return `<pre class="ghn-content">${escapeHtml(content)}</pre>`;
-  }
-}
+// Catches every binary note the image renderer doesn't
+registerRenderer({
+  id: "binary",
+  label: "Binary",
+  binary: true,
+  detect: isBinaryData,
+  render(content) {
+    return binaryInfoHtml(content, binaryMime(content));
+  },
+  attach: attachDownload,
+});
 
-// --- UI rendering ---
+registerRenderer({
+  id: "json",
+  label: "JSON",
+  language: "json",
+  detect(content) {
+    const trimmed = content.trim();
+    if (!/^[\[{]/.test(trimmed)) return false;
+    try {
+      JSON.parse(trimmed);
+      return true;
+    } catch {
+      return false;
+    }
+  },
+  render(content) {
+    let data;
+    try {
+      data = JSON.parse(content.trim());
+    } catch {
+      return renderPlain(content);
+    }
+    return jsonViewHtml(jsonNodeHtml(null, data, []));
+  },
+  // The root's entries, a few hundred at a time
+  *renderChunks(content) {
+    let data;
+    try {
+      data = JSON.parse(content.trim());
+    } catch {
+      yield renderPlain(content);
+      return;
+    }
+    if (data === null || typeof data !== "object") {
+      yield jsonViewHtml(jsonNodeHtml(null, data, []));
+      return;
+    }
+    yield jsonViewHtml(jsonNodeHtml(null, data, [], false));
+    const entries = Array.isArray(data) ? data.map((item, i) => [i, item]) : Object.entries(data);
+    for (let i = 0; i < entries.length; i += JSON_CHUNK_ENTRIES) {
+      yield entries
+        .slice(i, i + JSON_CHUNK_ENTRIES)
+        .map(([key, value]) => jsonNodeHtml(key, value, [key]))
+        .join("");
+    }
+  },
+  attach: attachJsonTree,
+});
 
-function showLoading(container) {
-  container.innerHTML = `
-    <div class="ghn-box ghn-loading">
-      <div class="ghn-header">
-        <span class="ghn-icon">${noteIcon()}</span>
-        <span class="ghn-title">Git Notes</span>
-      </div>
-      <div class="ghn-body">
-        <span class="ghn-spinner"></span> Loading notes...
-      </div>
+// --- JSON tree viewer ---
+// Objects and arrays are <details> elements, so they collapse natively.
+// Every node carries its path from the root as a JSON array of keys and
+// indices in data-path, for the filter and the copy buttons. Levels from
+// JSON_TREE_OPEN_DEPTH down start collapsed.
+const JSON_TREE_OPEN_DEPTH = 2;
+const JSON_CHUNK_ENTRIES = 200; // root entries per chunk for a large note
+
+function jsonViewHtml(treeHtml) {
+  return `
+    <div class="ghn-json-toolbar">
+      <input type="search" class="ghn-json-filter" placeholder="Filter keys and values" />
+      <button type="button" class="ghn-json-expand">Expand all</button>
+      <button type="button" class="ghn-json-collapse">Collapse all</button>
     </div>
+    <div class="ghn-content ghn-json-tree">${treeHtml}</div>
+    <div class="ghn-json-empty" hidden>No matching keys or values</div>
   `;
 }
 
-function showNotes(container, notes) {
-  if (!notes || notes.length === 0) {
-    removeExisting();
-    return;
-  }
-
-  container.innerHTML = "";
-
-  for (const note of notes) {
-    const format = detectFormat(note.content);
-    const formatLabel = format !== "plain" ? format : "";
+// JSONPath of a node: $.items[0]["odd key"]
+function jsonPath(segments) {
+  return `$${segments
+    .map((segment) => {
+      if (typeof segment === "number") return `[${segment}]`;
+      return /^[A-Za-z_$][\w$]*$/.test(segment) ? `.${segment}` : `[${JSON.stringify(segment)}]`;
+    })
+    .join("")}`;
+}
 
-    const box = document.createElement("div");
-    box.className = "ghn-box";
-    box.dataset.format = format;
+function jsonValueHtml(value) {
+  if (value === null) return `<span class="ghn-json-value ghn-json-null">null</span>`;
+  const type = typeof value;
+  const text = type === "string" ? JSON.stringify(value) : String(value);
+  return `<span class="ghn-json-value ghn-json-${type}">${escapeHtml(text)}</span>`;
+}
 
-    // Header
-    const header = document.createElement("div");
-    header.className = "ghn-header";
-    header.innerHTML = `
-      <span class="ghn-icon">${noteIcon()}</span>
-      <span class="ghn-title">Git Notes</span>
-      ${formatLabel ? `<span class="ghn-format-badge">${formatLabel}</span>` : ""}
-      <span class="ghn-ref">${escapeHtml(note.ref)}</span>
-      ${format !== "plain" ? `<button class="ghn-toggle-raw" title="Toggle raw view">${codeIcon()}</button>` : ""}
-    `;
-    box.appendChild(header);
-
-    // Rendered body — sanitized HTML injected directly (no iframe)
-    const renderedBody = document.createElement("div");
-    renderedBody.className = "ghn-body ghn-rendered";
-    if (format === "markdown") {
-      renderedBody.classList.add("markdown-body");
-    }
-    renderedBody.innerHTML = renderContentToHtml(note.content, format);
-    box.appendChild(renderedBody);
-
-    // Raw body (hidden by default, safe — textContent)
-    if (format !== "plain") {
-      const rawBody = document.createElement("div");
-      rawBody.className = "ghn-body ghn-raw";
-      rawBody.hidden = true;
-      const pre = document.createElement("pre");
-      pre.className = "ghn-content";
-      pre.textContent = note.content;
-      rawBody.appendChild(pre);
-      box.appendChild(rawBody);
-
-      // Toggle handler
-      const btn = header.querySelector(".ghn-toggle-raw");
-      btn.addEventListener("click", () => {
-        const showingRaw = !rawBody.hidden;
-        renderedBody.hidden = !showingRaw;
-        rawBody.hidden = showingRaw;
-        btn.classList.toggle("ghn-active", !showingRaw);
-      });
-    }
+// Without `withChildren`, an object or array is left empty, its children
+// element marked as the .ghn-chunk-target for renderChunks
+function jsonNodeHtml(key, value, segments, withChildren = true) {
+  const path = escapeAttr(JSON.stringify(segments));
+  const label =
+    key === null
+      ? ""
+      : `<span class="ghn-json-key">${escapeHtml(typeof key === "number" ? String(key) : JSON.stringify(key))}</span>: `;
+  const copy =
+    `<span class="ghn-json-copy">` +
+    `<button type="button" data-copy="path" title="Copy JSONPath">path</button>` +
+    `<button type="button" data-copy="value" title="Copy value">value</button>` +
+    `</span>`;
+
+  if (value === null || typeof value !== "object") {
+    return `<div class="ghn-json-leaf" data-path="${path}">${label}${jsonValueHtml(value)}${copy}</div>`;
+  }
 
-    // "Show full note" / "Collapse" — check after appending to DOM
-    const showMoreBtn = document.createElement("button");
-    showMoreBtn.className = "ghn-show-more";
-    showMoreBtn.textContent = "Show full note";
-    showMoreBtn.hidden = true;
-    showMoreBtn.addEventListener("click", () => {
-      const isExpanded = box.classList.toggle("ghn-expanded");
-      showMoreBtn.textContent = isExpanded ? "Collapse note" : "Show full note";
-    });
-    box.appendChild(showMoreBtn);
+  const isArray = Array.isArray(value);
+  const entries = isArray ? value.map((item, i) => [i, item]) : Object.entries(value);
+  const [open, close] = isArray ? ["[", "]"] : ["{", "}"];
+  const count = `${entries.length} ${isArray ? "item" : "key"}${entries.length === 1 ? "" : "s"}`;
+  const children = withChildren
+    ? entries.map(([childKey, child]) => jsonNodeHtml(childKey, child, [...segments, childKey])).join("")
+    : "";
+  return (
+    `<details class="ghn-json-node" data-path="${path}"${segments.length < JSON_TREE_OPEN_DEPTH ? " open" : ""}>` +
+    `<summary>${label}${open}<span class="ghn-json-ellipsis">\u2026${close}</span>` +
+    `<span class="ghn-json-count">${count}</span>${copy}</summary>` +
+    `<div class="ghn-json-children${withChildren ? "" : " ghn-chunk-target"}">${children}</div>${close}</details>`
+  );
+}
 
-    container.appendChild(box);
+// Text copied for a node: strings as they are, anything else as JSON
+function jsonCopyText(value) {
+  return typeof value === "string" ? value : JSON.stringify(value, null, 2);
+}
 
-    // Measure after it's in the DOM
-    requestAnimationFrame(() => {
-      const bodyHeight = renderedBody.scrollHeight;
-      if (bodyHeight > COLLAPSE_HEIGHT) {
-        box.classList.add("ghn-collapsed");
-        showMoreBtn.hidden = false;
-      }
-    });
+// Show the nodes whose key or value contains `query`, with their ancestors
+// (expanded) and, for objects and arrays, everything inside them
+function filterJsonTree(tree, query) {
+  const needle = query.trim().toLowerCase();
+  const items = tree.querySelectorAll("[data-path]");
+  for (const item of items) item.hidden = needle !== "";
+  if (!needle) return true;
+
+  let found = false;
+  for (const item of items) {
+    const own = [
+      ...item.querySelectorAll(
+        ":scope > .ghn-json-key, :scope > .ghn-json-value, :scope > summary > .ghn-json-key"
+      ),
+    ]
+      .map((el) => el.textContent)
+      .join(" ")
+      .toLowerCase();
+    if (!own.includes(needle)) continue;
+
+    found = true;
+    item.hidden = false;
+    for (const child of item.querySelectorAll("[data-path]")) child.hidden = false;
+    for (
+      let parent = item.parentElement.closest(".ghn-json-node");
+      parent && tree.contains(parent);
+      parent = parent.parentElement.closest(".ghn-json-node")
+    ) {
+      parent.hidden = false;
+      parent.open = true;
+    }
   }
+  return found;
 }
 
-function showTokenNeeded(container) {
-  container.innerHTML = "";
-  const box = document.createElement("div");
-  box.className = "ghn-box ghn-error";
+function attachJsonTree(body, content) {
+  const tree = body.querySelector(".ghn-json-tree");
+  if (!tree) return; // Not valid JSON, rendered as plain text
+  const data = JSON.parse(content.trim());
+  const filter = body.querySelector(".ghn-json-filter");
+  const empty = body.querySelector(".ghn-json-empty");
+
+  const setAllOpen = (open) => {
+    for (const node of tree.querySelectorAll(".ghn-json-node")) node.open = open;
+  };
+  body.querySelector(".ghn-json-expand").addEventListener("click", () => setAllOpen(true));
+  body.querySelector(".ghn-json-collapse").addEventListener("click", () => setAllOpen(false));
+
+  filter.addEventListener("input", () => {
+    empty.hidden = filterJsonTree(tree, filter.value);
+  });
 
-  const header = document.createElement("div");
+  tree.addEventListener("click", async (event) => {
+    const btn = event.target.closest("[data-copy]");
+    if (!btn) return;
+    // Don't toggle the <details> the button sits in
+    event.preventDefault();
+    const segments = JSON.parse(btn.closest("[data-path]").dataset.path);
+    const text =
+      btn.dataset.copy === "path"
+        ? jsonPath(segments)
+        : jsonCopyText(segments.reduce((value, segment) => value[segment], data));
+    const label = btn.textContent;
+    try {
+      await navigator.clipboard.writeText(text);
+      btn.textContent = "copied";
+    } catch {
+      btn.textContent = "failed";
+    }
+    setTimeout(() => {
+      btn.textContent = label;
+    }, 1200);
+  });
+}
+
+// Before markdown, which would take -/+ lines for list items
+registerRenderer({
+  id: "diff",
+  label: "Diff",
+  language: "diff",
+  detect(content) {
+    // A markdown note with a ```diff block is still markdown
+    if (!DIFF_START_RE.test(content) || /^```/m.test(content)) return false;
+    return !!parseUnifiedDiff(content);
+  },
+  render(content) {
+    const diff = parseUnifiedDiff(content);
+    return diff ? diffHtml(diff) : renderPlain(content);
+  },
+  attach: attachDiffViews,
+});
+
+// Trailers, TOML and key=value come before markdown: their comment lines
+// would pass for markdown headings
+registerRenderer({
+  id: "trailers",
+  label: "Git trailers",
+  autolink: true,
+  detect(content) {
+    const trailers = parseTrailers(content);
+    if (!trailers) return false;
+    // Plain `word: value` lines are left to YAML unless they repeat a key
+    return trailers.some((t) => t.key.includes("-") || t.values.length > 1);
+  },
+  render(content) {
+    const trailers = parseTrailers(content);
+    return trailers ? tableHtml(TRAILERS_TABLE, trailers, trailerRowHtml) : renderPlain(content);
+  },
+  *renderChunks(content) {
+    const trailers = parseTrailers(content);
+    if (trailers) yield* tableChunks(TRAILERS_TABLE, trailers, trailerRowHtml);
+    else yield renderPlain(content);
+  },
+});
+
+const TRAILERS_TABLE = `<table class="ghn-data-table ghn-trailers">`;
+
+function trailerRowHtml({ key, values }) {
+  const cells = values.map((value) => `<div>${escapeHtml(value)}</div>`).join("");
+  return `<tr><th>${escapeHtml(key)}</th><td>${cells}</td></tr>`;
+}
+
+// A table from its opening tag (and <thead>) and a row per item. For a
+// large note, tableChunks yields the empty table and then its rows a few
+// hundred at a time.
+const TABLE_CHUNK_ROWS = 500;
+
+function tableHtml(head, items, rowHtml) {
+  return `${head}<tbody>${items.map(rowHtml).join("")}</tbody></table>`;
+}
+
+function* tableChunks(head, items, rowHtml) {
+  yield `${head}<tbody class="ghn-chunk-target"></tbody></table>`;
+  for (let i = 0; i < items.length; i += TABLE_CHUNK_ROWS) {
+    yield items.slice(i, i + TABLE_CHUNK_ROWS).map(rowHtml).join("");
+  }
+}
+
+registerRenderer({
+  id: "toml",
+  label: "TOML",
+  language: "toml",
+  detect(content) {
+    // Only TOML proper: plain `key = 1` lines are key=value
+    if (!/^\s*\[[^\]]+\]\s*(#.*)?$|^\s*[\w.-]+\s*=\s*["'[{]/m.test(content)) return false;
+    try {
+      return Object.keys(parseToml(content)).length > 0;
+    } catch {
+      return false;
+    }
+  },
+  render(content) {
+    try {
+      return `<div class="ghn-toml">${tomlHtml(parseToml(content))}</div>`;
+    } catch (err) {
+      return `<div class="ghn-parse-error">${escapeHtml(`Invalid TOML: ${err.message}`)}</div>${renderPlain(content)}`;
+    }
+  },
+});
+
+registerRenderer({
+  id: "keyvalue",
+  label: "key=value",
+  badge: "key=value",
+  language: "ini",
+  detect(content) {
+    const pairs = parseKeyValues(content);
+    return !!pairs && pairs.length >= 2;
+  },
+  render(content) {
+    const pairs = parseKeyValues(content);
+    return pairs ? tableHtml(KEY_VALUE_TABLE, pairs, keyValueRowHtml) : renderPlain(content);
+  },
+  *renderChunks(content) {
+    const pairs = parseKeyValues(content);
+    if (pairs) yield* tableChunks(KEY_VALUE_TABLE, pairs, keyValueRowHtml);
+    else yield renderPlain(content);
+  },
+  attach: attachSortableTable,
+});
+
+const KEY_VALUE_TABLE =
+  `<table class="ghn-data-table ghn-sortable">` +
+  `<thead><tr><th><button type="button" data-sort="0">Key</button></th>` +
+  `<th><button type="button" data-sort="1">Value</button></th></tr></thead>`;
+
+function keyValueRowHtml({ key, value }) {
+  return `<tr><td>${escapeHtml(key)}</td><td>${escapeHtml(value)}</td></tr>`;
+}
+
+registerRenderer({
+  id: "markdown",
+  label: "Markdown",
+  language: "markdown",
+  autolink: true,
+  detect(content) {
+    const trimmed = content.trim();
+    return (
+      /^#{1,6}\s/m.test(trimmed) ||
+      /\*\*[^*]+\*\*/m.test(trimmed) ||
+      /^\|.+\|$/m.test(trimmed) ||
+      /^[-*]\s/m.test(trimmed) ||
+      /^\d+\.\s/m.test(trimmed) ||
+      /^```/m.test(trimmed) ||
+      /<!--.*-->/m.test(trimmed) ||
+      hasMarkdownFrontMatter(trimmed)
+    );
+  },
+  render(content) {
+    if (typeof marked === "undefined") return renderPlain(content);
+    const frontMatter = splitFrontMatter(content);
+    const body = frontMatter ? frontMatter.body : content;
+    const table = frontMatter ? frontMatterHtml(frontMatter.data) : "";
+    return table + markdownHtml(body);
+  },
+  *renderChunks(content) {
+    if (typeof marked === "undefined") {
+      yield renderPlain(content);
+      return;
+    }
+    const frontMatter = splitFrontMatter(content);
+    yield frontMatter ? frontMatterHtml(frontMatter.data) : "";
+    for (const piece of markdownPieces(frontMatter ? frontMatter.body : content)) {
+      yield markdownHtml(piece);
+    }
+  },
+  attach: attachDiffViews,
+});
+
+function markdownHtml(body) {
+  const rawHtml = parseMarkdown(body);
+  return typeof DOMPurify !== "undefined"
+    ? DOMPurify.sanitize(rawHtml, {
+        ALLOWED_TAGS: [
+          "h1","h2","h3","h4","h5","h6","p","br","strong","em","del",
+          "ul","ol","li","a","code","pre","blockquote","table","thead",
+          "tbody","tr","th","td","img","hr","div","span","sup","sub",
+        ],
+        ALLOWED_ATTR: ["href","src","alt","title","class","id","align"],
+        ALLOW_DATA_ATTR: false,
+      })
+    : escapeHtml(rawHtml);
+}
+
+// Markdown cut at blank lines outside code fences into pieces of about
+// MARKDOWN_CHUNK_SIZE characters, which render on their own (bar reference
+// links defined in another piece, and ordered lists cut in two)
+const MARKDOWN_CHUNK_SIZE = 64 * 1024;
+
+function* markdownPieces(text) {
+  let start = 0;
+  let fence = null;
+  for (let pos = 0; pos < text.length; ) {
+    let end = text.indexOf("\n", pos);
+    if (end === -1) end = text.length;
+    const line = text.slice(pos, end);
+    const marker = line.match(/^ {0,3}(`{3,}|~{3,})/);
+    if (marker) {
+      if (!fence) fence = marker[1];
+      else if (marker[1].startsWith(fence)) fence = null;
+    } else if (!fence && line.trim() === "" && end - start >= MARKDOWN_CHUNK_SIZE) {
+      yield text.slice(start, end);
+      start = end + 1;
+    }
+    pos = end + 1;
+  }
+  if (start < text.length) yield text.slice(start);
+}
+
+// Front matter followed by a body that isn't YAML itself (which would make
+// the note a stream of YAML documents)
+function hasMarkdownFrontMatter(content) {
+  const frontMatter = splitFrontMatter(content);
+  return !!frontMatter && frontMatter.body.trim() !== "" && !looksLikeYaml(frontMatter.body);
+}
+
+registerRenderer({
+  id: "yaml",
+  label: "YAML",
+  language: "yaml",
+  detect: looksLikeYaml,
+  render(content) {
+    let data;
+    try {
+      data = parseYaml(content);
+    } catch (err) {
+      return `<div class="ghn-parse-error">${escapeHtml(yamlErrorMessage(err))}</div>${renderPlain(content)}`;
+    }
+    return `<div class="ghn-content ghn-yaml-tree">${yamlNodeHtml("", data, 0)}</div>`;
+  },
+});
+
+// --- Git trailers ---
+// `Token: value` lines as written by `git interpret-trailers`; indented lines
+// continue the previous value. Keys are grouped case-insensitively, keeping
+// their first spelling and order. Returns [{ key, values }], or null if any
+// line isn't a trailer.
+const TRAILER_RE = /^([A-Za-z0-9][A-Za-z0-9-]*):[ \t]+(\S.*)$/;
+
+function parseTrailers(content) {
+  const groups = new Map();
+  let last = null;
+  for (const line of content.trim().split(/\r?\n/)) {
+    if (line.trim() === "") continue;
+    if (/^[ \t]/.test(line) && last) {
+      last.values[last.values.length - 1] += ` ${line.trim()}`;
+      continue;
+    }
+    const match = line.match(TRAILER_RE);
+    if (!match) return null;
+    const id = match[1].toLowerCase();
+    if (!groups.has(id)) groups.set(id, { key: match[1], values: [] });
+    last = groups.get(id);
+    last.values.push(match[2].trim());
+  }
+  return groups.size > 0 ? [...groups.values()] : null;
+}
+
+// --- key=value ---
+// One `key=value` per line, as in .env and .properties files; `#` and `;`
+// start comment lines, `export ` and quotes around values are dropped.
+// Returns [{ key, value }] in order, or null if any line is something else.
+const KEY_VALUE_RE = /^(?:export\s+)?([\w.-]+)\s*=\s*(.*)$/;
+
+function parseKeyValues(content) {
+  const pairs = [];
+  for (const line of content.trim().split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (trimmed === "" || /^[#;]/.test(trimmed)) continue;
+    const match = trimmed.match(KEY_VALUE_RE);
+    if (!match) return null;
+    const value = match[2].trim().replace(/^(["'])(.*)\1$/, "$2");
+    pairs.push({ key: match[1], value });
+  }
+  return pairs.length > 0 ? pairs : null;
+}
+
+// Header buttons sort the rows by their column, toggling the direction
+function attachSortableTable(body) {
+  const table = body.querySelector(".ghn-sortable");
+  if (!table) return;
+  const tbody = table.tBodies[0];
+  table.tHead.addEventListener("click", (event) => {
+    const btn = event.target.closest("[data-sort]");
+    if (!btn) return;
+    const column = Number(btn.dataset.sort);
+    const th = btn.parentElement;
+    const ascending = th.getAttribute("aria-sort") !== "ascending";
+    for (const other of table.tHead.querySelectorAll("th")) other.removeAttribute("aria-sort");
+    th.setAttribute("aria-sort", ascending ? "ascending" : "descending");
+
+    const rows = [...tbody.rows].sort((a, b) => {
+      const order = a.cells[column].textContent.localeCompare(
+        b.cells[column].textContent,
+        undefined,
+        { numeric: true }
+      );
+      return ascending ? order : -order;
+    });
+    tbody.append(...rows);
+  });
+}
+
+// --- TOML ---
+// TOML 1.0: tables, arrays of tables, dotted and quoted keys, basic and
+// literal strings (also multi-line), integers, floats, booleans, dates and
+// times (kept as written), arrays and inline tables.
+// Throws { message } naming the line of the first error.
+// A table belongs to whatever created it: a [header] (headerTables, by
+// name), dotted keys in one table (dottedTables) or an inline table, which
+// is complete as written (inlineTables). None of them can be extended by
+// another.
+function parseToml(text) {
+  const root = Object.create(null);
+  const definedTables = new WeakSet();
+  const arraysOfTables = new WeakSet();
+  const headerTables = new WeakMap();
+  const dottedTables = new WeakSet();
+  const inlineTables = new WeakSet();
+  let current = root;
+  let pos = 0;
+
+  const fail = (message) => {
+    const line = text.slice(0, pos).split("\n").length;
+    throw { message: `${message} (line ${line})` };
+  };
+  const isTable = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+
+  const skipSpaces = () => {
+    while (text[pos] === " " || text[pos] === "\t") pos++;
+  };
+  const skipComment = () => {
+    if (text[pos] === "#") while (pos < text.length && text[pos] !== "\n") pos++;
+  };
+  // Spaces, comments and line breaks: between statements and inside arrays
+  const skipBlank = () => {
+    for (;;) {
+      skipSpaces();
+      skipComment();
+      if (text[pos] !== "\n" && text[pos] !== "\r") return;
+      pos++;
+    }
+  };
+  const endOfLine = () => {
+    skipSpaces();
+    skipComment();
+    if (pos < text.length && text[pos] !== "\n" && !text.startsWith("\r\n", pos)) {
+      fail("Expected the end of the line");
+    }
+  };
+  const match = (re) => {
+    re.lastIndex = pos;
+    const m = re.exec(text);
+    if (m) pos += m[0].length;
+    return m && m[0];
+  };
+
+  const ESCAPES = { b: "\b", t: "\t", n: "\n", f: "\f", r: "\r", '"': '"', "\\": "\\" };
+
+  function skipFirstNewline() {
+    if (text[pos] === "\n") pos++;
+    else if (text.startsWith("\r\n", pos)) pos += 2;
+  }
+
+  // Up to two quotes just before a multi-line string's closing delimiter,
+  // at `end`, belong to the string
+  function closingQuotes(end) {
+    let extra = 0;
+    while (extra < 2 && text[end + 3 + extra] === text[end]) extra++;
+    return extra;
+  }
+
+  function parseBasicString() {
+    const multiline = text.startsWith('"""', pos);
+    pos += multiline ? 3 : 1;
+    if (multiline) skipFirstNewline();
+    let out = "";
+    for (;;) {
+      if (pos >= text.length) fail("Unterminated string");
+      const ch = text[pos];
+      if (multiline && text.startsWith('"""', pos)) {
+        const extra = closingQuotes(pos);
+        pos += 3 + extra;
+        return out + '"'.repeat(extra);
+      }
+      if (!multiline && ch === '"') {
+        pos++;
+        return out;
+      }
+      if (ch === "\n" && !multiline) fail("Unterminated string");
+      if (ch !== "\\") {
+        out += ch;
+        pos++;
+        continue;
+      }
+      const next = text[pos + 1];
+      if (multiline && /[ \t\r\n]/.test(next)) {
+        // A backslash at the end of a line joins it with the next
+        pos++;
+        skipBlank();
+        continue;
+      }
+      if (next === "u" || next === "U") {
+        const hex = match(next === "u" ? /\\u[0-9a-fA-F]{4}/y : /\\U[0-9a-fA-F]{8}/y);
+        if (!hex) fail("Invalid unicode escape");
+        out += String.fromCodePoint(parseInt(hex.slice(2), 16));
+        continue;
+      }
+      if (!(next in ESCAPES)) fail(`Invalid escape \\${next}`);
+      out += ESCAPES[next];
+      pos += 2;
+    }
+  }
+
+  function parseLiteralString() {
+    const multiline = text.startsWith("'''", pos);
+    pos += multiline ? 3 : 1;
+    if (multiline) skipFirstNewline();
+    const end = text.indexOf(multiline ? "'''" : "'", pos);
+    if (end === -1 || (!multiline && text.slice(pos, end).includes("\n"))) {
+      fail("Unterminated string");
+    }
+    const extra = multiline ? closingQuotes(end) : 0;
+    const value = text.slice(pos, end + extra);
+    pos = end + extra + (multiline ? 3 : 1);
+    return value;
+  }
+
+  function parseKey() {
+    const keys = [];
+    for (;;) {
+      skipSpaces();
+      if (text[pos] === '"') {
+        keys.push(parseBasicString());
+      } else if (text[pos] === "'") {
+        keys.push(parseLiteralString());
+      } else {
+        const bare = match(/[A-Za-z0-9_-]+/y);
+        if (!bare) fail("Expected a key");
+        keys.push(bare);
+      }
+      skipSpaces();
+      if (text[pos] !== ".") return keys;
+      pos++;
+    }
+  }
+
+  function parseValue() {
+    const ch = text[pos];
+    if (ch === '"') return parseBasicString();
+    if (ch === "'") return parseLiteralString();
+    if (ch === "[") return parseArray();
+    if (ch === "{") return parseInlineTable();
+
+    const date = match(
+      /\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:[Zz]|[+-]\d{2}:\d{2})?)?(?![\w:-])|\d{2}:\d{2}:\d{2}(?:\.\d+)?/y
+    );
+    if (date) return date;
+
+    const token = match(/[^\s,\]}#]+/y);
+    if (!token) fail("Expected a value");
+    if (token === "true") return true;
+    if (token === "false") return false;
+    if (/^[+-]?(inf|nan)$/.test(token)) {
+      return token.endsWith("nan") ? NaN : token.startsWith("-") ? -Infinity : Infinity;
+    }
+    const number = token.replace(/(?<=[0-9a-fA-F])_(?=[0-9a-fA-F])/g, "");
+    if (/^0x[0-9a-fA-F]+$/.test(number)) return parseInt(number.slice(2), 16);
+    if (/^0o[0-7]+$/.test(number)) return parseInt(number.slice(2), 8);
+    if (/^0b[01]+$/.test(number)) return parseInt(number.slice(2), 2);
+    if (/^[+-]?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(number)) return Number(number);
+    return fail(`Invalid value ${token}`);
+  }
+
+  function parseArray() {
+    pos++;
+    const items = [];
+    for (;;) {
+      skipBlank();
+      if (text[pos] === "]") {
+        pos++;
+        return items;
+      }
+      items.push(parseValue());
+      skipBlank();
+      if (text[pos] === ",") {
+        pos++;
+      } else if (text[pos] !== "]") {
+        fail("Expected , or ] in an array");
+      }
+    }
+  }
+
+  function parseInlineTable() {
+    pos++;
+    const table = Object.create(null);
+    skipSpaces();
+    if (text[pos] !== "}") {
+      for (;;) {
+        assign(table, parseKeyValue());
+        skipSpaces();
+        if (text[pos] === "}") break;
+        if (text[pos] !== ",") fail("Expected , or } in an inline table");
+        pos++;
+      }
+    }
+    pos++;
+    // Tables its dotted keys made are part of it
+    const seal = (value) => {
+      inlineTables.add(value);
+      for (const child of Object.values(value)) if (isTable(child)) seal(child);
+    };
+    seal(table);
+    return table;
+  }
+
+  const checkExtensible = (key, table) => {
+    if (inlineTables.has(table)) fail(`${key} can't be extended: inline tables are complete`);
+  };
+
+  function parseKeyValue() {
+    const keys = parseKey();
+    if (text[pos] !== "=") fail("Expected = after a key");
+    pos++;
+    skipSpaces();
+    return { keys, value: parseValue() };
+  }
+
+  function assign(table, { keys, value }) {
+    let target = table;
+    for (const key of keys.slice(0, -1)) {
+      if (!(key in target)) {
+        target[key] = Object.create(null);
+        dottedTables.add(target[key]);
+      }
+      const next = target[key];
+      if (!isTable(next)) fail(`${key} is not a table`);
+      checkExtensible(key, next);
+      if (headerTables.has(next)) fail(`${key} is already defined as [${headerTables.get(next)}]`);
+      target = next;
+    }
+    const last = keys[keys.length - 1];
+    if (last in target) fail(`${keys.join(".")} is defined twice`);
+    target[last] = value;
+  }
+
+  // The table at `keys`, creating missing ones on the way. An array of
+  // tables stands for its last table.
+  function tableAt(keys) {
+    let target = root;
+    keys.forEach((key, i) => {
+      if (!(key in target)) {
+        target[key] = Object.create(null);
+        headerTables.set(target[key], keys.slice(0, i + 1).join("."));
+      }
+      let next = target[key];
+      if (arraysOfTables.has(next)) next = next[next.length - 1];
+      if (!isTable(next)) fail(`${key} is not a table`);
+      checkExtensible(key, next);
+      target = next;
+    });
+    return target;
+  }
+
+  for (;;) {
+    skipBlank();
+    if (pos >= text.length) return root;
+    if (text.startsWith("[[", pos)) {
+      pos += 2;
+      const keys = parseKey();
+      if (!text.startsWith("]]", pos)) fail("Expected ]]");
+      pos += 2;
+      const parent = tableAt(keys.slice(0, -1));
+      const last = keys[keys.length - 1];
+      if (!(last in parent)) {
+        parent[last] = [];
+        arraysOfTables.add(parent[last]);
+      }
+      if (!arraysOfTables.has(parent[last])) fail(`${keys.join(".")} is not an array of tables`);
+      current = Object.create(null);
+      parent[last].push(current);
+    } else if (text[pos] === "[") {
+      pos++;
+      const keys = parseKey();
+      if (text[pos] !== "]") fail("Expected ]");
+      pos++;
+      current = tableAt(keys);
+      if (definedTables.has(current)) fail(`[${keys.join(".")}] is defined twice`);
+      if (dottedTables.has(current)) fail(`[${keys.join(".")}] is already defined by dotted keys`);
+      definedTables.add(current);
+    } else {
+      assign(current, parseKeyValue());
+    }
+    endOfLine();
+  }
+}
+
+// Sections as in the file: the top-level keys, then a [table] per table with
+// its keys, and arrays of tables ([[table]]) as one table with a row each
+function tomlHtml(data) {
+  const sections = [];
+  const isTable = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+  const isTableArray = (value) =>
+    Array.isArray(value) && value.length > 0 && value.every(isTable);
+  const keyName = (key) => (/^[A-Za-z0-9_-]+$/.test(key) ? key : JSON.stringify(key));
+  const cell = (value) => {
+    if (Array.isArray(value) && !value.some((v) => v !== null && typeof v === "object")) {
+      return value.map(String).join(", ");
+    }
+    return value !== null && typeof value === "object" ? JSON.stringify(value) : String(value);
+  };
+
+  function walk(table, path) {
+    const rows = [];
+    const nested = [];
+    for (const [key, value] of Object.entries(table)) {
+      if (isTable(value) || isTableArray(value)) {
+        nested.push([key, value]);
+      } else {
+        rows.push(`<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(cell(value))}</td></tr>`);
+      }
+    }
+    if (rows.length > 0 || (path.length > 0 && nested.length === 0)) {
+      sections.push({
+        heading: path.length > 0 ? `[${path.map(keyName).join(".")}]` : "",
+        html: `<table class="ghn-data-table"><tbody>${rows.join("")}</tbody></table>`,
+      });
+    }
+    for (const [key, value] of nested) {
+      if (isTable(value)) {
+        walk(value, [...path, key]);
+        continue;
+      }
+      const columns = [...new Set(value.flatMap((row) => Object.keys(row)))];
+      const head = columns.map((c) => `<th>${escapeHtml(c)}</th>`).join("");
+      const body = value
+        .map(
+          (row) =>
+            `<tr>${columns
+              .map((c) => `<td>${c in row ? escapeHtml(cell(row[c])) : ""}</td>`)
+              .join("")}</tr>`
+        )
+        .join("");
+      sections.push({
+        heading: `[[${[...path, key].map(keyName).join(".")}]]`,
+        html: `<table class="ghn-data-table"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`,
+      });
+    }
+  }
+
+  walk(data, []);
+  return sections
+    .map(
+      ({ heading, html }) =>
+        `<div class="ghn-toml-section">${
+          heading ? `<div class="ghn-toml-heading">${escapeHtml(heading)}</div>` : ""
+        }${html}</div>`
+    )
+    .join("");
+}
+
+// --- Syntax highlighting ---
+// highlight.js (lib/highlight.min.js, its common languages) only emits
+// <span class="hljs-*">, which the DOMPurify allowlist keeps. content.css
+// colours the classes with GitHub's prettylights variables.
+
+// The highlight.js language for a fence info string like "js title=x",
+// or null if there is none or it isn't bundled
+function codeLanguage(info) {
+  const language = (info || "").trim().split(/\s+/)[0].toLowerCase();
+  if (!language || typeof hljs === "undefined" || !hljs.getLanguage(language)) return null;
+  return language;
+}
+
+// Highlighted, escaped HTML for `code`; just escaped without a language
+function highlightCode(code, info) {
+  const language = codeLanguage(info);
+  if (!language) return escapeHtml(code);
+  return hljs.highlight(code, { language, ignoreIllegals: true }).value;
+}
+
+function codeBlockHtml(code, info) {
+  const language = codeLanguage(info);
+  if (language === "diff" || language === "patch") {
+    const diff = parseUnifiedDiff(code);
+    if (diff) return diffHtml(diff);
+  }
+  const attr = language ? ` class="hljs language-${escapeAttr(language)}"` : "";
+  return `<pre><code${attr}>${highlightCode(code, language)}</code></pre>\n`;
+}
+
+// marked with fenced code blocks highlighted, created on first use
+let markdownParser = null;
+
+function parseMarkdown(body) {
+  if (!markdownParser) {
+    markdownParser = new marked.Marked({
+      breaks: true,
+      gfm: true,
+      renderer: {
+        code: ({ text, lang }) => codeBlockHtml(text, lang),
+      },
+    });
+  }
+  return markdownParser.parse(body);
+}
+
+// --- Binary notes ---
+// A binary note's content is a byte string; bytes.js tells binary from text.
+// Images are shown from a data: URL, anything else is offered for download.
+
+// An <svg> root, after an optional XML declaration, comments and doctype
+const SVG_RE = /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i;
+
+function imageMime(content) {
+  const signature = fileSignature(content);
+  if (signature) return signature.mime.startsWith("image/") ? signature.mime : null;
+  return SVG_RE.test(content) ? "image/svg+xml" : null;
+}
+
+function binaryMime(content) {
+  return fileSignature(content)?.mime || "application/octet-stream";
+}
+
+// 1536 -> "1.5 KB"
+function formatSize(bytes) {
+  const units = ["bytes", "KB", "MB", "GB"];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${size} ${units[0]}` : `${size.toFixed(1)} ${units[unit]}`;
+}
+
+function binaryInfoHtml(content, mime) {
+  // An SVG note is text: its size is its UTF-8 length
+  const size = mime === "image/svg+xml" ? new TextEncoder().encode(content).length : content.length;
+  return `
+    <div class="ghn-binary-info">
+      <span class="ghn-binary-mime">${escapeHtml(mime)}</span>
+      <span class="ghn-binary-size">${formatSize(size)}</span>
+      <button type="button" class="ghn-download">Download</button>
+    </div>
+  `;
+}
+
+function attachDownload(body, content) {
+  const btn = body.querySelector(".ghn-download");
+  if (!btn) return;
+  btn.addEventListener("click", () => {
+    const mime = imageMime(content) || binaryMime(content);
+    const ext = fileSignature(content)?.ext || (mime === "image/svg+xml" ? "svg" : "bin");
+    const data = isBinaryData(content) ? bytesFromBinaryString(content) : content;
+    const url = URL.createObjectURL(new Blob([data], { type: mime }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `git-note.${ext}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  });
+}
+
+// --- Diffs ---
+// Unified diffs as `git diff`, `git format-patch` and `diff -u` write them.
+// parseUnifiedDiff returns { preamble, files, epilogue }, or null without a
+// single hunk or git file header. Each file is
+//   { oldPath, newPath, status, binary, hunks: [{ header, lines }] }
+// and each line { type: "ctx" | "add" | "del" | "note", text, oldNo, newNo }.
+// The text around the files (a patch's message, its signature) is kept in
+// `preamble` and `epilogue`.
+const DIFF_START_RE = /^(diff --git |@@ -\d+(,\d+)? \+\d+(,\d+)? @@|--- \S.*\n\+\+\+ \S)/m;
+const DIFF_HUNK_RE = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/;
+const DIFF_STATUS_LINES = [
+  [/^new file mode /, "added"],
+  [/^deleted file mode /, "deleted"],
+  [/^(rename|copy) (from|to) /, "renamed"],
+  [/^(index |old mode |new mode |similarity index |dissimilarity index )/, null],
+];
+
+function parseUnifiedDiff(text) {
+  const lines = text.replace(/\r\n/g, "\n").replace(/\n$/, "").split("\n");
+  const preamble = [];
+  const epilogue = [];
+  const files = [];
+  let file = null;
+  let hunk = null;
+  let oldNo = 0;
+  let newNo = 0;
+  let oldLeft = 0;
+  let newLeft = 0;
+  // After `diff --git`, until its ---/+++ or first hunk
+  let gitHeader = false;
+
+  const startFile = () => {
+    file = { oldPath: null, newPath: null, status: "modified", binary: false, hunks: [] };
+    files.push(file);
+    hunk = null;
+  };
+  // "a/src/x.js\t2024-01-01 ..." -> "src/x.js"; /dev/null -> null
+  const diffPath = (value) => {
+    const path = value.split("\t")[0].trim();
+    return path === "/dev/null" ? null : path.replace(/^[ab]\//, "");
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Inside a hunk its counts say which lines belong to it
+    if (hunk && (oldLeft > 0 || newLeft > 0)) {
+      const marker = line[0];
+      if (marker === " " || line === "") {
+        hunk.lines.push({ type: "ctx", text: line.slice(1), oldNo: oldNo++, newNo: newNo++ });
+        oldLeft--;
+        newLeft--;
+        continue;
+      }
+      if (marker === "-" && oldLeft > 0) {
+        hunk.lines.push({ type: "del", text: line.slice(1), oldNo: oldNo++, newNo: null });
+        oldLeft--;
+        continue;
+      }
+      if (marker === "+" && newLeft > 0) {
+        hunk.lines.push({ type: "add", text: line.slice(1), oldNo: null, newNo: newNo++ });
+        newLeft--;
+        continue;
+      }
+      if (marker !== "\\") hunk = null;
+    }
+    if (hunk && line.startsWith("\\")) {
+      // "\ No newline at end of file"
+      hunk.lines.push({ type: "note", text: line.slice(1).trim(), oldNo: null, newNo: null });
+      continue;
+    }
+
+    if (line.startsWith("diff --git ")) {
+      startFile();
+      gitHeader = true;
+      const paths = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+      if (paths) [, file.oldPath, file.newPath] = paths;
+      continue;
+    }
+    if (line.startsWith("--- ") && lines[i + 1]?.startsWith("+++ ")) {
+      // A file of its own unless it continues a `diff --git` header
+      if (!gitHeader) startFile();
+      gitHeader = false;
+      file.oldPath = diffPath(line.slice(4));
+      file.newPath = diffPath(lines[i + 1].slice(4));
+      if (!file.oldPath) file.status = "added";
+      if (!file.newPath) file.status = "deleted";
+      i++;
+      continue;
+    }
+    const header = line.match(DIFF_HUNK_RE);
+    if (header) {
+      if (!file) startFile();
+      gitHeader = false;
+      hunk = { header: line, lines: [] };
+      file.hunks.push(hunk);
+      oldNo = Number(header[1]);
+      newNo = Number(header[3]);
+      oldLeft = header[2] === undefined ? 1 : Number(header[2]);
+      newLeft = header[4] === undefined ? 1 : Number(header[4]);
+      continue;
+    }
+    if (gitHeader) {
+      const status = DIFF_STATUS_LINES.find(([re]) => re.test(line));
+      if (status) {
+        if (status[1]) file.status = status[1];
+        continue;
+      }
+      if (/^Binary files .* differ$/.test(line) || line === "GIT binary patch") {
+        file.binary = true;
+        continue;
+      }
+    }
+    (files.length > 0 ? epilogue : preamble).push(line);
+  }
+
+  const isDiff = files.some(
+    (f) => f.hunks.length > 0 || f.binary || f.status !== "modified"
+  );
+  if (!isDiff) return null;
+  return { preamble: preamble.join("\n"), files, epilogue: epilogue.join("\n") };
+}
+
+// Both layouts are rendered, and CSS shows the one picked in the toolbar.
+// Only tags and attributes the markdown DOMPurify allowlist keeps, so a
+// ```diff block in a markdown note survives sanitizing; the toolbar is added
+// by attachDiffViews.
+function diffHtml(diff) {
+  const message = (text) =>
+    text.trim() ? `<pre class="ghn-content ghn-diff-message">${escapeHtml(text.trim())}</pre>` : "";
+  return (
+    `<div class="ghn-diff-view">${message(diff.preamble)}` +
+    `${diff.files.map(diffFileHtml).join("")}${message(diff.epilogue)}</div>`
+  );
+}
+
+function diffFileHtml(file) {
+  const lines = file.hunks.flatMap((h) => h.lines);
+  const added = lines.filter((l) => l.type === "add").length;
+  const removed = lines.filter((l) => l.type === "del").length;
+  const name =
+    file.status === "renamed" && file.oldPath !== file.newPath
+      ? `${file.oldPath} → ${file.newPath}`
+      : file.newPath || file.oldPath;
+
+  const header = name
+    ? `<div class="ghn-diff-file-header">` +
+      `<span class="ghn-diff-path">${escapeHtml(name)}</span>` +
+      (file.status !== "modified"
+        ? `<span class="ghn-diff-status">${escapeHtml(file.status)}</span>`
+        : "") +
+      `<span class="ghn-diff-stat"><span class="ghn-diff-stat-add">+${added}</span> ` +
+      `<span class="ghn-diff-stat-del">−${removed}</span></span></div>`
+    : "";
+  if (file.binary) {
+    return `<div class="ghn-diff-file">${header}<div class="ghn-diff-binary">Binary file not shown</div></div>`;
+  }
+  return (
+    `<div class="ghn-diff-file">${header}` +
+    `<table class="ghn-diff-table ghn-diff-unified"><tbody>${file.hunks.map(unifiedHunkHtml).join("")}</tbody></table>` +
+    `<table class="ghn-diff-table ghn-diff-split"><tbody>${file.hunks.map(splitHunkHtml).join("")}</tbody></table>` +
+    `</div>`
+  );
+}
+
+const DIFF_MARKERS = { ctx: " ", add: "+", del: "-", note: "" };
+
+function diffNumHtml(number) {
+  return `<td class="ghn-diff-num">${number ?? ""}</td>`;
+}
+
+function diffCodeHtml(line) {
+  if (!line) return `<td class="ghn-diff-code ghn-diff-empty"></td>`;
+  return (
+    `<td class="ghn-diff-code ghn-diff-${line.type}">` +
+    `<span class="ghn-diff-marker">${DIFF_MARKERS[line.type]}</span>${escapeHtml(line.text)}</td>`
+  );
+}
+
+function unifiedHunkHtml(hunk) {
+  const rows = hunk.lines.map(
+    (line) =>
+      `<tr class="ghn-diff-${line.type}">${diffNumHtml(line.oldNo)}${diffNumHtml(line.newNo)}${diffCodeHtml(line)}</tr>`
+  );
+  return (
+    `<tr class="ghn-diff-hunk">${diffNumHtml()}${diffNumHtml()}` +
+    `<td class="ghn-diff-code">${escapeHtml(hunk.header)}</td></tr>${rows.join("")}`
+  );
+}
+
+// Removed lines on the left, added ones on the right: a run of removals
+// and the additions after it share rows
+function splitHunkHtml(hunk) {
+  const rows = [];
+  const row = (left, right) =>
+    rows.push(
+      `<tr>${diffNumHtml(left?.oldNo)}${diffCodeHtml(left)}${diffNumHtml(right?.newNo)}${diffCodeHtml(right)}</tr>`
+    );
+  const { lines } = hunk;
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (line.type === "ctx" || line.type === "note") {
+      row(line, line);
+      i++;
+      continue;
+    }
+    const dels = [];
+    const adds = [];
+    while (lines[i]?.type === "del") dels.push(lines[i++]);
+    while (lines[i]?.type === "add") adds.push(lines[i++]);
+    for (let k = 0; k < Math.max(dels.length, adds.length); k++) row(dels[k], adds[k]);
+  }
+  return (
+    `<tr class="ghn-diff-hunk">${diffNumHtml()}<td class="ghn-diff-code">${escapeHtml(hunk.header)}</td>` +
+    `${diffNumHtml()}<td class="ghn-diff-code"></td></tr>${rows.join("")}`
+  );
+}
+
+// The layout last picked, for diffs rendered later on the page
+let diffLayout = "unified";
+
+function attachDiffViews(body) {
+  for (const view of body.querySelectorAll(".ghn-diff-view")) {
+    const toolbar = document.createElement("div");
+    toolbar.className = "ghn-diff-toolbar";
+    toolbar.innerHTML = `
+      <button type="button" data-layout="unified">Unified</button>
+      <button type="button" data-layout="split">Split</button>
+    `;
+    const apply = (layout) => {
+      view.classList.toggle("ghn-diff-split-layout", layout === "split");
+      for (const btn of toolbar.querySelectorAll("button")) {
+        btn.classList.toggle("ghn-active", btn.dataset.layout === layout);
+      }
+    };
+    toolbar.addEventListener("click", (event) => {
+      const btn = event.target.closest("[data-layout]");
+      if (!btn) return;
+      diffLayout = btn.dataset.layout;
+      apply(diffLayout);
+    });
+    apply(diffLayout);
+    view.prepend(toolbar);
+  }
+}
+
+// --- Autolinks ---
+// What GitHub links in comments, against the annotated commit's repository:
+// commit SHAs, #123 and owner/repo#123, owner/repo@sha and @user. Text in
+// links and code is left alone. Relative links and images point into the
+// tree at the annotated commit, as they would in a file view. Runs on
+// sanitized HTML and only adds <a href> and <code>, which the DOMPurify
+// allowlist keeps anyway.
+const AUTOLINK_RE = new RegExp(
+  [
+    // owner/repo#123 and owner/repo@sha
+    /(?<![\w/@.#-])([A-Za-z0-9][A-Za-z0-9-]*)\/([\w.-]+)(?:#(\d+)\b|@([0-9a-f]{7,40})\b)/.source,
+    // #123
+    /(?<![\w/@.#&-])#(\d+)\b/.source,
+    // @user, but not email addresses or @org/team
+    /(?<![\w/@.-])@([A-Za-z0-9](?:[A-Za-z0-9]|-(?=[A-Za-z0-9])){0,38})(?![\w/-])/.source,
+    // A commit SHA: 7 to 40 hex digits with both letters and digits
+    /(?<![\w/@.#-])((?=[0-9a-f]*[0-9])(?=[0-9a-f]*[a-f])[0-9a-f]{7,40})\b/.source,
+  ].join("|"),
+  "g"
+);
+
+function linkifyHtml(html, commit) {
+  const template = document.createElement("template");
+  template.innerHTML = html;
+  const root = template.content;
+
+  for (const link of root.querySelectorAll("a[href]")) {
+    const url = relativeRepoUrl(link.getAttribute("href"), commit, "blob");
+    if (url) link.setAttribute("href", url);
+  }
+  for (const img of root.querySelectorAll("img[src]")) {
+    const url = relativeRepoUrl(img.getAttribute("src"), commit, "raw");
+    if (url) img.setAttribute("src", url);
+  }
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) =>
+      node.parentElement?.closest("a, code, pre")
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT,
+  });
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+  for (const node of textNodes) linkifyTextNode(node, commit);
+  return template.innerHTML;
+}
+
+function linkifyTextNode(node, commit) {
+  const text = node.nodeValue;
+  const repoUrl = `${location.origin}/${commit.owner}/${commit.repo}`;
+  const fragment = document.createDocumentFragment();
+  let last = 0;
+  for (const match of text.matchAll(AUTOLINK_RE)) {
+    const [whole, owner, repo, crossIssue, crossSha, issue, user, sha] = match;
+    const link = document.createElement("a");
+    link.className = "ghn-autolink";
+    if (crossIssue) {
+      link.href = `${location.origin}/${owner}/${repo}/issues/${crossIssue}`;
+      link.textContent = whole;
+    } else if (crossSha) {
+      link.href = `${location.origin}/${owner}/${repo}/commit/${crossSha}`;
+      link.append(`${owner}/${repo}@`, shaCode(crossSha));
+    } else if (issue) {
+      link.href = `${repoUrl}/issues/${issue}`;
+      link.textContent = whole;
+    } else if (user) {
+      link.href = `${location.origin}/${user}`;
+      link.textContent = whole;
+    } else {
+      link.href = `${repoUrl}/commit/${sha}`;
+      link.append(shaCode(sha));
+    }
+    fragment.append(text.slice(last, match.index), link);
+    last = match.index + whole.length;
+  }
+  if (last === 0) return;
+  fragment.append(text.slice(last));
+  node.replaceWith(fragment);
+}
+
+function shaCode(sha) {
+  const code = document.createElement("code");
+  code.textContent = sha.slice(0, 7);
+  return code;
+}
+
+// Where a relative `href` or `src` points in the repository at the annotated
+// commit (`kind` is "blob" for pages, "raw" for images), or null for URLs
+// with a scheme or host and for in-page anchors. `/path` starts at the
+// repository root, and `..` can't climb above it.
+function relativeRepoUrl(value, commit, kind) {
+  const trimmed = value.trim();
+  if (!trimmed || trimmed.startsWith("#") || /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(trimmed)) {
+    return null;
+  }
+  let resolved;
+  try {
+    resolved = new URL(trimmed, "https://repo.invalid/");
+  } catch {
+    return null;
+  }
+  // Backslashes can still smuggle in a host
+  if (resolved.host !== "repo.invalid") return null;
+  return (
+    `${location.origin}/${commit.owner}/${commit.repo}/${kind}/${commit.commitSha}` +
+    `${resolved.pathname}${resolved.search}${resolved.hash}`
+  );
+}
+
+// --- YAML ---
+// Parsed with js-yaml (lib/js-yaml.min.js). The core schema has no timestamp
+// type, so dates show as written.
+const YAML_KEY_LINE_RE = /^[a-zA-Z_][a-zA-Z0-9_]*:\s/gm;
+
+function parseYaml(text) {
+  return jsyaml.load(text, { schema: jsyaml.CORE_SCHEMA });
+}
+
+function yamlErrorMessage(err) {
+  if (err && err.reason && err.mark) {
+    return `Invalid YAML: ${err.reason} (line ${err.mark.line + 1}, column ${err.mark.column + 1})`;
+  }
+  return `Invalid YAML: ${(err && err.message) || err}`;
+}
+
+// YAML that parses into a structure: several keys or items, or anything
+// nested. Text that fails to parse still counts if it has several
+// `key: value` lines, so the renderer can point at the error.
+function looksLikeYaml(content) {
+  const trimmed = content.trim();
+  if (typeof jsyaml === "undefined") {
+    return (trimmed.match(YAML_KEY_LINE_RE) || []).length >= 2;
+  }
+  let data;
+  try {
+    data = parseYaml(trimmed);
+  } catch {
+    return (trimmed.match(YAML_KEY_LINE_RE) || []).length >= 2;
+  }
+  if (data === null || typeof data !== "object") return false;
+  const values = Object.values(data);
+  return values.length >= 2 || values.some((v) => v !== null && typeof v === "object");
+}
+
+function yamlScalarHtml(value) {
+  if (value === null) return `<span class="ghn-json-null">null</span>`;
+  const type = typeof value;
+  if (type === "string" && value.includes("\n")) {
+    return `|<span class="ghn-json-string ghn-yaml-block">${escapeHtml(value)}</span>`;
+  }
+  return `<span class="ghn-json-${type}">${escapeHtml(String(value))}</span>`;
+}
+
+// Mappings and sequences are <details>, like the JSON tree, and start
+// collapsed from JSON_TREE_OPEN_DEPTH down. `label` is the HTML before the
+// value: "key: ", "- " for sequence items, or nothing at the root.
+function yamlNodeHtml(label, value, depth) {
+  if (value === null || typeof value !== "object") {
+    return `<div class="ghn-yaml-leaf">${label}${yamlScalarHtml(value)}</div>`;
+  }
+
+  const isArray = Array.isArray(value);
+  const children = isArray
+    ? value.map((item) =>
+        yamlNodeHtml(`<span class="ghn-yaml-dash">-</span> `, item, depth + 1)
+      )
+    : Object.entries(value).map(([key, child]) =>
+        yamlNodeHtml(`<span class="ghn-yaml-key">${escapeHtml(key)}</span>: `, child, depth + 1)
+      );
+  if (depth === 0) return children.join("");
+
+  const count = `${children.length} ${isArray ? "item" : "key"}${children.length === 1 ? "" : "s"}`;
+  return (
+    `<details class="ghn-yaml-node"${depth < JSON_TREE_OPEN_DEPTH ? " open" : ""}>` +
+    `<summary>${label}<span class="ghn-json-count">${count}</span></summary>` +
+    `<div class="ghn-yaml-children">${children.join("")}</div></details>`
+  );
+}
+
+// A markdown note may start with a YAML front-matter block between `---`
+// lines. Returns { data, body } if it does and the block is a mapping.
+function splitFrontMatter(content) {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!match || typeof jsyaml === "undefined") return null;
+  let data;
+  try {
+    data = parseYaml(match[1]);
+  } catch {
+    return null;
+  }
+  if (data === null || typeof data !== "object" || Array.isArray(data)) return null;
+  return { data, body: content.slice(match[0].length) };
+}
+
+function frontMatterHtml(data) {
+  const rows = Object.entries(data).map(([key, value]) => {
+    let text;
+    if (Array.isArray(value) && value.every((v) => v === null || typeof v !== "object")) {
+      text = value.join(", ");
+    } else if (value !== null && typeof value === "object") {
+      text = jsyaml.dump(value).trim();
+    } else {
+      text = String(value);
+    }
+    return `<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(text)}</td></tr>`;
+  });
+  return `<table class="ghn-front-matter"><tbody>${rows.join("")}</tbody></table>`;
+}
+
+registerRenderer({
+  id: "plain",
+  label: "Plain text",
+  detect: () => true,
+  render: renderPlain,
+});
+
+// --- Large notes ---
+// A note over LARGE_NOTE_SIZE bytes would freeze the tab going through
+// marked and DOMPurify, or becoming a DOM node per JSON value, so it shows a
+// summary instead and is rendered when asked: a piece at a time, yielding to
+// the page in between, by renderers with `renderChunks`. Parsing YAML, TOML
+// or a diff of that size can't be split up, so those notes are shown as
+// text. Plain and raw views only keep the lines in sight in the DOM.
+const LARGE_NOTE_SAMPLE = 64 * 1024; // characters `detect` sees
+const VIRTUAL_LINE_HEIGHT = 20; // px, as set on .ghn-virtual-lines
+const VIRTUAL_VIEW_LINES = 30;
+const VIRTUAL_OVERSCAN = 20; // lines kept above and below the view
+
+// Binary notes render as cheaply at any size, so they're never large
+function isLargeNote(note) {
+  if (note.content === null) return true;
+  if (isBinaryData(note.content)) return false;
+  return new Blob([note.content]).size > LARGE_NOTE_SIZE;
+}
+
+// What renderers sniff for a large note: parsing all of it as YAML or TOML
+// takes seconds, so only its first lines. JSON can't be judged by a prefix,
+// but JSON.parse is quick enough to check it whole.
+function largeNoteSample(content) {
+  if (/^\s*[[{]/.test(content) && findRenderer("json").detect(content)) return content;
+  const cut = content.lastIndexOf("\n", LARGE_NOTE_SAMPLE);
+  return content.slice(0, cut > 0 ? cut : LARGE_NOTE_SAMPLE);
+}
+
+function countLines(text) {
+  let lines = text.endsWith("\n") ? 0 : 1;
+  for (let i = text.indexOf("\n"); i !== -1; i = text.indexOf("\n", i + 1)) lines++;
+  return lines;
+}
+
+// Size, line count and format, and the button that renders the note (or,
+// if it hasn't been fetched, downloads it)
+function largeNoteSummaryHtml(note, renderer) {
+  const facts =
+    note.content === null
+      ? [formatSize(note.size), "not downloaded yet"]
+      : [
+          formatSize(new Blob([note.content]).size),
+          `${countLines(note.content).toLocaleString("en-US")} lines`,
+          renderer.label,
+        ];
+  let action = "Render note";
+  if (note.content === null) action = "Load note";
+  else if (!canRenderLarge(renderer)) action = "Show as text";
+  return `
+    <div class="ghn-large-note">
+      <span class="ghn-large-summary">Large note: ${facts.map(escapeHtml).join(" \u00b7 ")}</span>
+      <button type="button" class="ghn-large-render">${action}</button>
+    </div>
+  `;
+}
+
+const nextTask = () => new Promise((resolve) => setTimeout(resolve));
+
+function canRenderLarge(renderer) {
+  return renderer.id === "plain" || !!renderer.renderChunks;
+}
+
+// Render a large note into `body`, chunk by chunk. Stops early if the body
+// leaves the page (the notes were re-rendered, or the reader moved on).
+async function renderLargeNote(body, content, renderer, commit) {
+  body.innerHTML = `<span class="ghn-spinner"></span> Rendering note...`;
+  await nextTask();
+  if (!canRenderLarge(renderer)) {
+    const notice = document.createElement("div");
+    notice.className = "ghn-large-note";
+    notice.textContent = `Too large to show as ${renderer.label}; this is its text.`;
+    body.replaceChildren(notice, createVirtualText(content));
+    return;
+  }
+  if (renderer.id === "plain") {
+    body.replaceChildren(createVirtualText(content));
+    return;
+  }
+
+  let target = null;
+  for (const chunk of renderer.renderChunks(content)) {
+    if (!body.isConnected) return;
+    const html = renderer.autolink && commit ? linkifyHtml(chunk, commit) : chunk;
+    if (target) {
+      target.insertAdjacentHTML("beforeend", html);
+    } else {
+      body.innerHTML = html;
+      target = body.querySelector(".ghn-chunk-target") || body;
+    }
+    await nextTask();
+  }
+  if (renderer.attach) renderer.attach(body, content);
+}
+
+// A scrolling view of `text` that only keeps the lines in sight, and a
+// margin around them, in the DOM
+function createVirtualText(text) {
+  const lines = text.split("\n");
+  if (lines.length > 1 && lines[lines.length - 1] === "") lines.pop();
+
+  const view = document.createElement("div");
+  view.className = "ghn-virtual";
+  view.style.height = `${Math.min(lines.length, VIRTUAL_VIEW_LINES) * VIRTUAL_LINE_HEIGHT}px`;
+  const sizer = document.createElement("div");
+  sizer.style.height = `${lines.length * VIRTUAL_LINE_HEIGHT}px`;
+  const pre = document.createElement("pre");
+  pre.className = "ghn-content ghn-virtual-lines";
+  sizer.appendChild(pre);
+  view.appendChild(sizer);
+
+  let shown = -1;
+  const update = () => {
+    const first = Math.max(0, Math.floor(view.scrollTop / VIRTUAL_LINE_HEIGHT) - VIRTUAL_OVERSCAN);
+    if (first === shown) return;
+    shown = first;
+    pre.style.transform = `translateY(${first * VIRTUAL_LINE_HEIGHT}px)`;
+    pre.textContent = lines
+      .slice(first, first + VIRTUAL_VIEW_LINES + 2 * VIRTUAL_OVERSCAN)
+      .join("\n");
+  };
+  let scheduled = false;
+  view.addEventListener("scroll", () => {
+    if (scheduled) return;
+    scheduled = true;
+    requestAnimationFrame(() => {
+      scheduled = false;
+      update();
+    });
+  });
+  update();
+  return view;
+}
+
+// --- UI rendering ---
+
+// One placeholder per ref, in ref order, each replaced by its note (or
+// dropped) as the ref settles, so notes show up as they arrive without
+// moving around. Returns { fill(ref, note), finish() }; `finish` drops
+// the remaining placeholders, adds the "Add note" box when editing is
+// possible, and returns the notes shown.
+function showNoteSlots(container, refs, context = null) {
+  const canEdit = !!(context && context.canEdit);
+  const notes = [];
+  const slots = new Map();
+
+  container.innerHTML = "";
+  for (const ref of refs) {
+    const slot = document.createElement("div");
+    slot.className = "ghn-box ghn-loading";
+    slot.dataset.ref = ref;
+    slot.innerHTML = `
+      <div class="ghn-header">
+        <span class="ghn-icon">${noteIcon()}</span>
+        <span class="ghn-title">Git Notes</span>
+        <span class="ghn-ref">${escapeHtml(ref)}</span>
+      </div>
+      <div class="ghn-body">
+        <span class="ghn-spinner"></span> Loading notes...
+      </div>
+    `;
+    container.appendChild(slot);
+    slots.set(ref, slot);
+  }
+
+  return {
+    fill(ref, note) {
+      const slot = slots.get(ref);
+      if (!slot) return;
+      slots.delete(ref);
+      // The container was re-rendered (e.g. after an edit) in the meantime
+      if (!slot.isConnected) return;
+      if (note === null) {
+        slot.remove();
+        return;
+      }
+      const after = notes.findIndex((n) => refs.indexOf(n.ref) > refs.indexOf(ref));
+      notes.splice(after === -1 ? notes.length : after, 0, note);
+      slot.replaceWith(createNoteBox(container, notes, context, note));
+    },
+    finish() {
+      for (const slot of slots.values()) slot.remove();
+      slots.clear();
+      if (canEdit && container.isConnected) {
+        container.appendChild(createAddNoteBox(container, notes, context));
+      }
+      return notes;
+    },
+  };
+}
+
+// `context` ({ owner, repo, commitSha, noteRefs, canEdit }) identifies the
+// annotated commit. It enables the per-note history view, and with `canEdit`
+// (a token is configured) the add/edit/delete actions.
+function showNotes(container, notes, context = null) {
+  const canEdit = !!(context && context.canEdit);
+  if ((!notes || notes.length === 0) && !canEdit) {
+    removeExisting();
+    return;
+  }
+
+  container.innerHTML = "";
+  for (const note of notes) {
+    container.appendChild(createNoteBox(container, notes, context, note));
+  }
+
+  if (canEdit) {
+    container.appendChild(createAddNoteBox(container, notes, context));
+  }
+}
+
+// The box for one note. `container` and `notes` are what the edit actions
+// re-render after a change.
+function createNoteBox(container, notes, context, note) {
+  const canEdit = !!(context && context.canEdit);
+  const fetched = note.content !== null;
+  const large = isLargeNote(note);
+  let renderer = findRenderer("plain");
+  if (large && fetched) {
+    renderer = pickRenderer(note.content, note.ref, rendererPins, largeNoteSample(note.content));
+  } else if (fetched) {
+    renderer = pickRenderer(note.content, note.ref);
+  }
+  const format = renderer.id;
+  const formatLabel = format !== "plain" ? renderer.badge || format : "";
+  const hasRaw = format !== "plain" && !renderer.binary;
+  const commit = context || parseCommitUrl();
+
+  const box = document.createElement("div");
+  box.className = "ghn-box";
+  box.dataset.format = format;
+
+  // Header
+  const header = document.createElement("div");
+  header.className = "ghn-header";
+  header.innerHTML = `
+    <span class="ghn-icon">${noteIcon()}</span>
+    <span class="ghn-title">Git Notes</span>
+    ${formatLabel ? `<span class="ghn-format-badge" title="${escapeAttr(renderer.label)}">${escapeHtml(formatLabel)}</span>` : ""}
+    <span class="ghn-ref">${escapeHtml(note.ref)}</span>
+    ${note.warning ? `<span class="ghn-encoding-warning" title="${escapeAttr(note.warning)}">${alertIcon()} ${escapeHtml(note.encoding)}</span>` : ""}
+    ${hasRaw ? `<button class="ghn-toggle-raw" title="Toggle raw view">${codeIcon()}</button>` : ""}
+    ${context ? `<button class="ghn-action ghn-history-toggle" title="Note history">${historyIcon()}</button>` : ""}
+    ${canEdit && fetched && !renderer.binary ? editButtonHtml(note) : ""}
+    ${canEdit ? `<button class="ghn-action ghn-delete-note" title="Delete note">${trashIcon()}</button>` : ""}
+  `;
+  box.appendChild(header);
+
+  // Rendered body — sanitized HTML injected directly (no iframe)
+  const renderedBody = document.createElement("div");
+  renderedBody.className = "ghn-body ghn-rendered";
+  if (format === "markdown") {
+    renderedBody.classList.add("markdown-body");
+  }
+  if (large) {
+    renderedBody.innerHTML = largeNoteSummaryHtml(note, renderer);
+  } else {
+    renderedBody.innerHTML = renderContentToHtml(note.content, format, commit);
+    if (renderer.attach) renderer.attach(renderedBody, note.content);
+  }
+  box.appendChild(renderedBody);
+
+  // Raw body (hidden by default, escaped by highlightCode; a large note's is
+  // a virtual view, made when first shown)
+  if (hasRaw) {
+    const rawBody = document.createElement("div");
+    rawBody.className = "ghn-body ghn-raw";
+    rawBody.hidden = true;
+    if (!large) {
+      const pre = document.createElement("pre");
+      pre.className = "ghn-content";
+      pre.innerHTML = highlightCode(note.content, renderer.language);
+      rawBody.appendChild(pre);
+    }
+    box.appendChild(rawBody);
+
+    // Toggle handler
+    const btn = header.querySelector(".ghn-toggle-raw");
+    btn.addEventListener("click", () => {
+      if (!rawBody.firstChild) rawBody.appendChild(createVirtualText(note.content));
+      const showingRaw = !rawBody.hidden;
+      renderedBody.hidden = !showingRaw;
+      rawBody.hidden = showingRaw;
+      btn.classList.toggle("ghn-active", !showingRaw);
+    });
+  }
+
+  // "Show full note" / "Collapse" — check after appending to DOM
+  const showMoreBtn = document.createElement("button");
+  showMoreBtn.className = "ghn-show-more";
+  showMoreBtn.textContent = "Show full note";
+  showMoreBtn.hidden = true;
+  showMoreBtn.addEventListener("click", () => {
+    const isExpanded = box.classList.toggle("ghn-expanded");
+    showMoreBtn.textContent = isExpanded ? "Collapse note" : "Show full note";
+  });
+  box.appendChild(showMoreBtn);
+
+  if (context) {
+    bindHistoryToggle(context, note, box);
+  }
+  if (canEdit) {
+    bindNoteActions(container, notes, context, note, box);
+  }
+
+  const measure = () => {
+    const bodyHeight = renderedBody.scrollHeight;
+    if (bodyHeight > COLLAPSE_HEIGHT) {
+      box.classList.add("ghn-collapsed");
+      showMoreBtn.hidden = false;
+    }
+  };
+
+  if (large) {
+    const renderBtn = renderedBody.querySelector(".ghn-large-render");
+    renderBtn.addEventListener("click", async () => {
+      renderBtn.disabled = true;
+      try {
+        if (fetched) {
+          await renderLargeNote(renderedBody, note.content, renderer, commit);
+          measure();
+          return;
+        }
+        renderBtn.textContent = "Loading note...";
+        const loaded = await note.load();
+        if (!loaded) {
+          renderBtn.replaceWith(createStatus("Could not load the note", "error"));
+          return;
+        }
+        Object.assign(note, loaded);
+        delete note.load;
+        box.replaceWith(createNoteBox(container, notes, context, note));
+      } catch (err) {
+        const status = createStatus(`Could not show the note: ${err.message}`, "error");
+        // The button is gone once rendering has started
+        if (renderBtn.isConnected) {
+          renderBtn.replaceWith(status);
+        } else {
+          renderedBody.replaceChildren(status);
+        }
+      }
+    });
+  }
+
+  // Measure once it's in the DOM
+  requestAnimationFrame(measure);
+
+  return box;
+}
+
+// --- Note history ---
+
+let historyCounter = 0;
+
+function bindHistoryToggle(context, note, box) {
+  const btn = box.querySelector(".ghn-history-toggle");
+  let panel = null;
+
+  btn.addEventListener("click", async () => {
+    if (panel) {
+      panel.hidden = !panel.hidden;
+      btn.classList.toggle("ghn-active", !panel.hidden);
+      return;
+    }
+
+    panel = document.createElement("div");
+    panel.className = "ghn-body ghn-history";
+    panel.innerHTML = `<span class="ghn-spinner"></span> Loading history...`;
+    box.insertBefore(panel, box.querySelector(".ghn-show-more"));
+    btn.classList.add("ghn-active");
+
+    let response;
+    try {
+      response = await browser.runtime.sendMessage({
+        type: "FETCH_NOTE_HISTORY",
+        origin: location.origin,
+        owner: context.owner,
+        repo: context.repo,
+        commitSha: context.commitSha,
+        ref: note.ref,
+      });
+    } catch (err) {
+      response = { error: "api_error", message: err.message };
+    }
+
+    if (!response || response.error) {
+      panel.textContent = "";
+      panel.appendChild(
+        createStatus(
+          (response && response.message) || "Could not load note history",
+          "error"
+        )
+      );
+      return;
+    }
+    const { commitSha, levels } = response;
+    renderNoteHistory(panel, response.revisions, async (revision) => {
+      const reply = await browser.runtime.sendMessage({
+        type: "FETCH_NOTE_REVISION",
+        origin: location.origin,
+        owner: context.owner,
+        repo: context.repo,
+        commitSha,
+        levels,
+        revision: revision.commitSha,
+      });
+      if (!reply || reply.error) {
+        throw new Error((reply && reply.message) || "Could not load this revision");
+      }
+      return reply.content;
+    });
+  });
+}
+
+// Revision list (newest first) with base/compare pickers, and the diff
+// between the two picked revisions. Defaults to latest vs. previous.
+// `loadContent(revision)` resolves to a revision's text (null where the note
+// was removed); each revision is loaded once, when it's first picked.
+function renderNoteHistory(panel, revisions, loadContent) {
+  panel.textContent = "";
+  if (revisions.length === 0) {
+    panel.appendChild(createStatus("No history found for this note", "info"));
+    return;
+  }
+
+  const id = ++historyCounter;
+  const table = document.createElement("table");
+  table.className = "ghn-history-list";
+  table.innerHTML = `
+    <thead>
+      <tr><th>Base</th><th>Compare</th><th>Revision</th><th>Author</th><th>Date</th></tr>
+    </thead>
+    <tbody>
+      ${revisions
+        .map(
+          (rev, i) => `
+        <tr>
+          <td><input type="radio" name="ghn-base-${id}" value="${i}" ${i === Math.min(1, revisions.length - 1) ? "checked" : ""}></td>
+          <td><input type="radio" name="ghn-compare-${id}" value="${i}" ${i === 0 ? "checked" : ""}></td>
+          <td class="ghn-history-revision">
+            <code>${escapeHtml(rev.commitSha.slice(0, 7))}</code>
+            <span class="ghn-history-message">${escapeHtml(rev.message.split("\n")[0])}</span>
+          </td>
+          <td title="${escapeHtml(rev.author.email || "")}">${escapeHtml(rev.author.login || rev.author.name)}</td>
+          <td>${escapeHtml(new Date(rev.date).toLocaleString())}</td>
+        </tr>`
+        )
+        .join("")}
+    </tbody>
+  `;
+  panel.appendChild(table);
+
+  const diff = document.createElement("div");
+  diff.className = "ghn-history-diff";
+  panel.appendChild(diff);
+
+  const contents = new Map();
+  const contentOf = (i) => {
+    if (!contents.has(i)) {
+      const loading = loadContent(revisions[i]).then((content) => {
+        if (content === null) {
+          const badge = document.createElement("span");
+          badge.className = "ghn-format-badge";
+          badge.textContent = "deleted";
+          table.querySelectorAll(".ghn-history-revision")[i].appendChild(badge);
+        }
+        return content || "";
+      });
+      // Let picking the revision again retry
+      loading.catch(() => contents.delete(i));
+      contents.set(i, loading);
+    }
+    return contents.get(i);
+  };
+
+  let generation = 0;
+  const update = async () => {
+    const current = ++generation;
+    const base = Number(table.querySelector(`input[name="ghn-base-${id}"]:checked`).value);
+    const compare = Number(table.querySelector(`input[name="ghn-compare-${id}"]:checked`).value);
+    if (!contents.has(base) || !contents.has(compare)) {
+      diff.innerHTML = `<span class="ghn-spinner"></span> Loading revisions...`;
+    }
+    let before;
+    let after;
+    try {
+      // A note's first revision is diffed against nothing
+      [before, after] = await Promise.all([
+        base === compare && base === revisions.length - 1 ? "" : contentOf(base),
+        contentOf(compare),
+      ]);
+    } catch (err) {
+      if (current === generation) diff.replaceChildren(createStatus(err.message, "error"));
+      return;
+    }
+    // A later pick is already on its way
+    if (current !== generation) return;
+    const ops = diffLines(before, after);
+    diff.innerHTML = ops ? renderLineDiff(ops) : renderSideBySide(before, after);
+  };
+  table.addEventListener("change", update);
+  update();
+}
+
+// Line diff via longest common subsequence, after trimming the common
+// prefix and suffix. Returns [{ type: "ctx" | "add" | "del", text }], or
+// null when the changed lines are too many to diff on the page's thread.
+const MAX_DIFF_CELLS = 1000000;
+
+function diffLines(before, after) {
+  const a = before === "" ? [] : before.replace(/\n$/, "").split("\n");
+  const b = after === "" ? [] : after.replace(/\n$/, "").split("\n");
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map((text) => ({ type: "ctx", text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > MAX_DIFF_CELLS) return null;
+
+  // lcs[i][j] = LCS length of midA[i..] and midB[j..]
+  const n = midA.length;
+  const m = midB.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = midA[i] === midB[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (midA[i] === midB[j]) {
+      ops.push({ type: "ctx", text: midA[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: "del", text: midA[i++] });
+    } else {
+      ops.push({ type: "add", text: midB[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: "del", text: midA[i++] });
+  while (j < m) ops.push({ type: "add", text: midB[j++] });
+
+  for (const text of a.slice(endA)) ops.push({ type: "ctx", text });
+  return ops;
+}
+
+function renderLineDiff(ops) {
+  if (!ops.some((op) => op.type !== "ctx")) {
+    return `<div class="ghn-status ghn-status-info">No changes between these revisions</div>`;
+  }
+  const markers = { ctx: " ", add: "+", del: "-" };
+  const lines = ops
+    .map(
+      (op) =>
+        `<div class="ghn-diff-line ghn-diff-${op.type}"><span class="ghn-diff-marker">${markers[op.type]}</span>${escapeHtml(op.text)}</div>`
+    )
+    .join("");
+  return `<div class="ghn-diff ghn-content">${lines}</div>`;
+}
+
+// Both revisions next to each other, for changes too large for diffLines
+function renderSideBySide(before, after) {
+  return `
+    <div class="ghn-status ghn-status-info">Too many changed lines to diff; showing both revisions</div>
+    <div class="ghn-diff-sides">
+      <div><div class="ghn-diff-side-label">Base</div><pre class="ghn-content">${escapeHtml(before)}</pre></div>
+      <div><div class="ghn-diff-side-label">Compare</div><pre class="ghn-content">${escapeHtml(after)}</pre></div>
+    </div>`;
+}
+
+// --- Note editing (writes go through the background worker) ---
+
+// Saving writes UTF-8, so a note read as anything else, or with bytes that
+// didn't decode, would come back changed. Its edit button is disabled.
+function editButtonHtml(note) {
+  const reencoded = note.warning || (note.encoding && note.encoding !== "utf-8");
+  if (!reencoded) {
+    return `<button class="ghn-action ghn-edit-note" title="Edit note">${pencilIcon()}</button>`;
+  }
+  const title = note.encoding === "utf-8"
+    ? "Can't edit: this note isn't valid UTF-8, and saving would replace its invalid bytes"
+    : `Can't edit: this note is ${note.encoding.toUpperCase()}, and saving would rewrite it as UTF-8`;
+  return `<button class="ghn-action ghn-edit-note" title="${escapeAttr(title)}" disabled>${pencilIcon()}</button>`;
+}
+
+function bindNoteActions(container, notes, context, note, box) {
+  const editBtn = box.querySelector(".ghn-edit-note");
+  const deleteBtn = box.querySelector(".ghn-delete-note");
+
+  // Binary notes can't be edited as text
+  editBtn?.addEventListener("click", () => {
+    for (const el of box.querySelectorAll(".ghn-body, .ghn-show-more")) {
+      el.hidden = true;
+    }
+    box.classList.remove("ghn-collapsed");
+    editBtn.disabled = true;
+    box.appendChild(
+      createNoteEditor({
+        ref: note.ref,
+        content: note.content,
+        onSave: async (ref, content) => {
+          const response = await saveNote(context, ref, content);
+          if (!response.error) {
+            // Saved as UTF-8; only notes read as UTF-8 can be edited
+            Object.assign(note, { content, encoding: "utf-8", warning: null });
+            showNotes(
+              container,
+              notes.filter((n) => n.content === null || n.content.trim() !== ""),
+              context
+            );
+          }
+          return response;
+        },
+        onCancel: () => showNotes(container, notes, context),
+      })
+    );
+  });
+
+  deleteBtn.addEventListener("click", async () => {
+    if (!confirm(`Delete the note in ${note.ref}?`)) return;
+    deleteBtn.disabled = true;
+    const response = await saveNote(context, note.ref, null);
+    if (response.error) {
+      deleteBtn.disabled = false;
+      box.appendChild(createStatus(response.message, "error"));
+      return;
+    }
+    showNotes(container, notes.filter((n) => n !== note), context);
+  });
+}
+
+function createAddNoteBox(container, notes, context) {
+  const box = document.createElement("div");
+  box.className = "ghn-box ghn-add-box";
+  box.innerHTML = `
+    <div class="ghn-header">
+      <span class="ghn-icon">${noteIcon()}</span>
+      <span class="ghn-title">Git Notes</span>
+      <button class="ghn-add-note">Add note</button>
+    </div>
+  `;
+
+  const addBtn = box.querySelector(".ghn-add-note");
+  addBtn.addEventListener("click", () => {
+    addBtn.disabled = true;
+    // Suggest the first known ref that doesn't have a note on this commit yet
+    const used = new Set(notes.map((n) => n.ref));
+    const refs = context.noteRefs || ["refs/notes/commits"];
+    const ref = refs.find((r) => !used.has(r)) || "refs/notes/commits";
+    box.appendChild(
+      createNoteEditor({
+        ref,
+        refs,
+        onSave: async (targetRef, content) => {
+          const response = await saveNote(context, targetRef, content);
+          if (!response.error) {
+            const existing = notes.find((n) => n.ref === targetRef);
+            if (existing) {
+              Object.assign(existing, { content, encoding: "utf-8", warning: null });
+            } else {
+              notes.push({ ref: targetRef, content, encoding: "utf-8", warning: null });
+            }
+            showNotes(container, notes, context);
+          }
+          return response;
+        },
+        onCancel: () => showNotes(container, notes, context),
+      })
+    );
+  });
+
+  return box;
+}
+
+// Editor form. `refs` (known ref names) makes the ref editable, for new notes.
+// `onSave(ref, content)` resolves to the background response; errors such as
+// conflicts are shown inline and the editor stays open.
+function createNoteEditor({ ref, content = "", refs = null, onSave, onCancel }) {
+  const editor = document.createElement("div");
+  editor.className = "ghn-body ghn-editor";
+
+  let refInput = null;
+  if (refs) {
+    refInput = document.createElement("input");
+    refInput.className = "ghn-editor-ref";
+    refInput.value = ref;
+    refInput.spellcheck = false;
+    refInput.setAttribute("list", "ghn-editor-refs");
+    const datalist = document.createElement("datalist");
+    datalist.id = "ghn-editor-refs";
+    for (const r of refs) {
+      const option = document.createElement("option");
+      option.value = r;
+      datalist.appendChild(option);
+    }
+    editor.append(refInput, datalist);
+  }
+
+  const textarea = document.createElement("textarea");
+  textarea.className = "ghn-editor-text";
+  textarea.rows = 10;
+  textarea.value = content;
+  textarea.placeholder = "Write a note for this commit\u2026";
+  editor.appendChild(textarea);
+
+  const buttons = document.createElement("div");
+  buttons.className = "ghn-editor-buttons";
+  const saveBtn = document.createElement("button");
+  saveBtn.className = "ghn-editor-save";
+  saveBtn.textContent = "Save note";
+  const cancelBtn = document.createElement("button");
+  cancelBtn.className = "ghn-editor-cancel";
+  cancelBtn.textContent = "Cancel";
+  buttons.append(cancelBtn, saveBtn);
+  editor.appendChild(buttons);
+
+  const status = createStatus("", "info");
+  status.hidden = true;
+  editor.appendChild(status);
+
+  saveBtn.addEventListener("click", async () => {
+    const targetRef = refInput ? refInput.value.trim() : ref;
+    if (!/^refs\/notes\/./.test(targetRef)) {
+      setStatus(status, "Note refs must start with refs/notes/", "error");
+      return;
+    }
+    saveBtn.disabled = true;
+    setStatus(status, "Saving\u2026", "info");
+    const response = await onSave(targetRef, textarea.value);
+    if (response && response.error) {
+      saveBtn.disabled = false;
+      setStatus(status, response.message || "Could not save note", "error");
+    }
+  });
+  cancelBtn.addEventListener("click", () => onCancel());
+
+  requestAnimationFrame(() => textarea.focus());
+  return editor;
+}
+
+async function saveNote(context, ref, content) {
+  try {
+    const response = await browser.runtime.sendMessage({
+      type: content === null ? "DELETE_GIT_NOTE" : "WRITE_GIT_NOTE",
+      origin: location.origin,
+      owner: context.owner,
+      repo: context.repo,
+      commitSha: context.commitSha,
+      ref,
+      content,
+    });
+    return response || { error: "api_error", message: "No response from extension" };
+  } catch (err) {
+    return { error: "api_error", message: err.message || "Could not save note" };
+  }
+}
+
+function createStatus(text, type) {
+  const el = document.createElement("div");
+  setStatus(el, text, type);
+  return el;
+}
+
+function setStatus(el, text, type) {
+  el.className = `ghn-status ghn-status-${type}`;
+  el.textContent = text;
+  el.hidden = false;
+}
+
+function showTokenNeeded(container) {
+  container.innerHTML = "";
+  const box = document.createElement("div");
+  box.className = "ghn-box ghn-error";
+
+  const header = document.createElement("div");
   header.className = "ghn-header";
   header.innerHTML = `
     <span class="ghn-icon">${noteIcon()}</span>
@@ -502,84 +3138,173 @@ function codeIcon() {
   </svg>`;
 }
 
+function historyIcon() {
+  return `<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor" class="ghn-octicon">
+    <path d="m.427 1.927 1.215 1.215a8.002 8.002 0 1 1-1.6 5.685.75.75 0 1 1 1.493-.154 6.5 6.5 0 1 0 1.18-4.458l1.358 1.358A.25.25 0 0 1 3.896 6H.25A.25.25 0 0 1 0 5.75V2.104a.25.25 0 0 1 .427-.177ZM7.75 4a.75.75 0 0 1 .75.75v2.992l2.028.812a.75.75 0 0 1-.557 1.392l-2.5-1A.751.751 0 0 1 7 8.25v-3.5A.75.75 0 0 1 7.75 4Z"/>
+  </svg>`;
+}
+
+function pencilIcon() {
+  return `<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor" class="ghn-octicon">
+    <path d="M11.013 1.427a1.75 1.75 0 0 1 2.474 0l1.086 1.086a1.75 1.75 0 0 1 0 2.474l-8.61 8.61c-.21.21-.47.364-.756.445l-3.251.93a.75.75 0 0 1-.927-.928l.929-3.25c.081-.286.235-.547.445-.758l8.61-8.61Zm.176 4.823L9.75 4.81l-6.286 6.287a.253.253 0 0 0-.064.108l-.558 1.953 1.953-.558a.253.253 0 0 0 .108-.064Zm1.238-3.763a.25.25 0 0 0-.354 0L10.811 3.75l1.439 1.44 1.263-1.263a.25.25 0 0 0 0-.354Z"/>
+  </svg>`;
+}
+
+function trashIcon() {
+  return `<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor" class="ghn-octicon">
+    <path d="M11 1.75V3h2.25a.75.75 0 0 1 0 1.5H2.75a.75.75 0 0 1 0-1.5H5V1.75C5 .784 5.784 0 6.75 0h2.5C10.216 0 11 .784 11 1.75ZM4.496 6.675l.66 6.6a.25.25 0 0 0 .249.225h5.19a.25.25 0 0 0 .249-.225l.66-6.6a.75.75 0 0 1 1.492.149l-.66 6.6A1.748 1.748 0 0 1 10.595 15h-5.19a1.75 1.75 0 0 1-1.741-1.575l-.66-6.6a.75.75 0 1 1 1.492-.15ZM6.5 1.75V3h3V1.75a.25.25 0 0 0-.25-.25h-2.5a.25.25 0 0 0-.25.25Z"/>
+  </svg>`;
+}
+
+function alertIcon() {
+  return `<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor" class="ghn-octicon">
+    <path d="M6.457 1.047c.659-1.234 2.427-1.234 3.086 0l6.082 11.378A1.75 1.75 0 0 1 14.082 15H1.918a1.75 1.75 0 0 1-1.543-2.575Zm1.763.707a.25.25 0 0 0-.44 0L1.698 13.132a.25.25 0 0 0 .22.368h12.164a.25.25 0 0 0 .22-.368Zm.53 3.996v2.5a.75.75 0 0 1-1.5 0v-2.5a.75.75 0 0 1 1.5 0ZM9 11a1 1 0 1 1-2 0 1 1 0 0 1 2 0Z"/>
+  </svg>`;
+}
+
 function escapeHtml(str) {
   const div = document.createElement("div");
   div.textContent = str;
   return div.innerHTML;
 }
 
+// escapeHtml leaves quotes alone; attribute values need them escaped too
+function escapeAttr(str) {
+  return escapeHtml(str).replace(/"/g, "&quot;");
+}
+
 // --- Main flow ---
 
-async function processCommitPage() {
+function processPage() {
   const url = location.href;
   if (url === lastProcessedUrl) return;
   lastProcessedUrl = url;
 
   const generation = ++processGeneration;
+  removeExisting();
 
   const commit = parseCommitUrl();
-  if (!commit) {
-    removeExisting();
+  if (commit) return processCommitPage(commit, url, generation);
+
+  const list = parseCommitsListUrl() || parsePullCommitsUrl();
+  if (list) return processCommitsListPage(list, url, generation);
+}
+
+async function processCommitsListPage(list, url, generation) {
+  const rows = await waitForCommitRows();
+  if (generation !== processGeneration || location.href !== url) return;
+  if (rows.size === 0) return;
+
+  let response;
+  try {
+    const refs = await getNoteRefs(list.owner, list.repo);
+    // One tree walk per ref in the background, instead of one lookup per row
+    response = await browser.runtime.sendMessage({
+      type: "LOOKUP_NOTES",
+      origin: location.origin,
+      owner: list.owner,
+      repo: list.repo,
+      refs,
+      shas: [...rows.keys()],
+    });
+  } catch {
     return;
   }
 
-  removeExisting();
+  if (generation !== processGeneration || location.href !== url) return;
+  if (!response || response.error || !response.notes) return;
 
-  // Fetch notes before injecting anything into the page
-  let results = [];
-  let needsToken = false;
-  let fetchError = null;
+  // The PR "Commits" tab gets inline panels; plain commit lists get badges
+  if (list.pullNumber) {
+    addNotePanels(rows, response.notes, list);
+  } else {
+    addNoteBadges(rows, response.notes);
+  }
+}
 
+async function processCommitPage(commit, url, generation) {
+  const isCurrent = () => generation === processGeneration && location.href === url;
+
+  // With a token that can push to the repo the notes can be edited, and an
+  // "Add note" box is shown even when the commit has no notes yet
+  const canEdit = await canEditRepo(commit.owner, commit.repo);
+  await loadRendererPins();
+  let noteRefs = [];
+  let fetchError = null;
   try {
-    const noteRefs = await getNoteRefs(commit.owner, commit.repo);
-    for (const ref of noteRefs) {
-      try {
-        const result = await fetchGitNote(
-          commit.owner, commit.repo, ref, commit.commitSha
-        );
-        if (result && result.content !== null) {
-          results.push({ ref, content: result.content });
-        } else if (result && result.needsToken) {
-          needsToken = true;
-        }
-      } catch {
-        continue;
-      }
-    }
+    noteRefs = await getNoteRefs(commit.owner, commit.repo);
   } catch (err) {
     fetchError = err;
   }
+  const context = { ...commit, noteRefs, canEdit: canEdit && !fetchError };
+  if (!isCurrent()) return;
+
+  // The container, with a placeholder per ref, is only injected once there's
+  // something to show: right away when editing, else with the first note.
+  // Refs that settle before it's ready are replayed into it.
+  const settled = new Map();
+  let container = null;
+  let slots = null;
+  let mounting = null;
+  const mount = () => {
+    mounting = mounting || (async () => {
+      const injection = await waitForInjectionPoint(
+        commit.pullNumber ? "pull" : "commit"
+      );
+      if (!injection || !isCurrent()) return;
+      removeExisting();
+      container = injectContainer(injection);
+      slots = showNoteSlots(container, noteRefs, context);
+      for (const [ref, note] of settled) slots.fill(ref, note);
+    })();
+    return mounting;
+  };
+
+  let results = [];
+  let needsToken = false;
+  if (!fetchError) {
+    if (context.canEdit) mount();
+    try {
+      ({ results, needsToken } = await fetchNotesForCommit(
+        commit.owner, commit.repo, noteRefs, commit.commitSha,
+        (ref, note) => {
+          if (!isCurrent()) return;
+          settled.set(ref, note);
+          if (slots) {
+            slots.fill(ref, note);
+          } else if (note !== null) {
+            mount();
+          }
+        }
+      ));
+    } catch (err) {
+      fetchError = err;
+    }
+  }
 
   // Bail out if a newer call has started while we were fetching
-  if (generation !== processGeneration) return;
+  if (!isCurrent()) return;
 
   // Only inject into the page if there's something to show
-  if (results.length === 0 && !needsToken && !fetchError) return;
-  if (location.href !== url) return;
-
-  const injection = await waitForInjectionPoint();
-  if (!injection) return;
-  if (location.href !== url) return;
-
-  removeExisting();
-  const container = injectContainer(injection);
+  if (results.length === 0 && !needsToken && !fetchError && !context.canEdit) return;
+  await mount();
+  if (!slots || !isCurrent()) return;
 
+  slots.finish();
   if (fetchError) {
     showError(container, fetchError.message || "Error loading notes");
-  } else if (results.length > 0) {
-    showNotes(container, results);
-  } else if (needsToken) {
+  } else if (results.length === 0 && !context.canEdit && needsToken) {
     showTokenNeeded(container);
   }
 }
 
 // 1. Handle initial page load
-processCommitPage();
+processPage();
 
 // 2. Handle GitHub's Turbo Drive SPA navigation
 document.addEventListener("turbo:load", () => {
   lastProcessedUrl = null;
-  processCommitPage();
+  processPage();
 });
 
 // 3. MutationObserver fallback for URL changes
@@ -588,7 +3313,7 @@ const observer = new MutationObserver(() => {
   if (location.href !== currentUrl) {
     currentUrl = location.href;
     lastProcessedUrl = null;
-    processCommitPage();
+    processPage();
   }
 });
 observer.observe(document.body, { childList: true, subtree: true });
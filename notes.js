@@ -0,0 +1,276 @@
+if (typeof browser === "undefined") globalThis.browser = chrome;
+
+const GITHUB_ORIGIN = "https://github.com";
+const PAGE_SIZE = 25;
+const SEARCH_DEBOUNCE = 200; // ms
+
+const repoInput = document.getElementById("repo");
+const refSelect = document.getElementById("ref");
+const loadBtn = document.getElementById("load");
+const rebuildBtn = document.getElementById("rebuild");
+const indexStatus = document.getElementById("index-status");
+const browseSection = document.getElementById("browse");
+const searchInput = document.getElementById("search");
+const resultCount = document.getElementById("result-count");
+const resultsList = document.getElementById("results");
+const prevBtn = document.getElementById("prev");
+const nextBtn = document.getElementById("next");
+const pageInfo = document.getElementById("page-info");
+
+const state = {
+  origin: GITHUB_ORIGIN,
+  owner: null,
+  repo: null,
+  ref: null,
+  query: "",
+  offset: 0,
+  total: 0,
+};
+let searchTimer = null;
+let queryGeneration = 0;
+
+function parseRepo(value) {
+  const match = value.trim().match(/^([\w.-]+)\/([\w.-]+)$/);
+  return match ? { owner: match[1], repo: match[2] } : null;
+}
+
+// Same key the background worker uses for the index (see repoKey there)
+function indexKey() {
+  const repo = `${state.owner}/${state.repo}:${state.ref}`;
+  return state.origin === GITHUB_ORIGIN ? repo : `${new URL(state.origin).host}/${repo}`;
+}
+
+// Keep host, repo, ref and query in the URL so the page can be bookmarked
+function updateLocation() {
+  const params = new URLSearchParams();
+  if (state.origin !== GITHUB_ORIGIN) params.set("host", state.origin);
+  if (state.owner) params.set("repo", `${state.owner}/${state.repo}`);
+  if (state.ref) params.set("ref", state.ref);
+  if (state.query) params.set("q", state.query);
+  history.replaceState(null, "", `?${params}`);
+}
+
+async function loadRefs(preferredRef) {
+  const parsed = parseRepo(repoInput.value);
+  if (!parsed) {
+    showStatus(indexStatus, "Enter a repository as owner/repo.", "error");
+    return;
+  }
+  Object.assign(state, parsed, { ref: null, offset: 0 });
+  browseSection.hidden = true;
+  rebuildBtn.hidden = true;
+  showStatus(indexStatus, "Looking up note refs...", "info");
+
+  const response = await browser.runtime.sendMessage({
+    type: "LIST_NOTE_REFS",
+    origin: state.origin,
+    owner: state.owner,
+    repo: state.repo,
+  });
+  if (response.error) {
+    showStatus(indexStatus, response.message, "error");
+    return;
+  }
+
+  refSelect.textContent = "";
+  for (const ref of response.refs) {
+    const option = document.createElement("option");
+    option.value = ref;
+    option.textContent = ref;
+    refSelect.appendChild(option);
+  }
+  refSelect.disabled = response.refs.length === 0;
+  if (response.refs.length === 0) {
+    updateLocation();
+    showStatus(
+      indexStatus,
+      `${state.owner}/${state.repo} has no note refs, or your note ref rules hide them all.`,
+      "info"
+    );
+    return;
+  }
+  if (preferredRef && response.refs.includes(preferredRef)) {
+    refSelect.value = preferredRef;
+  }
+  await buildIndex(false);
+}
+
+async function buildIndex(force) {
+  state.ref = refSelect.value;
+  state.offset = 0;
+  updateLocation();
+  showStatus(indexStatus, `Indexing ${state.ref}...`, "info");
+
+  const response = await browser.runtime.sendMessage({
+    type: "BUILD_NOTES_INDEX",
+    origin: state.origin,
+    owner: state.owner,
+    repo: state.repo,
+    ref: state.ref,
+    force,
+  });
+  if (response.error) {
+    showStatus(indexStatus, response.message, "error");
+    return;
+  }
+
+  const summary = `${response.count} notes indexed · updated ${new Date(response.builtAt).toLocaleString()}`;
+  if (response.truncated) {
+    showStatus(
+      indexStatus,
+      `${summary} · this notes tree is too large for GitHub to list in full, so some notes may be missing`,
+      "info"
+    );
+  } else {
+    showStatus(indexStatus, summary, "success");
+  }
+  rebuildBtn.hidden = false;
+  browseSection.hidden = false;
+  await runQuery();
+}
+
+async function runQuery() {
+  const generation = ++queryGeneration;
+  const response = await browser.runtime.sendMessage({
+    type: "QUERY_NOTES_INDEX",
+    origin: state.origin,
+    owner: state.owner,
+    repo: state.repo,
+    ref: state.ref,
+    query: state.query,
+    offset: state.offset,
+    limit: PAGE_SIZE,
+  });
+  // A newer search was typed while this one ran
+  if (generation !== queryGeneration) return;
+  if (response.error) {
+    showStatus(indexStatus, response.message, "error");
+    return;
+  }
+
+  state.total = response.total;
+  renderResults(response.notes);
+}
+
+function renderResults(notes) {
+  resultsList.textContent = "";
+  const terms = state.query.toLowerCase().split(/\s+/).filter(Boolean);
+
+  for (const note of notes) {
+    const item = document.createElement("li");
+    item.className = "note-item";
+
+    const meta = document.createElement("div");
+    meta.className = "note-meta";
+    const link = document.createElement("a");
+    link.className = "note-sha";
+    link.href = `${state.origin}/${state.owner}/${state.repo}/commit/${note.commitSha}`;
+    link.target = "_blank";
+    link.rel = "noopener";
+    link.textContent = note.commitSha.slice(0, 7);
+    const subject = document.createElement("span");
+    subject.className = "note-subject";
+    subject.textContent = note.subject || "(commit not found)";
+    const date = document.createElement("span");
+    date.className = "note-date";
+    date.textContent = note.date ? new Date(note.date).toLocaleDateString() : "";
+    meta.append(link, subject, date);
+
+    const snippet = document.createElement("div");
+    snippet.className = "note-snippet";
+    appendHighlighted(snippet, note.snippet, terms);
+
+    item.append(meta, snippet);
+    resultsList.appendChild(item);
+  }
+
+  const from = state.total === 0 ? 0 : state.offset + 1;
+  const to = state.offset + notes.length;
+  resultCount.textContent = state.query
+    ? `${state.total} notes match “${state.query}”`
+    : `${state.total} notes`;
+  pageInfo.textContent = `${from}–${to} of ${state.total}`;
+  prevBtn.disabled = state.offset === 0;
+  nextBtn.disabled = to >= state.total;
+}
+
+// Append `text` to `el`, wrapping matches of any term in <mark> (DOM nodes
+// only, so note content is never parsed as HTML)
+function appendHighlighted(el, text, terms) {
+  if (terms.length === 0) {
+    el.textContent = text;
+    return;
+  }
+  const escaped = terms.map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  const parts = text.split(new RegExp(`(${escaped.join("|")})`, "gi"));
+  parts.forEach((part, i) => {
+    if (i % 2 === 1) {
+      const mark = document.createElement("mark");
+      mark.textContent = part;
+      el.appendChild(mark);
+    } else if (part) {
+      el.appendChild(document.createTextNode(part));
+    }
+  });
+}
+
+loadBtn.addEventListener("click", () => loadRefs());
+repoInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") loadRefs();
+});
+refSelect.addEventListener("change", () => buildIndex(false));
+rebuildBtn.addEventListener("click", () => buildIndex(true));
+
+searchInput.addEventListener("input", () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => {
+    state.query = searchInput.value.trim();
+    state.offset = 0;
+    updateLocation();
+    runQuery();
+  }, SEARCH_DEBOUNCE);
+});
+
+prevBtn.addEventListener("click", () => {
+  state.offset = Math.max(0, state.offset - PAGE_SIZE);
+  runQuery();
+});
+nextBtn.addEventListener("click", () => {
+  state.offset += PAGE_SIZE;
+  runQuery();
+});
+
+// Indexing progress, broadcast by the background worker
+browser.runtime.onMessage.addListener((message) => {
+  if (
+    message.type === "INDEX_PROGRESS" &&
+    message.key === indexKey()
+  ) {
+    showStatus(
+      indexStatus,
+      `Indexing ${state.ref}... ${message.done}/${message.total} notes`,
+      "info"
+    );
+  }
+});
+
+function showStatus(el, text, type) {
+  el.textContent = text;
+  el.className = `status ${type}`;
+  el.hidden = false;
+}
+
+// Opened from the popup with ?repo=owner/repo (and optionally &host= for
+// GitHub Enterprise Server, &ref= and &q=)
+const params = new URLSearchParams(location.search);
+if (params.get("host")) {
+  state.origin = params.get("host");
+}
+if (params.get("q")) {
+  state.query = params.get("q");
+  searchInput.value = state.query;
+}
+if (params.get("repo")) {
+  repoInput.value = params.get("repo");
+  loadRefs(params.get("ref"));
+}
@@ -1,20 +1,294 @@
 if (typeof browser === "undefined") globalThis.browser = chrome;
 
+const storageModeInputs = document.querySelectorAll('input[name="storage-mode"]');
+const passphraseRow = document.getElementById("passphrase-row");
+const passphraseInput = document.getElementById("passphrase");
+const applyModeBtn = document.getElementById("apply-storage-mode");
+const unlockRow = document.getElementById("unlock-row");
+const unlockInput = document.getElementById("unlock-passphrase");
+const unlockBtn = document.getElementById("unlock");
+const lockBtn = document.getElementById("lock");
+const storageStatus = document.getElementById("storage-status");
+const signInBtn = document.getElementById("sign-in");
+const signOutBtn = document.getElementById("sign-out");
+const signedOutRow = document.getElementById("signed-out");
+const signedInRow = document.getElementById("signed-in");
+const deviceCodeBox = document.getElementById("device-code");
+const userCodeEl = document.getElementById("user-code");
+const verificationLink = document.getElementById("verification-uri");
+const copyCodeBtn = document.getElementById("copy-code");
+const signInStatus = document.getElementById("sign-in-status");
+const clientIdInput = document.getElementById("oauth-client-id");
+const saveClientIdBtn = document.getElementById("save-client-id");
 const tokenInput = document.getElementById("token");
 const toggleBtn = document.getElementById("toggle-visibility");
 const saveTokenBtn = document.getElementById("save-token");
 const validateBtn = document.getElementById("validate-token");
 const tokenStatus = document.getElementById("token-status");
+const tokenReach = document.getElementById("token-reach");
+const namedTokenList = document.getElementById("named-token-list");
+const namedTokenNameInput = document.getElementById("named-token-name");
+const namedTokenOwnersInput = document.getElementById("named-token-owners");
+const namedTokenValueInput = document.getElementById("named-token-value");
+const saveNamedTokenBtn = document.getElementById("save-named-token");
+const namedTokenStatus = document.getElementById("named-token-status");
+const namedTokenReach = document.getElementById("named-token-reach");
+const hostList = document.getElementById("host-list");
+const hostOriginInput = document.getElementById("host-origin");
+const hostApiInput = document.getElementById("host-api");
+const hostRawInput = document.getElementById("host-raw");
+const hostTokenInput = document.getElementById("host-token");
+const saveHostBtn = document.getElementById("save-host");
+const hostStatus = document.getElementById("host-status");
+const refsIncludeInput = document.getElementById("refs-include");
+const refsExcludeInput = document.getElementById("refs-exclude");
+const refsOrderInput = document.getElementById("refs-order");
+const saveRefsBtn = document.getElementById("save-refs");
+const refsStatus = document.getElementById("refs-status");
+const repoRuleList = document.getElementById("repo-rule-list");
+const repoRuleRepoInput = document.getElementById("repo-rule-repo");
+const repoRuleIncludeInput = document.getElementById("repo-rule-include");
+const repoRuleExcludeInput = document.getElementById("repo-rule-exclude");
+const saveRepoRuleBtn = document.getElementById("save-repo-rule");
+const repoRuleStatus = document.getElementById("repo-rule-status");
+const pinList = document.getElementById("pin-list");
+const pinRefInput = document.getElementById("pin-ref");
+const pinRendererSelect = document.getElementById("pin-renderer");
+const addPinBtn = document.getElementById("add-pin");
+const pinStatus = document.getElementById("pin-status");
+const concurrencyInput = document.getElementById("fetch-concurrency");
+const saveConcurrencyBtn = document.getElementById("save-concurrency");
+const concurrencyStatus = document.getElementById("concurrency-status");
+const encodingSelect = document.getElementById("fallback-encoding");
+const saveEncodingBtn = document.getElementById("save-encoding");
+const encodingStatus = document.getElementById("encoding-status");
 const clearCacheBtn = document.getElementById("clear-cache");
 const cacheStatus = document.getElementById("cache-status");
 
-// Load saved settings
-browser.storage.local.get(["githubToken"]).then((data) => {
-  if (data.githubToken) {
-    tokenInput.value = data.githubToken;
+// Tokens are kept by the background worker; this page only learns which
+// ones are set (see handleCredentialStatus)
+let credentialStatus = { mode: "plain", locked: false, named: [], hosts: [] };
+
+async function refreshCredentialStatus() {
+  credentialStatus = await browser.runtime.sendMessage({ type: "CREDENTIAL_STATUS" });
+  for (const input of storageModeInputs) {
+    input.checked = input.value === credentialStatus.mode;
+  }
+  passphraseRow.hidden = true;
+  unlockRow.hidden = !credentialStatus.locked;
+  lockBtn.hidden = credentialStatus.mode !== "encrypted" || credentialStatus.locked;
+  tokenInput.value = "";
+  tokenInput.placeholder = credentialStatus.hasGithubToken
+    ? "Token saved — enter a new one to replace it"
+    : "ghp_xxxxxxxxxxxxxxxxxxxx";
+  if (credentialStatus.locked) {
+    showStatus(storageStatus, "Tokens are locked. Enter your passphrase to use them.", "info");
+  }
+}
+
+// --- Token storage ---
+
+for (const input of storageModeInputs) {
+  input.addEventListener("change", () => {
+    passphraseRow.hidden = input.value !== "encrypted" || !input.checked;
+  });
+}
+
+applyModeBtn.addEventListener("click", async () => {
+  const selected = [...storageModeInputs].find((input) => input.checked);
+  const mode = selected ? selected.value : "plain";
+  const passphrase = passphraseInput.value;
+  if (mode === "encrypted" && passphrase.length < 8) {
+    showStatus(storageStatus, "Choose a passphrase of at least 8 characters.", "error");
+    return;
+  }
+  showStatus(storageStatus, "Saving...", "info");
+  const result = await browser.runtime.sendMessage({
+    type: "SET_CREDENTIAL_MODE",
+    mode,
+    passphrase: mode === "encrypted" ? passphrase : undefined,
+  });
+  passphraseInput.value = "";
+  if (result.error) {
+    showStatus(storageStatus, result.message, "error");
+    return;
+  }
+  await refreshCredentialStatus();
+  const messages = {
+    plain: "Tokens are stored on this device.",
+    encrypted: "Tokens are encrypted. You'll enter the passphrase once per browser session.",
+    session: "Tokens are kept until the browser closes.",
+  };
+  showStatus(storageStatus, messages[mode], "success");
+});
+
+unlockBtn.addEventListener("click", async () => {
+  const result = await browser.runtime.sendMessage({
+    type: "UNLOCK_CREDENTIALS",
+    passphrase: unlockInput.value,
+  });
+  unlockInput.value = "";
+  if (result.error) {
+    showStatus(storageStatus, result.message, "error");
+    return;
+  }
+  await refreshCredentialStatus();
+  await refreshSignInState();
+  showStatus(storageStatus, "Tokens unlocked for this browser session.", "success");
+});
+
+unlockInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") unlockBtn.click();
+});
+
+lockBtn.addEventListener("click", async () => {
+  await browser.runtime.sendMessage({ type: "LOCK_CREDENTIALS" });
+  await refreshCredentialStatus();
+  await refreshSignInState();
+});
+
+// --- Sign in with GitHub (OAuth device flow, run by the background worker) ---
+
+async function refreshSignInState() {
+  const signedIn = credentialStatus.signedIn;
+  const { oauthClientId } = await browser.storage.local.get("oauthClientId");
+  clientIdInput.value = oauthClientId || "";
+  // Builds without a GitHub App client ID can only sign in with an override
+  signedOutRow.hidden = signedIn || !credentialStatus.signInAvailable;
+  signedInRow.hidden = !signedIn;
+  if (!signedIn) return;
+
+  const result = await browser.runtime.sendMessage({ type: "CHECK_AUTH" });
+  if (result.authenticated && result.method === "oauth") {
+    showStatus(signInStatus, describeSession(result), "info");
+  } else {
+    showStatus(
+      signInStatus,
+      `Session no longer valid${result.error ? `: ${result.error}` : ""}. Sign in again.`,
+      "error"
+    );
+  }
+}
+
+function describeSession(result) {
+  const parts = [`Signed in as ${result.username}`];
+  if (result.expiresAt) {
+    parts.push(`token renews automatically, current one expires ${new Date(result.expiresAt).toLocaleString()}`);
+  }
+  if (result.scopes && result.scopes.length > 0) {
+    parts.push(`scopes: ${result.scopes.join(", ")}`);
+  }
+  return parts.join(" · ");
+}
+
+signInBtn.addEventListener("click", async () => {
+  signInBtn.disabled = true;
+  const flow = await browser.runtime.sendMessage({ type: "DEVICE_FLOW_START" });
+  if (flow.error) {
+    signInBtn.disabled = false;
+    showStatus(signInStatus, flow.message, "error");
+    return;
+  }
+
+  userCodeEl.textContent = flow.userCode;
+  verificationLink.href = flow.verificationUri;
+  verificationLink.textContent = flow.verificationUri;
+  deviceCodeBox.hidden = false;
+  showStatus(signInStatus, "Waiting for you to authorize on GitHub...", "info");
+  browser.tabs.create({ url: flow.verificationUri });
+
+  let interval = flow.interval;
+  let outcome = "expired";
+  while (Date.now() < flow.expiresAt) {
+    await new Promise((resolve) => setTimeout(resolve, interval * 1000));
+    const poll = await browser.runtime.sendMessage({
+      type: "DEVICE_FLOW_POLL",
+      deviceCode: flow.deviceCode,
+    });
+    if (poll.error) {
+      outcome = poll.message;
+      break;
+    }
+    if (poll.interval) interval = poll.interval;
+    if (poll.status !== "pending") {
+      outcome = poll.status;
+      break;
+    }
+  }
+
+  deviceCodeBox.hidden = true;
+  signInBtn.disabled = false;
+  if (outcome === "done") {
+    await refreshCredentialStatus();
+    await refreshSignInState();
+  } else if (outcome === "denied") {
+    showStatus(signInStatus, "Sign-in was cancelled on GitHub.", "error");
+  } else if (outcome === "expired") {
+    showStatus(signInStatus, "The code expired. Try again.", "error");
+  } else {
+    showStatus(signInStatus, outcome, "error");
+  }
+});
+
+saveClientIdBtn.addEventListener("click", async () => {
+  const clientId = clientIdInput.value.trim();
+  if (clientId && !/^[\w.-]+$/.test(clientId)) {
+    showStatus(signInStatus, "That doesn't look like a GitHub App client ID.", "error");
+    return;
+  }
+  if (clientId) {
+    await browser.storage.local.set({ oauthClientId: clientId });
+  } else {
+    await browser.storage.local.remove("oauthClientId");
+  }
+  await refreshCredentialStatus();
+  await refreshSignInState();
+  if (!credentialStatus.signedIn) {
+    showStatus(
+      signInStatus,
+      clientId ? "Saved. Sign-in uses this app now." : "Client ID removed.",
+      "success"
+    );
+  }
+});
+
+copyCodeBtn.addEventListener("click", async () => {
+  await navigator.clipboard.writeText(userCodeEl.textContent);
+  copyCodeBtn.textContent = "Copied";
+  setTimeout(() => {
+    copyCodeBtn.textContent = "Copy";
+  }, 2000);
+});
+
+signOutBtn.addEventListener("click", async () => {
+  const result = await browser.runtime.sendMessage({ type: "SIGN_OUT" });
+  if (result.error) {
+    showStatus(signInStatus, result.message, "error");
+    return;
   }
+  await refreshCredentialStatus();
+  await refreshSignInState();
+  showStatus(signInStatus, "Signed out.", "success");
 });
 
+refreshCredentialStatus().then(() => {
+  refreshSignInState();
+  renderNamedTokens();
+  renderHostProfiles();
+});
+
+// Stores one token in the background worker; returns false (with the reason
+// shown in `statusEl`) if that failed, e.g. while tokens are locked
+async function saveToken(kind, id, token, statusEl) {
+  const result = await browser.runtime.sendMessage({ type: "SET_TOKEN", kind, id, token });
+  if (result.error) {
+    showStatus(statusEl, result.message, "error");
+    return false;
+  }
+  await refreshCredentialStatus();
+  return true;
+}
+
 // Toggle token visibility
 toggleBtn.addEventListener("click", () => {
   const isPassword = tokenInput.type === "password";
@@ -25,20 +299,20 @@ toggleBtn.addEventListener("click", () => {
 // Save token
 saveTokenBtn.addEventListener("click", async () => {
   const token = tokenInput.value.trim();
-  await browser.storage.local.set({ githubToken: token || undefined });
+  if (!(await saveToken("github", null, token || null, tokenStatus))) return;
   showStatus(tokenStatus, token ? "Token saved." : "Token cleared.", "success");
 });
 
 // Validate token
 validateBtn.addEventListener("click", async () => {
   const token = tokenInput.value.trim();
-  if (!token) {
+  if (!token && !credentialStatus.hasGithubToken) {
     showStatus(tokenStatus, "Enter a token first.", "error");
     return;
   }
   showStatus(tokenStatus, "Validating...", "info");
   // Save before validating so background can use it
-  await browser.storage.local.set({ githubToken: token });
+  if (token && !(await saveToken("github", null, token, tokenStatus))) return;
   const result = await browser.runtime.sendMessage({ type: "CHECK_AUTH" });
   if (result.authenticated) {
     showStatus(
@@ -53,11 +327,495 @@ validateBtn.addEventListener("click", async () => {
       "error"
     );
   }
+  renderReach(tokenReach, result);
+});
+
+// List the owners and repositories a validated token can see
+function renderReach(el, result) {
+  el.textContent = "";
+  el.hidden = !result.authenticated || !result.reach;
+  if (el.hidden) return;
+
+  if (result.reach.length === 0) {
+    const item = document.createElement("li");
+    item.textContent = "No repositories are accessible with this token.";
+    el.appendChild(item);
+    return;
+  }
+  for (const { owner, repos } of result.reach) {
+    const item = document.createElement("li");
+    const name = document.createElement("strong");
+    name.textContent = owner;
+    const shown = repos.slice(0, 5).join(", ");
+    const extra = repos.length > 5 ? ` and ${repos.length - 5} more` : "";
+    item.append(name, `: ${shown}${extra}`);
+    el.appendChild(item);
+  }
+  if (result.more) {
+    const item = document.createElement("li");
+    item.textContent = "Only the first 100 repositories are listed.";
+    el.appendChild(item);
+  }
+}
+
+// --- Tokens by owner ---
+
+async function loadNamedTokens() {
+  const { namedTokens } = await browser.storage.local.get("namedTokens");
+  return Array.isArray(namedTokens) ? namedTokens : [];
+}
+
+async function renderNamedTokens() {
+  const namedTokens = await loadNamedTokens();
+  namedTokenList.textContent = "";
+  for (const entry of namedTokens) {
+    const item = document.createElement("li");
+    const label = document.createElement("span");
+    label.className = "host-origin";
+    const owners = document.createElement("span");
+    owners.className = "token-owners";
+    owners.textContent = entry.owners.join(", ");
+    label.append(`${entry.name} `, owners);
+
+    const validate = document.createElement("button");
+    validate.textContent = "Validate";
+    validate.addEventListener("click", () => validateNamedToken(entry));
+
+    const remove = document.createElement("button");
+    remove.textContent = "Remove";
+    remove.addEventListener("click", () => removeNamedToken(entry));
+
+    item.append(label, validate, remove);
+    namedTokenList.appendChild(item);
+  }
+}
+
+saveNamedTokenBtn.addEventListener("click", async () => {
+  const name = namedTokenNameInput.value.trim();
+  const token = namedTokenValueInput.value.trim();
+  const owners = namedTokenOwnersInput.value
+    .split(",")
+    .map((pattern) => pattern.trim())
+    .filter(Boolean);
+  const replacing = credentialStatus.named.includes(name);
+  if (!name || (!token && !replacing) || owners.length === 0) {
+    showStatus(namedTokenStatus, "Enter a name, at least one owner and a token.", "error");
+    return;
+  }
+  if (owners.some((pattern) => !/^[\w*.-]+$/.test(pattern))) {
+    showStatus(
+      namedTokenStatus,
+      "Owners are GitHub logins, optionally with * wildcards.",
+      "error"
+    );
+    return;
+  }
+
+  // An empty token field keeps the saved token, so owners can be edited alone
+  if (token && !(await saveToken("named", name, token, namedTokenStatus))) return;
+  const namedTokens = (await loadNamedTokens()).filter((t) => t.name !== name);
+  namedTokens.push({ name, owners });
+  await browser.storage.local.set({ namedTokens });
+
+  for (const input of [namedTokenNameInput, namedTokenOwnersInput, namedTokenValueInput]) {
+    input.value = "";
+  }
+  await renderNamedTokens();
+  showStatus(namedTokenStatus, `Saved ${name}.`, "success");
+});
+
+async function validateNamedToken(entry) {
+  showStatus(namedTokenStatus, "Validating...", "info");
+  const result = await browser.runtime.sendMessage({
+    type: "CHECK_AUTH",
+    tokenName: entry.name,
+  });
+  if (result.authenticated) {
+    showStatus(namedTokenStatus, `${entry.name}: authenticated as ${result.username}`, "success");
+  } else {
+    showStatus(
+      namedTokenStatus,
+      `${entry.name}: authentication failed: ${result.error || "unknown error"}`,
+      "error"
+    );
+  }
+  renderReach(namedTokenReach, result);
+}
+
+async function removeNamedToken(entry) {
+  if (
+    credentialStatus.named.includes(entry.name) &&
+    !(await saveToken("named", entry.name, null, namedTokenStatus))
+  ) {
+    return;
+  }
+  const namedTokens = (await loadNamedTokens()).filter((t) => t.name !== entry.name);
+  await browser.storage.local.set({ namedTokens });
+  namedTokenReach.hidden = true;
+  await renderNamedTokens();
+  showStatus(namedTokenStatus, `Removed ${entry.name}.`, "success");
+}
+
+
+// --- GitHub Enterprise Server hosts ---
+
+// Host tokens are sent to these addresses, so they have to be https
+function parseBase(value) {
+  try {
+    const url = new URL(value.trim());
+    if (url.protocol !== "https:") return null;
+    return `${url.origin}${url.pathname.replace(/\/+$/, "")}`;
+  } catch {
+    return null;
+  }
+}
+
+async function loadHostProfiles() {
+  const { hostProfiles } = await browser.storage.local.get("hostProfiles");
+  return Array.isArray(hostProfiles) ? hostProfiles : [];
+}
+
+// Origin match patterns covering every address a profile talks to
+function profileOrigins(profile) {
+  const origins = [profile.origin, profile.apiBase, profile.rawBase].map(
+    (base) => `${new URL(base).origin}/*`
+  );
+  return [...new Set(origins)];
+}
+
+async function renderHostProfiles() {
+  const profiles = await loadHostProfiles();
+  hostList.textContent = "";
+  for (const profile of profiles) {
+    const item = document.createElement("li");
+    const origin = document.createElement("span");
+    origin.className = "host-origin";
+    origin.textContent = profile.origin;
+
+    const validate = document.createElement("button");
+    validate.textContent = "Validate";
+    validate.addEventListener("click", () => validateHost(profile));
+
+    const remove = document.createElement("button");
+    remove.textContent = "Remove";
+    remove.addEventListener("click", () => removeHost(profile));
+
+    item.append(origin, validate, remove);
+    hostList.appendChild(item);
+  }
+}
+
+saveHostBtn.addEventListener("click", async () => {
+  const origin = parseBase(hostOriginInput.value);
+  if (!origin || new URL(origin).pathname !== "/") {
+    showStatus(
+      hostStatus,
+      "Enter the host's https web address, e.g. https://github.example.com",
+      "error"
+    );
+    return;
+  }
+  const webOrigin = new URL(origin).origin;
+  if (webOrigin === "https://github.com") {
+    showStatus(hostStatus, "github.com is built in; set its token above.", "error");
+    return;
+  }
+  const apiBase = hostApiInput.value.trim()
+    ? parseBase(hostApiInput.value)
+    : `${webOrigin}/api/v3`;
+  const rawBase = hostRawInput.value.trim()
+    ? parseBase(hostRawInput.value)
+    : `${webOrigin}/raw`;
+  if (!apiBase || !rawBase) {
+    showStatus(hostStatus, "The API and raw-content bases must be https URLs.", "error");
+    return;
+  }
+
+  const profile = { origin: webOrigin, apiBase, rawBase };
+  const token = hostTokenInput.value.trim();
+
+  // Has to be the first await: browsers only allow permission prompts
+  // directly in response to the click
+  const granted = await browser.permissions.request({
+    origins: profileOrigins(profile),
+  });
+  if (!granted) {
+    showStatus(hostStatus, `Access to ${webOrigin} was not granted.`, "error");
+    return;
+  }
+
+  // An empty token field keeps the saved token
+  if (token && !(await saveToken("host", webOrigin, token, hostStatus))) return;
+  const profiles = (await loadHostProfiles()).filter((p) => p.origin !== webOrigin);
+  profiles.push(profile);
+  await browser.storage.local.set({ hostProfiles: profiles });
+
+  for (const input of [hostOriginInput, hostApiInput, hostRawInput, hostTokenInput]) {
+    input.value = "";
+  }
+  await renderHostProfiles();
+  showStatus(hostStatus, `Saved ${webOrigin}.`, "success");
+});
+
+async function validateHost(profile) {
+  if (!credentialStatus.hosts.includes(profile.origin)) {
+    showStatus(hostStatus, `No token saved for ${profile.origin}.`, "error");
+    return;
+  }
+  showStatus(hostStatus, "Validating...", "info");
+  const result = await browser.runtime.sendMessage({
+    type: "CHECK_AUTH",
+    origin: profile.origin,
+  });
+  if (result.authenticated) {
+    showStatus(hostStatus, `${profile.origin}: authenticated as ${result.username}`, "success");
+  } else {
+    showStatus(
+      hostStatus,
+      `${profile.origin}: authentication failed: ${result.error || "unknown error"}`,
+      "error"
+    );
+  }
+}
+
+async function removeHost(profile) {
+  if (
+    credentialStatus.hosts.includes(profile.origin) &&
+    !(await saveToken("host", profile.origin, null, hostStatus))
+  ) {
+    return;
+  }
+  const profiles = (await loadHostProfiles()).filter((p) => p.origin !== profile.origin);
+  await browser.storage.local.set({ hostProfiles: profiles });
+  await browser.permissions.remove({ origins: profileOrigins(profile) }).catch(() => {});
+  await renderHostProfiles();
+  showStatus(hostStatus, `Removed ${profile.origin}.`, "success");
+}
+
+// --- Note refs (see "Note ref rules" in background.js) ---
+
+const REF_PATTERN_RE = /^refs\/notes\/[\w.*\/-]+$/;
+
+async function loadRefRules() {
+  const { noteRefRules, noteRefs } = await browser.storage.local.get([
+    "noteRefRules",
+    "noteRefs",
+  ]);
+  return (
+    noteRefRules || {
+      global: { include: noteRefs || [], exclude: [] },
+      repos: {},
+      order: [],
+    }
+  );
+}
+
+// One pattern per line; returns null if any line isn't a refs/notes/ pattern
+function parsePatterns(textarea) {
+  const patterns = textarea.value
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+  return patterns.every((pattern) => REF_PATTERN_RE.test(pattern)) ? patterns : null;
+}
+
+async function saveRefRules(rules) {
+  // Written once in the new format, the legacy list is no longer needed
+  await browser.storage.local.set({ noteRefRules: rules });
+  await browser.storage.local.remove("noteRefs");
+}
+
+async function renderRefRules() {
+  const rules = await loadRefRules();
+  refsIncludeInput.value = rules.global.include.join("\n");
+  refsExcludeInput.value = rules.global.exclude.join("\n");
+  refsOrderInput.value = rules.order.join("\n");
+
+  repoRuleList.textContent = "";
+  for (const [repoKey, scope] of Object.entries(rules.repos)) {
+    const item = document.createElement("li");
+    const label = document.createElement("span");
+    label.className = "host-origin";
+    const summary = document.createElement("span");
+    summary.className = "token-owners";
+    summary.textContent = [
+      scope.include.length ? `show ${scope.include.join(", ")}` : "",
+      scope.exclude.length ? `hide ${scope.exclude.join(", ")}` : "",
+    ]
+      .filter(Boolean)
+      .join("; ");
+    label.append(`${repoKey} `, summary);
+
+    const edit = document.createElement("button");
+    edit.textContent = "Edit";
+    edit.addEventListener("click", () => {
+      repoRuleRepoInput.value = repoKey;
+      repoRuleIncludeInput.value = scope.include.join("\n");
+      repoRuleExcludeInput.value = scope.exclude.join("\n");
+    });
+
+    const remove = document.createElement("button");
+    remove.textContent = "Remove";
+    remove.addEventListener("click", async () => {
+      const current = await loadRefRules();
+      delete current.repos[repoKey];
+      await saveRefRules(current);
+      await renderRefRules();
+      showStatus(repoRuleStatus, `Removed rules for ${repoKey}.`, "success");
+    });
+
+    item.append(label, edit, remove);
+    repoRuleList.appendChild(item);
+  }
+}
+
+saveRefsBtn.addEventListener("click", async () => {
+  const include = parsePatterns(refsIncludeInput);
+  const exclude = parsePatterns(refsExcludeInput);
+  const order = parsePatterns(refsOrderInput);
+  if (!include || !exclude || !order) {
+    showStatus(refsStatus, "Every line must be a ref under refs/notes/, optionally with *.", "error");
+    return;
+  }
+  const rules = await loadRefRules();
+  await saveRefRules({ ...rules, global: { include, exclude }, order });
+  showStatus(refsStatus, "Refs saved.", "success");
+});
+
+saveRepoRuleBtn.addEventListener("click", async () => {
+  const repoKey = repoRuleRepoInput.value.trim();
+  if (!/^[\w.-]+\/[\w.-]+$/.test(repoKey)) {
+    showStatus(repoRuleStatus, "Enter a repository as owner/repo.", "error");
+    return;
+  }
+  const include = parsePatterns(repoRuleIncludeInput);
+  const exclude = parsePatterns(repoRuleExcludeInput);
+  if (!include || !exclude) {
+    showStatus(repoRuleStatus, "Every line must be a ref under refs/notes/, optionally with *.", "error");
+    return;
+  }
+  const rules = await loadRefRules();
+  rules.repos = { ...rules.repos, [repoKey]: { include, exclude } };
+  await saveRefRules(rules);
+  for (const input of [repoRuleRepoInput, repoRuleIncludeInput, repoRuleExcludeInput]) {
+    input.value = "";
+  }
+  await renderRefRules();
+  showStatus(repoRuleStatus, `Saved rules for ${repoKey}.`, "success");
+});
+
+renderRefRules();
+
+// --- Renderer pins (read by content.js) ---
+
+// The renderers registered in content.js
+const RENDERER_CHOICES = [
+  { id: "markdown", label: "Markdown" },
+  { id: "json", label: "JSON" },
+  { id: "yaml", label: "YAML" },
+  { id: "toml", label: "TOML" },
+  { id: "diff", label: "Diff" },
+  { id: "trailers", label: "Git trailers" },
+  { id: "keyvalue", label: "key=value" },
+  { id: "plain", label: "Plain text" },
+];
+
+for (const { id, label } of RENDERER_CHOICES) {
+  const option = document.createElement("option");
+  option.value = id;
+  option.textContent = label;
+  pinRendererSelect.appendChild(option);
+}
+
+async function loadRendererPins() {
+  const { rendererPins } = await browser.storage.local.get("rendererPins");
+  return Array.isArray(rendererPins) ? rendererPins : [];
+}
+
+async function renderRendererPins() {
+  const pins = await loadRendererPins();
+  pinList.textContent = "";
+  for (const pin of pins) {
+    const choice = RENDERER_CHOICES.find((c) => c.id === pin.renderer);
+    const item = document.createElement("li");
+    const label = document.createElement("span");
+    label.className = "host-origin";
+    const renderer = document.createElement("span");
+    renderer.className = "token-owners";
+    renderer.textContent = choice ? choice.label : pin.renderer;
+    label.append(`${pin.ref} `, renderer);
+
+    const remove = document.createElement("button");
+    remove.textContent = "Remove";
+    remove.addEventListener("click", async () => {
+      const current = await loadRendererPins();
+      await browser.storage.local.set({
+        rendererPins: current.filter((p) => p.ref !== pin.ref),
+      });
+      await renderRendererPins();
+      showStatus(pinStatus, `Unpinned ${pin.ref}.`, "success");
+    });
+
+    item.append(label, remove);
+    pinList.appendChild(item);
+  }
+}
+
+addPinBtn.addEventListener("click", async () => {
+  const ref = pinRefInput.value.trim();
+  if (!REF_PATTERN_RE.test(ref)) {
+    showStatus(pinStatus, "Enter a ref under refs/notes/, optionally with *.", "error");
+    return;
+  }
+  // Re-pinning a ref replaces its renderer and keeps its place
+  const pins = await loadRendererPins();
+  const pin = { ref, renderer: pinRendererSelect.value };
+  const index = pins.findIndex((p) => p.ref === ref);
+  if (index === -1) {
+    pins.push(pin);
+  } else {
+    pins[index] = pin;
+  }
+  await browser.storage.local.set({ rendererPins: pins });
+  pinRefInput.value = "";
+  await renderRendererPins();
+  showStatus(pinStatus, `Pinned ${ref}.`, "success");
+});
+
+renderRendererPins();
+
+// Fetch concurrency (read by content.js)
+browser.storage.local.get("fetchConcurrency").then(({ fetchConcurrency }) => {
+  if (fetchConcurrency) concurrencyInput.value = fetchConcurrency;
+});
+
+saveConcurrencyBtn.addEventListener("click", async () => {
+  const value = Number(concurrencyInput.value);
+  if (!Number.isInteger(value) || value < 1 || value > 16) {
+    showStatus(concurrencyStatus, "Enter a whole number from 1 to 16.", "error");
+    return;
+  }
+  await browser.storage.local.set({ fetchConcurrency: value });
+  showStatus(concurrencyStatus, "Saved.", "success");
+});
+
+// Fallback encoding (read by content.js and background.js)
+browser.storage.local.get("fallbackEncoding").then(({ fallbackEncoding }) => {
+  if (typeof fallbackEncoding === "string") encodingSelect.value = fallbackEncoding;
+});
+
+saveEncodingBtn.addEventListener("click", async () => {
+  await browser.storage.local.set({ fallbackEncoding: encodingSelect.value });
+  showStatus(encodingStatus, "Saved.", "success");
 });
 
 // Clear cache
 clearCacheBtn.addEventListener("click", async () => {
-  await browser.runtime.sendMessage({ type: "CLEAR_CACHE" });
+  const result = await browser.runtime.sendMessage({ type: "CLEAR_CACHE" });
+  if (result && result.error) {
+    showStatus(cacheStatus, `Could not clear the cache: ${result.message}`, "error");
+    return;
+  }
   showStatus(cacheStatus, "Cache cleared.", "success");
 });
 
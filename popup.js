@@ -2,6 +2,7 @@ if (typeof browser === "undefined") globalThis.browser = chrome;
 
 const authStatus = document.getElementById("auth-status");
 const settingsBtn = document.getElementById("open-settings");
+const browseBtn = document.getElementById("browse-notes");
 
 async function init() {
   // Check auth
@@ -14,13 +15,38 @@ async function init() {
     label.textContent = `Authenticated as ${auth.username}`;
   } else {
     dot.classList.add("disconnected");
-    label.textContent = auth.error
-      ? `Auth error: ${auth.error}`
-      : "No token configured";
+    label.textContent = auth.locked
+      ? "Tokens locked — unlock in settings"
+      : auth.error
+        ? `Auth error: ${auth.error}`
+        : "No token configured";
   }
 
 }
 
+// { origin, repo: "owner/repo" } of the active tab, if it's a repo page on
+// github.com or a configured GitHub Enterprise Server host
+async function activeRepo() {
+  const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+  if (!tab || !tab.url) return null;
+  const url = new URL(tab.url);
+  const { hostProfiles } = await browser.storage.local.get("hostProfiles");
+  const origins = ["https://github.com", ...(hostProfiles || []).map((p) => p.origin)];
+  if (!origins.includes(url.origin)) return null;
+  const match = url.pathname.match(/^\/([^/]+)\/([^/]+)/);
+  return match ? { origin: url.origin, repo: `${match[1]}/${match[2]}` } : null;
+}
+
+browseBtn.addEventListener("click", async () => {
+  const active = await activeRepo();
+  const params = new URLSearchParams();
+  if (active && active.origin !== "https://github.com") params.set("host", active.origin);
+  if (active) params.set("repo", active.repo);
+  const query = active ? `?${params}` : "";
+  await browser.tabs.create({ url: browser.runtime.getURL(`notes.html${query}`) });
+  window.close();
+});
+
 settingsBtn.addEventListener("click", () => {
   browser.runtime.openOptionsPage();
   window.close();
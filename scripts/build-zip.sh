@@ -32,6 +32,7 @@ cd "$ROOT"
 EXTENSION_FILES=(
   manifest.json
   background.js
+  bytes.js
   content.js
   content.css
   popup.html
@@ -40,8 +41,13 @@ EXTENSION_FILES=(
   options.html
   options.js
   options.css
+  notes.html
+  notes.js
+  notes.css
   lib/purify.min.js
   lib/marked.min.js
+  lib/js-yaml.min.js
+  lib/highlight.min.js
   icons/icon-16.png
   icons/icon-48.png
   icons/icon-128.png
@@ -52,6 +52,27 @@ async function loadMockPage() {
   `);
 }
 
+// In-memory browser.storage.local for the page, kept in window.__store
+async function mockLocalStorage(initial = {}) {
+  await page.evaluate((initial) => {
+    window.__store = initial;
+    window.browser.storage.local = {
+      get: async (keys) => {
+        if (keys === null) return { ...window.__store };
+        const result = {};
+        for (const key of [].concat(keys)) {
+          if (key in window.__store) result[key] = structuredClone(window.__store[key]);
+        }
+        return result;
+      },
+      set: async (items) => Object.assign(window.__store, structuredClone(items)),
+      remove: async (keys) => {
+        for (const key of [].concat(keys)) delete window.__store[key];
+      },
+    };
+  }, initial);
+}
+
 async function loadMockPageWithContentScript() {
   await page.goto(`file://${MOCK_PAGE}`, { waitUntil: "domcontentloaded" });
 
@@ -70,13 +91,65 @@ async function loadMockPageWithContentScript() {
   // Load libraries + content.js via script tags (global scope)
   const purifyJs = fs.readFileSync(path.join(ROOT, "lib/purify.min.js"), "utf-8");
   const markedJs = fs.readFileSync(path.join(ROOT, "lib/marked.min.js"), "utf-8");
+  const yamlJs = fs.readFileSync(path.join(ROOT, "lib/js-yaml.min.js"), "utf-8");
+  const highlightJs = fs.readFileSync(path.join(ROOT, "lib/highlight.min.js"), "utf-8");
+  const bytesJs = fs.readFileSync(path.join(ROOT, "bytes.js"), "utf-8");
   const contentJs = fs.readFileSync(path.join(ROOT, "content.js"), "utf-8");
 
   await page.addScriptTag({ content: purifyJs });
   await page.addScriptTag({ content: markedJs });
+  await page.addScriptTag({ content: yamlJs });
+  await page.addScriptTag({ content: highlightJs });
+  await page.addScriptTag({ content: bytesJs });
   await page.addScriptTag({ content: contentJs });
 }
 
+// An extension page (options.html, notes.html) in a page of its own, with
+// storage.local seeded from `storage` and runtime messages answered by
+// `reply(msg)` (run in the page)
+async function openExtensionPage(file, storage, reply) {
+  const extensionPage = await browser.newPage();
+  await extensionPage.evaluateOnNewDocument(
+    (storage, replySource) => {
+      const reply = new Function(`return (${replySource})`)();
+      window.__messages = [];
+      window.__tabs = [];
+      window.browser = {
+        storage: {
+          local: {
+            get: async (keys) => {
+              if (keys === null || keys === undefined) return { ...storage };
+              const result = {};
+              for (const key of [].concat(keys)) if (key in storage) result[key] = storage[key];
+              return result;
+            },
+            set: async (items) => Object.assign(storage, items),
+            remove: async (keys) => {
+              for (const key of [].concat(keys)) delete storage[key];
+            },
+          },
+        },
+        runtime: {
+          sendMessage: async (msg) => {
+            window.__messages.push(msg.type);
+            return (await reply(msg)) || {};
+          },
+        },
+        tabs: { create: async ({ url }) => window.__tabs.push(url) },
+        permissions: { request: async () => true, remove: async () => true },
+      };
+    },
+    storage,
+    reply.toString()
+  );
+  await extensionPage.goto(`file://${path.join(ROOT, file)}`, { waitUntil: "load" });
+  return extensionPage;
+}
+
+function openOptionsPage(storage, reply) {
+  return openExtensionPage("options.html", storage, reply);
+}
+
 async function test(name, fn) {
   try {
     await fn();
@@ -275,6 +348,12 @@ async function run() {
     new Function(wrapped);
   });
 
+  // --- Test: bytes.js parseability ---
+  await test("bytes.js is valid JavaScript", async () => {
+    const bytesJs = fs.readFileSync(path.join(ROOT, "bytes.js"), "utf-8");
+    new Function(bytesJs);
+  });
+
   // --- Test: content.js parseability ---
   await test("content.js is valid JavaScript", async () => {
     const contentJs = fs.readFileSync(path.join(ROOT, "content.js"), "utf-8");
@@ -289,6 +368,12 @@ async function run() {
     new Function(wrapped);
   });
 
+  // --- Test: notes.js parseability ---
+  await test("notes.js is valid JavaScript", async () => {
+    const notesJs = fs.readFileSync(path.join(ROOT, "notes.js"), "utf-8");
+    new Function(`const chrome = {}; ${notesJs}`);
+  });
+
   // --- Test: manifest.json is valid ---
   await test("manifest.json is valid and complete", async () => {
     const manifest = JSON.parse(
@@ -300,6 +385,7 @@ async function run() {
       manifest.host_permissions.includes("https://raw.githubusercontent.com/*")
     );
     assert.ok(manifest.content_scripts[0].matches.includes("https://github.com/*/*/commit/*"));
+    assert.ok(manifest.content_scripts[0].matches.includes("https://github.com/*/*/commits/*"));
     assert.ok(manifest.background.service_worker);
   });
 
@@ -343,16 +429,138 @@ async function run() {
 
       const box = container.querySelector(".ghn-box");
       const badge = container.querySelector(".ghn-format-badge");
-      const pre = container.querySelector(".ghn-content");
+      const tree = container.querySelector(".ghn-rendered .ghn-json-tree");
       return {
         format: box.dataset.format,
         badgeText: badge?.textContent,
-        hasPrettyPrint: pre?.textContent.includes("  "),
+        tree: tree?.textContent.includes('"key": "value"'),
+        hasToggle: !!container.querySelector(".ghn-toggle-raw"),
       };
     });
     assert.strictEqual(result.format, "json");
     assert.strictEqual(result.badgeText, "json");
-    assert.ok(result.hasPrettyPrint);
+    assert.ok(result.tree);
+    assert.ok(result.hasToggle);
+  });
+
+  await test("JSON tree expands, collapses and copies paths and values", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(async () => {
+      const copied = [];
+      Object.defineProperty(navigator, "clipboard", {
+        value: { writeText: async (text) => copied.push(text) },
+        configurable: true,
+      });
+      const container = document.createElement("div");
+      container.id = "ghn-notes-container";
+      document.querySelector(".container").appendChild(container);
+      showNotes(container, [
+        { ref: "refs/notes/ci", content: '{"a":{"b":{"c":[1,2]}},"d":"text"}' },
+      ]);
+
+      const nodes = () => [...container.querySelectorAll(".ghn-json-node")].map((n) => n.open);
+      container.querySelector(".ghn-json-expand").click();
+      const expanded = nodes();
+      container.querySelector(".ghn-json-collapse").click();
+      const collapsed = nodes();
+
+      const nodeB = [...container.querySelectorAll(".ghn-json-node")][2];
+      nodeB.querySelector(':scope > summary [data-copy="path"]').click();
+      nodeB.querySelector(':scope > summary [data-copy="value"]').click();
+      const leafD = [...container.querySelectorAll(".ghn-json-leaf")].pop();
+      leafD.querySelector('[data-copy="value"]').click();
+      await new Promise((r) => setTimeout(r, 0));
+      return { expanded, collapsed, copied, stillClosed: !nodeB.open };
+    });
+    assert.deepStrictEqual(result.expanded, [true, true, true, true]);
+    assert.deepStrictEqual(result.collapsed, [false, false, false, false]);
+    assert.deepStrictEqual(result.copied, [
+      "$.a.b",
+      JSON.stringify({ c: [1, 2] }, null, 2),
+      "text",
+    ]);
+    assert.ok(result.stillClosed);
+  });
+
+  await test("key=value note gets its own badge and sorts by column", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(() => {
+      const container = document.createElement("div");
+      container.id = "ghn-notes-container";
+      document.querySelector(".container").appendChild(container);
+      showNotes(container, [
+        { ref: "refs/notes/build", content: "b=10\na=9\nc=100\n" },
+        { ref: "refs/notes/review", content: "Reviewed-by: alice\nReviewed-by: bob\n" },
+        { ref: "refs/notes/config", content: '[ci]\nimage = "node"\n' },
+      ]);
+
+      const table = container.querySelector(".ghn-sortable");
+      const keys = () => [...table.tBodies[0].rows].map((tr) => tr.cells[0].textContent);
+      const buttons = table.querySelectorAll("thead button");
+      const initial = keys();
+      buttons[0].click();
+      const byKey = keys();
+      buttons[0].click();
+      const byKeyDesc = keys();
+      buttons[1].click();
+      const byValue = keys();
+      return {
+        badges: [...container.querySelectorAll(".ghn-format-badge")].map((b) => b.textContent),
+        initial,
+        byKey,
+        byKeyDesc,
+        byValue,
+        sort: [...table.querySelectorAll("thead th")].map((th) => th.getAttribute("aria-sort")),
+      };
+    });
+    assert.deepStrictEqual(result.badges, ["key=value", "trailers", "toml"]);
+    assert.deepStrictEqual(result.initial, ["b", "a", "c"]);
+    assert.deepStrictEqual(result.byKey, ["a", "b", "c"]);
+    assert.deepStrictEqual(result.byKeyDesc, ["c", "b", "a"]);
+    assert.deepStrictEqual(result.byValue, ["a", "b", "c"]);
+    assert.deepStrictEqual(result.sort, [null, "ascending"]);
+  });
+
+  await test("diff note switches between unified and split layouts", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(() => {
+      const container = document.createElement("div");
+      container.id = "ghn-notes-container";
+      document.querySelector(".container").appendChild(container);
+      const patch = "diff --git a/x b/x\n--- a/x\n+++ b/x\n@@ -1 +1 @@\n-a\n+b\n";
+      showNotes(container, [
+        { ref: "refs/notes/review", content: patch },
+        { ref: "refs/notes/other", content: patch },
+      ]);
+      const [first, second] = container.querySelectorAll(".ghn-box");
+      const shown = (box) =>
+        [...box.querySelectorAll(".ghn-diff-table")]
+          .filter((t) => getComputedStyle(t).display !== "none")
+          .map((t) => (t.classList.contains("ghn-diff-split") ? "split" : "unified"));
+      const before = shown(first);
+      first.querySelector('.ghn-diff-toolbar [data-layout="split"]').click();
+      const after = shown(first);
+      const active = first.querySelector(".ghn-diff-toolbar .ghn-active").textContent;
+      const untouched = shown(second);
+
+      // Diffs rendered later start in the layout picked last
+      showNotes(container, [{ ref: "refs/notes/review", content: patch }]);
+      const rerendered = shown(container.querySelector(".ghn-box"));
+      return {
+        badge: first.querySelector(".ghn-format-badge").textContent,
+        before,
+        after,
+        active,
+        untouched,
+        rerendered,
+      };
+    });
+    assert.strictEqual(result.badge, "diff");
+    assert.deepStrictEqual(result.before, ["unified"]);
+    assert.deepStrictEqual(result.after, ["split"]);
+    assert.strictEqual(result.active, "Split");
+    assert.deepStrictEqual(result.untouched, ["unified"]);
+    assert.deepStrictEqual(result.rerendered, ["split"]);
   });
 
   await test("showNotes renders YAML with key highlighting", async () => {
@@ -475,23 +683,70 @@ async function run() {
     assert.strictEqual(result.btnText, "Collapse note");
   });
 
-  await test("showLoading displays spinner and text", async () => {
+  await test("showNoteSlots keeps ref order whichever note arrives first", async () => {
     await loadMockPageWithContentScript();
     const result = await page.evaluate(() => {
       const container = document.createElement("div");
       container.id = "ghn-notes-container";
       document.querySelector(".container").appendChild(container);
-      showLoading(container);
+      const slots = showNoteSlots(container, ["refs/notes/a", "refs/notes/b", "refs/notes/c"]);
+      const placeholders = container.querySelectorAll(".ghn-loading .ghn-spinner").length;
+
+      slots.fill("refs/notes/c", { ref: "refs/notes/c", content: "Note c" });
+      slots.fill("refs/notes/b", null);
+      const pending = [...container.querySelectorAll(".ghn-loading")].map((el) => el.dataset.ref);
+      slots.fill("refs/notes/a", { ref: "refs/notes/a", content: "Note a" });
+      const notes = slots.finish();
 
       return {
-        hasSpinner: !!container.querySelector(".ghn-spinner"),
-        hasLoadingClass: !!container.querySelector(".ghn-loading"),
-        text: container.querySelector(".ghn-body").textContent.trim(),
+        placeholders,
+        pending,
+        refs: [...container.querySelectorAll(".ghn-ref")].map((el) => el.textContent),
+        loading: container.querySelectorAll(".ghn-loading").length,
+        notes: notes.map((n) => n.ref),
       };
     });
-    assert.ok(result.hasSpinner);
-    assert.ok(result.hasLoadingClass);
-    assert.ok(result.text.includes("Loading notes"));
+    assert.strictEqual(result.placeholders, 3);
+    assert.deepStrictEqual(result.pending, ["refs/notes/a"]);
+    assert.deepStrictEqual(result.refs, ["refs/notes/a", "refs/notes/c"]);
+    assert.strictEqual(result.loading, 0);
+    assert.deepStrictEqual(result.notes, ["refs/notes/a", "refs/notes/c"]);
+  });
+
+  await test("fetchNotesForCommit fetches refs in parallel up to the configured limit", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(async () => {
+      window.browser.storage.local.get = async (key) =>
+        key === "fetchConcurrency" ? { fetchConcurrency: 2 } : {};
+      window.browser.runtime.sendMessage = async (msg) =>
+        msg.type === "GET_HOST_PROFILE" ? { ...GITHUB_HOST, hasToken: false } : {};
+      // The first ref answers slowly, so the others finish before it
+      const delays = { a: 100, b: 0, c: 10, d: 0 };
+      let inFlight = 0;
+      let maxInFlight = 0;
+      window.fetch = async (url) => {
+        const name = url.match(/notes\/(\w)/)[1];
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise((r) => setTimeout(r, delays[name]));
+        inFlight--;
+        return name === "b"
+          ? new Response("", { status: 404 })
+          : new Response(`note ${name}`, { status: 200 });
+      };
+      const arrived = [];
+      const { results } = await fetchNotesForCommit(
+        "o", "r",
+        ["refs/notes/a", "refs/notes/b", "refs/notes/c", "refs/notes/d"],
+        "c".repeat(40),
+        (ref) => arrived.push(ref)
+      );
+      return { maxInFlight, arrived, results: results.map((r) => r.content) };
+    });
+    assert.strictEqual(result.maxInFlight, 2);
+    assert.notStrictEqual(result.arrived[0], "refs/notes/a");
+    assert.strictEqual(result.arrived.length, 4);
+    assert.deepStrictEqual(result.results, ["note a", "note c", "note d"]);
   });
 
   await test("showError displays escaped error message", async () => {
@@ -563,7 +818,1210 @@ async function run() {
     assert.ok(result);
   });
 
+  await test("findCommitRows maps full SHAs to commit list rows", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(() => {
+      const list = document.createElement("ul");
+      list.innerHTML = `
+        <li data-testid="commit-row-item">
+          <a href="/o/r/commit/${"a".repeat(40)}">First</a>
+        </li>
+        <li data-testid="commit-row-item">
+          <a href="/o/r/commit/${"b".repeat(40)}">Second</a>
+        </li>
+        <li data-testid="commit-row-item"><a href="/o/r/tree/main">Browse</a></li>
+      `;
+      document.querySelector(".container").appendChild(list);
+      return [...findCommitRows(list).keys()];
+    });
+    assert.deepStrictEqual(result, ["a".repeat(40), "b".repeat(40)]);
+  });
+
+  await test("addNoteBadges badges only rows with notes, refs in tooltip", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(() => {
+      const list = document.createElement("ul");
+      list.innerHTML = `
+        <li data-testid="commit-row-item">
+          <p class="mb-1"><a href="/o/r/commit/${"a".repeat(40)}">First</a></p>
+        </li>
+        <li data-testid="commit-row-item">
+          <p class="mb-1"><a href="/o/r/commit/${"b".repeat(40)}">Second</a></p>
+        </li>
+      `;
+      document.querySelector(".container").appendChild(list);
+      const rows = findCommitRows(list);
+      const notes = { ["a".repeat(40)]: ["refs/notes/commits", "refs/notes/review"] };
+      addNoteBadges(rows, notes);
+      addNoteBadges(rows, notes); // idempotent
+      const badges = list.querySelectorAll(".ghn-list-badge");
+      return {
+        count: badges.length,
+        title: badges[0]?.title,
+        href: badges[0]?.getAttribute("href"),
+      };
+    });
+    assert.strictEqual(result.count, 1);
+    assert.strictEqual(result.title, "Git notes: refs/notes/commits, refs/notes/review");
+    assert.strictEqual(result.href, `/o/r/commit/${"a".repeat(40)}`);
+  });
+
+  await test("addNotePanels adds a closed panel after PR commit rows with notes", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(() => {
+      const list = document.createElement("ul");
+      list.innerHTML = `
+        <li data-testid="commit-row-item">
+          <a href="/o/r/pull/7/commits/${"a".repeat(40)}">First</a>
+        </li>
+        <li data-testid="commit-row-item">
+          <a href="/o/r/pull/7/commits/${"b".repeat(40)}">Second</a>
+        </li>
+      `;
+      document.querySelector(".container").appendChild(list);
+      const rows = findCommitRows(list);
+      const notes = { ["b".repeat(40)]: ["refs/notes/review"] };
+      addNotePanels(rows, notes, { owner: "o", repo: "r" });
+      addNotePanels(rows, notes, { owner: "o", repo: "r" }); // idempotent
+      const panels = list.querySelectorAll(".ghn-row-notes");
+      return {
+        count: panels.length,
+        tag: panels[0]?.tagName,
+        afterSecond: panels[0]?.previousElementSibling === rows.get("b".repeat(40)),
+        open: panels[0]?.querySelector("details").open,
+        refText: panels[0]?.querySelector(".ghn-ref").textContent,
+      };
+    });
+    assert.strictEqual(result.count, 1);
+    assert.strictEqual(result.tag, "LI");
+    assert.ok(result.afterSecond);
+    assert.ok(!result.open);
+    assert.strictEqual(result.refText, "refs/notes/review");
+  });
+
+  await test("findInjectionPoint uses the PR layout above the files toolbar", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(() => {
+      const bucket = document.createElement("div");
+      bucket.id = "files_bucket";
+      bucket.innerHTML = `<div class="pr-toolbar"></div><div id="files-pr"></div>`;
+      document.querySelector(".container").prepend(bucket);
+      const injection = findInjectionPoint("pull");
+      return { cls: injection.el.className, mode: injection.mode };
+    });
+    assert.strictEqual(result.cls, "pr-toolbar");
+    assert.strictEqual(result.mode, "before");
+  });
+
+  await test("showNotes without context has no edit actions", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(() => {
+      const container = document.createElement("div");
+      document.querySelector(".container").appendChild(container);
+      showNotes(container, [{ ref: "refs/notes/commits", content: "note" }]);
+      return {
+        hasEdit: !!container.querySelector(".ghn-edit-note"),
+        hasAdd: !!container.querySelector(".ghn-add-note"),
+      };
+    });
+    assert.ok(!result.hasEdit);
+    assert.ok(!result.hasAdd);
+  });
+
+  await test("showNotes with context and no notes shows only the add box", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(() => {
+      const container = document.createElement("div");
+      container.id = "ghn-notes-container";
+      document.querySelector(".container").appendChild(container);
+      showNotes(container, [], { owner: "o", repo: "r", commitSha: "abc1234", canEdit: true });
+      return {
+        attached: !!document.getElementById("ghn-notes-container"),
+        boxes: container.querySelectorAll(".ghn-box").length,
+        hasAdd: !!container.querySelector(".ghn-add-note"),
+      };
+    });
+    assert.ok(result.attached);
+    assert.strictEqual(result.boxes, 1);
+    assert.ok(result.hasAdd);
+  });
+
+  await test("editing needs a token that can push to the repository", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(async () => {
+      const check = async (hasToken, push) => {
+        const messages = [];
+        window.browser.runtime.sendMessage = async (msg) => {
+          messages.push(msg.type);
+          if (msg.type === "GET_HOST_PROFILE") return { ...GITHUB_HOST, hasToken };
+          if (msg.type === "GET_REPO_PERMISSIONS") return { push };
+          return {};
+        };
+        _hostProfiles.clear();
+        return [await canEditRepo("o", "r"), messages];
+      };
+      return [await check(true, true), await check(true, false), await check(false, true)];
+    });
+    assert.deepStrictEqual(result, [
+      [true, ["GET_HOST_PROFILE", "GET_REPO_PERMISSIONS"]],
+      [false, ["GET_HOST_PROFILE", "GET_REPO_PERMISSIONS"]],
+      [false, ["GET_HOST_PROFILE"]],
+    ]);
+  });
+
+  await test("editing a note sends WRITE_GIT_NOTE and re-renders", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(async () => {
+      const sent = [];
+      window.browser.runtime.sendMessage = async (msg) => {
+        sent.push(msg);
+        return { ok: true, commitSha: "new" };
+      };
+      const container = document.createElement("div");
+      document.querySelector(".container").appendChild(container);
+      const context = { owner: "o", repo: "r", commitSha: "abc1234", canEdit: true };
+      showNotes(container, [{ ref: "refs/notes/commits", content: "old" }], context);
+
+      container.querySelector(".ghn-edit-note").click();
+      const textarea = container.querySelector(".ghn-editor-text");
+      const initial = textarea.value;
+      textarea.value = "new text";
+      container.querySelector(".ghn-editor-save").click();
+      await new Promise((r) => setTimeout(r, 0));
+
+      return {
+        initial,
+        sent: sent[0],
+        rendered: container.querySelector(".ghn-rendered").textContent.trim(),
+        editorGone: !container.querySelector(".ghn-editor"),
+      };
+    });
+    assert.strictEqual(result.initial, "old");
+    assert.strictEqual(result.sent.type, "WRITE_GIT_NOTE");
+    assert.strictEqual(result.sent.ref, "refs/notes/commits");
+    assert.strictEqual(result.sent.content, "new text");
+    assert.strictEqual(result.rendered, "new text");
+    assert.ok(result.editorGone);
+  });
+
+  await test("write conflict is reported and the editor stays open", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(async () => {
+      window.browser.runtime.sendMessage = async () => ({
+        error: "conflict",
+        message: "refs/notes/commits was updated by someone else.",
+      });
+      const container = document.createElement("div");
+      document.querySelector(".container").appendChild(container);
+      const context = { owner: "o", repo: "r", commitSha: "abc1234", canEdit: true };
+      showNotes(container, [{ ref: "refs/notes/commits", content: "old" }], context);
+
+      container.querySelector(".ghn-edit-note").click();
+      container.querySelector(".ghn-editor-text").value = "mine";
+      container.querySelector(".ghn-editor-save").click();
+      await new Promise((r) => setTimeout(r, 0));
+
+      const status = container.querySelector(".ghn-editor .ghn-status");
+      return {
+        editorOpen: !!container.querySelector(".ghn-editor"),
+        statusText: status.textContent,
+        isError: status.classList.contains("ghn-status-error"),
+        text: container.querySelector(".ghn-editor-text").value,
+      };
+    });
+    assert.ok(result.editorOpen);
+    assert.ok(result.isError);
+    assert.ok(result.statusText.includes("updated by someone else"));
+    assert.strictEqual(result.text, "mine");
+  });
+
+  await test("history toggle loads revisions and diffs latest vs previous", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(async () => {
+      const sent = [];
+      const contents = {
+        ["c".repeat(40)]: "line 1\nline 2 changed\n",
+        ["b".repeat(40)]: "line 1\nline 2\n",
+        ["a".repeat(40)]: null,
+      };
+      window.browser.runtime.sendMessage = async (msg) => {
+        sent.push(msg);
+        if (msg.type === "FETCH_NOTE_REVISION") return { content: contents[msg.revision] };
+        return {
+          commitSha: "abc1234" + "0".repeat(33),
+          levels: 1,
+          revisions: [
+            { commitSha: "c".repeat(40), author: { name: "Bob", login: "bob" }, date: "2026-03-01T00:00:00Z", message: "Notes added by 'git notes add'" },
+            { commitSha: "b".repeat(40), author: { name: "Alice", login: null }, date: "2026-02-01T00:00:00Z", message: "Notes added by 'git notes add'" },
+            { commitSha: "a".repeat(40), author: { name: "Alice", login: null }, date: "2026-01-01T00:00:00Z", message: "Notes removed by 'git notes remove'" },
+          ],
+        };
+      };
+      const settle = () => new Promise((r) => setTimeout(r, 0));
+      const container = document.createElement("div");
+      document.querySelector(".container").appendChild(container);
+      showNotes(container, [{ ref: "refs/notes/review", content: "line 1\nline 2 changed" }], { owner: "o", repo: "r", commitSha: "abc1234" });
+
+      container.querySelector(".ghn-history-toggle").click();
+      await settle();
+      await settle();
+
+      const rows = container.querySelectorAll(".ghn-history-list tbody tr");
+      const lines = () => [...container.querySelectorAll(".ghn-diff-line")].map((el) => el.className.split(" ")[1]);
+      const initial = lines();
+      const loadedFirst = sent.filter((msg) => msg.type === "FETCH_NOTE_REVISION").map((msg) => msg.revision[0]);
+
+      // Compare the latest revision against itself: no changes, nothing fetched
+      rows[0].querySelectorAll("input")[0].click();
+      await settle();
+      const same = container.querySelector(".ghn-history-diff").textContent;
+
+      // The oldest revision is only fetched once it's picked
+      rows[2].querySelectorAll("input")[0].click();
+      await settle();
+      await settle();
+
+      return {
+        history: sent[0],
+        revision: sent[1],
+        rowCount: rows.length,
+        authors: [...rows].map((r) => r.children[3].textContent),
+        initial,
+        loadedFirst,
+        same,
+        loaded: sent.filter((msg) => msg.type === "FETCH_NOTE_REVISION").map((msg) => msg.revision[0]),
+        deleted: [...rows].map((r) => !!r.querySelector(".ghn-format-badge")),
+        removedLines: lines(),
+      };
+    });
+    assert.strictEqual(result.history.type, "FETCH_NOTE_HISTORY");
+    assert.strictEqual(result.history.ref, "refs/notes/review");
+    assert.strictEqual(result.revision.commitSha, "abc1234" + "0".repeat(33));
+    assert.strictEqual(result.revision.levels, 1);
+    assert.strictEqual(result.rowCount, 3);
+    assert.deepStrictEqual(result.authors, ["bob", "Alice", "Alice"]);
+    assert.deepStrictEqual(result.loadedFirst, ["b", "c"]);
+    assert.deepStrictEqual(result.initial, ["ghn-diff-ctx", "ghn-diff-del", "ghn-diff-add"]);
+    assert.ok(result.same.includes("No changes"));
+    assert.deepStrictEqual(result.loaded, ["b", "c", "a"]);
+    assert.deepStrictEqual(result.deleted, [false, false, true]);
+    assert.deepStrictEqual(result.removedLines, ["ghn-diff-add", "ghn-diff-add"]);
+  });
+
+  await test("history shows revisions side by side when they're too large to diff", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(async () => {
+      const lines = (prefix) => Array.from({ length: 1200 }, (_, i) => `${prefix} ${i}`).join("\n");
+      const panel = document.createElement("div");
+      document.querySelector(".container").appendChild(panel);
+      const revision = (sha) => ({ commitSha: sha.repeat(40), author: { name: "Ann" }, date: "2026-01-01T00:00:00Z", message: "m" });
+      const contents = { b: lines("before <b>"), c: lines("after") };
+      renderNoteHistory(panel, [revision("c"), revision("b")], async (rev) => contents[rev.commitSha[0]]);
+      await new Promise((r) => setTimeout(r, 0));
+      const sides = [...panel.querySelectorAll(".ghn-diff-sides pre")].map((pre) => pre.textContent);
+      return {
+        status: panel.querySelector(".ghn-history-diff .ghn-status").textContent,
+        sides: sides.map((text) => text.split("\n")[0]),
+        diffLines: panel.querySelectorAll(".ghn-diff-line").length,
+        bold: panel.querySelectorAll(".ghn-diff-sides b").length,
+      };
+    });
+    assert.match(result.status, /Too many changed lines/);
+    assert.deepStrictEqual(result.sides, ["before <b> 0", "after 0"]);
+    assert.strictEqual(result.diffLines, 0);
+    assert.strictEqual(result.bold, 0);
+  });
+
+  await test("history reports a revision that fails to load, and retries it", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(async () => {
+      const panel = document.createElement("div");
+      document.querySelector(".container").appendChild(panel);
+      const revision = (sha) => ({ commitSha: sha.repeat(40), author: { name: "Ann" }, date: "2026-01-01T00:00:00Z", message: "m" });
+      let fail = true;
+      renderNoteHistory(panel, [revision("c"), revision("b")], async (rev) => {
+        if (fail && rev.commitSha[0] === "b") throw new Error("Rate limit exceeded");
+        return rev.commitSha[0];
+      });
+      await new Promise((r) => setTimeout(r, 0));
+      const error = panel.querySelector(".ghn-history-diff .ghn-status-error").textContent;
+      fail = false;
+      const rows = panel.querySelectorAll("tbody tr");
+      rows[0].querySelectorAll("input")[0].click();
+      rows[1].querySelectorAll("input")[0].click();
+      await new Promise((r) => setTimeout(r, 0));
+      return { error, after: [...panel.querySelectorAll(".ghn-diff-line")].map((el) => el.textContent) };
+    });
+    assert.strictEqual(result.error, "Rate limit exceeded");
+    assert.deepStrictEqual(result.after, ["-b", "+c"]);
+  });
+
+  await test("note history diff escapes HTML", async () => {
+    await loadMockPageWithContentScript();
+    const html = await page.evaluate(() =>
+      renderLineDiff(diffLines("", "<img src=x onerror=alert(1)>"))
+    );
+    assert.ok(!html.includes("<img"));
+    assert.ok(html.includes("&lt;img"));
+  });
+
+  await test("conditionalFetch revalidates with ETag and serves 304 from storage", async () => {
+    await loadMockPageWithContentScript();
+    await mockLocalStorage();
+    const result = await page.evaluate(async () => {
+      const requests = [];
+      window.fetch = async (url, init) => {
+        const headers = new Headers(init.headers);
+        requests.push(headers.get("If-None-Match"));
+        if (headers.get("If-None-Match") === '"v1"') {
+          return new Response(null, { status: 304 });
+        }
+        return new Response("note body", { status: 200, headers: { ETag: '"v1"' } });
+      };
+
+      const url = "https://raw.githubusercontent.com/o/r/notes/commits/abc";
+      const first = await (await conditionalFetch(url)).text();
+      const second = await (await conditionalFetch(url)).text();
+      return { first, second, requests };
+    });
+    assert.strictEqual(result.first, "note body");
+    assert.strictEqual(result.second, "note body");
+    assert.deepStrictEqual(result.requests, [null, '"v1"']);
+  });
+
+  await test("conditionalFetch drops validators for an origin whose preflight fails", async () => {
+    await loadMockPageWithContentScript();
+    await mockLocalStorage();
+    const result = await page.evaluate(async () => {
+      const requests = [];
+      window.fetch = async (url, init) => {
+        const validator = new Headers(init.headers).get("If-None-Match");
+        requests.push([new URL(url).pathname, validator, init.cache]);
+        // Like a CORS preflight that doesn't allow If-None-Match
+        if (validator) throw new TypeError("Failed to fetch");
+        return new Response("note body", { status: 200, headers: { ETag: '"v1"' } });
+      };
+      const raw = "https://raw.githubusercontent.com/o/r/notes/commits/";
+      await conditionalFetch(`${raw}a`);
+      await conditionalFetch(`${raw}b`);
+      const retried = await (await conditionalFetch(`${raw}a`)).text();
+      await conditionalFetch(`${raw}b`);
+      return { retried, requests };
+    });
+    assert.strictEqual(result.retried, "note body");
+    assert.deepStrictEqual(result.requests, [
+      ["/o/r/notes/commits/a", null, "no-store"],
+      ["/o/r/notes/commits/b", null, "no-store"],
+      ["/o/r/notes/commits/a", '"v1"', "no-store"],
+      ["/o/r/notes/commits/a", null, "no-store"],
+      // Not tried with validators again
+      ["/o/r/notes/commits/b", null, "no-store"],
+    ]);
+  });
+
+  await test("conditionalFetch replays binary bodies byte for byte", async () => {
+    await loadMockPageWithContentScript();
+    await mockLocalStorage();
+    const result = await page.evaluate(async () => {
+      const body = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0xff, 0x80]);
+      window.fetch = async (url, init) => {
+        if (new Headers(init.headers).get("If-None-Match") === '"v1"') {
+          return new Response(null, { status: 304 });
+        }
+        return new Response(body, { status: 200, headers: { ETag: '"v1"' } });
+      };
+
+      const url = "https://raw.githubusercontent.com/o/r/notes/shots/abc";
+      const first = await fetchNoteContent("o", "r", "refs/notes/shots", "abc");
+      const second = new Uint8Array(await (await conditionalFetch(url)).arrayBuffer());
+      return {
+        first: [...bytesFromBinaryString(first)],
+        second: [...second],
+        expected: [...body],
+      };
+    });
+    assert.deepStrictEqual(result.first, result.expected);
+    assert.deepStrictEqual(result.second, result.expected);
+  });
+
+  await test("conditionalFetch keeps responses apart per signed-in account", async () => {
+    await loadMockPageWithContentScript();
+    await mockLocalStorage({ "httpCache: https://example.com/old": { etag: '"v0"', body: "" } });
+    const result = await page.evaluate(async () => {
+      const login = document.createElement("meta");
+      login.name = "user-login";
+      document.head.append(login);
+      const requests = [];
+      window.fetch = async (url, init) => {
+        requests.push(new Headers(init.headers).get("If-None-Match"));
+        return new Response("tree", { status: 200, headers: { ETag: '"v1"' } });
+      };
+
+      const url = `${location.href.replace(/[^/]*$/, "")}o/r/tree/notes/commits`;
+      login.content = "alice";
+      await conditionalFetch(url);
+      await conditionalFetch(url);
+      login.content = "bob";
+      await conditionalFetch(url);
+      return { requests, keys: Object.keys(window.__store).sort() };
+    });
+    assert.deepStrictEqual(result.requests, [null, '"v1"', null]);
+    // The entry from before responses were keyed by account is gone
+    assert.strictEqual(result.keys.length, 3);
+    assert.ok(result.keys.includes("httpCacheIndex"));
+    assert.ok(result.keys.some((key) => key.startsWith("httpCache:alice ")));
+    assert.ok(result.keys.some((key) => key.startsWith("httpCache:bob ")));
+  });
+
+  await test("conditionalFetch evicts least recently used and expired entries", async () => {
+    await loadMockPageWithContentScript();
+    const now = Date.now();
+    const index = {
+      "httpCache:a": { size: 3 * 1024 * 1024, usedAt: now - 1000 },
+      "httpCache:b": { size: 2 * 1024 * 1024, usedAt: now },
+      "httpCache:c": { size: 1, usedAt: now - 8 * 24 * 60 * 60 * 1000 },
+    };
+    await mockLocalStorage({
+      httpCacheIndex: index,
+      "httpCache:a": {},
+      "httpCache:b": {},
+      "httpCache:c": {},
+    });
+    const result = await page.evaluate(async (index) => {
+      await evictHttpCache(index);
+      return { index: Object.keys(index), keys: Object.keys(window.__store).sort() };
+    }, index);
+    assert.deepStrictEqual(result.index, ["httpCache:b"]);
+    assert.deepStrictEqual(result.keys, ["httpCache:b", "httpCacheIndex"]);
+  });
+
+  await test("conditionalFetch makes room and retries when storage is full", async () => {
+    await loadMockPageWithContentScript();
+    await mockLocalStorage({
+      httpCacheIndex: { "httpCache:old": { size: 100, usedAt: Date.now() } },
+      "httpCache:old": { body: "x".repeat(100) },
+    });
+    const result = await page.evaluate(async () => {
+      const set = window.browser.storage.local.set;
+      let full = true;
+      window.browser.storage.local.set = async (items) => {
+        const body = Object.values(items).find((item) => item && item.etag);
+        if (body && full) {
+          full = false;
+          throw new Error("QUOTA_BYTES quota exceeded");
+        }
+        return set(items);
+      };
+      window.fetch = async () =>
+        new Response("y".repeat(100), { status: 200, headers: { ETag: '"v1"' } });
+      await conditionalFetch("https://raw.githubusercontent.com/o/r/notes/commits/abc");
+      return Object.keys(window.__store.httpCacheIndex).sort();
+    });
+    assert.strictEqual(result.length, 2);
+    assert.ok(result.includes("httpCache:old"));
+    assert.ok(result.some((key) => key.endsWith("/notes/commits/abc")));
+  });
+
+  await test("binary notes have no raw view or editor and download their bytes", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(async () => {
+      const blobs = [];
+      URL.createObjectURL = (blob) => {
+        blobs.push(blob);
+        return "blob:mock";
+      };
+      URL.revokeObjectURL = () => {};
+      const downloads = [];
+      HTMLAnchorElement.prototype.click = function () {
+        downloads.push(this.download);
+      };
+
+      const container = document.createElement("div");
+      container.id = "ghn-notes-container";
+      document.querySelector(".container").appendChild(container);
+      const context = { owner: "o", repo: "r", commitSha: "abc", canEdit: true };
+      showNotes(container, [{ ref: "refs/notes/artifacts", content: "PK\x03\x04\0\xff" }], context);
+      const box = container.querySelector(".ghn-box");
+      box.querySelector(".ghn-download").click();
+      const bytes = [...new Uint8Array(await blobs[0].arrayBuffer())];
+      return {
+        format: box.dataset.format,
+        raw: !!box.querySelector(".ghn-toggle-raw"),
+        edit: !!box.querySelector(".ghn-edit-note"),
+        del: !!box.querySelector(".ghn-delete-note"),
+        type: blobs[0].type,
+        bytes,
+        downloads,
+      };
+    });
+    assert.deepStrictEqual(result, {
+      format: "binary",
+      raw: false,
+      edit: false,
+      del: true,
+      type: "application/zip",
+      bytes: [0x50, 0x4b, 3, 4, 0, 0xff],
+      downloads: ["git-note.zip"],
+    });
+  });
+
+  await test("fetchNotesForCommit asks the background worker for one batched lookup", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(async () => {
+      const messages = [];
+      const requests = [];
+      window.browser.runtime.sendMessage = async (msg) => {
+        messages.push(msg.type);
+        if (msg.type === "GET_HOST_PROFILE") return { ...GITHUB_HOST, hasToken: true };
+        if (msg.type === "FETCH_NOTES_BATCH") {
+          return { notes: { "refs/notes/c": "direct note", "refs/notes/a": "fanout note" } };
+        }
+        return {};
+      };
+      window.fetch = async (url) => {
+        requests.push(url);
+        return new Response("", { status: 404 });
+      };
+      const sha = "ab" + "c".repeat(38);
+      return {
+        ...(await fetchNotesForCommit("o", "r", ["refs/notes/a", "refs/notes/b", "refs/notes/c"], sha)),
+        messages,
+        requests,
+      };
+    });
+    assert.deepStrictEqual(result.messages, ["GET_HOST_PROFILE", "FETCH_NOTES_BATCH"]);
+    assert.deepStrictEqual(result.requests, []);
+    assert.deepStrictEqual(result.results, [
+      { ref: "refs/notes/a", content: "fanout note", encoding: "utf-8", warning: null },
+      { ref: "refs/notes/c", content: "direct note", encoding: "utf-8", warning: null },
+    ]);
+  });
+
+  await test("notes are decoded as UTF-8, and a fallback encoding shows a warning", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(async () => {
+      window.browser.storage.local.get = async (key) =>
+        key === "fallbackEncoding" ? { fallbackEncoding: "windows-1252" } : {};
+      window.browser.runtime.sendMessage = async (msg) =>
+        msg.type === "GET_HOST_PROFILE" ? { ...GITHUB_HOST, hasToken: false } : {};
+      const bodies = {
+        utf8: new TextEncoder().encode("Zoë 👍"),
+        latin: Uint8Array.from([0x5a, 0x6f, 0xeb, 0x20, 0x96, 0x20, 0x6f, 0x6b]),
+      };
+      window.fetch = async (url) => {
+        const name = url.match(/notes\/(\w+)/)[1];
+        return new Response(bodies[name], { status: 200 });
+      };
+      const { results } = await fetchNotesForCommit(
+        "o", "r", ["refs/notes/utf8", "refs/notes/latin"], "c".repeat(40)
+      );
+      const container = document.createElement("div");
+      document.querySelector(".container").appendChild(container);
+      showNotes(container, results);
+      const warnings = [...container.querySelectorAll(".ghn-box")].map((box) => {
+        const warning = box.querySelector(".ghn-encoding-warning");
+        return warning && { text: warning.textContent.trim(), title: warning.title };
+      });
+      return {
+        texts: [...container.querySelectorAll(".ghn-rendered")].map((el) => el.textContent.trim()),
+        warnings,
+      };
+    });
+    assert.deepStrictEqual(result.texts, ["Zoë 👍", "Zoë – ok"]);
+    assert.deepStrictEqual(result.warnings, [
+      null,
+      { text: "windows-1252", title: "Not valid UTF-8; decoded as windows-1252" },
+    ]);
+  });
+
+  await test("notes that weren't read as UTF-8 can't be edited", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(async () => {
+      const container = document.createElement("div");
+      document.querySelector(".container").appendChild(container);
+      const context = { owner: "o", repo: "r", commitSha: "abc", canEdit: true };
+      showNotes(container, [
+        { ref: "refs/notes/a", content: "Zoë", encoding: "utf-8", warning: null },
+        { ref: "refs/notes/b", content: "Café", encoding: "utf-16le", warning: null },
+        { ref: "refs/notes/c", ...decodeNoteBytes("Zo\xeb", "windows-1252") },
+        { ref: "refs/notes/d", ...decodeNoteBytes("Zo\xeb", "") },
+      ], context);
+      return [...container.querySelectorAll(".ghn-edit-note")].map((button) => ({
+        disabled: button.disabled,
+        title: button.title,
+      }));
+    });
+    assert.deepStrictEqual(result, [
+      { disabled: false, title: "Edit note" },
+      { disabled: true, title: "Can't edit: this note is UTF-16LE, and saving would rewrite it as UTF-8" },
+      { disabled: true, title: "Can't edit: this note is WINDOWS-1252, and saving would rewrite it as UTF-8" },
+      { disabled: true, title: "Can't edit: this note isn't valid UTF-8, and saving would replace its invalid bytes" },
+    ]);
+  });
+
+  await test("large notes show a summary and render in chunks when asked", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(async () => {
+      const sections = [];
+      for (let i = 0; i < 12000; i++) sections.push(`## Step ${i}\n\nRan **check ${i}** in ${i % 97} ms.\n`);
+      const content = sections.join("\n");
+      const container = document.createElement("div");
+      container.id = "ghn-notes-container";
+      document.querySelector(".container").appendChild(container);
+      showNotes(container, [{ ref: "refs/notes/ci", content }], { owner: "o", repo: "r", commitSha: "abc" });
+      const box = container.querySelector(".ghn-box");
+      const body = box.querySelector(".ghn-rendered");
+      const summary = body.querySelector(".ghn-large-summary").textContent;
+      const headingsBefore = body.querySelectorAll("h2").length;
+
+      box.querySelector(".ghn-large-render").click();
+      const started = Date.now();
+      await new Promise((r) => setTimeout(r, 0));
+      let partial = null;
+      while (body.querySelectorAll("h2").length < 12000) {
+        const count = body.querySelectorAll("h2").length;
+        if (count > 0 && partial === null) partial = count;
+        await new Promise((r) => setTimeout(r, 20));
+      }
+      // The last chunk is in; the box is measured once rendering returns
+      while (!box.classList.contains("ghn-collapsed") && Date.now() - started < 5000) {
+        await new Promise((r) => setTimeout(r, 20));
+      }
+      return {
+        format: box.dataset.format,
+        summary,
+        headingsBefore,
+        partial: partial !== null && partial < 12000,
+        last: body.querySelectorAll("h2")[11999].textContent,
+        collapsed: box.classList.contains("ghn-collapsed"),
+      };
+    });
+    assert.strictEqual(result.format, "markdown");
+    assert.match(result.summary, /^Large note: \d+\.\d KB · 47,999 lines · Markdown$/);
+    assert.strictEqual(result.headingsBefore, 0);
+    assert.ok(result.partial, "rendered a chunk at a time");
+    assert.strictEqual(result.last, "Step 11999");
+    assert.ok(result.collapsed);
+  });
+
+  await test("large plain and raw views only keep the visible lines in the DOM", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(async () => {
+      const log = Array.from({ length: 50000 }, (_, i) => `[${i}] worker finished`).join("\n");
+      const json = JSON.stringify(Array.from({ length: 20000 }, (_, i) => ({ id: i, name: `item ${i}` })), null, 2);
+      const container = document.createElement("div");
+      document.querySelector(".container").appendChild(container);
+      showNotes(container, [
+        { ref: "refs/notes/log", content: log },
+        { ref: "refs/notes/data", content: json },
+      ]);
+      const [logBox, jsonBox] = container.querySelectorAll(".ghn-box");
+
+      logBox.querySelector(".ghn-large-render").click();
+      await new Promise((r) => setTimeout(r, 20));
+      const view = logBox.querySelector(".ghn-virtual");
+      const linesShown = () => view.querySelector("pre").textContent.split("\n");
+      const before = linesShown();
+      view.scrollTop = 25000 * 20;
+      view.dispatchEvent(new Event("scroll"));
+      await new Promise((r) => requestAnimationFrame(r));
+      const after = linesShown();
+
+      jsonBox.querySelector(".ghn-toggle-raw").click();
+      const raw = jsonBox.querySelector(".ghn-raw .ghn-virtual pre").textContent.split("\n");
+      return {
+        formats: [logBox.dataset.format, jsonBox.dataset.format],
+        before: [before.length, before[0]],
+        after: after.includes("[25000] worker finished") && after.length < 100,
+        scrollHeight: view.scrollHeight,
+        raw: [raw.length < 100, raw[0], raw[1]],
+        highlighted: !!jsonBox.querySelector(".ghn-raw .hljs-attr"),
+      };
+    });
+    assert.deepStrictEqual(result.formats, ["plain", "json"]);
+    assert.deepStrictEqual(result.before, [70, "[0] worker finished"]);
+    assert.ok(result.after);
+    assert.strictEqual(result.scrollHeight, 50000 * 20);
+    assert.deepStrictEqual(result.raw, [true, "[", "  {"]);
+    assert.strictEqual(result.highlighted, false);
+  });
+
+  await test("large TOML, YAML and diff notes are shown as text instead of parsed", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(async () => {
+      const sections = [];
+      for (let i = 0; i < 12000; i++) sections.push(`[build_${i}]\nstatus = "passed"\nduration = ${i}\n`);
+      // Invalid well past the sample that picked the renderer
+      const toml = `${sections.join("\n")}\n[build_0]\nstatus = "redefined"\n`;
+      const yaml = Array.from({ length: 30000 }, (_, i) => `step_${i}:\n  status: passed`).join("\n");
+      const diff = `diff --git a/log b/log\n--- a/log\n+++ b/log\n@@ -0,0 +1,100000 @@\n${"+line\n".repeat(100000)}`;
+      const container = document.createElement("div");
+      document.querySelector(".container").appendChild(container);
+      showNotes(
+        container,
+        [
+          { ref: "refs/notes/toml", content: toml },
+          { ref: "refs/notes/yaml", content: yaml },
+          { ref: "refs/notes/diff", content: diff },
+        ],
+        { owner: "o", repo: "r", commitSha: "abc" }
+      );
+      window.parseToml = window.parseYaml = window.parseUnifiedDiff = () => {
+        throw new Error("parsed in full");
+      };
+      const boxes = [...container.querySelectorAll(".ghn-box")];
+      const buttons = boxes.map((box) => box.querySelector(".ghn-large-render").textContent);
+      for (const box of boxes) box.querySelector(".ghn-large-render").click();
+      await new Promise((r) => setTimeout(r, 50));
+      return {
+        sampleLength: largeNoteSample(toml).length,
+        length: toml.length,
+        formats: boxes.map((box) => box.dataset.format),
+        buttons,
+        shown: boxes.map((box) => {
+          const body = box.querySelector(".ghn-rendered");
+          return [
+            body.querySelector(".ghn-large-note").textContent,
+            body.querySelector(".ghn-virtual pre").textContent.split("\n")[0],
+            !!body.querySelector(".ghn-parse-error, .ghn-status-error"),
+          ];
+        }),
+      };
+    });
+    assert.ok(result.sampleLength < result.length);
+    assert.deepStrictEqual(result.formats, ["toml", "yaml", "diff"]);
+    assert.deepStrictEqual(result.buttons, ["Show as text", "Show as text", "Show as text"]);
+    assert.deepStrictEqual(result.shown, [
+      ["Too large to show as TOML; this is its text.", "[build_0]", false],
+      ["Too large to show as YAML; this is its text.", "step_0:", false],
+      ["Too large to show as Diff; this is its text.", "diff --git a/log b/log", false],
+    ]);
+  });
+
+  await test("large key=value and trailer notes render their rows in chunks", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(async () => {
+      const env = Array.from({ length: 30000 }, (_, i) => `KEY_${30000 - i}=value ${i}`).join("\n");
+      const trailers = Array.from({ length: 20000 }, (_, i) => `Reviewed-by: Person ${i} <p${i}@example.com>`).join("\n");
+      const container = document.createElement("div");
+      document.querySelector(".container").appendChild(container);
+      showNotes(container, [
+        { ref: "refs/notes/env", content: env },
+        { ref: "refs/notes/review", content: trailers },
+      ]);
+      const [envBox, trailerBox] = container.querySelectorAll(".ghn-box");
+      const rows = (box) => box.querySelectorAll(".ghn-rendered tbody tr").length;
+      const td = (box) => box.querySelectorAll(".ghn-rendered tbody td").length;
+      envBox.querySelector(".ghn-large-render").click();
+      trailerBox.querySelector(".ghn-large-render").click();
+      let partial = null;
+      while (rows(envBox) < 30000 || td(trailerBox) === 0) {
+        const count = rows(envBox);
+        if (count > 0 && partial === null) partial = count;
+        await new Promise((r) => setTimeout(r, 10));
+      }
+      // Sorting is wired up once the last rows are in
+      await new Promise((r) => setTimeout(r, 20));
+      envBox.querySelector('[data-sort="0"]').click();
+      return {
+        formats: [envBox.dataset.format, trailerBox.dataset.format],
+        partial: partial !== null && partial < 30000,
+        tables: envBox.querySelectorAll(".ghn-rendered table").length,
+        first: envBox.querySelector(".ghn-rendered tbody td").textContent,
+        sorted: envBox.querySelector('[data-sort="0"]').parentElement.getAttribute("aria-sort"),
+        reviewers: trailerBox.querySelectorAll(".ghn-rendered td div").length,
+      };
+    });
+    assert.deepStrictEqual(result.formats, ["keyvalue", "trailers"]);
+    assert.ok(result.partial, "rendered a chunk at a time");
+    assert.strictEqual(result.tables, 1);
+    assert.strictEqual(result.first, "KEY_1");
+    assert.strictEqual(result.sorted, "ascending");
+    assert.strictEqual(result.reviewers, 20000);
+  });
+
+  await test("a large note that fails to load or render shows an error", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(async () => {
+      const container = document.createElement("div");
+      document.querySelector(".container").appendChild(container);
+      const content = `${"x".repeat(80)}\n`.repeat(8000);
+      const notes = [
+        {
+          ref: "refs/notes/deferred",
+          content: null,
+          encoding: null,
+          warning: null,
+          size: 700000,
+          load: async () => {
+            throw new Error("Network down");
+          },
+        },
+        { ref: "refs/notes/fetched", content, encoding: "utf-8", warning: null },
+      ];
+      showNotes(container, notes, { owner: "o", repo: "r", commitSha: "abc" });
+      const [deferred, fetched] = container.querySelectorAll(".ghn-box");
+      window.createVirtualText = () => {
+        throw new Error("Out of memory");
+      };
+      deferred.querySelector(".ghn-large-render").click();
+      fetched.querySelector(".ghn-large-render").click();
+      await new Promise((r) => setTimeout(r, 50));
+      return [deferred, fetched].map((box) => {
+        const status = box.querySelector(".ghn-status-error");
+        return status && status.textContent;
+      });
+    });
+    assert.deepStrictEqual(result, [
+      "Could not show the note: Network down",
+      "Could not show the note: Out of memory",
+    ]);
+  });
+
+  await test("large notes from the batched lookup are only downloaded when asked for", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(async () => {
+      const big = `${"x".repeat(80)}\n`.repeat(8000);
+      const requests = [];
+      window.browser.runtime.sendMessage = async (msg) => {
+        if (msg.type === "GET_HOST_PROFILE") return { ...GITHUB_HOST, hasToken: true };
+        if (msg.type === "FETCH_NOTES_BATCH") return { notes: { "refs/notes/big": { size: big.length } } };
+        return {};
+      };
+      window.fetch = async (url) => {
+        requests.push(url);
+        return new Response(big, { status: 200 });
+      };
+      const sha = "ab" + "c".repeat(38);
+      const { results } = await fetchNotesForCommit("o", "r", ["refs/notes/big"], sha);
+      const container = document.createElement("div");
+      document.querySelector(".container").appendChild(container);
+      showNotes(container, results, { owner: "o", repo: "r", commitSha: sha, canEdit: true });
+      const box = container.querySelector(".ghn-box");
+      const before = {
+        requests: requests.length,
+        summary: box.querySelector(".ghn-large-summary").textContent,
+        button: box.querySelector(".ghn-large-render").textContent,
+        edit: !!box.querySelector(".ghn-edit-note"),
+      };
+      box.querySelector(".ghn-large-render").click();
+      while (box.isConnected) await new Promise((r) => setTimeout(r, 10));
+      const loaded = container.querySelector(".ghn-box");
+      return {
+        before,
+        requests: requests.length,
+        summary: loaded.querySelector(".ghn-large-summary").textContent,
+        edit: !!loaded.querySelector(".ghn-edit-note"),
+      };
+    });
+    assert.deepStrictEqual(result.before, {
+      requests: 0,
+      summary: "Large note: 632.8 KB · not downloaded yet",
+      button: "Load note",
+      edit: false,
+    });
+    assert.strictEqual(result.requests, 1);
+    assert.strictEqual(result.summary, "Large note: 632.8 KB · 8,000 lines · Plain text");
+    assert.ok(result.edit);
+  });
+
+  await test("fetchGitNote walks the tree listings through deeper fanout", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(async () => {
+      const rest = "e".repeat(36);
+      const listings = {
+        "/o/r/tree/notes/ci": [{ name: "ab", contentType: "directory" }],
+        "/o/r/tree/notes/ci/ab": [{ name: "cd", contentType: "directory" }],
+        "/o/r/tree/notes/ci/ab/cd": [{ name: rest, contentType: "file" }],
+      };
+      window.fetch = async (url) => {
+        const { pathname } = new URL(url, location.origin);
+        if (listings[pathname]) {
+          return new Response(JSON.stringify({ payload: { tree: { items: listings[pathname] } } }), {
+            status: 200,
+          });
+        }
+        if (pathname === `/o/r/notes/ci/ab/cd/${rest}`) {
+          return new Response("deep note", { status: 200 });
+        }
+        return new Response("", { status: 404 });
+      };
+      return fetchGitNote("o", "r", "refs/notes/ci", "abcd" + rest);
+    });
+    assert.deepStrictEqual(result, { content: "deep note" });
+  });
+
+  await test("Enterprise Server profile routes note fetches to its own endpoints", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(async () => {
+      const messages = [];
+      window.browser.runtime.sendMessage = async (msg) => {
+        messages.push(msg.type);
+        if (msg.type === "GET_HOST_PROFILE") {
+          return {
+            origin: "https://ghe.example.com",
+            apiBase: "https://ghe.example.com/api/v3",
+            rawBase: "https://ghe.example.com/raw",
+            hasToken: false,
+          };
+        }
+        return {};
+      };
+      const requests = [];
+      window.fetch = async (url) => {
+        requests.push(url);
+        return new Response("nope", { status: 404 });
+      };
+      await fetchNoteContent("o", "r", "refs/notes/commits", "ab" + "c".repeat(38));
+      await discoverNoteRefs("o", "r");
+      return { requests, messages };
+    });
+    assert.ok(result.requests.length > 0);
+    for (const url of result.requests) {
+      assert.ok(url.startsWith("https://ghe.example.com/"), url);
+    }
+    assert.ok(result.requests.includes("https://ghe.example.com/raw/o/r/notes/commits/ab" + "c".repeat(38)));
+    assert.ok(result.requests.includes("https://ghe.example.com/api/v3/repos/o/r/git/matching-refs/notes"));
+  });
+
+  await test("content script leaves authenticated requests to the background worker", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(async () => {
+      const messages = [];
+      window.browser.runtime.sendMessage = async (msg) => {
+        messages.push(msg);
+        if (msg.type === "GET_HOST_PROFILE") return { ...GITHUB_HOST, hasToken: true };
+        if (msg.type === "FETCH_NOTE_CONTENT") return { content: "private note" };
+        if (msg.type === "DISCOVER_NOTE_REFS") return { refs: ["refs/notes/private"] };
+        return {};
+      };
+      const authorized = [];
+      window.fetch = async (url, init) => {
+        if (new Headers((init && init.headers) || {}).has("Authorization")) authorized.push(url);
+        return new Response("nope", { status: 404 });
+      };
+      const content = await fetchNoteContent("o", "r", "refs/notes/commits", "a".repeat(40));
+      const refs = await discoverNoteRefs("o", "r");
+      return { content, refs, authorized, types: messages.map((m) => m.type), origin: messages[1].origin };
+    });
+    assert.strictEqual(result.content, "private note");
+    assert.deepStrictEqual(result.refs, ["refs/notes/private"]);
+    assert.deepStrictEqual(result.authorized, []);
+    assert.deepStrictEqual(result.types, ["GET_HOST_PROFILE", "FETCH_NOTE_CONTENT", "DISCOVER_NOTE_REFS"]);
+    assert.ok(result.origin);
+  });
+
+  await test("content.js never reads tokens from storage", async () => {
+    const contentJs = fs.readFileSync(path.join(ROOT, "content.js"), "utf-8");
+    assert.ok(!/githubToken|oauthToken|Authorization|Bearer/.test(contentJs));
+  });
+
+  await test("manifest allows Enterprise hosts to be granted at runtime", async () => {
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, "manifest.json"), "utf-8"));
+    assert.ok(manifest.permissions.includes("scripting"));
+    assert.ok(manifest.optional_host_permissions.includes("https://*/*"));
+    assert.ok(!manifest.optional_host_permissions.some((pattern) => pattern.startsWith("http:")));
+  });
+
   // --- XSS / Injection (full DOM pipeline) ---
+  console.log("\n  Options page");
+
+  const signedOut = (msg) =>
+    msg.type === "CREDENTIAL_STATUS"
+      ? { mode: "plain", locked: false, signedIn: false, named: [], hosts: [] }
+      : {};
+
+  await test("sign-in is offered with the built-in app, and its client ID can be overridden", async () => {
+    // Stands in for background.js: sign-in is available with a built-in ID
+    // (`builtIn` in storage here) or an override
+    const optionsPage = await openOptionsPage({}, async (msg) => {
+      if (msg.type !== "CREDENTIAL_STATUS") return {};
+      const { builtIn, oauthClientId } = await browser.storage.local.get(["builtIn", "oauthClientId"]);
+      const signInAvailable = !!(builtIn || oauthClientId);
+      return { mode: "plain", locked: false, signedIn: false, signInAvailable, named: [], hosts: [] };
+    });
+    try {
+      const visible = () =>
+        optionsPage.evaluate(() => !document.getElementById("signed-out").hidden);
+      await optionsPage.waitForFunction(() => window.__messages.includes("CREDENTIAL_STATUS"));
+      const withoutApp = await visible();
+      await optionsPage.click(".advanced summary");
+      await optionsPage.type("#oauth-client-id", "Iv23liExample");
+      await optionsPage.click("#save-client-id");
+      await optionsPage.waitForFunction(() => !document.getElementById("signed-out").hidden);
+      const stored = await optionsPage.evaluate(async () =>
+        (await browser.storage.local.get("oauthClientId")).oauthClientId
+      );
+      await optionsPage.evaluate(async () => {
+        await browser.storage.local.set({ builtIn: true });
+        document.getElementById("oauth-client-id").value = "";
+      });
+      await optionsPage.click("#save-client-id");
+      await optionsPage.waitForFunction(() =>
+        document.getElementById("sign-in-status").textContent === "Client ID removed."
+      );
+      const withBuiltIn = await visible();
+      assert.strictEqual(withoutApp, false);
+      assert.strictEqual(stored, "Iv23liExample");
+      assert.strictEqual(withBuiltIn, true);
+    } finally {
+      await optionsPage.close();
+    }
+  });
+
+  await test("Enterprise hosts must use https before a token is saved for them", async () => {
+    const optionsPage = await openOptionsPage({}, signedOut);
+    try {
+      await optionsPage.evaluate(() => {
+        window.__requested = [];
+        browser.permissions.request = async ({ origins }) => window.__requested.push(...origins);
+      });
+      const save = async (origin, api) => {
+        await optionsPage.evaluate(
+          (origin, api) => {
+            document.getElementById("host-origin").value = origin;
+            document.getElementById("host-api").value = api;
+            document.getElementById("host-token").value = "ghe-token";
+            document.getElementById("host-status").textContent = "";
+          },
+          origin,
+          api
+        );
+        await optionsPage.click("#save-host");
+        await optionsPage.waitForFunction(() => document.getElementById("host-status").textContent);
+        return optionsPage.$eval("#host-status", (el) => el.textContent);
+      };
+      const plainOrigin = await save("http://ghe.example.com", "");
+      const plainApi = await save("https://ghe.example.com", "http://ghe.example.com/api/v3");
+      const result = await optionsPage.evaluate(async () => ({
+        requested: window.__requested,
+        messages: window.__messages.filter((type) => type === "SET_TOKEN"),
+        saved: "hostProfiles" in (await browser.storage.local.get("hostProfiles")),
+      }));
+      assert.match(plainOrigin, /https web address/);
+      assert.match(plainApi, /must be https URLs/);
+      assert.deepStrictEqual(result, { requested: [], messages: [], saved: false });
+    } finally {
+      await optionsPage.close();
+    }
+  });
+
+  await test("sign-in polls at the interval GitHub asks for until it's done", async () => {
+    const optionsPage = await openOptionsPage({}, (msg) => {
+      window.__polls = window.__polls || [];
+      if (msg.type === "CREDENTIAL_STATUS") {
+        const signedIn = window.__polls.length >= 3;
+        return { mode: "plain", locked: false, signedIn, signInAvailable: true, named: [], hosts: [] };
+      }
+      if (msg.type === "DEVICE_FLOW_START") {
+        return {
+          deviceCode: "dev-123",
+          userCode: "ABCD-1234",
+          verificationUri: "https://github.com/login/device",
+          interval: 0.01,
+          expiresAt: Date.now() + 60000,
+        };
+      }
+      if (msg.type === "DEVICE_FLOW_POLL") {
+        window.__polls.push(Date.now());
+        const replies = [{ status: "pending" }, { status: "pending", interval: 0.2 }, { status: "done" }];
+        return replies[window.__polls.length - 1];
+      }
+      if (msg.type === "CHECK_AUTH") {
+        return { authenticated: true, method: "oauth", username: "octocat", scopes: ["repo"] };
+      }
+      return {};
+    });
+    try {
+      await optionsPage.waitForFunction(() => !document.getElementById("signed-out").hidden);
+      await optionsPage.click("#sign-in");
+      await optionsPage.waitForFunction(() => !document.getElementById("device-code").hidden);
+      const code = await optionsPage.$eval("#user-code", (el) => el.textContent);
+      await optionsPage.waitForFunction(() => !document.getElementById("signed-in").hidden);
+      const result = await optionsPage.evaluate(() => ({
+        polls: window.__polls.length,
+        slowedDown: window.__polls[2] - window.__polls[1] >= 190,
+        tabs: window.__tabs,
+        status: document.getElementById("sign-in-status").textContent,
+        codeHidden: document.getElementById("device-code").hidden,
+      }));
+      assert.strictEqual(code, "ABCD-1234");
+      assert.deepStrictEqual(result, {
+        polls: 3,
+        slowedDown: true,
+        tabs: ["https://github.com/login/device"],
+        status: "Signed in as octocat · scopes: repo",
+        codeHidden: true,
+      });
+    } finally {
+      await optionsPage.close();
+    }
+  });
+
+  await test("sign-in reports an expired code", async () => {
+    const optionsPage = await openOptionsPage({}, (msg) => {
+      if (msg.type === "CREDENTIAL_STATUS") {
+        return { mode: "plain", locked: false, signedIn: false, signInAvailable: true, named: [], hosts: [] };
+      }
+      if (msg.type === "DEVICE_FLOW_START") {
+        return {
+          deviceCode: "dev-123",
+          userCode: "ABCD-1234",
+          verificationUri: "https://github.com/login/device",
+          interval: 0.01,
+          expiresAt: Date.now() + 60000,
+        };
+      }
+      if (msg.type === "DEVICE_FLOW_POLL") return { status: "expired" };
+      return {};
+    });
+    try {
+      await optionsPage.waitForFunction(() => !document.getElementById("signed-out").hidden);
+      await optionsPage.click("#sign-in");
+      await optionsPage.waitForFunction(
+        () => document.getElementById("sign-in-status").textContent === "The code expired. Try again."
+      );
+      const result = await optionsPage.evaluate(() => ({
+        signInEnabled: !document.getElementById("sign-in").disabled,
+        codeHidden: document.getElementById("device-code").hidden,
+      }));
+      assert.deepStrictEqual(result, { signInEnabled: true, codeHidden: true });
+    } finally {
+      await optionsPage.close();
+    }
+  });
+
+  console.log("\n  Notes browser");
+
+  await test("a repository without note refs says so instead of indexing nothing", async () => {
+    const notesPage = await openExtensionPage("notes.html", {}, (msg) =>
+      msg.type === "LIST_NOTE_REFS" ? { refs: [] } : {}
+    );
+    try {
+      await notesPage.type("#repo", "octo/empty");
+      await notesPage.click("#load");
+      await notesPage.waitForFunction(() =>
+        document.getElementById("index-status").textContent.includes("no note refs")
+      );
+      const result = await notesPage.evaluate(() => ({
+        status: document.getElementById("index-status").textContent,
+        messages: window.__messages,
+        browseHidden: document.getElementById("browse").hidden,
+        refDisabled: document.getElementById("ref").disabled,
+        search: location.search,
+      }));
+      assert.deepStrictEqual(result, {
+        status: "octo/empty has no note refs, or your note ref rules hide them all.",
+        messages: ["LIST_NOTE_REFS"],
+        browseHidden: true,
+        refDisabled: true,
+        search: "?repo=octo%2Fempty",
+      });
+    } finally {
+      await notesPage.close();
+    }
+  });
+
   console.log("\n  XSS / Injection (DOM pipeline)");
 
   await test("markdown note with img onerror does not execute in DOM", async () => {
@@ -628,6 +2086,30 @@ async function run() {
     assert.ok(result.text.includes("<img"));
   });
 
+  await test("raw view of a JSON note is syntax highlighted", async () => {
+    await loadMockPageWithContentScript();
+    const result = await page.evaluate(() => {
+      const container = document.createElement("div");
+      container.id = "ghn-notes-container";
+      document.querySelector(".container").appendChild(container);
+      showNotes(container, [{ ref: "refs/notes/ci", content: '{"status": "<b>ok</b>", "n": 3}' }]);
+      container.querySelector(".ghn-toggle-raw").click();
+      const pre = container.querySelector(".ghn-raw pre");
+      return {
+        attr: pre.querySelector(".hljs-attr")?.textContent,
+        number: pre.querySelector(".hljs-number")?.textContent,
+        text: pre.textContent,
+        bold: !!pre.querySelector("b"),
+        colour: getComputedStyle(pre.querySelector(".hljs-string")).color,
+      };
+    });
+    assert.strictEqual(result.attr, '"status"');
+    assert.strictEqual(result.number, "3");
+    assert.strictEqual(result.text, '{"status": "<b>ok</b>", "n": 3}');
+    assert.strictEqual(result.bold, false);
+    assert.strictEqual(result.colour, "rgb(165, 214, 255)");
+  });
+
   await test("raw toggle view uses textContent (immune to injection)", async () => {
     await loadMockPageWithContentScript();
     const result = await page.evaluate(() => {
@@ -37,13 +37,74 @@ async function loadContentFunctions() {
   // Load libraries and content.js via script tags (global scope)
   const purifyJs = fs.readFileSync(path.join(ROOT, "lib/purify.min.js"), "utf-8");
   const markedJs = fs.readFileSync(path.join(ROOT, "lib/marked.min.js"), "utf-8");
+  const yamlJs = fs.readFileSync(path.join(ROOT, "lib/js-yaml.min.js"), "utf-8");
+  const highlightJs = fs.readFileSync(path.join(ROOT, "lib/highlight.min.js"), "utf-8");
+  const bytesJs = fs.readFileSync(path.join(ROOT, "bytes.js"), "utf-8");
   const contentJs = fs.readFileSync(path.join(ROOT, "content.js"), "utf-8");
 
   await page.addScriptTag({ content: purifyJs });
   await page.addScriptTag({ content: markedJs });
+  await page.addScriptTag({ content: yamlJs });
+  await page.addScriptTag({ content: highlightJs });
+  await page.addScriptTag({ content: bytesJs });
   await page.addScriptTag({ content: contentJs });
 }
 
+// background.js in a fresh page, with in-memory storage.local/session.
+// `setStorage(local)` resets both areas. A file:// page, because WebCrypto
+// needs a secure context.
+async function loadBackgroundFunctions() {
+  await page.goto(`file://${path.join(__dirname, "mock-github-commit.html")}`, {
+    waitUntil: "domcontentloaded",
+  });
+
+  await page.evaluate(() => {
+    const listener = { addListener() {} };
+    const area = (name) => ({
+      get: async (keys) => {
+        const data = window.__storage[name];
+        if (keys === null || keys === undefined) return { ...data };
+        const result = {};
+        for (const key of [].concat(keys)) {
+          if (key in data) result[key] = structuredClone(data[key]);
+        }
+        return result;
+      },
+      set: async (items) => {
+        Object.assign(window.__storage[name], structuredClone(items));
+      },
+      remove: async (keys) => {
+        for (const key of [].concat(keys)) delete window.__storage[name][key];
+      },
+    });
+    window.__storage = { local: {}, session: {} };
+    window.setStorage = async (local) => {
+      window.__storage = { local: structuredClone(local), session: {} };
+    };
+    window.browser = {
+      runtime: {
+        // The message router, for tests to call as window.onRuntimeMessage
+        onMessage: {
+          addListener(fn) {
+            window.onRuntimeMessage = fn;
+          },
+        },
+        onInstalled: listener,
+        onStartup: listener,
+        sendMessage: async () => {},
+        getURL: (path) => `chrome-extension://notes-viewer/${path}`,
+      },
+      permissions: { onAdded: listener, onRemoved: listener },
+      storage: { onChanged: listener, local: area("local"), session: area("session") },
+    };
+  });
+
+  const bytesJs = fs.readFileSync(path.join(ROOT, "bytes.js"), "utf-8");
+  const backgroundJs = fs.readFileSync(path.join(ROOT, "background.js"), "utf-8");
+  await page.addScriptTag({ content: bytesJs });
+  await page.addScriptTag({ content: backgroundJs });
+}
+
 async function test(name, fn) {
   try {
     await fn();
@@ -138,6 +199,84 @@ async function run() {
     assert.ok(!result);
   });
 
+  // ========== COMMITS_LIST_URL_RE ==========
+  console.log("\n  COMMITS_LIST_URL_RE");
+
+  await test("matches commit list without branch", async () => {
+    const result = await page.evaluate(() =>
+      COMMITS_LIST_URL_RE.test("/owner/repo/commits")
+    );
+    assert.ok(result);
+  });
+
+  await test("captures owner, repo, and branch", async () => {
+    const result = await page.evaluate(() => {
+      const m = "/owner/repo/commits/main".match(COMMITS_LIST_URL_RE);
+      return m ? [m[1], m[2], m[3]] : null;
+    });
+    assert.deepStrictEqual(result, ["owner", "repo", "main"]);
+  });
+
+  await test("captures file history path", async () => {
+    const result = await page.evaluate(() => {
+      const m = "/owner/repo/commits/main/src/app.js".match(COMMITS_LIST_URL_RE);
+      return m ? m[3] : null;
+    });
+    assert.strictEqual(result, "main/src/app.js");
+  });
+
+  await test("rejects single commit pages", async () => {
+    const result = await page.evaluate(() =>
+      COMMITS_LIST_URL_RE.test("/owner/repo/commit/abc123def456")
+    );
+    assert.ok(!result);
+  });
+
+  // ========== PR_COMMIT_URL_RE / PR_COMMITS_URL_RE ==========
+  console.log("\n  PR_COMMIT_URL_RE / PR_COMMITS_URL_RE");
+
+  await test("captures owner, repo, PR number, and SHA", async () => {
+    const result = await page.evaluate(() => {
+      const m = "/owner/repo/pull/123/commits/abc123def456".match(PR_COMMIT_URL_RE);
+      return m ? [m[1], m[2], m[3], m[4]] : null;
+    });
+    assert.deepStrictEqual(result, ["owner", "repo", "123", "abc123def456"]);
+  });
+
+  await test("PR commit regex rejects the Commits tab", async () => {
+    const result = await page.evaluate(() =>
+      PR_COMMIT_URL_RE.test("/owner/repo/pull/123/commits")
+    );
+    assert.ok(!result);
+  });
+
+  await test("matches the PR Commits tab", async () => {
+    const result = await page.evaluate(() => {
+      const m = "/owner/repo/pull/123/commits".match(PR_COMMITS_URL_RE);
+      return m ? [m[1], m[2], m[3]] : null;
+    });
+    assert.deepStrictEqual(result, ["owner", "repo", "123"]);
+  });
+
+  await test("PR Commits tab regex rejects other PR tabs", async () => {
+    const result = await page.evaluate(() =>
+      PR_COMMITS_URL_RE.test("/owner/repo/pull/123/files")
+    );
+    assert.ok(!result);
+  });
+
+  // ========== commitShaFromPath ==========
+  console.log("\n  commitShaFromPath");
+
+  await test("extracts SHA from commit and PR commit links", async () => {
+    const result = await page.evaluate(() => [
+      commitShaFromPath("/o/r/commit/abc123def456"),
+      commitShaFromPath("/o/r/pull/7/commits/abc123def456"),
+      commitShaFromPath("/o/r/pull/7/files"),
+    ]);
+    assert.deepStrictEqual(result, ["abc123def456", "abc123def456", null]);
+  });
+
   // ========== detectFormat ==========
   console.log("\n  detectFormat");
 
@@ -232,6 +371,116 @@ async function run() {
     assert.strictEqual(result, "plain");
   });
 
+  // ========== Renderer registry ==========
+  console.log("\n  Renderer registry");
+
+  await test("a renderer pinned to the ref wins over content sniffing", async () => {
+    const result = await page.evaluate(() => {
+      const pins = [{ ref: "refs/notes/ci/*", renderer: "plain" }];
+      return [
+        pickRenderer("# Title", "refs/notes/ci/lint", pins).id,
+        pickRenderer("# Title", "refs/notes/commits", pins).id,
+      ];
+    });
+    assert.deepStrictEqual(result, ["plain", "markdown"]);
+  });
+
+  await test("ignores pins to renderers that don't exist", async () => {
+    const result = await page.evaluate(() =>
+      pickRenderer('{"a":1}', "refs/notes/ci", [{ ref: "refs/notes/ci", renderer: "nope" }]).id
+    );
+    assert.strictEqual(result, "json");
+  });
+
+  await test("picks renderers by schema marker, then by ref, then by content", async () => {
+    const result = await page.evaluate(() => {
+      registerRenderer({
+        id: "test-report",
+        label: "Test report",
+        schemas: ["https://example.com/schemas/test-report/*"],
+        refs: ["refs/notes/tests"],
+        render: () => "<p>report</p>",
+      });
+      return [
+        detectFormat('{"$schema": "https://example.com/schemas/test-report/v1", "ok": true}'),
+        detectFormat("<!-- schema: https://example.com/schemas/test-report/v2 -->\nok"),
+        detectFormat("key1: a\nkey2: b", "refs/notes/tests"),
+        detectFormat('{"$schema": "https://example.com/other"}'),
+        renderers[renderers.length - 1].id,
+      ];
+    });
+    assert.deepStrictEqual(result, ["test-report", "test-report", "test-report", "json", "plain"]);
+  });
+
+  await test("renderContentToHtml falls back to plain for unknown formats", async () => {
+    const result = await page.evaluate(() => renderContentToHtml("<b>x</b>", "nope"));
+    assert.strictEqual(result, '<pre class="ghn-content">&lt;b&gt;x&lt;/b&gt;</pre>');
+  });
+
+  // ========== diffLines ==========
+  console.log("\n  diffLines");
+
+  await test("marks changed lines between common context", async () => {
+    const result = await page.evaluate(() =>
+      diffLines("a\nb\nc\n", "a\nB\nc\n").map((op) => `${op.type}:${op.text}`)
+    );
+    assert.deepStrictEqual(result, ["ctx:a", "del:b", "add:B", "ctx:c"]);
+  });
+
+  await test("finds insertions in the middle", async () => {
+    const result = await page.evaluate(() =>
+      diffLines("a\nd", "a\nb\nc\nd").map((op) => op.type)
+    );
+    assert.deepStrictEqual(result, ["ctx", "add", "add", "ctx"]);
+  });
+
+  await test("diff from empty is all additions", async () => {
+    const result = await page.evaluate(() =>
+      diffLines("", "x\ny").map((op) => op.type)
+    );
+    assert.deepStrictEqual(result, ["add", "add"]);
+  });
+
+  await test("identical input has no changes", async () => {
+    const result = await page.evaluate(() =>
+      diffLines("same\n", "same").every((op) => op.type === "ctx")
+    );
+    assert.ok(result);
+  });
+
+  await test("gives up on changes too large to diff, but not on large common context", async () => {
+    const result = await page.evaluate(() => {
+      const lines = (prefix, n) => Array.from({ length: n }, (_, i) => `${prefix} ${i}`).join("\n");
+      const context = lines("same", 5000);
+      return {
+        tooLarge: diffLines(lines("a", 1001), lines("b", 1000)),
+        trimmed: diffLines(`${context}\nold\n${context}`, `${context}\nnew\n${context}`).length,
+      };
+    });
+    assert.strictEqual(result.tooLarge, null);
+    assert.strictEqual(result.trimmed, 10002);
+  });
+
+  // ========== mapWithConcurrency ==========
+  console.log("\n  mapWithConcurrency");
+
+  await test("keeps results in order with at most `limit` calls in flight", async () => {
+    const result = await page.evaluate(async () => {
+      let inFlight = 0;
+      let peak = 0;
+      const results = await mapWithConcurrency([30, 10, 20, 0, 5], 2, async (ms, i) => {
+        peak = Math.max(peak, ++inFlight);
+        await new Promise((r) => setTimeout(r, ms));
+        inFlight--;
+        return `${i}:${ms}`;
+      });
+      return { results, peak, empty: await mapWithConcurrency([], 4, async () => 1) };
+    });
+    assert.deepStrictEqual(result.results, ["0:30", "1:10", "2:20", "3:0", "4:5"]);
+    assert.strictEqual(result.peak, 2);
+    assert.deepStrictEqual(result.empty, []);
+  });
+
   // ========== escapeHtml ==========
   console.log("\n  escapeHtml");
 
@@ -275,14 +524,75 @@ async function run() {
     assert.ok(!result.includes("<script>"));
   });
 
-  await test("pretty-prints JSON with indentation", async () => {
+  await test("renders JSON as a tree with typed values", async () => {
+    const result = await page.evaluate(() => {
+      const el = document.createElement("div");
+      el.innerHTML = renderContentToHtml('{"a":1,"b":"x","c":[true,null]}', "json");
+      return {
+        leaves: [...el.querySelectorAll(".ghn-json-leaf")].map(
+          (leaf) => `${leaf.querySelector(".ghn-json-key").textContent}=${leaf.querySelector(".ghn-json-value").className}`
+        ),
+        nodes: el.querySelectorAll("details.ghn-json-node").length,
+      };
+    });
+    assert.deepStrictEqual(result.leaves, [
+      '"a"=ghn-json-value ghn-json-number',
+      '"b"=ghn-json-value ghn-json-string',
+      "0=ghn-json-value ghn-json-boolean",
+      "1=ghn-json-value ghn-json-null",
+    ]);
+    assert.strictEqual(result.nodes, 2);
+  });
+
+  await test("collapses JSON levels below the first two", async () => {
+    const result = await page.evaluate(() => {
+      const el = document.createElement("div");
+      el.innerHTML = renderContentToHtml('{"a":{"b":{"c":1}}}', "json");
+      return [...el.querySelectorAll("details.ghn-json-node")].map((node) => node.open);
+    });
+    assert.deepStrictEqual(result, [true, true, false]);
+  });
+
+  await test("JSON keys with quotes and HTML stay inert", async () => {
+    const result = await page.evaluate(() => {
+      const el = document.createElement("div");
+      el.innerHTML = renderContentToHtml('{"\\"><img src=x onerror=alert(1)>": 1}', "json");
+      const leaf = el.querySelector(".ghn-json-leaf");
+      return {
+        img: !!el.querySelector("img"),
+        path: JSON.parse(leaf.dataset.path),
+      };
+    });
+    assert.strictEqual(result.img, false);
+    assert.deepStrictEqual(result.path, ['"><img src=x onerror=alert(1)>']);
+  });
+
+  await test("jsonPath uses dot notation where it can", async () => {
+    const result = await page.evaluate(() => jsonPath(["items", 0, "odd key", "$ok"]));
+    assert.strictEqual(result, '$.items[0]["odd key"].$ok');
+  });
+
+  await test("filterJsonTree shows matches with their ancestors", async () => {
     const result = await page.evaluate(() => {
       const el = document.createElement("div");
-      el.innerHTML = renderContentToHtml('{"a":1,"b":2}', "json");
-      return el.querySelector("pre").textContent;
+      el.innerHTML = renderContentToHtml(
+        '{"jobs":{"lint":{"status":"passed"},"test":{"status":"failed"}},"sha":"abc"}',
+        "json"
+      );
+      const tree = el.querySelector(".ghn-json-tree");
+      const found = filterJsonTree(tree, "FAILED");
+      const visible = [...tree.querySelectorAll("[data-path]")]
+        .filter((item) => !item.hidden)
+        .map((item) => jsonPath(JSON.parse(item.dataset.path)));
+      const none = filterJsonTree(tree, "nothing here");
+      filterJsonTree(tree, "");
+      const restored = [...tree.querySelectorAll("[data-path]")].every((item) => !item.hidden);
+      return { found, visible, none, restored };
     });
-    assert.ok(result.includes('"a": 1'));
-    assert.ok(result.includes("\n"));
+    assert.strictEqual(result.found, true);
+    assert.deepStrictEqual(result.visible, ["$", "$.jobs", "$.jobs.test", "$.jobs.test.status"]);
+    assert.strictEqual(result.none, false);
+    assert.strictEqual(result.restored, true);
   });
 
   await test("handles invalid JSON gracefully", async () => {
@@ -301,140 +611,1013 @@ async function run() {
     assert.ok(result.includes("key1"));
   });
 
-  await test("renders plain text in pre tag", async () => {
+  await test("detects nested YAML with a single top-level key", async () => {
     const result = await page.evaluate(() =>
-      renderContentToHtml("hello world", "plain")
+      detectFormat("build:\n  image: node:20\n  steps:\n    - npm ci\n    - npm test")
     );
-    assert.ok(result.includes("<pre"));
-    assert.ok(result.includes("ghn-content"));
-    assert.ok(result.includes("hello world"));
+    assert.strictEqual(result, "yaml");
   });
 
-  // ========== XSS / Injection ==========
-  console.log("\n  XSS / Injection");
-
-  // -- Markdown attack vectors (DOMPurify) --
-
-  await test("strips img onerror event handler", async () => {
-    const result = await page.evaluate(() =>
-      renderContentToHtml('<img onerror="alert(1)" src="x">', "markdown")
-    );
-    assert.ok(!result.includes("onerror"));
+  await test("renders YAML mappings and sequences as a collapsible tree", async () => {
+    const result = await page.evaluate(() => {
+      const el = document.createElement("div");
+      el.innerHTML = renderContentToHtml(
+        "build:\n  image: node:20\n  steps:\n    - npm ci\n    - run: npm test\n      env: ci\nretries: 3\n",
+        "yaml"
+      );
+      return {
+        keys: [...el.querySelectorAll(".ghn-yaml-key")].map((k) => k.textContent),
+        dashes: el.querySelectorAll(".ghn-yaml-dash").length,
+        nodes: [...el.querySelectorAll("details.ghn-yaml-node")].map((n) => n.open),
+        number: el.querySelector(".ghn-json-number")?.textContent,
+      };
+    });
+    assert.deepStrictEqual(result.keys, ["build", "image", "steps", "run", "env", "retries"]);
+    assert.strictEqual(result.dashes, 2);
+    assert.deepStrictEqual(result.nodes, [true, false, false]);
+    assert.strictEqual(result.number, "3");
   });
 
-  await test("strips iframe tags", async () => {
-    const result = await page.evaluate(() =>
-      renderContentToHtml('<iframe src="javascript:alert(1)"></iframe>', "markdown")
-    );
-    assert.ok(!result.includes("<iframe"));
+  await test("keeps YAML block strings intact", async () => {
+    const result = await page.evaluate(() => {
+      const el = document.createElement("div");
+      el.innerHTML = renderContentToHtml("summary: |\n  line one\n  line two\nok: true\n", "yaml");
+      return el.querySelector(".ghn-yaml-block").textContent;
+    });
+    assert.strictEqual(result, "line one\nline two\n");
   });
 
-  await test("strips form tags", async () => {
-    const result = await page.evaluate(() =>
-      renderContentToHtml('<form action="https://evil.com"><input></form>', "markdown")
-    );
-    assert.ok(!result.includes("<form"));
-    assert.ok(!result.includes("<input"));
+  await test("shows the parse error and the raw text for invalid YAML", async () => {
+    const result = await page.evaluate(() => {
+      const content = "key1: value\nkey2: [unclosed\nkey3: x";
+      const el = document.createElement("div");
+      el.innerHTML = renderContentToHtml(content, "yaml");
+      return {
+        format: detectFormat(content),
+        error: el.querySelector(".ghn-parse-error")?.textContent,
+        raw: el.querySelector("pre.ghn-content")?.textContent,
+      };
+    });
+    assert.strictEqual(result.format, "yaml");
+    assert.ok(result.error.startsWith("Invalid YAML:"), result.error);
+    assert.ok(/line \d+, column \d+/.test(result.error), result.error);
+    assert.strictEqual(result.raw, "key1: value\nkey2: [unclosed\nkey3: x");
   });
 
-  await test("strips javascript: URLs in links", async () => {
-    const result = await page.evaluate(() =>
-      renderContentToHtml('[click](javascript:alert(1))', "markdown")
-    );
-    assert.ok(!result.includes("javascript:"));
+  await test("highlights fenced code blocks in markdown", async () => {
+    const result = await page.evaluate(() => {
+      const el = document.createElement("div");
+      el.innerHTML = renderContentToHtml(
+        '# Fix\n\n```js title="a.js"\nconst a = "x"; // why\n```\n\n```nosuchlang\nplain <b>\n```\n',
+        "markdown"
+      );
+      const [js, other] = el.querySelectorAll("pre code");
+      return {
+        jsClass: js.className,
+        keyword: js.querySelector(".hljs-keyword")?.textContent,
+        string: js.querySelector(".hljs-string")?.textContent,
+        comment: js.querySelector(".hljs-comment")?.textContent,
+        otherClass: other.className,
+        otherText: other.textContent,
+        otherSpans: other.querySelectorAll("span").length,
+      };
+    });
+    assert.deepStrictEqual(result, {
+      jsClass: "hljs language-js",
+      keyword: "const",
+      string: '"x"',
+      comment: "// why",
+      otherClass: "",
+      otherText: "plain <b>",
+      otherSpans: 0,
+    });
   });
 
-  await test("strips SVG with onload handler", async () => {
-    const result = await page.evaluate(() =>
-      renderContentToHtml('<svg onload="alert(1)"><circle r="10"/></svg>', "markdown")
-    );
-    assert.ok(!result.includes("onload"));
-    assert.ok(!result.includes("<svg"));
+  await test("highlightCode escapes code in any language", async () => {
+    const result = await page.evaluate(() => [
+      highlightCode('<img src=x onerror="alert(1)">', "html"),
+      highlightCode("<script>alert(1)</script>", "python"),
+      highlightCode("<script>alert(1)</script>", null),
+    ]);
+    for (const html of result) {
+      assert.ok(!html.includes("<img"), html);
+      assert.ok(!html.includes("<script"), html);
+    }
   });
 
-  await test("strips style tags in markdown", async () => {
-    const result = await page.evaluate(() =>
-      renderContentToHtml('<style>body{display:none}</style>', "markdown")
-    );
-    assert.ok(!result.includes("<style"));
+  await test("links commit SHAs, issues and mentions in markdown", async () => {
+    const result = await page.evaluate(() => {
+      const el = document.createElement("div");
+      el.innerHTML = renderContentToHtml(
+        "Fixes #12 and octo/tools#7, reverts 3f2a9c1e, see octo/tools@a1b2c3d4e5 by @mona-lisa.\n\n" +
+          "Not: mail@example.com, @org/team, `#99`, 1234567, deadbeef-ish&#13;",
+        "markdown",
+        { owner: "o", repo: "r", commitSha: "c0ffee1" }
+      );
+      return [...el.querySelectorAll("a.ghn-autolink")].map((a) => [
+        a.textContent,
+        a.getAttribute("href").replace(location.origin, ""),
+      ]);
+    });
+    assert.deepStrictEqual(result, [
+      ["#12", "/o/r/issues/12"],
+      ["octo/tools#7", "/octo/tools/issues/7"],
+      ["3f2a9c1", "/o/r/commit/3f2a9c1e"],
+      ["octo/tools@a1b2c3d", "/octo/tools/commit/a1b2c3d4e5"],
+      ["@mona-lisa", "/mona-lisa"],
+    ]);
   });
 
-  await test("neutralizes script in data: URL img src", async () => {
-    const result = await page.evaluate(() =>
-      renderContentToHtml('<img src="data:text/html,<script>alert(1)</script>">', "markdown")
-    );
-    // DOMPurify escapes the script inside the URL; img won't execute data:text/html
-    assert.ok(!result.includes("<script>"));
+  await test("points relative links and images at the annotated commit", async () => {
+    const result = await page.evaluate(() => {
+      const el = document.createElement("div");
+      el.innerHTML = renderContentToHtml(
+        "[doc](docs/a.md#usage) [root](/README.md) [up](../../../x.md) [anchor](#top) " +
+          "[abs](https://example.com/a) [mail](mailto:a@b.c)\n\n![shot](img/shot.png)",
+        "markdown",
+        { owner: "o", repo: "r", commitSha: "abc1234" }
+      );
+      return {
+        links: [...el.querySelectorAll("a")].map((a) =>
+          a.getAttribute("href").replace(location.origin, "")
+        ),
+        img: el.querySelector("img").getAttribute("src").replace(location.origin, ""),
+      };
+    });
+    assert.deepStrictEqual(result.links, [
+      "/o/r/blob/abc1234/docs/a.md#usage",
+      "/o/r/blob/abc1234/README.md",
+      "/o/r/blob/abc1234/x.md",
+      "#top",
+      "https://example.com/a",
+      "mailto:a@b.c",
+    ]);
+    assert.strictEqual(result.img, "/o/r/raw/abc1234/img/shot.png");
   });
 
-  await test("strips event handlers on allowed tags", async () => {
-    const result = await page.evaluate(() =>
-      renderContentToHtml('<a href="#" onclick="alert(1)">link</a>', "markdown")
-    );
-    assert.ok(!result.includes("onclick"));
+  await test("leaves links alone without a commit and in non-markdown notes", async () => {
+    const result = await page.evaluate(() => ({
+      noCommit: renderContentToHtml("Fixes #12 [doc](docs/a.md)", "markdown", null),
+      plain: renderContentToHtml("Fixes #12", "plain", { owner: "o", repo: "r", commitSha: "abc1234" }),
+    }));
+    assert.ok(!result.noCommit.includes("ghn-autolink"));
+    assert.ok(result.noCommit.includes('href="docs/a.md"'));
+    assert.ok(!result.plain.includes("<a"));
   });
 
-  await test("strips nested script-in-attribute attack", async () => {
-    const result = await page.evaluate(() =>
-      renderContentToHtml('<div style="background:url(javascript:alert(1))">x</div>', "markdown")
-    );
-    assert.ok(!result.includes("javascript:"));
+  // A 1x1 PNG as a byte string, the way binary notes travel
+  const PNG_BYTES = [
+    0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d, 0x49, 0x48, 0x44, 0x52,
+    0, 0, 0, 1, 0, 0, 0, 1, 8, 6, 0, 0, 0, 0x1f, 0x15, 0xc4, 0x89, 0, 0, 0, 0x0d, 0x49,
+    0x44, 0x41, 0x54, 0x78, 0x9c, 0x63, 0x60, 0x60, 0x60, 0xf8, 0x0f, 0, 0x01, 0x04, 0x01,
+    0, 0x5f, 0xe5, 0xc3, 0x4b, 0, 0, 0, 0, 0x49, 0x45, 0x4e, 0x44, 0xae, 0x42, 0x60, 0x82,
+  ];
+
+  await test("detects binary data by signature and NUL bytes", async () => {
+    const result = await page.evaluate((png) => {
+      const bytes = Uint8Array.from(png);
+      const asString = binaryStringFromBytes(bytes);
+      return {
+        pngBytes: fileSignature(bytes)?.mime,
+        pngString: fileSignature(asString)?.mime,
+        webp: fileSignature("RIFF\x10\0\0\0WEBPVP8 ")?.mime,
+        pdf: isBinaryData("%PDF-1.7\n"),
+        nul: isBinaryData("text\0more"),
+        lateNul: isBinaryData(`${"x".repeat(8000)}\0`),
+        text: isBinaryData("héllo ✓ 日本"),
+        roundTrip: [...bytesFromBinaryString(asString)].join() === png.join(),
+        decoded: decodeNoteBytes(new TextEncoder().encode("héllo ✓")).content,
+        kept: decodeNoteBytes(bytes).content === asString,
+      };
+    }, PNG_BYTES);
+    assert.deepStrictEqual(result, {
+      pngBytes: "image/png",
+      pngString: "image/png",
+      webp: "image/webp",
+      pdf: true,
+      nul: true,
+      lateNul: false,
+      text: false,
+      roundTrip: true,
+      decoded: "héllo ✓",
+      kept: true,
+    });
   });
 
-  await test("strips math/annotation XSS vector", async () => {
-    const result = await page.evaluate(() =>
-      renderContentToHtml('<math><annotation-xml encoding="text/html"><script>alert(1)</script></annotation-xml></math>', "markdown")
-    );
-    assert.ok(!result.includes("<script"));
+  await test("decodes notes as UTF-8, honouring byte order marks and UTF-16", async () => {
+    const result = await page.evaluate(() => {
+      const utf16le = (text, bom) => {
+        const bytes = bom ? [0xff, 0xfe] : [];
+        for (const ch of text) {
+          const code = ch.charCodeAt(0);
+          bytes.push(code & 0xff, code >> 8);
+        }
+        return Uint8Array.from(bytes);
+      };
+      const utf16be = (text) => {
+        const le = utf16le(text);
+        return le.map((_, i) => le[i ^ 1]);
+      };
+      const decode = (data) => decodeNoteBytes(data);
+      return {
+        utf8: decode(new TextEncoder().encode("Zoë 👍 日本語")),
+        byteString: decode(binaryStringFromBytes(new TextEncoder().encode("naïve"))).content,
+        utf8Bom: decode(Uint8Array.from([0xef, 0xbb, 0xbf, 0x68, 0x69])),
+        utf16Bom: decode(utf16le("Grüße ✓", true)),
+        utf16le: decode(utf16le("Signed-off-by: Zoë")),
+        utf16be: decode(utf16be("\uFEFFCafé")),
+        binary: decode("a\0b\0\0c"),
+      };
+    });
+    assert.deepStrictEqual(result, {
+      utf8: { content: "Zoë 👍 日本語", encoding: "utf-8", warning: null },
+      byteString: "naïve",
+      utf8Bom: { content: "hi", encoding: "utf-8", warning: null },
+      utf16Bom: { content: "Grüße ✓", encoding: "utf-16le", warning: null },
+      utf16le: { content: "Signed-off-by: Zoë", encoding: "utf-16le", warning: null },
+      utf16be: { content: "Café", encoding: "utf-16be", warning: null },
+      binary: { content: "a\0b\0\0c", encoding: null, warning: null },
+    });
   });
 
-  // -- JSON injection --
+  await test("decodes invalid UTF-8 with the fallback encoding and a warning", async () => {
+    const result = await page.evaluate(() => {
+      // "Café – naïve" in Windows-1252
+      const latin = Uint8Array.from([0x43, 0x61, 0x66, 0xe9, 0x20, 0x96, 0x20, 0x6e, 0x61, 0xef, 0x76, 0x65]);
+      return {
+        fallback: decodeNoteBytes(latin),
+        koi8: decodeNoteBytes(Uint8Array.from([0xf0, 0xd2, 0xc9, 0xd7, 0xc5, 0xd4]), "koi8-r"),
+        none: decodeNoteBytes(latin, ""),
+        unknown: decodeNoteBytes(latin, "no-such-encoding").encoding,
+        brokenBom: decodeNoteBytes(Uint8Array.from([0xef, 0xbb, 0xbf, 0x61, 0xff])),
+      };
+    });
+    assert.deepStrictEqual(result.fallback, {
+      content: "Café – naïve",
+      encoding: "windows-1252",
+      warning: "Not valid UTF-8; decoded as windows-1252",
+    });
+    assert.strictEqual(result.koi8.content, "Привет");
+    assert.strictEqual(result.none.content, "Caf\uFFFD \uFFFD na\uFFFDve");
+    assert.match(result.none.warning, /^Not valid UTF-8/);
+    assert.strictEqual(result.unknown, "utf-8");
+    assert.strictEqual(result.brokenBom.content, "a\uFFFD");
+    assert.match(result.brokenBom.warning, /byte order mark/);
+  });
 
-  await test("escapes HTML in JSON string values", async () => {
-    const result = await page.evaluate(() =>
-      renderContentToHtml('{"xss": "<img onerror=alert(1) src=x>"}', "json")
-    );
-    assert.ok(!result.includes("<img"));
-    assert.ok(result.includes("&lt;img"));
+  await test("binary notes get the image or binary renderer, whatever the pins", async () => {
+    const result = await page.evaluate((png) => {
+      const content = binaryStringFromBytes(Uint8Array.from(png));
+      const pins = [{ ref: "refs/notes/*", renderer: "markdown" }];
+      return {
+        png: pickRenderer(content, "refs/notes/shots", pins).id,
+        zip: pickRenderer("PK\x03\x04\x14\0", "refs/notes/shots", pins).id,
+        nul: pickRenderer("a\0b", null).id,
+        svg: detectFormat('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"></svg>'),
+        text: pickRenderer("# Title", "refs/notes/shots", pins).id,
+      };
+    }, PNG_BYTES);
+    assert.deepStrictEqual(result, {
+      png: "image",
+      zip: "binary",
+      nul: "binary",
+      svg: "image",
+      text: "markdown",
+    });
   });
 
-  // -- YAML injection --
+  await test("renders image notes inline with their size", async () => {
+    const result = await page.evaluate((png) => {
+      const el = document.createElement("div");
+      el.innerHTML = renderContentToHtml(binaryStringFromBytes(Uint8Array.from(png)), "image");
+      const zip = document.createElement("div");
+      zip.innerHTML = renderContentToHtml(`PK\x03\x04${"\0".repeat(2048)}`, "binary");
+      return {
+        src: el.querySelector(".ghn-image img").getAttribute("src").slice(0, 30),
+        mime: el.querySelector(".ghn-binary-mime").textContent,
+        size: el.querySelector(".ghn-binary-size").textContent,
+        zipImage: !!zip.querySelector("img"),
+        zipInfo: zip.querySelector(".ghn-binary-info").textContent.replace(/\s+/g, " ").trim(),
+      };
+    }, PNG_BYTES);
+    assert.deepStrictEqual(result, {
+      src: "data:image/png;base64,iVBORw0K",
+      mime: "image/png",
+      size: `${PNG_BYTES.length} bytes`,
+      zipImage: false,
+      zipInfo: "application/zip 2.0 KB Download",
+    });
+  });
 
-  await test("escapes HTML in YAML values", async () => {
-    const result = await page.evaluate(() =>
-      renderContentToHtml('key: <script>alert(1)</script>\nother: safe', "yaml")
-    );
-    assert.ok(!result.includes("<script>"));
-    assert.ok(result.includes("&lt;script&gt;"));
+  await test("sanitizes SVG notes before showing them", async () => {
+    const result = await page.evaluate(() => {
+      const el = document.createElement("div");
+      el.innerHTML = renderContentToHtml(
+        '<svg xmlns="http://www.w3.org/2000/svg" onload="alert(1)"><script>alert(2)</script>' +
+          '<rect width="10" height="10"/></svg>',
+        "image"
+      );
+      return decodeURIComponent(el.querySelector("img").getAttribute("src"));
+    });
+    assert.ok(result.startsWith("data:image/svg+xml;charset=utf-8,<svg"), result);
+    assert.ok(result.includes("<rect"), result);
+    assert.ok(!result.includes("script"), result);
+    assert.ok(!result.includes("onload"), result);
   });
 
-  await test("escapes HTML in YAML keys", async () => {
-    const result = await page.evaluate(() =>
-      renderContentToHtml('<img onerror=alert(1)>: value\nkey2: val2', "yaml")
+  const PATCH = [
+    "From 1a2b3c4 Mon Sep 17 00:00:00 2001",
+    "Subject: [PATCH] Fix parser",
+    "",
+    "---",
+    " src/a.js | 3 ++-",
+    "",
+    "diff --git a/src/a.js b/src/a.js",
+    "index 111..222 100644",
+    "--- a/src/a.js",
+    "+++ b/src/a.js",
+    "@@ -1,3 +1,3 @@ function parse()",
+    " const a = 1;",
+    "-const b = 2;",
+    "--- c;",
+    "+const b = 3;",
+    "\\ No newline at end of file",
+    "diff --git a/old.txt b/new.txt",
+    "similarity index 100%",
+    "rename from old.txt",
+    "rename to new.txt",
+    "diff --git a/logo.png b/logo.png",
+    "new file mode 100644",
+    "Binary files /dev/null and b/logo.png differ",
+    "-- ",
+    "2.43.0",
+  ].join("\n");
+
+  await test("parses a format-patch into files, hunks and line numbers", async () => {
+    const result = await page.evaluate((patch) => parseUnifiedDiff(patch), PATCH);
+    assert.ok(result.preamble.startsWith("From 1a2b3c4"));
+    assert.ok(result.preamble.includes("src/a.js | 3 ++-"));
+    assert.strictEqual(result.epilogue, "-- \n2.43.0");
+    assert.deepStrictEqual(
+      result.files.map((f) => [f.oldPath, f.newPath, f.status, f.binary, f.hunks.length]),
+      [
+        ["src/a.js", "src/a.js", "modified", false, 1],
+        ["old.txt", "new.txt", "renamed", false, 0],
+        ["logo.png", "logo.png", "added", true, 0],
+      ]
+    );
+    assert.deepStrictEqual(
+      result.files[0].hunks[0].lines.map((l) => [l.type, l.oldNo, l.newNo, l.text]),
+      [
+        ["ctx", 1, 1, "const a = 1;"],
+        ["del", 2, null, "const b = 2;"],
+        ["del", 3, null, "-- c;"],
+        ["add", null, 2, "const b = 3;"],
+        ["note", null, null, "No newline at end of file"],
+      ]
     );
-    // Angle brackets must be escaped — no actual <img tag in output
-    assert.ok(!result.includes("<img"));
-    assert.ok(result.includes("&lt;img"));
   });
 
-  // -- Plain text injection --
+  await test("detects diffs ahead of markdown, but not markdown with a diff block", async () => {
+    const result = await page.evaluate((patch) => ({
+      patch: detectFormat(patch),
+      plainDiff: detectFormat("--- a.txt\t2024-01-01\n+++ b.txt\t2024-01-02\n@@ -1 +1 @@\n-a\n+b\n"),
+      hunkOnly: detectFormat("@@ -1,2 +1,2 @@\n keep\n-old\n+new\n"),
+      list: detectFormat("- one\n- two\n+ three"),
+      fenced: detectFormat("# Suggestion\n\n```diff\n@@ -1 +1 @@\n-a\n+b\n```\n"),
+    }), PATCH);
+    assert.deepStrictEqual(result, {
+      patch: "diff",
+      plainDiff: "diff",
+      hunkOnly: "diff",
+      list: "markdown",
+      fenced: "markdown",
+    });
+  });
 
-  await test("escapes all HTML in plain text", async () => {
-    const result = await page.evaluate(() =>
-      renderContentToHtml('<div onmouseover="alert(1)">hover me</div>', "plain")
-    );
-    // No actual <div tag in output — only escaped entity
-    assert.ok(!result.includes("<div"));
-    assert.ok(result.includes("&lt;div"));
+  await test("renders a diff in unified and split layouts", async () => {
+    const result = await page.evaluate(() => {
+      const el = document.createElement("div");
+      el.innerHTML = renderContentToHtml(
+        "--- a/x\n+++ b/x\n@@ -1,3 +1,3 @@\n keep\n-old1\n-old2\n+new1\n",
+        "diff"
+      );
+      const rows = (selector) =>
+        [...el.querySelectorAll(`${selector} tr`)].map((tr) =>
+          [...tr.cells].map((td) => td.textContent).join("|")
+        );
+      return {
+        path: el.querySelector(".ghn-diff-path").textContent,
+        stat: el.querySelector(".ghn-diff-stat").textContent,
+        unified: rows(".ghn-diff-unified"),
+        split: rows(".ghn-diff-split"),
+      };
+    });
+    assert.strictEqual(result.path, "x");
+    assert.strictEqual(result.stat, "+1 −2");
+    assert.deepStrictEqual(result.unified, [
+      "||@@ -1,3 +1,3 @@",
+      "1|1| keep",
+      "2||-old1",
+      "3||-old2",
+      "|2|+new1",
+    ]);
+    assert.deepStrictEqual(result.split, [
+      "|@@ -1,3 +1,3 @@||",
+      "1| keep|1| keep",
+      "2|-old1|2|+new1",
+      "3|-old2||",
+    ]);
   });
 
-  // -- escapeHtml edge cases --
+  await test("renders ```diff blocks in markdown as diffs", async () => {
+    const result = await page.evaluate(() => {
+      const el = document.createElement("div");
+      el.innerHTML = renderContentToHtml(
+        "Suggested:\n\n```diff\n@@ -1 +1 @@\n-<b>a</b>\n+b\n```\n\n```diff\n-just\n+lines\n```\n",
+        "markdown"
+      );
+      return {
+        views: el.querySelectorAll(".ghn-diff-view").length,
+        del: el.querySelector("td.ghn-diff-del")?.textContent,
+        bold: !!el.querySelector(".ghn-diff-view b"),
+        fallback: el.querySelector("code.language-diff .hljs-deletion")?.textContent,
+      };
+    });
+    assert.deepStrictEqual(result, {
+      views: 1,
+      del: "-<b>a</b>",
+      bold: false,
+      fallback: "-just",
+    });
+  });
 
-  await test("escapes angle brackets in all positions", async () => {
-    const result = await page.evaluate(() =>
-      escapeHtml('"><img src=x onerror=alert(1)>')
-    );
-    assert.ok(!result.includes("<img"));
+  await test("detects trailers, TOML and key=value ahead of YAML and markdown", async () => {
+    const result = await page.evaluate(() => ({
+      trailers: detectFormat("Reviewed-by: Ana <ana@example.com>\nTested-on: linux"),
+      repeated: detectFormat("Acked: alice\nAcked: bob"),
+      yaml: detectFormat("name: build\nstatus: passed"),
+      toml: detectFormat('# Build\n[build]\nstatus = "passed"\n'),
+      tomlStrings: detectFormat('title = "Release"\nowners = ["a", "b"]\n'),
+      keyvalue: detectFormat("# env\nNODE_ENV=production\nPORT=8080\n"),
+      single: detectFormat("a=b"),
+      markdown: detectFormat("# Title\n\nSome text"),
+    }));
+    assert.deepStrictEqual(result, {
+      trailers: "trailers",
+      repeated: "trailers",
+      yaml: "yaml",
+      toml: "toml",
+      tomlStrings: "toml",
+      keyvalue: "keyvalue",
+      single: "plain",
+      markdown: "markdown",
+    });
+  });
+
+  await test("groups repeated trailer keys into one row", async () => {
+    const result = await page.evaluate(() => {
+      const el = document.createElement("div");
+      el.innerHTML = renderContentToHtml(
+        "Reviewed-by: alice\nTested-on: linux\nreviewed-by: bob\n  and carol\n",
+        "trailers"
+      );
+      return [...el.querySelectorAll(".ghn-trailers tr")].map((tr) => [
+        tr.querySelector("th").textContent,
+        [...tr.querySelectorAll("td div")].map((d) => d.textContent),
+      ]);
+    });
+    assert.deepStrictEqual(result, [
+      ["Reviewed-by", ["alice", "bob and carol"]],
+      ["Tested-on", ["linux"]],
+    ]);
+  });
+
+  await test("parseTrailers groups keys, joins continuations and rejects other lines", async () => {
+    const result = await page.evaluate(() => ({
+      grouped: parseTrailers("\nSigned-off-by: Ann <ann@x>\r\nFixes: #12\n\nsigned-off-by: Bob\n  (backport)\n"),
+      prose: parseTrailers("Reviewed-by: ann\nLooks good to me"),
+      noSpace: parseTrailers("Reviewed-by:ann"),
+      url: parseTrailers("https://example.com: not a trailer"),
+      empty: parseTrailers("  \n"),
+    }));
+    assert.deepStrictEqual(result, {
+      grouped: [
+        { key: "Signed-off-by", values: ["Ann <ann@x>", "Bob (backport)"] },
+        { key: "Fixes", values: ["#12"] },
+      ],
+      prose: null,
+      noSpace: null,
+      url: null,
+      empty: null,
+    });
+  });
+
+  await test("parseKeyValues reads .env and .properties lines", async () => {
+    const result = await page.evaluate(() => ({
+      pairs: parseKeyValues(
+        '# env\n; ini comment\nexport NODE_ENV="production"\napp.name = \'notes\'\nEMPTY=\nURL=https://x/?a=b\nMISMATCHED="open\'\n'
+      ),
+      prose: parseKeyValues("KEY=value\nthis is prose"),
+      comments: parseKeyValues("# only\n; comments\n"),
+    }));
+    assert.deepStrictEqual(result, {
+      pairs: [
+        { key: "NODE_ENV", value: "production" },
+        { key: "app.name", value: "notes" },
+        { key: "EMPTY", value: "" },
+        { key: "URL", value: "https://x/?a=b" },
+        { key: "MISMATCHED", value: "\"open'" },
+      ],
+      prose: null,
+      comments: null,
+    });
+  });
+
+  await test("attachSortableTable sorts by a column, toggling the direction", async () => {
+    const result = await page.evaluate(() => {
+      const body = document.createElement("div");
+      body.innerHTML = findRenderer("keyvalue").render("b=10\na=9\nc=100\n");
+      attachSortableTable(body);
+      const [key, value] = body.querySelectorAll("thead button");
+      const state = () => ({
+        keys: [...body.querySelectorAll("tbody tr")].map((tr) => tr.cells[0].textContent),
+        sort: [...body.querySelectorAll("thead th")].map((th) => th.getAttribute("aria-sort")),
+      });
+      const initial = state();
+      key.click();
+      const byKey = state();
+      key.click();
+      const byKeyDescending = state();
+      value.click();
+      const byValue = state();
+      // Clicks outside the buttons do nothing
+      body.querySelector("thead tr").click();
+      return { initial, byKey, byKeyDescending, byValue, afterMiss: state() };
+    });
+    assert.deepStrictEqual(result.initial, { keys: ["b", "a", "c"], sort: [null, null] });
+    assert.deepStrictEqual(result.byKey, { keys: ["a", "b", "c"], sort: ["ascending", null] });
+    assert.deepStrictEqual(result.byKeyDescending, { keys: ["c", "b", "a"], sort: ["descending", null] });
+    // Numbers compare as numbers
+    assert.deepStrictEqual(result.byValue, { keys: ["a", "b", "c"], sort: [null, "ascending"] });
+    assert.deepStrictEqual(result.afterMiss, result.byValue);
+  });
+
+  await test("parses TOML values, tables and arrays of tables", async () => {
+    const result = await page.evaluate(() =>
+      JSON.parse(
+        JSON.stringify(
+          parseToml(
+            [
+              "# comment",
+              'title = "Notes \\u00e9" # trailing',
+              "count = 1_000",
+              "mask = 0xff",
+              "ratio = 1.5e2",
+              "ok = true",
+              "when = 1979-05-27 07:32:00Z",
+              "path = 'C:\\dir'",
+              'ports = [ 80,',
+              "  443 ]",
+              'point = { x = 1, y.z = "deep" }',
+              'text = """',
+              "two",
+              'lines"""',
+              "[server.http]",
+              '"quoted key" = "v"',
+              "[[jobs]]",
+              'name = "lint"',
+              "[[jobs]]",
+              'name = "test"',
+              "[jobs.env]",
+              'CI = "1"',
+            ].join("\n")
+          )
+        )
+      )
+    );
+    assert.deepStrictEqual(result, {
+      title: "Notes \u00e9",
+      count: 1000,
+      mask: 255,
+      ratio: 150,
+      ok: true,
+      when: "1979-05-27 07:32:00Z",
+      path: "C:\\dir",
+      ports: [80, 443],
+      point: { x: 1, y: { z: "deep" } },
+      text: "two\nlines",
+      server: { http: { "quoted key": "v" } },
+      jobs: [{ name: "lint" }, { name: "test", env: { CI: "1" } }],
+    });
+  });
+
+  await test("reports the line of a TOML error", async () => {
+    const result = await page.evaluate(() => {
+      const content = '[a]\nx = 1\n[a]\ny = "2"\n';
+      const el = document.createElement("div");
+      el.innerHTML = renderContentToHtml(content, "toml");
+      return {
+        duplicate: el.querySelector(".ghn-parse-error")?.textContent,
+        raw: el.querySelector("pre.ghn-content")?.textContent,
+        unterminated: (() => {
+          try {
+            parseToml('a = 1\nb = "open\n');
+          } catch (err) {
+            return err.message;
+          }
+        })(),
+      };
+    });
+    assert.strictEqual(result.duplicate, "Invalid TOML: [a] is defined twice (line 3)");
+    assert.strictEqual(result.raw, '[a]\nx = 1\n[a]\ny = "2"\n');
+    assert.strictEqual(result.unterminated, "Unterminated string (line 2)");
+  });
+
+  await test("follows TOML's rules for defining tables", async () => {
+    const result = await page.evaluate(() => {
+      const parse = (text) => {
+        try {
+          return JSON.parse(JSON.stringify(parseToml(text)));
+        } catch (err) {
+          return err.message;
+        }
+      };
+      return {
+        dottedValueAsTable: parse("a.b = 1\n[a.b]"),
+        dottedTableAsHeader: parse("a.b.c = 1\n[a.b]"),
+        dottedInTable: parse("[a]\nb.c = 1\n[a.b]"),
+        subTableOfDotted: parse('[fruit]\napple.color = "red"\n[fruit.apple.texture]\nsmooth = true'),
+        dottedIntoHeader: parse("[a.b]\nc = 1\n[a]\nb.d = 2"),
+        superTable: parse("[a.b.c]\n[a]\nx = 1"),
+        valueAsArrayOfTables: parse("a = [1]\n[[a]]"),
+      };
+    });
+    assert.strictEqual(result.dottedValueAsTable, "b is not a table (line 2)");
+    assert.strictEqual(result.dottedTableAsHeader, "[a.b] is already defined by dotted keys (line 2)");
+    assert.strictEqual(result.dottedInTable, "[a.b] is already defined by dotted keys (line 3)");
+    assert.deepStrictEqual(result.subTableOfDotted, {
+      fruit: { apple: { color: "red", texture: { smooth: true } } },
+    });
+    assert.strictEqual(result.dottedIntoHeader, "b is already defined as [a.b] (line 4)");
+    assert.deepStrictEqual(result.superTable, { a: { b: { c: {} }, x: 1 } });
+    assert.strictEqual(result.valueAsArrayOfTables, "a is not an array of tables (line 2)");
+  });
+
+  await test("keeps TOML inline tables closed", async () => {
+    const result = await page.evaluate(() => {
+      const parse = (text) => {
+        try {
+          return JSON.parse(JSON.stringify(parseToml(text)));
+        } catch (err) {
+          return err.message;
+        }
+      };
+      return {
+        dotted: parse("t = { x = 1 }\nt.y = 2"),
+        header: parse("t = { x = 1 }\n[t.sub]"),
+        sameName: parse('[p]\ntype = { name = "Nail" }\n[p.type]'),
+        nestedHeader: parse("t = { a.b = 1 }\n[t.a]"),
+        arrayOfTables: parse("t = { x = 1 }\n[[t.list]]"),
+        withinInline: parse("t = { a = { x = 1 }, a.y = 2 }"),
+        dottedInside: parse("t = { a.b = 1, a.c = 2 }"),
+      };
+    });
+    assert.strictEqual(result.dotted, "t can't be extended: inline tables are complete (line 2)");
+    assert.strictEqual(result.header, "t can't be extended: inline tables are complete (line 2)");
+    assert.strictEqual(result.sameName, "type can't be extended: inline tables are complete (line 3)");
+    assert.strictEqual(result.nestedHeader, "t can't be extended: inline tables are complete (line 2)");
+    assert.strictEqual(result.arrayOfTables, "t can't be extended: inline tables are complete (line 2)");
+    assert.strictEqual(result.withinInline, "a can't be extended: inline tables are complete (line 1)");
+    assert.deepStrictEqual(result.dottedInside, { t: { a: { b: 1, c: 2 } } });
+  });
+
+  await test("parses TOML multi-line strings", async () => {
+    const result = await page.evaluate(() => {
+      const parse = (text) => {
+        try {
+          return parseToml(text).s;
+        } catch (err) {
+          return err.message;
+        }
+      };
+      return {
+        joined: parse('s = """\nThe quick brown \\\n\n\n  fox jumps over \\\n    the lazy dog."""'),
+        firstNewline: parse('s = """\n\nRoses\\tare red\n"""'),
+        crlf: parse('s = """\r\none\r\ntwo"""'),
+        innerQuotes: parse('s = """Two quotes: "". Escaped: \\"\\"\\"."""'),
+        edgeQuotes: parse('s = """"This," she said, "is just a pointless statement.""""'),
+        tooManyQuotes: parse('s = """a""""""'),
+        literal: parse("s = '''\nI [dw]on't need \\d{2} apples\\\n'''"),
+        literalEdgeQuotes: parse("s = ''''That,' she said, 'is still pointless.''''"),
+        unterminated: parse('s = """open\n\n'),
+      };
+    });
+    assert.deepStrictEqual(result, {
+      joined: "The quick brown fox jumps over the lazy dog.",
+      firstNewline: "\nRoses\tare red\n",
+      crlf: "one\r\ntwo",
+      innerQuotes: 'Two quotes: "". Escaped: """.',
+      edgeQuotes: '"This," she said, "is just a pointless statement."',
+      tooManyQuotes: "Expected the end of the line (line 1)",
+      literal: "I [dw]on't need \\d{2} apples\\\n",
+      literalEdgeQuotes: "'That,' she said, 'is still pointless.'",
+      unterminated: "Unterminated string (line 3)",
+    });
+  });
+
+  await test("renders TOML tables as sections", async () => {
+    const result = await page.evaluate(() => {
+      const el = document.createElement("div");
+      el.innerHTML = renderContentToHtml(
+        'name = "app"\n[build]\nos = ["linux", "mac"]\n[[steps]]\nrun = "lint"\n[[steps]]\nrun = "test"\nretry = 2\n',
+        "toml"
+      );
+      return [...el.querySelectorAll(".ghn-toml-section")].map((section) => ({
+        heading: section.querySelector(".ghn-toml-heading")?.textContent ?? "",
+        head: [...section.querySelectorAll("thead th")].map((th) => th.textContent),
+        rows: [...section.querySelectorAll("tbody tr")].map((tr) =>
+          [...tr.cells].map((c) => c.textContent).join("|")
+        ),
+      }));
+    });
+    assert.deepStrictEqual(result, [
+      { heading: "", head: [], rows: ["name|app"] },
+      { heading: "[build]", head: [], rows: ["os|linux, mac"] },
+      { heading: "[[steps]]", head: ["run", "retry"], rows: ["lint|", "test|2"] },
+    ]);
+  });
+
+  await test("renders key=value lines as a table", async () => {
+    const result = await page.evaluate(() => {
+      const el = document.createElement("div");
+      el.innerHTML = renderContentToHtml('; comment\nexport A="quoted value"\nb.c = 2\n', "keyvalue");
+      return [...el.querySelectorAll(".ghn-sortable tbody tr")].map((tr) =>
+        [...tr.cells].map((c) => c.textContent).join("=")
+      );
+    });
+    assert.deepStrictEqual(result, ["A=quoted value", "b.c=2"]);
+  });
+
+  await test("renders markdown front matter as a table above the body", async () => {
+    const result = await page.evaluate(() => {
+      const content = "---\ntitle: Release notes\ntags: [ci, perf]\n---\nShipped the fix.\n";
+      const el = document.createElement("div");
+      el.innerHTML = renderContentToHtml(content, detectFormat(content));
+      return {
+        format: detectFormat(content),
+        rows: [...el.querySelectorAll(".ghn-front-matter tr")].map(
+          (tr) => `${tr.querySelector("th").textContent}=${tr.querySelector("td").textContent}`
+        ),
+        body: el.querySelector("p")?.textContent,
+        hr: !!el.querySelector("hr"),
+      };
+    });
+    assert.strictEqual(result.format, "markdown");
+    assert.deepStrictEqual(result.rows, ["title=Release notes", "tags=ci, perf"]);
+    assert.strictEqual(result.body, "Shipped the fix.");
+    assert.strictEqual(result.hr, false);
+  });
+
+  await test("escapes HTML in front matter", async () => {
+    const result = await page.evaluate(() =>
+      renderContentToHtml('---\n"<b>k</b>": <img src=x onerror=alert(1)>\n---\n# Body', "markdown")
+    );
+    assert.ok(!result.includes("<img"));
+    assert.ok(!result.includes("<b>"));
+  });
+
+  await test("renders plain text in pre tag", async () => {
+    const result = await page.evaluate(() =>
+      renderContentToHtml("hello world", "plain")
+    );
+    assert.ok(result.includes("<pre"));
+    assert.ok(result.includes("ghn-content"));
+    assert.ok(result.includes("hello world"));
+  });
+
+  // ========== Large notes ==========
+  console.log("\n  Large notes");
+
+  await test("large notes are sniffed on a sample, JSON in full", async () => {
+    const result = await page.evaluate(() => {
+      const log = Array.from({ length: 40000 }, (_, i) => `step ${i}: ok`).join("\n");
+      const json = JSON.stringify(Array.from({ length: 30000 }, (_, i) => ({ id: i })));
+      const large = (content) =>
+        pickRenderer(content, null, [], largeNoteSample(content)).id;
+      return {
+        sampleCut: largeNoteSample(log).endsWith(": ok") && largeNoteSample(log).length <= 64 * 1024,
+        json: largeNoteSample(json) === json,
+        formats: [large(log), large(json), large(`# Report\n\n${log}`)],
+        sizes: [
+          isLargeNote({ content: "x".repeat(512 * 1024) }),
+          isLargeNote({ content: "é".repeat(300 * 1024) }),
+          isLargeNote({ content: `\x89PNG\r\n\x1a\n${"\0".repeat(600 * 1024)}` }),
+          isLargeNote({ content: null, size: 10 }),
+        ],
+        lines: [countLines("a"), countLines("a\nb\n"), countLines("a\n\nb")],
+      };
+    });
+    assert.deepStrictEqual(result, {
+      sampleCut: true,
+      json: true,
+      formats: ["yaml", "json", "markdown"],
+      sizes: [false, true, false, true],
+      lines: [1, 2, 3],
+    });
+  });
+
+  await test("markdown is cut into pieces at blank lines outside code fences", async () => {
+    const result = await page.evaluate(() => {
+      const block = `${"word ".repeat(20)}\n`.repeat(400); // ~40 KB paragraph
+      const fence = "```\n" + "code\n\n".repeat(20000) + "```\n";
+      const text = `${block}\n${fence}\n${block}\n${block}`;
+      const pieces = [...markdownPieces(text)];
+      return {
+        count: pieces.length,
+        whole: pieces.join("\n") === text,
+        fenceKept: pieces.some((p) => p.includes("```\ncode") && p.includes("code\n\n```")),
+      };
+    });
+    // The blank lines inside the fence aren't cut at
+    assert.deepStrictEqual(result, { count: 2, whole: true, fenceKept: true });
+  });
+
+  await test("JSON chunks add up to the same tree as rendering at once", async () => {
+    const result = await page.evaluate(() => {
+      const content = JSON.stringify({ list: [1, 2], name: "x", ...Object.fromEntries(
+        Array.from({ length: 450 }, (_, i) => [`k${i}`, { v: i }])
+      ) });
+      const json = findRenderer("json");
+      const body = document.createElement("div");
+      let target = null;
+      let count = 0;
+      for (const chunk of json.renderChunks(content)) {
+        count++;
+        if (target) target.insertAdjacentHTML("beforeend", chunk);
+        else {
+          body.innerHTML = chunk;
+          target = body.querySelector(".ghn-chunk-target");
+        }
+      }
+      target.classList.remove("ghn-chunk-target");
+      const whole = document.createElement("div");
+      whole.innerHTML = json.render(content);
+      return { count, same: body.innerHTML === whole.innerHTML };
+    });
+    assert.deepStrictEqual(result, { count: 4, same: true });
+  });
+
+  // ========== XSS / Injection ==========
+  console.log("\n  XSS / Injection");
+
+  // -- Markdown attack vectors (DOMPurify) --
+
+  await test("strips img onerror event handler", async () => {
+    const result = await page.evaluate(() =>
+      renderContentToHtml('<img onerror="alert(1)" src="x">', "markdown")
+    );
+    assert.ok(!result.includes("onerror"));
+  });
+
+  await test("strips iframe tags", async () => {
+    const result = await page.evaluate(() =>
+      renderContentToHtml('<iframe src="javascript:alert(1)"></iframe>', "markdown")
+    );
+    assert.ok(!result.includes("<iframe"));
+  });
+
+  await test("strips form tags", async () => {
+    const result = await page.evaluate(() =>
+      renderContentToHtml('<form action="https://evil.com"><input></form>', "markdown")
+    );
+    assert.ok(!result.includes("<form"));
+    assert.ok(!result.includes("<input"));
+  });
+
+  await test("strips javascript: URLs in links", async () => {
+    const result = await page.evaluate(() =>
+      renderContentToHtml('[click](javascript:alert(1))', "markdown")
+    );
+    assert.ok(!result.includes("javascript:"));
+  });
+
+  await test("strips SVG with onload handler", async () => {
+    const result = await page.evaluate(() =>
+      renderContentToHtml('<svg onload="alert(1)"><circle r="10"/></svg>', "markdown")
+    );
+    assert.ok(!result.includes("onload"));
+    assert.ok(!result.includes("<svg"));
+  });
+
+  await test("strips style tags in markdown", async () => {
+    const result = await page.evaluate(() =>
+      renderContentToHtml('<style>body{display:none}</style>', "markdown")
+    );
+    assert.ok(!result.includes("<style"));
+  });
+
+  await test("neutralizes script in data: URL img src", async () => {
+    const result = await page.evaluate(() =>
+      renderContentToHtml('<img src="data:text/html,<script>alert(1)</script>">', "markdown")
+    );
+    // DOMPurify escapes the script inside the URL; img won't execute data:text/html
+    assert.ok(!result.includes("<script>"));
+  });
+
+  await test("strips event handlers on allowed tags", async () => {
+    const result = await page.evaluate(() =>
+      renderContentToHtml('<a href="#" onclick="alert(1)">link</a>', "markdown")
+    );
+    assert.ok(!result.includes("onclick"));
+  });
+
+  await test("strips nested script-in-attribute attack", async () => {
+    const result = await page.evaluate(() =>
+      renderContentToHtml('<div style="background:url(javascript:alert(1))">x</div>', "markdown")
+    );
+    assert.ok(!result.includes("javascript:"));
+  });
+
+  await test("strips math/annotation XSS vector", async () => {
+    const result = await page.evaluate(() =>
+      renderContentToHtml('<math><annotation-xml encoding="text/html"><script>alert(1)</script></annotation-xml></math>', "markdown")
+    );
+    assert.ok(!result.includes("<script"));
+  });
+
+  // -- JSON injection --
+
+  await test("escapes HTML in JSON string values", async () => {
+    const result = await page.evaluate(() =>
+      renderContentToHtml('{"xss": "<img onerror=alert(1) src=x>"}', "json")
+    );
+    assert.ok(!result.includes("<img"));
+    assert.ok(result.includes("&lt;img"));
+  });
+
+  await test("escapes HTML in trailer, TOML and key=value notes", async () => {
+    const result = await page.evaluate(() =>
+      [
+        renderContentToHtml("Signed-off-by: <img src=x onerror=alert(1)>", "trailers"),
+        renderContentToHtml('"<b>k</b>" = "<img src=x onerror=alert(1)>"', "toml"),
+        renderContentToHtml("<b>=<img src=x onerror=alert(1)>\nb=2", "keyvalue"),
+      ].join("")
+    );
+    assert.ok(!result.includes("<img"));
+    assert.ok(!result.includes("<b>"));
+  });
+
+  await test("autolinking keeps escaped text escaped", async () => {
+    const result = await page.evaluate(() =>
+      renderContentToHtml(
+        "&lt;img src=x onerror=alert(1)&gt; #1 @x [a](\\\\evil.com/x)",
+        "markdown",
+        { owner: "o", repo: "r", commitSha: "abc1234" }
+      )
+    );
+    assert.ok(!result.includes("<img"), result);
+    const hrefs = [...result.matchAll(/href="([^"]*)"/g)].map((m) => m[1]);
+    assert.ok(hrefs.every((href) => !/^(https?:)?\/\/evil/.test(href)), result);
+  });
+
+  // -- YAML injection --
+
+  await test("escapes HTML in YAML values", async () => {
+    const result = await page.evaluate(() =>
+      renderContentToHtml('key: <script>alert(1)</script>\nother: safe', "yaml")
+    );
+    assert.ok(!result.includes("<script>"));
+    assert.ok(result.includes("&lt;script&gt;"));
+  });
+
+  await test("escapes HTML in YAML keys", async () => {
+    const result = await page.evaluate(() =>
+      renderContentToHtml('<img onerror=alert(1)>: value\nkey2: val2', "yaml")
+    );
+    // Angle brackets must be escaped — no actual <img tag in output
+    assert.ok(!result.includes("<img"));
+    assert.ok(result.includes("&lt;img"));
+  });
+
+  // -- Plain text injection --
+
+  await test("escapes all HTML in plain text", async () => {
+    const result = await page.evaluate(() =>
+      renderContentToHtml('<div onmouseover="alert(1)">hover me</div>', "plain")
+    );
+    // No actual <div tag in output — only escaped entity
+    assert.ok(!result.includes("<div"));
+    assert.ok(result.includes("&lt;div"));
+  });
+
+  // -- escapeHtml edge cases --
+
+  await test("escapes angle brackets in all positions", async () => {
+    const result = await page.evaluate(() =>
+      escapeHtml('"><img src=x onerror=alert(1)>')
+    );
+    assert.ok(!result.includes("<img"));
   });
 
   await test("escapes HTML entities in encoded payloads", async () => {
@@ -444,6 +1627,1502 @@ async function run() {
     assert.ok(result.includes("&amp;#60;"));
   });
 
+  // ================================================================
+  // Background worker
+  // ================================================================
+  await loadBackgroundFunctions();
+
+  // ========== buildNotesQuery ==========
+  console.log("\n  buildNotesQuery");
+
+  await test("aliases direct and fanout expressions for every ref", async () => {
+    const result = await page.evaluate(() =>
+      buildNotesQuery(["refs/notes/commits", "refs/notes/ci"], "ab" + "c".repeat(38))
+    );
+    const sha = "ab" + "c".repeat(38);
+    assert.ok(result.includes(`n0_0: object(expression: "refs/notes/commits:${sha}")`));
+    assert.ok(result.includes(`n0_1: object(expression: "refs/notes/commits:ab/${"c".repeat(38)}")`));
+    assert.ok(result.includes(`n1_0: object(expression: "refs/notes/ci:${sha}")`));
+    assert.ok(result.includes(`n1_1: object(expression: "refs/notes/ci:ab/${"c".repeat(38)}")`));
+  });
+
+  await test("escapes quotes in ref names", async () => {
+    const result = await page.evaluate(() =>
+      buildNotesQuery(['refs/notes/a"b'], "a".repeat(40))
+    );
+    assert.ok(result.includes('"refs/notes/a\\"b:'));
+  });
+
+  await test("probes the ab/cd directory to detect deeper fanout", async () => {
+    const result = await page.evaluate(() =>
+      buildNotesQuery(["refs/notes/ci"], "abcd" + "e".repeat(36))
+    );
+    assert.ok(result.includes('n0_2: object(expression: "refs/notes/ci:ab/cd") { ... on Tree { oid } }'));
+  });
+
+  // ========== graphqlEndpoint ==========
+  console.log("\n  graphqlEndpoint");
+
+  await test("uses /graphql on api.github.com", async () => {
+    const result = await page.evaluate(() => graphqlEndpoint("https://api.github.com"));
+    assert.strictEqual(result, "https://api.github.com/graphql");
+  });
+
+  await test("uses /api/graphql next to /api/v3 on Enterprise Server", async () => {
+    const result = await page.evaluate(() =>
+      graphqlEndpoint("https://ghe.example.com/api/v3")
+    );
+    assert.strictEqual(result, "https://ghe.example.com/api/graphql");
+  });
+
+  // ========== tokenForOwner ==========
+  console.log("\n  tokenForOwner");
+
+  await test("matches exact owners case-insensitively", async () => {
+    const result = await page.evaluate(() =>
+      tokenForOwner([{ name: "me", owners: ["my-user"] }], { me: "t1" }, "My-User")
+    );
+    assert.strictEqual(result, "t1");
+  });
+
+  await test("matches * wildcards", async () => {
+    const result = await page.evaluate(() => {
+      const named = [
+        { name: "work", owners: ["acme-*"] },
+        { name: "oss", owners: ["*-oss", "nodejs"] },
+      ];
+      const tokens = { work: "t1", oss: "t2" };
+      return [
+        tokenForOwner(named, tokens, "acme-platform"),
+        tokenForOwner(named, tokens, "acme"),
+        tokenForOwner(named, tokens, "foo-oss"),
+        tokenForOwner(named, tokens, "nodejs"),
+      ];
+    });
+    assert.deepStrictEqual(result, ["t1", null, "t2", "t2"]);
+  });
+
+  await test("first matching token wins", async () => {
+    const result = await page.evaluate(() =>
+      tokenForOwner(
+        [
+          { name: "a", owners: ["acme"] },
+          { name: "b", owners: ["*"] },
+        ],
+        { a: "t1", b: "t2" },
+        "acme"
+      )
+    );
+    assert.strictEqual(result, "t1");
+  });
+
+  await test("treats regex characters in patterns literally", async () => {
+    const result = await page.evaluate(() =>
+      tokenForOwner([{ name: "a", owners: ["a.c"] }], { a: "t1" }, "abc")
+    );
+    assert.strictEqual(result, null);
+  });
+
+  await test("skips named tokens that have no stored token", async () => {
+    const result = await page.evaluate(() =>
+      tokenForOwner(
+        [
+          { name: "a", owners: ["acme"] },
+          { name: "b", owners: ["*"] },
+        ],
+        { b: "t2" },
+        "acme"
+      )
+    );
+    assert.strictEqual(result, "t2");
+  });
+
+  // ========== resolveHost ==========
+  console.log("\n  resolveHost");
+
+  await test("picks the named token for the owner, then OAuth, then the PAT", async () => {
+    const result = await page.evaluate(async () => {
+      await setStorage({
+        credentials: {
+          githubToken: "pat",
+          oauthToken: { accessToken: "oauth", expiresAt: null },
+          named: { Work: "work-token" },
+          hosts: {},
+        },
+        namedTokens: [{ name: "Work", owners: ["acme-*"] }],
+      });
+      return [
+        (await resolveHost(undefined, "acme-web")).token,
+        (await resolveHost(undefined, "someone")).token,
+      ];
+    });
+    assert.deepStrictEqual(result, ["work-token", "oauth"]);
+  });
+
+  await test("falls back to the PAT once the OAuth token has expired", async () => {
+    const result = await page.evaluate(async () => {
+      await setStorage({
+        credentials: {
+          githubToken: "pat",
+          oauthToken: { accessToken: "oauth", expiresAt: Date.now() - 1, refreshToken: null },
+          named: {},
+          hosts: {},
+        },
+      });
+      return (await resolveHost(undefined, "someone")).token;
+    });
+    assert.strictEqual(result, "pat");
+  });
+
+  await test("uses an Enterprise Server profile and its token by origin", async () => {
+    const result = await page.evaluate(async () => {
+      await setStorage({
+        credentials: { githubToken: "pat", named: {}, hosts: { "https://ghe.example.com": "ghe-token" } },
+        hostProfiles: [
+          {
+            origin: "https://ghe.example.com",
+            apiBase: "https://ghe.example.com/api/v3",
+            rawBase: "https://ghe.example.com/raw",
+          },
+        ],
+      });
+      return resolveHost("https://ghe.example.com", "o");
+    });
+    assert.strictEqual(result.apiBase, "https://ghe.example.com/api/v3");
+    assert.strictEqual(result.token, "ghe-token");
+  });
+
+  await test("never hands out a host's token for an http profile", async () => {
+    const result = await page.evaluate(async () => {
+      await setStorage({
+        credentials: { named: {}, hosts: { "http://ghe.example.com": "ghe-token" } },
+        hostProfiles: [
+          {
+            origin: "http://ghe.example.com",
+            apiBase: "http://ghe.example.com/api/v3",
+            rawBase: "http://ghe.example.com/raw",
+          },
+        ],
+      });
+      return resolveHost("http://ghe.example.com", "o");
+    });
+    assert.strictEqual(result.apiBase, "http://ghe.example.com/api/v3");
+    assert.strictEqual(result.token, null);
+  });
+
+  // ========== OAuth device flow ==========
+  console.log("\n  OAuth device flow");
+
+  // Stubs github.com's device flow endpoints. `tokenReplies` are answered to
+  // the token endpoint in turn; every request's form fields are recorded.
+  await page.evaluate(() => {
+    window.mockDeviceFlow = (tokenReplies) => {
+      const requests = [];
+      window.fetch = async (url, init) => {
+        const { pathname } = new URL(url);
+        const form = Object.fromEntries(new URLSearchParams(init.body));
+        requests.push({ path: pathname, form });
+        if (pathname === "/login/device/code") {
+          return new Response(JSON.stringify({
+            device_code: "dev-123",
+            user_code: "ABCD-1234",
+            verification_uri: "https://github.com/login/device",
+            interval: 5,
+            expires_in: 900,
+          }), { status: 200 });
+        }
+        if (pathname === "/login/oauth/access_token") {
+          const reply = tokenReplies.shift();
+          return typeof reply === "number"
+            ? new Response("", { status: reply })
+            : new Response(JSON.stringify(reply), { status: 200 });
+        }
+        return new Response("", { status: 404 });
+      };
+      return requests;
+    };
+  });
+
+  await test("uses the built-in client ID unless one is set, and needs one", async () => {
+    const result = await page.evaluate(async () => {
+      await setStorage({});
+      let requests = mockDeviceFlow([]);
+      const error = await startDeviceFlow().catch((err) => err);
+      const builtIn = { clientId: requests.length ? requests[0].form.client_id : null, message: error.message };
+      await setStorage({ oauthClientId: "Iv23override" });
+      requests = mockDeviceFlow([]);
+      await startDeviceFlow();
+      return { builtIn, override: requests[0].form.client_id, OAUTH_CLIENT_ID };
+    });
+    if (result.OAUTH_CLIENT_ID) {
+      assert.strictEqual(result.builtIn.clientId, result.OAUTH_CLIENT_ID);
+    } else {
+      // A build without an app makes no request at all
+      assert.strictEqual(result.builtIn.clientId, null);
+      assert.match(result.builtIn.message, /client ID/);
+    }
+    assert.strictEqual(result.override, "Iv23override");
+  });
+
+  await test("polls through pending and slow_down to a stored token", async () => {
+    const result = await page.evaluate(async () => {
+      await setStorage({ oauthClientId: " Ov23abc ", credentials: { named: {}, hosts: {} } });
+      const requests = mockDeviceFlow([
+        { error: "authorization_pending" },
+        { error: "slow_down", interval: 10 },
+        {
+          access_token: "gho_new",
+          scope: "repo",
+          expires_in: 28800,
+          refresh_token: "ghr_refresh",
+          refresh_token_expires_in: 15897600,
+        },
+      ]);
+      const flow = await startDeviceFlow();
+      const polls = [];
+      for (let i = 0; i < 3; i++) polls.push(await pollDeviceFlow(flow.deviceCode));
+      const credentials = await getCredentials();
+      return { flow, polls, requests, oauthToken: credentials.oauthToken };
+    });
+    assert.strictEqual(result.flow.deviceCode, "dev-123");
+    assert.strictEqual(result.flow.userCode, "ABCD-1234");
+    assert.strictEqual(result.flow.interval, 5);
+    assert.ok(result.flow.expiresAt > Date.now());
+    assert.deepStrictEqual(result.polls, [
+      { status: "pending" },
+      { status: "pending", interval: 10 },
+      { status: "done" },
+    ]);
+    assert.deepStrictEqual(result.requests[0], {
+      path: "/login/device/code",
+      form: { client_id: "Ov23abc", scope: "repo" },
+    });
+    assert.deepStrictEqual(result.requests[1].form, {
+      client_id: "Ov23abc",
+      device_code: "dev-123",
+      grant_type: "urn:ietf:params:oauth:grant-type:device_code",
+    });
+    assert.strictEqual(result.oauthToken.accessToken, "gho_new");
+    assert.strictEqual(result.oauthToken.refreshToken, "ghr_refresh");
+    assert.deepStrictEqual(result.oauthToken.scopes, ["repo"]);
+    assert.ok(result.oauthToken.expiresAt > Date.now());
+  });
+
+  await test("reports expired and denied codes, and fails on other errors", async () => {
+    const result = await page.evaluate(async () => {
+      await setStorage({ oauthClientId: "Ov23abc", credentials: { named: {}, hosts: {} } });
+      mockDeviceFlow([
+        { error: "expired_token" },
+        { error: "access_denied" },
+        { error: "incorrect_device_code", error_description: "The device_code provided is not valid." },
+        502,
+      ]);
+      const expired = await pollDeviceFlow("dev-123");
+      const denied = await pollDeviceFlow("dev-123");
+      const invalid = await pollDeviceFlow("dev-123").catch((err) => err);
+      const server = await pollDeviceFlow("dev-123").catch((err) => err);
+      return {
+        expired,
+        denied,
+        invalid: invalid.message,
+        server: [server.status, server.message],
+        signedIn: !!(await getCredentials()).oauthToken,
+      };
+    });
+    assert.deepStrictEqual(result, {
+      expired: { status: "expired" },
+      denied: { status: "denied" },
+      invalid: "The device_code provided is not valid.",
+      server: [502, "GitHub sign-in error: 502"],
+      signedIn: false,
+    });
+  });
+
+  await test("refreshes an expiring sign-in with its refresh token", async () => {
+    const result = await page.evaluate(async () => {
+      await setStorage({
+        oauthClientId: "Ov23abc",
+        credentials: {
+          oauthToken: {
+            accessToken: "gho_old",
+            expiresAt: Date.now() + 60 * 1000,
+            refreshToken: "ghr_old",
+            refreshTokenExpiresAt: null,
+          },
+          named: {},
+          hosts: {},
+        },
+      });
+      const requests = mockDeviceFlow([
+        { access_token: "gho_fresh", expires_in: 28800, refresh_token: "ghr_fresh" },
+      ]);
+      const token = (await resolveHost(undefined, "someone")).token;
+      return { token, form: requests[0].form, stored: (await getCredentials()).oauthToken.refreshToken };
+    });
+    assert.deepStrictEqual(result, {
+      token: "gho_fresh",
+      form: { client_id: "Ov23abc", grant_type: "refresh_token", refresh_token: "ghr_old" },
+      stored: "ghr_fresh",
+    });
+  });
+
+  await test("parallel requests share one refresh of a single-use refresh token", async () => {
+    const result = await page.evaluate(async () => {
+      await setStorage({
+        oauthClientId: "Ov23abc",
+        credentials: {
+          oauthToken: {
+            accessToken: "gho_old",
+            expiresAt: Date.now() + 60 * 1000,
+            refreshToken: "ghr_old",
+            refreshTokenExpiresAt: null,
+          },
+          named: {},
+          hosts: {},
+        },
+      });
+      const requests = mockDeviceFlow([
+        { access_token: "gho_fresh", expires_in: 28800, refresh_token: "ghr_fresh" },
+        { error: "bad_refresh_token" },
+      ]);
+      const stale = await getCredentials();
+      const hosts = await Promise.all(["a", "b", "c"].map((owner) => resolveHost(undefined, owner)));
+      // A caller still holding the credentials from before the refresh
+      const late = await getOAuthToken(stale);
+      return { tokens: [...hosts.map((host) => host.token), late], refreshes: requests.length };
+    });
+    assert.deepStrictEqual(result, {
+      tokens: ["gho_fresh", "gho_fresh", "gho_fresh", "gho_fresh"],
+      refreshes: 1,
+    });
+  });
+
+  // ========== fetchNotesViaGraphQL ==========
+  console.log("\n  fetchNotesViaGraphQL");
+
+  await test("maps aliased blobs back to refs, preferring the direct path", async () => {
+    const result = await page.evaluate(async () => {
+      const requests = [];
+      window.fetch = async (url, init) => {
+        requests.push({ url, auth: init.headers.Authorization });
+        return new Response(JSON.stringify({
+          data: {
+            repository: {
+              n0_0: null,
+              n0_1: { text: "fanout note", isTruncated: false },
+              n1_0: null,
+              n1_1: null,
+              n2_0: { text: "direct note", isTruncated: false },
+              n2_1: { text: "stale fanout note", isTruncated: false },
+              n3_0: { text: "", isTruncated: true },
+              n3_1: null,
+            },
+          },
+        }), { status: 200 });
+      };
+      const notes = await fetchNotesViaGraphQL(
+        "o",
+        "r",
+        ["refs/notes/a", "refs/notes/b", "refs/notes/c", "refs/notes/d"],
+        "ab" + "c".repeat(38),
+        { ...GITHUB_HOST, token: "t" }
+      );
+      return { notes, requests };
+    });
+    assert.deepStrictEqual(result.requests, [
+      { url: "https://api.github.com/graphql", auth: "Bearer t" },
+    ]);
+    assert.deepStrictEqual(result.notes, {
+      "refs/notes/a": "fanout note",
+      "refs/notes/c": "direct note",
+      "refs/notes/d": null,
+    });
+  });
+
+  await test("leaves refs with deeper fanout to the slow path", async () => {
+    const result = await page.evaluate(async () => {
+      window.fetch = async () =>
+        new Response(JSON.stringify({
+          data: {
+            repository: {
+              n0_0: null, n0_1: null, n0_2: { oid: "d".repeat(40) },
+              n1_0: null, n1_1: null, n1_2: null,
+            },
+          },
+        }), { status: 200 });
+      return fetchNotesViaGraphQL(
+        "o", "r", ["refs/notes/deep", "refs/notes/none"], "abcd" + "e".repeat(36),
+        { ...GITHUB_HOST, token: "t" }
+      );
+    });
+    assert.deepStrictEqual(result, { "refs/notes/deep": null });
+  });
+
+  await test("marks large text notes by size and leaves large binary ones to the slow path", async () => {
+    const result = await page.evaluate(async () => {
+      window.fetch = async () =>
+        new Response(JSON.stringify({
+          data: {
+            repository: {
+              n0_0: { byteSize: 2000000, text: "partial", isTruncated: true },
+              n1_0: { byteSize: 2000000, text: null, isTruncated: false },
+              n2_0: { byteSize: 5, text: "small", isTruncated: false },
+            },
+          },
+        }), { status: 200 });
+      return fetchNotesViaGraphQL(
+        "o", "r", ["refs/notes/log", "refs/notes/shots", "refs/notes/ok"], "ab" + "c".repeat(38),
+        { ...GITHUB_HOST, token: "t" }
+      );
+    });
+    assert.deepStrictEqual(result, {
+      "refs/notes/log": { size: 2000000 },
+      "refs/notes/shots": null,
+      "refs/notes/ok": "small",
+    });
+  });
+
+  await test("returns note text as UTF-8 bytes, and leaves replaced bytes to the slow path", async () => {
+    const result = await page.evaluate(async () => {
+      window.fetch = async () =>
+        new Response(JSON.stringify({
+          data: {
+            repository: {
+              n0_0: { text: "Reviewed-by: Zoë ✓", isTruncated: false },
+              n1_0: { text: "Caf\uFFFD", isTruncated: false },
+            },
+          },
+        }), { status: 200 });
+      const notes = await fetchNotesViaGraphQL(
+        "o", "r", ["refs/notes/a", "refs/notes/b"], "ab" + "c".repeat(38),
+        { ...GITHUB_HOST, token: "t" }
+      );
+      return { a: decodeNoteBytes(notes["refs/notes/a"]).content, b: notes["refs/notes/b"] };
+    });
+    assert.deepStrictEqual(result, { a: "Reviewed-by: Zoë ✓", b: null });
+  });
+
+  await test("token fetches return notes as bytes for decodeNoteBytes", async () => {
+    const result = await page.evaluate(async () => {
+      const bodies = {
+        "/o/r/notes/shots/abc": new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0xfe]),
+        "/o/r/notes/text/abc": new TextEncoder().encode("naïve ✓"),
+      };
+      window.fetch = async (url) => {
+        const body = bodies[new URL(url).pathname];
+        return body ? new Response(body, { status: 200 }) : new Response("", { status: 404 });
+      };
+      const host = { ...GITHUB_HOST, token: "t" };
+      const binary = await fetchNoteContentWithToken("o", "r", "refs/notes/shots", "abc", host);
+      const text = await fetchNoteContentWithToken("o", "r", "refs/notes/text", "abc", host);
+      return { binary: [...bytesFromBinaryString(binary)], text: decodeNoteBytes(text).content };
+    });
+    assert.deepStrictEqual(result.binary, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0xfe]);
+    assert.strictEqual(result.text, "naïve ✓");
+  });
+
+  // ========== Fanout ==========
+  console.log("\n  Fanout");
+
+  // Serves Git Data API trees from { treeSha: { entries, truncated } } and
+  // Contents API paths from { path: response }
+  await page.evaluate(() => {
+    window.mockTreesApi = (trees, contents = {}) => {
+      window.fetch = async (url) => {
+        const { pathname } = new URL(url);
+        const tree = pathname.match(/\/git\/trees\/(\w+)$/);
+        if (tree && trees[tree[1]]) {
+          const { entries, truncated = false } = trees[tree[1]];
+          return new Response(JSON.stringify({ tree: entries, truncated }), { status: 200 });
+        }
+        const path = pathname.match(/\/contents\/(.+)$/);
+        if (path && contents[path[1]]) {
+          return new Response(JSON.stringify(contents[path[1]]), { status: 200 });
+        }
+        return new Response("{}", { status: 404 });
+      };
+    };
+  });
+
+  await test("fanoutPaths lists the note's path at each fanout level", async () => {
+    const result = await page.evaluate(() => fanoutPaths("abcdef0123", 3));
+    assert.deepStrictEqual(result, [
+      "abcdef0123",
+      "ab/cdef0123",
+      "ab/cd/ef0123",
+      "ab/cd/ef/0123",
+    ]);
+  });
+
+  await test("resolveNotePath follows several levels of fanout", async () => {
+    const result = await page.evaluate(async () => {
+      const sha = "abcdef" + "1".repeat(34);
+      mockTreesApi({
+        t1: { entries: [{ path: "cd", type: "tree", sha: "t2" }] },
+        t2: { entries: [{ path: "ef", type: "tree", sha: "t3" }] },
+        t3: { entries: [{ path: "1".repeat(34), type: "blob", sha: "b1" }] },
+      });
+      const root = buildTreeLookup({ tree: [{ path: "ab", type: "tree", sha: "t1" }] });
+      return resolveNotePath("fanout", "deep", "refs/notes/ci", root, sha, GITHUB_HOST);
+    });
+    assert.deepStrictEqual(result, {
+      path: `ab/cd/ef/${"1".repeat(34)}`,
+      sha: "b1",
+      levels: 3,
+    });
+  });
+
+  await test("resolveNotePath asks for paths missing from a truncated listing", async () => {
+    const result = await page.evaluate(async () => {
+      const sha = "12" + "3".repeat(38);
+      mockTreesApi(
+        {},
+        {
+          12: [{ name: "3".repeat(38), type: "file", sha: "b2" }],
+        }
+      );
+      const root = buildTreeLookup({
+        tree: [{ path: "ff", type: "tree", sha: "t9" }],
+        truncated: true,
+      });
+      return [
+        await resolveNotePath("fanout", "big", "refs/notes/ci", root, sha, GITHUB_HOST),
+        await resolveNotePath("fanout", "big", "refs/notes/ci", root, "45" + "6".repeat(38), GITHUB_HOST),
+      ];
+    });
+    assert.deepStrictEqual(result, [
+      { path: `12/${"3".repeat(38)}`, sha: "b2", levels: 1 },
+      null,
+    ]);
+  });
+
+  await test("findNotedCommits looks up what a truncated root left out in one query", async () => {
+    const result = await page.evaluate(async () => {
+      await clearCache();
+      const shas = ["12" + "3".repeat(38), "45" + "6".repeat(38), "78" + "9".repeat(38), "ff" + "0".repeat(38)];
+      // 12/ is a subtree, 45... a note without fanout, 78... has none, and
+      // ff/ is in the listing
+      const objects = {
+        [`refs/notes/ci:12`]: { __typename: "Tree", oid: "t12" },
+        [`refs/notes/ci:${shas[1]}`]: { __typename: "Blob", oid: "b45" },
+      };
+      const requests = [];
+      window.fetch = async (url, init = {}) => {
+        const { pathname } = new URL(url);
+        const json = (body) => new Response(JSON.stringify(body), { status: 200 });
+        if (init.method === "POST") {
+          const { query } = JSON.parse(init.body);
+          const aliases = [...query.matchAll(/(p\d+): object\(expression: "([^"]+)"\)/g)];
+          requests.push(`graphql ${aliases.length}`);
+          return json({
+            data: { repository: Object.fromEntries(aliases.map(([, alias, expr]) => [alias, objects[expr] || null])) },
+          });
+        }
+        requests.push(pathname.split("/").slice(4).join("/"));
+        if (pathname.endsWith("/git/ref/refs%2Fnotes%2Fci")) return json({ object: { sha: "n1" } });
+        if (pathname.endsWith("/git/commits/n1")) return json({ tree: { sha: "root" } });
+        if (pathname.endsWith("/git/trees/root")) {
+          return json({ tree: [{ path: "ff", type: "tree", sha: "tff" }], truncated: true });
+        }
+        if (pathname.endsWith("/git/trees/t12")) return json({ tree: [{ path: "3".repeat(38), type: "blob", sha: "b12" }] });
+        if (pathname.endsWith("/git/trees/tff")) return json({ tree: [{ path: "0".repeat(38), type: "blob", sha: "bff" }] });
+        return new Response("{}", { status: 404 });
+      };
+      const found = await findNotedCommits("o", "huge", "refs/notes/ci", shas, { ...GITHUB_HOST, token: "t" });
+      return { found: [...found].map((sha) => sha.slice(0, 2)), requests };
+    });
+    assert.deepStrictEqual(result.found, ["12", "45", "ff"]);
+    // Two paths for each SHA the listing didn't have, and no Contents API calls
+    assert.deepStrictEqual(result.requests, [
+      "git/ref/refs%2Fnotes%2Fci",
+      "git/commits/n1",
+      "git/trees/root",
+      "graphql 6",
+      "git/trees/t12",
+      "git/trees/tff",
+    ]);
+  });
+
+  await test("findNotePath puts a new note as deep as the tree fans out", async () => {
+    const result = await page.evaluate(async () => {
+      mockTreesApi({
+        t4: { entries: [{ path: "99", type: "tree", sha: "t5" }] },
+      });
+      const root = buildTreeLookup({ tree: [{ path: "ab", type: "tree", sha: "t4" }] });
+      return [
+        await findNotePath("fanout", "new", "refs/notes/ci", root, "abcd" + "0".repeat(36), GITHUB_HOST),
+        await findNotePath("fanout", "new", "refs/notes/ci", root, "cd" + "0".repeat(38), GITHUB_HOST),
+        await findNotePath("fanout", "new", "refs/notes/ci", buildTreeLookup({ tree: [] }), "cd" + "0".repeat(38), GITHUB_HOST),
+      ];
+    });
+    assert.deepStrictEqual(result, [
+      { path: `ab/cd/${"0".repeat(36)}`, exists: false },
+      { path: `cd/${"0".repeat(38)}`, exists: false },
+      { path: `cd${"0".repeat(38)}`, exists: false },
+    ]);
+  });
+
+  // ========== HTTP cache ==========
+  console.log("\n  HTTP cache");
+
+  await test("replays a response only to the token that fetched it", async () => {
+    const result = await page.evaluate(async () => {
+      await clearCache();
+      const requests = [];
+      window.fetch = async (url, init) => {
+        const tag = init.headers["If-None-Match"] || null;
+        requests.push([init.headers.Authorization || null, tag]);
+        if (tag === '"v1"') return new Response(null, { status: 304 });
+        return new Response('{"n":1}', { status: 200, headers: { ETag: '"v1"' } });
+      };
+      for (const token of ["a", "a", "b", undefined, undefined]) {
+        await githubApi("/repos/o/r/git/matching-refs/notes", { ...GITHUB_HOST, token });
+      }
+      return requests;
+    });
+    assert.deepStrictEqual(result, [
+      ["Bearer a", null],
+      ["Bearer a", '"v1"'],
+      ["Bearer b", null],
+      [null, null],
+      [null, '"v1"'],
+    ]);
+  });
+
+  await test("keys responses by a fingerprint rather than the token", async () => {
+    const result = await page.evaluate(async () => {
+      await clearCache();
+      window.fetch = async () =>
+        new Response("note", { status: 200, headers: { ETag: '"v1"' } });
+      await fetchAuthorizedBytes("https://raw.example/o/r/abc", { token: "secret-token" }, "raw");
+      return idbRequest(HTTP_STORE, "readonly", (store) => store.getAllKeys());
+    });
+    assert.strictEqual(result.length, 1);
+    assert.match(result[0], /^[0-9a-f]{16} raw https:\/\/raw\.example\/o\/r\/abc$/);
+  });
+
+  await test("evicts the least recently used entries beyond the size bound, and expired ones", async () => {
+    const result = await page.evaluate(async () => {
+      await clearCache();
+      const size = HTTP_STORE_MAX_BYTES * 0.4;
+      for (const key of ["k1", "k2", "k3"]) {
+        await httpCachePut(key, { etag: '"v"', body: {}, size });
+        await new Promise((resolve) => setTimeout(resolve, 2));
+      }
+      const old = Date.now() - HTTP_CACHE_MAX_AGE - 1;
+      await cachePut(HTTP_STORE, { key: "old", etag: '"v"', body: {}, size: 1, usedAt: old });
+      const expired = await httpCacheGet("old");
+      await evictStore(HTTP_STORE, HTTP_STORE_MAX_BYTES, HTTP_CACHE_MAX_AGE);
+      return {
+        expired,
+        keys: await idbRequest(HTTP_STORE, "readonly", (store) => store.getAllKeys()),
+      };
+    });
+    assert.strictEqual(result.expired, undefined);
+    assert.deepStrictEqual(result.keys, ["k2", "k3"]);
+  });
+
+  await test("keeps cached blobs to a size budget, evicting the least recently used", async () => {
+    const result = await page.evaluate(async () => {
+      await clearCache();
+      const size = BLOB_STORE_MAX_BYTES * 0.4;
+      let fetched = 0;
+      window.fetch = async () => {
+        fetched++;
+        return new Response(JSON.stringify({ encoding: "base64", content: btoa("new") }), { status: 200 });
+      };
+      const hour = 60 * 60 * 1000;
+      for (const [sha, hoursAgo] of [["b1", 3], ["b2", 2], ["b3", 1]]) {
+        const key = `o/r#${sha}`;
+        await cachePut(BLOB_STORE, { key, content: sha, size, usedAt: Date.now() - hoursAgo * hour });
+      }
+      // Reading b1 makes it the most recently used, so b2 goes instead
+      const hit = await fetchBlobContent("o", "r", "b1", GITHUB_HOST);
+      blobBytesSinceEviction = Infinity;
+      await fetchBlobContent("o", "r", "b4", GITHUB_HOST);
+      return {
+        hit,
+        fetched,
+        keys: await idbRequest(BLOB_STORE, "readonly", (store) => store.getAllKeys()),
+      };
+    });
+    assert.strictEqual(result.hit, "b1");
+    assert.strictEqual(result.fetched, 1);
+    assert.deepStrictEqual(result.keys, ["o/r#b1", "o/r#b3", "o/r#b4"]);
+  });
+
+  await test("clearCache removes both HTTP caches", async () => {
+    const result = await page.evaluate(async () => {
+      await setStorage({
+        "httpCache:alice  https://github.com/o/r/tree/notes/commits": { etag: '"v"' },
+        httpCacheIndex: {},
+        settings: { keep: true },
+      });
+      await httpCachePut("k", { etag: '"v"', body: {}, size: 1 });
+      await clearCache();
+      return {
+        keys: await idbRequest(HTTP_STORE, "readonly", (store) => store.getAllKeys()),
+        local: Object.keys(window.__storage.local),
+      };
+    });
+    assert.deepStrictEqual(result.keys, []);
+    assert.deepStrictEqual(result.local, ["settings"]);
+  });
+
+  // ========== Notes index ==========
+  console.log("\n  Notes index");
+
+  // Serves the Git Data API from window.gitApi = { tip, commits: { sha:
+  // treeSha }, trees: { sha: entries }, blobs: { sha: text }, subjects: {
+  // commitSha: message } } and records each request path in window.gitRequests
+  await page.evaluate(() => {
+    window.mockGitApi = (api) => {
+      window.gitApi = api;
+      window.gitRequests = [];
+      window.fetch = async (url) => {
+        const { pathname } = new URL(url);
+        window.gitRequests.push(pathname);
+        const json = (body) => new Response(JSON.stringify(body), { status: 200 });
+        const [, kind, sha] = pathname.match(/\/(git\/ref|git\/commits|git\/trees|git\/blobs|commits)\/(.+)$/) || [];
+        const { tip, commits = {}, trees = {}, blobs = {}, subjects = {} } = window.gitApi;
+        if (kind === "git/ref") return json({ object: { sha: tip } });
+        if (kind === "git/commits" && commits[sha]) return json({ tree: { sha: commits[sha] } });
+        if (kind === "git/trees" && trees[sha]) return json({ tree: trees[sha], truncated: false });
+        if (kind === "git/blobs" && sha in blobs) return json({ content: blobs[sha], encoding: "utf-8" });
+        if (kind === "commits" && subjects[sha]) {
+          return json({ commit: { message: subjects[sha], committer: { date: "2024-05-01T00:00:00Z" } } });
+        }
+        return new Response("{}", { status: 404 });
+      };
+    };
+    window.gitRequestsOf = (kind) => window.gitRequests.filter((p) => p.includes(`/${kind}/`));
+  });
+
+  await test("buildNotesIndex downloads only the blobs it hasn't indexed", async () => {
+    const result = await page.evaluate(async () => {
+      await setStorage({});
+      const [a, b, c] = ["a", "b", "c"].map((ch) => ch.repeat(40));
+      mockGitApi({
+        tip: "n1",
+        commits: { n1: "t1", n2: "t2" },
+        trees: {
+          t1: [{ path: a, type: "blob", sha: "b1" }, { path: b, type: "blob", sha: "b2" }],
+          t2: [{ path: a, type: "blob", sha: "b1" }, { path: c, type: "blob", sha: "b3" }],
+        },
+        blobs: { b1: "first", b2: "second", b3: "third" },
+      });
+      const first = await buildNotesIndex("o", "index", "refs/notes/ci", GITHUB_HOST);
+      const firstBlobs = gitRequestsOf("git/blobs");
+
+      // Unchanged tip: the stored index, without listing the tree again
+      gitRequests.length = 0;
+      const same = await buildNotesIndex("o", "index", "refs/notes/ci", GITHUB_HOST);
+      const sameRequests = [...gitRequests];
+
+      // Moved tip, with the blob cache emptied: only the new blob is fetched
+      gitApi.tip = "n2";
+      gitRequests.length = 0;
+      await idbRequest(BLOB_STORE, "readwrite", (store) => store.clear());
+      const moved = await buildNotesIndex("o", "index", "refs/notes/ci", GITHUB_HOST);
+      return {
+        firstBlobs,
+        sameBuiltAt: same.builtAt === first.builtAt,
+        sameRequests,
+        movedBlobs: gitRequestsOf("git/blobs"),
+        notes: moved.notes.map((note) => [note.commitSha[0], note.content]),
+        tipSha: moved.tipSha,
+      };
+    });
+    assert.deepStrictEqual(result.firstBlobs, ["/repos/o/index/git/blobs/b1", "/repos/o/index/git/blobs/b2"]);
+    assert.ok(result.sameBuiltAt);
+    assert.deepStrictEqual(result.sameRequests, ["/repos/o/index/git/ref/refs%2Fnotes%2Fci"]);
+    assert.deepStrictEqual(result.movedBlobs, ["/repos/o/index/git/blobs/b3"]);
+    assert.deepStrictEqual(result.notes, [["a", "first"], ["c", "third"]]);
+    assert.strictEqual(result.tipSha, "n2");
+  });
+
+  await test("searchNotesIndex needs every term in the content, SHA or subject", async () => {
+    const result = await page.evaluate(() => {
+      const index = {
+        notes: [
+          { commitSha: "1".repeat(40), subject: "Deploy to prod", content: "Approved" },
+          { commitSha: "2".repeat(40), subject: null, content: "deploy: staging\nApproved-by: Ann" },
+          { commitSha: "abc" + "3".repeat(37), subject: "Fix typo", content: "benchmark: 12 ms" },
+        ],
+      };
+      const shas = (query) => searchNotesIndex(index, query).map((note) => note.commitSha[0]);
+      return {
+        all: shas(""),
+        blank: shas("   "),
+        oneTerm: shas("DEPLOY"),
+        bothTerms: shas("deploy approved-by"),
+        subject: shas("typo"),
+        sha: shas("abc3"),
+        none: shas("deploy typo"),
+      };
+    });
+    // Matches keep the index's order
+    assert.deepStrictEqual(result, {
+      all: ["1", "2", "a"],
+      blank: ["1", "2", "a"],
+      oneTerm: ["1", "2"],
+      bothTerms: ["2"],
+      subject: ["a"],
+      sha: ["a"],
+      none: [],
+    });
+  });
+
+  await test("noteSnippet excerpts around the first match", async () => {
+    const result = await page.evaluate(() => {
+      const content = `${"lorem ipsum ".repeat(20)}needle\n\n  in   a haystack ${"dolor ".repeat(60)}`;
+      return {
+        match: noteSnippet(content, "haystack NEEDLE"),
+        noMatch: noteSnippet(content, "missing", 20),
+        short: noteSnippet("Reviewed-by:\n  Ann", ""),
+      };
+    });
+    // 60 characters of lead-in before the match, with whitespace collapsed
+    assert.ok(
+      result.match.startsWith(`\u2026${"lorem ipsum ".repeat(5)}needle in a haystack dolor`),
+      result.match
+    );
+    assert.ok(result.match.endsWith("\u2026"));
+    assert.strictEqual(result.noMatch, "lorem ipsum lorem ip\u2026");
+    assert.strictEqual(result.short, "Reviewed-by: Ann");
+  });
+
+  await test("QUERY_NOTES_INDEX pages results and fills in subjects a page at a time", async () => {
+    const result = await page.evaluate(async () => {
+      await setStorage({});
+      const notes = Array.from({ length: 30 }, (_, i) => ({
+        commitSha: i.toString(16).padStart(40, "0"),
+        blobSha: `b${i}`,
+        content: i % 3 === 0 ? `flaky run ${i}` : `ok ${i}`,
+        subject: null,
+        date: null,
+      }));
+      await saveNotesIndex({ key: "o/paged:refs/notes/ci", tipSha: "n1", builtAt: 1, notes });
+      mockGitApi({
+        subjects: Object.fromEntries(notes.map((note, i) => [note.commitSha, `Commit ${i}\n\nBody`])),
+      });
+      const query = (params) =>
+        handleQueryNotesIndex({ owner: "o", repo: "paged", ref: "refs/notes/ci", origin: "https://github.com", ...params });
+
+      const second = await query({ offset: 25, limit: 25 });
+      const filled = gitRequestsOf("commits").length;
+      const filtered = await query({ query: "flaky", offset: 5, limit: 3 });
+      const stored = await loadNotesIndex("o/paged:refs/notes/ci");
+      return {
+        total: second.total,
+        page: second.notes.map((note) => note.subject),
+        filled,
+        filteredTotal: filtered.total,
+        filtered: filtered.notes.map((note) => note.snippet),
+        storedSubjects: stored.notes.filter((note) => note.subject !== null).length,
+      };
+    });
+    assert.strictEqual(result.total, 30);
+    assert.deepStrictEqual(result.page, ["Commit 25", "Commit 26", "Commit 27", "Commit 28", "Commit 29"]);
+    assert.strictEqual(result.filled, 5);
+    assert.strictEqual(result.filteredTotal, 10);
+    assert.deepStrictEqual(result.filtered, ["flaky run 15", "flaky run 18", "flaky run 21"]);
+    // 5 from the first page, 3 from the second
+    assert.strictEqual(result.storedSubjects, 8);
+  });
+
+  await test("QUERY_NOTES_INDEX replies with an error when the index can't be read", async () => {
+    const result = await page.evaluate(async () => {
+      const query = () =>
+        handleQueryNotesIndex({ owner: "o", repo: "none", ref: "refs/notes/ci", origin: "https://github.com" });
+      const missing = await query();
+      const original = window.loadNotesIndex;
+      window.loadNotesIndex = async () => {
+        throw new DOMException("The database connection is closing.", "InvalidStateError");
+      };
+      try {
+        return { missing, failed: await query() };
+      } finally {
+        window.loadNotesIndex = original;
+      }
+    });
+    assert.strictEqual(result.missing.error, "no_index");
+    assert.deepStrictEqual(result.failed, {
+      error: "index_error",
+      message: "Could not read the notes index: The database connection is closing.",
+    });
+  });
+
+  // ========== IndexedDB cache ==========
+  console.log("\n  IndexedDB cache");
+
+  await test("cachePut and cacheGet round-trip records, and errors only miss", async () => {
+    const result = await page.evaluate(async () => {
+      await cachePut(BLOB_STORE, { key: "o/r#b1", content: "\x00\xff" });
+      const hit = await cacheGet(BLOB_STORE, "o/r#b1");
+      await cacheDelete(BLOB_STORE, "o/r#b1");
+      const deleted = await cacheGet(BLOB_STORE, "o/r#b1");
+      // No such store: the read misses and the write is dropped
+      await cachePut("missing", { key: "x" });
+      return { hit, deleted, missing: await cacheGet("missing", "x") };
+    });
+    assert.deepStrictEqual(result.hit, { key: "o/r#b1", content: "\x00\xff" });
+    assert.strictEqual(result.deleted, undefined);
+    assert.strictEqual(result.missing, undefined);
+  });
+
+  await test("fetchNotesTree revalidates the ref tip and reuses the tree while it's unchanged", async () => {
+    const result = await page.evaluate(async () => {
+      await clearCache();
+      const a = "a".repeat(40);
+      mockGitApi({
+        tip: "n1",
+        commits: { n1: "t1", n2: "t2" },
+        trees: { t1: [{ path: a, type: "blob", sha: "b1" }], t2: [{ path: a, type: "blob", sha: "b2" }] },
+      });
+      const load = async () => {
+        gitRequests.length = 0;
+        const tree = await fetchNotesTree("o", "tip", "refs/notes/ci", GITHUB_HOST);
+        return { requests: gitRequests.map((p) => p.split("/").slice(4, 6).join("/")), sha: tree.paths.get(a).sha };
+      };
+      const first = await load();
+      const unchanged = await load();
+      gitApi.tip = "n2";
+      const moved = await load();
+      return { first, unchanged, moved };
+    });
+    assert.deepStrictEqual(result.first, { requests: ["git/ref", "git/commits", "git/trees"], sha: "b1" });
+    assert.deepStrictEqual(result.unchanged, { requests: ["git/ref"], sha: "b1" });
+    assert.deepStrictEqual(result.moved, { requests: ["git/ref", "git/commits", "git/trees"], sha: "b2" });
+  });
+
+  await test("fetchSubtree and fetchBlobContent fetch each object once", async () => {
+    const result = await page.evaluate(async () => {
+      await clearCache();
+      mockGitApi({ trees: { t9: [] }, blobs: { b9: "note" } });
+      for (let i = 0; i < 2; i++) {
+        await fetchSubtree("o", "objects", "t9", GITHUB_HOST);
+        await fetchBlobContent("o", "objects", "b9", GITHUB_HOST);
+      }
+      return gitRequests;
+    });
+    assert.deepStrictEqual(result, ["/repos/o/objects/git/trees/t9", "/repos/o/objects/git/blobs/b9"]);
+  });
+
+  await test("clearCache empties every store", async () => {
+    const result = await page.evaluate(async () => {
+      const stores = [TREE_STORE, BLOB_STORE, HTTP_STORE, INDEX_STORE];
+      await clearCache();
+      await cachePut(TREE_STORE, { key: "o/r:refs/notes/ci", tipSha: "n1", tree: {} });
+      await cachePut(BLOB_STORE, { key: "o/r#b1", content: "x" });
+      await httpCachePut("k", { etag: '"v"', body: {}, size: 1 });
+      await saveNotesIndex({ key: "o/r:refs/notes/ci", notes: [] });
+      const count = () =>
+        Promise.all(stores.map((name) => idbRequest(name, "readonly", (store) => store.count())));
+      const before = await count();
+      await clearCache();
+      return { before, after: await count() };
+    });
+    assert.deepStrictEqual(result.before, [1, 1, 1, 1]);
+    assert.deepStrictEqual(result.after, [0, 0, 0, 0]);
+  });
+
+  await test("upgrading the database drops records written in older formats", async () => {
+    const result = await page.evaluate(async () => {
+      const request = (req) =>
+        new Promise((resolve, reject) => {
+          req.onsuccess = () => resolve(req.result);
+          req.onerror = () => reject(req.error);
+        });
+      // A database as `version` left it, with one record in each store
+      const createVersion = async (version) => {
+        (await dbPromise).close();
+        dbPromise = null;
+        await request(indexedDB.deleteDatabase(DB_NAME));
+        const open = indexedDB.open(DB_NAME, version);
+        open.onupgradeneeded = () => {
+          for (const name of [INDEX_STORE, TREE_STORE, BLOB_STORE, HTTP_STORE]) {
+            open.result.createObjectStore(name, { keyPath: "key" }).put({ key: "old" });
+          }
+          if (version >= 6) {
+            open.transaction.objectStore(HTTP_STORE).createIndex("lru", ["usedAt", "size"]);
+          }
+        };
+        (await request(open)).close();
+      };
+      const survivors = async () => {
+        const counts = {};
+        for (const name of [INDEX_STORE, TREE_STORE, BLOB_STORE, HTTP_STORE]) {
+          counts[name] = await idbRequest(name, "readonly", (store) => store.count());
+        }
+        const db = await openDb();
+        counts.lru = [HTTP_STORE, BLOB_STORE].every((name) =>
+          db.transaction(name).objectStore(name).indexNames.contains("lru")
+        );
+        return counts;
+      };
+      const results = {};
+      for (const version of [3, 4, 5, 6]) {
+        await createVersion(version);
+        results[version] = await survivors();
+      }
+      return results;
+    });
+    const survivors = (index, trees, http) => ({ notesIndex: index, trees, blobs: 0, http, lru: true });
+    // v3 → trees were Maps; v4 → notes were decoded as Latin-1; v5 → HTTP
+    // responses weren't keyed by credential; v6 → blobs had no size or last use
+    assert.deepStrictEqual(result[3], survivors(0, 0, 0));
+    assert.deepStrictEqual(result[4], survivors(0, 1, 0));
+    assert.deepStrictEqual(result[5], survivors(1, 1, 0));
+    assert.deepStrictEqual(result[6], survivors(1, 1, 1));
+  });
+
+  // ========== Note history ==========
+  console.log("\n  Note history");
+
+  await test("lists revisions without their contents, then fetches one when asked", async () => {
+    const result = await page.evaluate(async () => {
+      await setStorage({});
+      await clearCache();
+      const sha = "ab" + "1".repeat(38);
+      const requests = [];
+      const commit = (n) => ({
+        sha: String(n).repeat(40),
+        author: { login: "ann" },
+        commit: { author: { name: "Ann", email: "a@x", date: `2026-0${n}-01T00:00:00Z` }, message: `rev ${n}` },
+      });
+      window.fetch = async (url) => {
+        const { pathname, searchParams } = new URL(url);
+        requests.push(pathname.split("/").slice(4).join("/"));
+        const json = (body) => new Response(JSON.stringify(body), { status: 200 });
+        if (pathname.endsWith("/git/ref/refs%2Fnotes%2Fci")) return json({ object: { sha: "n1" } });
+        if (pathname.endsWith("/git/commits/n1")) return json({ tree: { sha: "t1" } });
+        if (pathname.endsWith("/git/trees/t1")) return json({ tree: [{ path: "ab", type: "tree", sha: "t2" }] });
+        if (pathname.endsWith("/git/trees/t2")) return json({ tree: [{ path: "1".repeat(38), type: "blob", sha: "b1" }] });
+        if (pathname.endsWith("/commits")) {
+          return json(searchParams.get("path") === sha ? [commit(1)] : [commit(3), commit(2)]);
+        }
+        if (pathname.endsWith(`/contents/ab/${"1".repeat(38)}`) && searchParams.get("ref") === "2".repeat(40)) {
+          return json({ content: "second", encoding: "utf-8" });
+        }
+        return new Response("{}", { status: 404 });
+      };
+      const listed = await handleFetchNoteHistory({ owner: "o", repo: "hist", ref: "refs/notes/ci", commitSha: sha });
+      const listRequests = [...requests];
+      requests.length = 0;
+      const revision = (rev) =>
+        handleFetchNoteRevision({ owner: "o", repo: "hist", commitSha: sha, levels: listed.levels, revision: rev });
+      const second = await revision("2".repeat(40));
+      const revisionRequests = [...requests];
+      return {
+        listed,
+        listRequests,
+        second,
+        revisionRequests,
+        removed: await revision("3".repeat(40)),
+        invalid: await handleFetchNoteRevision({ owner: "o", repo: "hist", commitSha: sha, levels: 40, revision: "3".repeat(40) }),
+      };
+    });
+    assert.deepStrictEqual(result.listed.revisions.map((rev) => [rev.message, "content" in rev]), [
+      ["rev 3", false],
+      ["rev 2", false],
+      ["rev 1", false],
+    ]);
+    assert.strictEqual(result.listed.levels, 1);
+    assert.ok(!result.listRequests.some((path) => path.startsWith("contents/")));
+    assert.deepStrictEqual(result.second, { content: "second" });
+    // The unfanned path first, then one level of fanout
+    assert.deepStrictEqual(result.revisionRequests, [
+      `contents/${"ab" + "1".repeat(38)}`,
+      `contents/ab/${"1".repeat(38)}`,
+    ]);
+    assert.deepStrictEqual(result.removed, { content: null });
+    assert.strictEqual(result.invalid.error, "api_error");
+  });
+
+  // ========== Writing notes ==========
+  console.log("\n  Writing notes");
+
+  // Serves a notes ref from window.notesRepo = { tip, commits: { sha:
+  // treeSha }, trees: { sha: entries }, refUpdate: status } and records the
+  // writes as { method, path, body }. Created objects get the SHAs
+  // "new-blob", "new-tree" and "new-commit".
+  await page.evaluate(() => {
+    window.mockNotesRepo = (repo) => {
+      window.notesRepo = repo;
+      const writes = [];
+      window.fetch = async (url, init = {}) => {
+        const path = new URL(url).pathname.split("/").slice(4).join("/");
+        const method = init.method || "GET";
+        const json = (body, status = 200) => new Response(JSON.stringify(body), { status });
+        const { tip, commits = {}, trees = {}, refUpdate = 200 } = window.notesRepo;
+        if (method !== "GET") {
+          writes.push({ method, path, body: JSON.parse(init.body) });
+          if (path === "git/blobs") return json({ sha: "new-blob" }, 201);
+          if (path === "git/trees") return json({ sha: "new-tree" }, 201);
+          if (path === "git/commits") return json({ sha: "new-commit" }, 201);
+          return json(refUpdate === 422 ? { message: "Update is not a fast forward" } : {}, refUpdate);
+        }
+        const [, kind, sha] = path.match(/^(git\/ref|git\/commits|git\/trees)\/(.+)$/) || [];
+        if (kind === "git/ref" && tip) return json({ object: { sha: tip } });
+        if (kind === "git/commits" && commits[sha]) return json({ tree: { sha: commits[sha] } });
+        if (kind === "git/trees" && trees[sha]) return json({ tree: trees[sha], truncated: false });
+        return json({ message: "Not Found" }, 404);
+      };
+      return writes;
+    };
+  });
+
+  await test("writeGitNote adds a note under the fanout the tree already uses", async () => {
+    const result = await page.evaluate(async () => {
+      await clearCache();
+      const writes = mockNotesRepo({
+        tip: "n1",
+        commits: { n1: "root" },
+        trees: {
+          root: [{ path: "ab", type: "tree", sha: "t1" }],
+          t1: [{ path: "9".repeat(38), type: "blob", sha: "b0" }],
+        },
+      });
+      const written = await writeGitNote("o", "write", "refs/notes/review", "ab" + "c".repeat(38), "LGTM", GITHUB_HOST);
+      return { written, writes };
+    });
+    assert.deepStrictEqual(result.written, { commitSha: "new-commit" });
+    assert.deepStrictEqual(result.writes, [
+      { method: "POST", path: "git/blobs", body: { content: "LGTM\n", encoding: "utf-8" } },
+      {
+        method: "POST",
+        path: "git/trees",
+        body: {
+          base_tree: "root",
+          tree: [{ path: `ab/${"c".repeat(38)}`, mode: "100644", type: "blob", sha: "new-blob" }],
+        },
+      },
+      {
+        method: "POST",
+        path: "git/commits",
+        body: { message: "Notes added by 'git notes add'", tree: "new-tree", parents: ["n1"] },
+      },
+      { method: "PATCH", path: "git/refs/notes/review", body: { sha: "new-commit", force: false } },
+    ]);
+  });
+
+  await test("writeGitNote deletes a note by writing no blob at its path", async () => {
+    const result = await page.evaluate(async () => {
+      await clearCache();
+      const sha = "ab" + "c".repeat(38);
+      const writes = mockNotesRepo({
+        tip: "n1",
+        commits: { n1: "root" },
+        trees: {
+          root: [{ path: "ab", type: "tree", sha: "t1" }],
+          t1: [{ path: "c".repeat(38), type: "blob", sha: "b1" }],
+        },
+      });
+      await writeGitNote("o", "delete", "refs/notes/review", sha, null, GITHUB_HOST);
+      const missing = await writeGitNote("o", "delete", "refs/notes/review", "cd" + "0".repeat(38), null, GITHUB_HOST)
+        .catch((err) => err);
+      return { writes, missing: [missing.status, missing.message] };
+    });
+    assert.deepStrictEqual(
+      result.writes.map((write) => [write.method, write.path]),
+      [["POST", "git/trees"], ["POST", "git/commits"], ["PATCH", "git/refs/notes/review"]]
+    );
+    assert.deepStrictEqual(result.writes[0].body.tree, [
+      { path: `ab/${"c".repeat(38)}`, mode: "100644", type: "blob", sha: null },
+    ]);
+    assert.strictEqual(result.writes[1].body.message, "Notes removed by 'git notes remove'");
+    assert.deepStrictEqual(result.missing, [404, "No note for this commit in refs/notes/review"]);
+  });
+
+  await test("writeGitNote creates the ref for the first note in it", async () => {
+    const result = await page.evaluate(async () => {
+      await clearCache();
+      const writes = mockNotesRepo({});
+      await writeGitNote("o", "fresh", "refs/notes/review", "ab" + "c".repeat(38), "First\n", GITHUB_HOST);
+      return writes;
+    });
+    assert.deepStrictEqual(result.map((write) => [write.method, write.path]), [
+      ["POST", "git/blobs"],
+      ["POST", "git/trees"],
+      ["POST", "git/commits"],
+      ["POST", "git/refs"],
+    ]);
+    // No base tree, no fanout and no parent in an empty ref
+    assert.deepStrictEqual(result[1].body, {
+      tree: [{ path: "ab" + "c".repeat(38), mode: "100644", type: "blob", sha: "new-blob" }],
+    });
+    assert.deepStrictEqual(result[2].body.parents, []);
+    assert.deepStrictEqual(result[3].body, { ref: "refs/notes/review", sha: "new-commit" });
+  });
+
+  await test("a ref that moved in the meantime is reported as a conflict", async () => {
+    const result = await page.evaluate(async () => {
+      await clearCache();
+      await setStorage({ credentials: { githubToken: "pat", named: {}, hosts: {} } });
+      mockNotesRepo({ tip: "n1", commits: { n1: "root" }, trees: { root: [] }, refUpdate: 422 });
+      return handleWriteGitNote({
+        owner: "o",
+        repo: "race",
+        ref: "refs/notes/review",
+        commitSha: "ab" + "c".repeat(38),
+        content: "Mine",
+      });
+    });
+    assert.strictEqual(result.error, "conflict");
+    assert.match(result.message, /refs\/notes\/review was updated by someone else/);
+  });
+
+  await test("editing is offered only where the token can push", async () => {
+    const result = await page.evaluate(async () => {
+      const permissions = { writable: { push: true, pull: true }, readonly: { push: false, pull: true } };
+      const requests = [];
+      window.fetch = async (url) => {
+        const repo = new URL(url).pathname.split("/")[3];
+        requests.push(repo);
+        if (!permissions[repo]) return new Response("{}", { status: 404 });
+        return new Response(JSON.stringify({ permissions: permissions[repo] }), { status: 200 });
+      };
+      const check = (repo) => handleGetRepoPermissions({ owner: "o", repo });
+      await setStorage({ credentials: { githubToken: "pat", named: {}, hosts: {} } });
+      const withToken = [await check("writable"), await check("readonly"), await check("missing")];
+      await setStorage({});
+      const anonymous = await check("writable");
+      return { withToken, anonymous, requests };
+    });
+    assert.deepStrictEqual(result.withToken, [{ push: true }, { push: false }, { push: false }]);
+    assert.deepStrictEqual(result.anonymous, { push: false });
+    assert.deepStrictEqual(result.requests, ["writable", "readonly", "missing"]);
+  });
+
+  // ========== Message router ==========
+  console.log("\n  Message router");
+
+  // Sends `message` through the router as `sender` would, resolving to the
+  // reply (or "no reply" if the router didn't answer)
+  await page.evaluate(() => {
+    window.route = (message, sender) =>
+      new Promise((resolve) => {
+        const async = window.onRuntimeMessage(message, sender, resolve);
+        if (!async) setTimeout(() => resolve("no reply"), 0);
+      });
+  });
+
+  await test("answers with an error when a handler rejects", async () => {
+    const result = await page.evaluate(async () => {
+      const original = window.handleListNoteRefs;
+      window.handleListNoteRefs = async () => {
+        throw { status: 403, message: "Rate limit exceeded" };
+      };
+      try {
+        return await route(
+          { type: "LIST_NOTE_REFS", origin: "https://github.com", owner: "o", repo: "r" },
+          { url: "chrome-extension://notes-viewer/notes.html" }
+        );
+      } finally {
+        window.handleListNoteRefs = original;
+      }
+    });
+    assert.deepStrictEqual(result, { error: "rate_limit", message: "Rate limit exceeded" });
+  });
+
+  await test("content scripts may only name their own page's origin", async () => {
+    const result = await page.evaluate(async () => {
+      await setStorage({
+        hostProfiles: [{ origin: "https://ghe.example.com", apiBase: "https://ghe.example.com/api/v3" }],
+      });
+      const profile = (origin, url) =>
+        route({ type: "GET_HOST_PROFILE", origin, owner: "o" }, { url, tab: { id: 1 } });
+      return {
+        own: (await profile("https://github.com", "https://github.com/o/r/commit/abc")).origin,
+        other: await profile("https://ghe.example.com", "https://github.com/o/r/commit/abc"),
+        noUrl: await route({ type: "GET_HOST_PROFILE", origin: "https://github.com" }, {}),
+        extensionPage: (
+          await route(
+            { type: "GET_HOST_PROFILE", origin: "https://ghe.example.com" },
+            { url: "chrome-extension://notes-viewer/options.html" }
+          )
+        ).origin,
+        noOrigin: await route({ type: "GET_NOTE_REFS", owner: "o", repo: "r" }, { url: "https://github.com/o/r" }),
+      };
+    });
+    assert.strictEqual(result.own, "https://github.com");
+    assert.deepStrictEqual(result.other, { error: "forbidden", message: "Not allowed from this page" });
+    assert.deepStrictEqual(result.noUrl, result.other);
+    assert.strictEqual(result.extensionPage, "https://ghe.example.com");
+    assert.ok(Array.isArray(result.noOrigin));
+  });
+
+  // ========== Credentials ==========
+  console.log("\n  Credentials");
+
+  await test("moves plain-text tokens from older versions into credentials", async () => {
+    const result = await page.evaluate(async () => {
+      await setStorage({
+        githubToken: "pat",
+        namedTokens: [{ name: "Work", token: "work-token", owners: ["acme"] }],
+        hostProfiles: [{ origin: "https://ghe.example.com", apiBase: "a", rawBase: "r", token: "ghe" }],
+      });
+      await migrateLegacyCredentials();
+      return { local: window.__storage.local, credentials: await getCredentials() };
+    });
+    assert.strictEqual(result.local.githubToken, undefined);
+    assert.deepStrictEqual(result.local.namedTokens, [{ name: "Work", owners: ["acme"] }]);
+    assert.strictEqual(result.local.hostProfiles[0].token, undefined);
+    assert.strictEqual(result.credentials.githubToken, "pat");
+    assert.deepStrictEqual(result.credentials.named, { Work: "work-token" });
+    assert.deepStrictEqual(result.credentials.hosts, { "https://ghe.example.com": "ghe" });
+  });
+
+  await test("encrypted mode stores only ciphertext and unlocks with the passphrase", async () => {
+    const result = await page.evaluate(async () => {
+      await setStorage({ credentials: { githubToken: "secret-pat", named: {}, hosts: {} } });
+      await setCredentialMode("encrypted", "correct horse");
+      const stored = JSON.stringify(window.__storage.local);
+      await lockCredentials();
+      const whileLocked = await getCredentials();
+      const wrong = await unlockCredentials("wrong").then(() => "unlocked", (err) => err.message);
+      await unlockCredentials("correct horse");
+      const unlocked = await getCredentials();
+      return { stored, whileLocked, wrong, token: unlocked.githubToken };
+    });
+    assert.ok(!result.stored.includes("secret-pat"));
+    assert.ok(result.stored.includes("encryptedCredentials"));
+    assert.strictEqual(result.whileLocked, null);
+    assert.strictEqual(result.wrong, "Wrong passphrase");
+    assert.strictEqual(result.token, "secret-pat");
+  });
+
+  await test("tokens saved while encrypted stay encrypted", async () => {
+    const result = await page.evaluate(async () => {
+      await setStorage({ credentials: { githubToken: null, named: {}, hosts: {} } });
+      await setCredentialMode("encrypted", "correct horse");
+      await setToken("named", "Work", "work-token");
+      const stored = JSON.stringify(window.__storage.local);
+      await lockCredentials();
+      await unlockCredentials("correct horse");
+      return { stored, named: (await getCredentials()).named };
+    });
+    assert.ok(!result.stored.includes("work-token"));
+    assert.deepStrictEqual(result.named, { Work: "work-token" });
+  });
+
+  await test("session-only mode never writes tokens to storage.local", async () => {
+    const result = await page.evaluate(async () => {
+      await setStorage({ credentials: { githubToken: "secret-pat", named: {}, hosts: {} } });
+      await setCredentialMode("session");
+      return {
+        local: JSON.stringify(window.__storage.local),
+        token: (await getCredentials()).githubToken,
+      };
+    });
+    assert.ok(!result.local.includes("secret-pat"));
+    assert.strictEqual(result.token, "secret-pat");
+  });
+
+  // ========== resolveNoteRefs ==========
+  console.log("\n  resolveNoteRefs");
+
+  const NO_RULES = { global: { include: [], exclude: [] }, repos: {}, order: [] };
+
+  await test("shows defaults and discovered refs with no rules", async () => {
+    const result = await page.evaluate(
+      (rules) => resolveNoteRefs(rules, "o/r", ["refs/notes/review", "refs/notes/commits"]),
+      NO_RULES
+    );
+    assert.deepStrictEqual(result, [
+      "refs/notes/commits",
+      "refs/notes/claude-prompt-trail",
+      "refs/notes/review",
+    ]);
+  });
+
+  await test("adds literal includes even when not discovered", async () => {
+    const result = await page.evaluate(() =>
+      resolveNoteRefs(
+        { global: { include: ["refs/notes/hidden"], exclude: [] }, repos: {}, order: [] },
+        "o/r",
+        []
+      )
+    );
+    assert.ok(result.includes("refs/notes/hidden"));
+    assert.ok(result.includes("refs/notes/commits"));
+  });
+
+  await test("wildcard includes limit the refs shown", async () => {
+    const result = await page.evaluate(() =>
+      resolveNoteRefs(
+        { global: { include: ["refs/notes/ci/*"], exclude: [] }, repos: {}, order: [] },
+        "o/r",
+        ["refs/notes/ci/lint", "refs/notes/ci/perf/nightly", "refs/notes/review"]
+      )
+    );
+    assert.deepStrictEqual(result, ["refs/notes/ci/lint", "refs/notes/ci/perf/nightly"]);
+  });
+
+  await test("exclude wins over include", async () => {
+    const result = await page.evaluate(() =>
+      resolveNoteRefs(
+        {
+          global: { include: ["refs/notes/extra"], exclude: ["refs/notes/extra", "refs/notes/claude-*"] },
+          repos: {},
+          order: [],
+        },
+        "o/r",
+        []
+      )
+    );
+    assert.deepStrictEqual(result, ["refs/notes/commits"]);
+  });
+
+  await test("a repository entry replaces the global rules", async () => {
+    const result = await page.evaluate(() => {
+      const rules = {
+        global: { include: [], exclude: ["refs/notes/review"] },
+        repos: { "acme/web": { include: [], exclude: ["refs/notes/commits"] } },
+        order: [],
+      };
+      return [
+        resolveNoteRefs(rules, "acme/web", ["refs/notes/review"]),
+        resolveNoteRefs(rules, "acme/api", ["refs/notes/review"]),
+      ];
+    });
+    assert.deepStrictEqual(result, [
+      ["refs/notes/claude-prompt-trail", "refs/notes/review"],
+      ["refs/notes/commits", "refs/notes/claude-prompt-trail"],
+    ]);
+  });
+
+  await test("sorts by the first matching order pattern, keeping the rest in place", async () => {
+    const result = await page.evaluate(() =>
+      resolveNoteRefs(
+        {
+          global: { include: [], exclude: [] },
+          repos: {},
+          order: ["refs/notes/review", "refs/notes/ci/*"],
+        },
+        "o/r",
+        ["refs/notes/ci/b", "refs/notes/zeta", "refs/notes/ci/a", "refs/notes/review"]
+      )
+    );
+    assert.deepStrictEqual(result, [
+      "refs/notes/review",
+      "refs/notes/ci/b",
+      "refs/notes/ci/a",
+      "refs/notes/commits",
+      "refs/notes/claude-prompt-trail",
+      "refs/notes/zeta",
+    ]);
+  });
+
+  await test("reads the legacy noteRefs list as global includes", async () => {
+    const result = await page.evaluate(async () => {
+      await setStorage({ noteRefs: ["refs/notes/legacy"] });
+      return getNoteRefs("o", "r");
+    });
+    assert.ok(result.includes("refs/notes/legacy"));
+  });
+
   // --- Summary ---
   console.log(`\n${passed + failed} tests: ${passed} passed, ${failed} failed`);
   await teardown();